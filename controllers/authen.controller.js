@@ -1,7 +1,7 @@
 const { User } = require("../models");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
+const { createMailTransport } = require("../utils/mailer");
 require("dotenv").config();
 
 const register = async (req, res) => {
@@ -33,7 +33,7 @@ const login = async (req, res) => {
   });
   if (user) {
     const token = jwt.sign(
-      { email: user.email, type: user.type },
+      { id: user.id, email: user.email, type: user.type },
       "firewallbase64",
       { expiresIn: 60 * 60 }
     );
@@ -66,13 +66,7 @@ const forgotPassword = async (req, res) => {
     });
 
     // Send email with reset password link
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USERNAME,
-        pass: process.env.EMAIL_PASSWORD,
-      },
-    });
+    const transporter = createMailTransport();
 
     const mailOptions = {
       from: process.env.EMAIL_USERNAME,
@@ -0,0 +1,204 @@
+const { Booking, Room, Hotels, User } = require("../models");
+const { Op } = require("sequelize");
+const { BOOKING_STATUS, ACTIVE_STATUSES } = require("../utils/bookingStatus");
+const {
+  isValidFeedToken,
+  newFeedTokenSalt,
+  getFeedUrl,
+  buildCalendar,
+} = require("../utils/calendarFeed");
+const { describeGuests } = require("../utils/occupancy");
+const { isOtherOwner } = require("../utils/ownership");
+
+// Stays worth showing in a calendar; cancelled, expired and no-show
+// bookings drop out of the feed on the next refresh
+const CALENDAR_STATUSES = [...ACTIVE_STATUSES, BOOKING_STATUS.COMPLETED];
+
+const getBookingRef = (booking) => `Booking #${booking.id}`;
+
+const getEventStatus = (booking) =>
+  booking.status === BOOKING_STATUS.PENDING_PAYMENT ? "TENTATIVE" : "CONFIRMED";
+
+const getRoomName = (booking) => (booking.Room ? booking.Room.name : "Room");
+
+// Just what a feed token is derived from
+const FEED_OWNER_ATTRIBUTES = ["id", "calendar_token_salt"];
+
+const findFeedBookings = (where) =>
+  Booking.findAll({
+    where: { ...where, status: { [Op.in]: CALENDAR_STATUSES } },
+    include: [
+      { model: Room, attributes: ["id", "name"] },
+      { model: Hotels, attributes: ["id", "name", "map"] },
+    ],
+    order: [["check_in_date", "ASC"]],
+  });
+
+const sendCalendar = (res, fileName, calendar) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `inline; filename="${fileName}"`);
+  res.status(200).send(calendar);
+};
+
+// Subscription URLs for the caller: their own stays and, for owners, the
+// arrivals of each of their hotels
+const getFeedLinks = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      where: { id: req.user.id },
+      attributes: FEED_OWNER_ATTRIBUTES,
+    });
+    if (!user) {
+      return res.status(404).send({ message: "User not found" });
+    }
+    const hotels =
+      req.user.type === "client"
+        ? []
+        : await Hotels.findAll({
+            where: { ownerId: req.user.id },
+            attributes: [...FEED_OWNER_ATTRIBUTES, "name"],
+          });
+
+    res.status(200).send({
+      user: getFeedUrl("users", user),
+      hotels: hotels.map((hotel) => ({
+        hotel_id: hotel.id,
+        name: hotel.name,
+        url: getFeedUrl("hotels", hotel),
+      })),
+    });
+  } catch (error) {
+    console.error("Error getting calendar feeds:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// Revokes the caller's current feed URL and hands out a new one
+const rotateUserFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      where: { id: req.user.id },
+      attributes: FEED_OWNER_ATTRIBUTES,
+    });
+    if (!user) {
+      return res.status(404).send({ message: "User not found" });
+    }
+
+    await user.update({ calendar_token_salt: newFeedTokenSalt() });
+    res.status(200).send({ url: getFeedUrl("users", user) });
+  } catch (error) {
+    console.error("Error rotating calendar feed:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// Same for a hotel's arrivals feed, e.g. after a staff member leaves
+const rotateHotelFeed = async (req, res) => {
+  try {
+    const hotel = await Hotels.findOne({
+      where: { id: req.params.id },
+      attributes: [...FEED_OWNER_ATTRIBUTES, "ownerId"],
+    });
+    if (!hotel) {
+      return res.status(404).send({ message: "Hotel not found" });
+    }
+    if (isOtherOwner(req.user, hotel)) {
+      return res.status(403).send({ message: "Not your hotel" });
+    }
+
+    await hotel.update({ calendar_token_salt: newFeedTokenSalt() });
+    res.status(200).send({ url: getFeedUrl("hotels", hotel) });
+  } catch (error) {
+    console.error("Error rotating calendar feed:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// A guest's stays, one all-day event from check-in to check-out. Unknown
+// users get the same answer as a wrong token.
+const getUserFeed = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await User.findOne({
+      where: { id },
+      attributes: FEED_OWNER_ATTRIBUTES,
+    });
+    if (!isValidFeedToken("users", user, req.query.token)) {
+      return res.status(403).send({ message: "Invalid calendar token" });
+    }
+
+    const bookings = await findFeedBookings({ user_id: id });
+    const events = bookings.map((booking) => ({
+      uid: `booking-${booking.id}@lastingtrip`,
+      start: booking.check_in_date,
+      end: booking.check_out_date,
+      summary: `${booking.Hotel ? booking.Hotel.name : "Hotel"} - ${getRoomName(
+        booking
+      )}`,
+      description: [
+        getBookingRef(booking),
+        `Room: ${getRoomName(booking)} x ${booking.quantity}`,
+        `Guest: ${booking.full_name}`,
+      ].join("\n"),
+      location: booking.Hotel ? booking.Hotel.map : null,
+      status: getEventStatus(booking),
+    }));
+
+    sendCalendar(res, "my-bookings.ics", buildCalendar("My stays", events));
+  } catch (error) {
+    console.error("Error building user calendar:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// A hotel's arrivals, so staff see who checks in on which day
+const getHotelFeed = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const hotel = await Hotels.findOne({ where: { id } });
+    if (!isValidFeedToken("hotels", hotel, req.query.token)) {
+      return res.status(403).send({ message: "Invalid calendar token" });
+    }
+
+    const bookings = await findFeedBookings({ hotel_id: id });
+    const events = bookings.map((booking) => ({
+      uid: `arrival-${booking.id}@lastingtrip`,
+      start: booking.check_in_date,
+      end: booking.check_out_date,
+      summary: `Arrival: ${booking.full_name} (${
+        booking.quantity
+      } x ${getRoomName(booking)})`,
+      description: [
+        getBookingRef(booking),
+        `Room: ${getRoomName(booking)} x ${booking.quantity}`,
+        `Guest: ${booking.full_name}`,
+        `Guests: ${describeGuests(booking)}`,
+        booking.special_requests
+          ? `Special requests: ${booking.special_requests}`
+          : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      status: getEventStatus(booking),
+    }));
+
+    sendCalendar(
+      res,
+      `hotel-${hotel.id}-arrivals.ics`,
+      buildCalendar(`${hotel.name} arrivals`, events)
+    );
+  } catch (error) {
+    console.error("Error building hotel calendar:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+module.exports = {
+  getFeedLinks,
+  rotateUserFeed,
+  rotateHotelFeed,
+  getUserFeed,
+  getHotelFeed,
+};
@@ -0,0 +1,96 @@
+const { CancellationPolicy, Hotels } = require("../models");
+const { DEFAULT_POLICY } = require("../utils/cancellation");
+const { isOtherOwner } = require("../utils/ownership");
+
+const isPercent = (value) =>
+  Number.isInteger(value) && value >= 0 && value <= 100;
+
+const getCancellationPolicy = async (req, res) => {
+  const { hotelId } = req.params;
+
+  try {
+    const policy = await CancellationPolicy.findOne({
+      where: { hotel_id: hotelId },
+    });
+
+    if (!policy) {
+      return res.status(200).send({
+        hotel_id: Number(hotelId),
+        ...DEFAULT_POLICY,
+        is_default: true,
+      });
+    }
+
+    res.status(200).send(policy);
+  } catch (error) {
+    console.error("Error fetching cancellation policy:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+const updateCancellationPolicy = async (req, res) => {
+  const { hotelId } = req.params;
+  const {
+    free_cancellation_days = 0,
+    partial_refund_percent = 0,
+    after_check_in_refund_percent = 0,
+    description,
+  } = req.body;
+
+  // Validation
+  if (!Number.isInteger(free_cancellation_days) || free_cancellation_days < 0) {
+    return res.status(400).json({
+      error: "'free_cancellation_days' must be a non-negative integer.",
+    });
+  }
+  if (!isPercent(partial_refund_percent)) {
+    return res.status(400).json({
+      error: "'partial_refund_percent' must be an integer between 0 and 100.",
+    });
+  }
+  if (!isPercent(after_check_in_refund_percent)) {
+    return res.status(400).json({
+      error:
+        "'after_check_in_refund_percent' must be an integer between 0 and 100.",
+    });
+  }
+
+  try {
+    const hotel = await Hotels.findOne({ where: { id: hotelId } });
+    if (!hotel) {
+      return res.status(404).send({ message: "Hotel not found" });
+    }
+    if (isOtherOwner(req.user, hotel)) {
+      return res.status(403).send({ message: "Not your hotel" });
+    }
+
+    const values = {
+      free_cancellation_days,
+      partial_refund_percent,
+      after_check_in_refund_percent,
+      description,
+    };
+
+    let policy = await CancellationPolicy.findOne({
+      where: { hotel_id: hotelId },
+    });
+    if (policy) {
+      await policy.update(values);
+    } else {
+      policy = await CancellationPolicy.create({
+        hotel_id: hotelId,
+        ...values,
+      });
+    }
+
+    res.status(200).send(policy);
+  } catch (error) {
+    console.error("Error updating cancellation policy:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  getCancellationPolicy,
+  updateCancellationPolicy,
+};
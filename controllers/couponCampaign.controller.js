@@ -0,0 +1,225 @@
+const { UniqueConstraintError } = require("sequelize");
+const { CouponCampaign, sequelize } = require("../models");
+const {
+  parseCouponRules,
+  parseCouponDiscount,
+  getDiscountError,
+} = require("../utils/coupons");
+const {
+  MAX_CAMPAIGN_CODES,
+  issueCampaignCodes,
+  getCampaignStats,
+  getCampaignCodes,
+  getCampaignCodePage,
+  toCsv,
+} = require("../utils/couponCampaigns");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_CODE_LENGTH = 8;
+const MIN_CODE_LENGTH = 6;
+const MAX_CODE_LENGTH = 16;
+// Campaigns generated at the same time can still draw the same code: the
+// unique index on Coupons.code turns one of them away, which then starts
+// over with fresh codes
+const MAX_ISSUE_ATTEMPTS = 3;
+
+const isWholeNumberIn = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+// Generates `quantity` single-use codes sharing the campaign's discount and
+// rules, e.g. for a partner giveaway
+const createCampaign = async (req, res) => {
+  const {
+    name,
+    prefix = "",
+    code_length = DEFAULT_CODE_LENGTH,
+    quantity,
+    begin,
+    end,
+  } = req.body;
+
+  // Validation
+  if (!name || typeof name !== "string" || name.trim() === "") {
+    return res
+      .status(400)
+      .json({ error: "'name' is required and must be a non-empty string." });
+  }
+  if (typeof prefix !== "string" || !/^[A-Za-z0-9-]{0,12}$/.test(prefix)) {
+    return res.status(400).json({
+      error: "'prefix' must be up to 12 letters, digits or dashes.",
+    });
+  }
+  if (!isWholeNumberIn(code_length, MIN_CODE_LENGTH, MAX_CODE_LENGTH)) {
+    return res.status(400).json({
+      error: `'code_length' must be a whole number from ${MIN_CODE_LENGTH} to ${MAX_CODE_LENGTH}.`,
+    });
+  }
+  if (!isWholeNumberIn(quantity, 1, MAX_CAMPAIGN_CODES)) {
+    return res.status(400).json({
+      error: `'quantity' must be a whole number from 1 to ${MAX_CAMPAIGN_CODES}.`,
+    });
+  }
+  const { discount, error: discountError } = parseCouponDiscount(req.body);
+  const typeError = discountError || getDiscountError(discount);
+  if (typeError) {
+    return res.status(400).json({ error: typeError });
+  }
+  if (!begin || !end || isNaN(new Date(begin)) || isNaN(new Date(end))) {
+    return res
+      .status(400)
+      .json({ error: "'begin' and 'end' must be valid dates." });
+  }
+  if (new Date(begin) >= new Date(end)) {
+    return res
+      .status(400)
+      .json({ error: "'begin' date must be before 'end' date." });
+  }
+  for (const field of ["usage_limit", "per_user_limit"]) {
+    if (req.body[field] !== undefined) {
+      return res.status(400).json({
+        error: `'${field}' cannot be set: campaign codes are single-use.`,
+      });
+    }
+  }
+  const { rules, error: rulesError } = parseCouponRules(req.body);
+  if (rulesError) {
+    return res.status(400).json({ error: rulesError });
+  }
+
+  const createWithCodes = () =>
+    sequelize.transaction(async (transaction) => {
+      const campaign = await CouponCampaign.create(
+        {
+          name: name.trim(),
+          prefix: prefix.toUpperCase(),
+          code_length,
+          quantity,
+          ...discount,
+          begin,
+          end,
+          ...rules,
+        },
+        { transaction }
+      );
+      const codes = await issueCampaignCodes(campaign, { transaction });
+      return { campaign, issued: codes.length };
+    });
+
+  try {
+    let result;
+    for (let attempt = 1; !result; attempt++) {
+      try {
+        result = await createWithCodes();
+      } catch (error) {
+        if (
+          !(error instanceof UniqueConstraintError) ||
+          attempt === MAX_ISSUE_ATTEMPTS
+        ) {
+          throw error;
+        }
+      }
+    }
+    res.status(201).send(result);
+  } catch (error) {
+    console.error("Error creating coupon campaign:", error);
+    res.status(500).send({ error: "Internal Server Error" });
+  }
+};
+
+const getCampaigns = async (req, res) => {
+  try {
+    const campaigns = await CouponCampaign.findAll({
+      order: [["createdAt", "DESC"]],
+    });
+    res.status(200).json(campaigns);
+  } catch (error) {
+    console.error("Error fetching coupon campaigns:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+const findCampaign = (req) =>
+  CouponCampaign.findOne({ where: { id: req.params.id } });
+
+// How far a campaign has got: issued, redeemed, expired and available codes
+const getCampaignDashboard = async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    const stats = await getCampaignStats(campaign);
+    res.status(200).json({ campaign, stats });
+  } catch (error) {
+    console.error("Error fetching coupon campaign:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// A page of the campaign's codes with their status. Campaign codes are left
+// out of the coupon list, which would otherwise run to thousands of rows.
+const getCampaignCodeList = async (req, res) => {
+  const limit =
+    req.query.limit === undefined
+      ? DEFAULT_PAGE_SIZE
+      : parseInt(req.query.limit);
+  const offset =
+    req.query.offset === undefined ? 0 : parseInt(req.query.offset);
+
+  // Validation
+  if (isNaN(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: `'limit' must be a number between 1 and ${MAX_PAGE_SIZE}`,
+    });
+  }
+  if (isNaN(offset) || offset < 0) {
+    return res
+      .status(400)
+      .json({ error: "'offset' must be a non-negative number" });
+  }
+
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    const { total, codes } = await getCampaignCodePage(campaign, {
+      limit,
+      offset,
+    });
+    res.status(200).json({ total, limit, offset, codes });
+  } catch (error) {
+    console.error("Error fetching coupon campaign codes:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Every code of the campaign with its status, for handing to the partner
+const exportCampaignCodes = async (req, res) => {
+  try {
+    const campaign = await findCampaign(req);
+    if (!campaign) {
+      return res.status(404).json({ message: "Campaign not found" });
+    }
+
+    const codes = await getCampaignCodes(campaign);
+    res.attachment(`campaign-${campaign.id}-codes.csv`);
+    res
+      .status(200)
+      .send(toCsv(["code", "status", "booking_id", "redeemed_at"], codes));
+  } catch (error) {
+    console.error("Error exporting coupon campaign:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  createCampaign,
+  getCampaigns,
+  getCampaignDashboard,
+  getCampaignCodeList,
+  exportCampaignCodes,
+};
@@ -1,8 +1,20 @@
-const { Coupons } = require("../models");
+const { UniqueConstraintError } = require("sequelize");
+const { Coupons, Room } = require("../models");
 const user = require("../models/coupons");
+const {
+  parseCouponRules,
+  parseCouponDiscount,
+  getDiscountError,
+  getDateRejections,
+  getCouponRejections,
+  findCouponByCode,
+} = require("../utils/coupons");
+const { quoteStay } = require("../utils/pricing");
 
+// A percentage coupon by default, or a voucher worth a fixed VND `amount`
+// with `type: "fixed"`
 const create = async (req, res) => {
-  const { code, percent, begin, end } = req.body;
+  const { code, begin, end } = req.body;
 
   if (!code) {
     return res
@@ -10,10 +22,10 @@ const create = async (req, res) => {
       .json({ error: "'code' is required and must not be null." });
   }
 
-  if (typeof percent !== "number" || percent <= 0 || percent > 100) {
-    return res
-      .status(400)
-      .json({ error: "'percent' must be a number between 1 and 100." });
+  const { discount, error: discountError } = parseCouponDiscount(req.body);
+  const typeError = discountError || getDiscountError(discount);
+  if (typeError) {
+    return res.status(400).json({ error: typeError });
   }
 
   if (!begin || !end || isNaN(new Date(begin)) || isNaN(new Date(end))) {
@@ -28,22 +40,35 @@ const create = async (req, res) => {
       .json({ error: "'begin' date must be before 'end' date." });
   }
 
+  const { rules, error: rulesError } = parseCouponRules(req.body);
+  if (rulesError) {
+    return res.status(400).json({ error: rulesError });
+  }
+
   try {
     const newCoupon = await Coupons.create({
       code,
-      percent,
+      ...discount,
       begin,
       end,
+      ...rules,
     });
     res.status(201).send(newCoupon);
   } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res
+        .status(409)
+        .send({ error: `Coupon code '${code}' already exists` });
+    }
     res.status(500).send({ error: "Internal Server Error" });
   }
 };
 
+// Hand-made coupons only: campaign codes are listed per campaign, see
+// getCampaignCodeList
 const getAllCoupon = async (req, res) => {
   try {
-    const couponList = await Coupons.findAll();
+    const couponList = await Coupons.findAll({ where: { campaign_id: null } });
     res.status(200).json(couponList);
   } catch (error) {
     res.status(500).json({ message: "Internal Server Error" });
@@ -52,7 +77,10 @@ const getAllCoupon = async (req, res) => {
 
 const displayCoupon = async (req, res) => {
   try {
-    const coupon = await Coupons.findAll({ raw: true });
+    const coupon = await Coupons.findAll({
+      where: { campaign_id: null },
+      raw: true,
+    });
     res.render("coupons", { datatable: coupon });
   } catch (error) {
     console.error(error);
@@ -63,7 +91,7 @@ const displayCoupon = async (req, res) => {
 const editCoupon = async (req, res) => {
   try {
     const couponId = req.params.id;
-    const { code, percent, start, end } = req.body;
+    const { code, start, end } = req.body;
 
     // Validation
     if (code && typeof code !== "string") {
@@ -72,13 +100,9 @@ const editCoupon = async (req, res) => {
         .send({ error: "Invalid 'code'. It must be a string." });
     }
 
-    if (
-      percent !== undefined &&
-      (typeof percent !== "number" || percent <= 0 || percent > 100)
-    ) {
-      return res
-        .status(400)
-        .send({ error: "'percent' must be a number between 1 and 100." });
+    const { discount, error: discountError } = parseCouponDiscount(req.body);
+    if (discountError) {
+      return res.status(400).send({ error: discountError });
     }
 
     if (start && isNaN(new Date(start))) {
@@ -95,6 +119,11 @@ const editCoupon = async (req, res) => {
         .send({ error: "'start' date must be before 'end' date." });
     }
 
+    const { rules, error: rulesError } = parseCouponRules(req.body);
+    if (rulesError) {
+      return res.status(400).send({ error: rulesError });
+    }
+
     const detailCoupon = await Coupons.findOne({
       where: {
         id: couponId,
@@ -108,11 +137,23 @@ const editCoupon = async (req, res) => {
       });
     }
 
+    // The type, percent and amount must still fit together once applied
+    const typeError = getDiscountError({
+      type: detailCoupon.type,
+      percent: detailCoupon.percent,
+      amount: detailCoupon.amount,
+      ...discount,
+    });
+    if (typeError) {
+      return res.status(400).send({ error: typeError });
+    }
+
     // Updating fields only if they are provided
     if (code) detailCoupon.code = code;
-    if (percent !== undefined) detailCoupon.percent = percent;
+    Object.assign(detailCoupon, discount);
     if (start) detailCoupon.start = start;
     if (end) detailCoupon.end = end;
+    Object.assign(detailCoupon, rules);
 
     const updateCoupon = await detailCoupon.save();
     if (!updateCoupon) {
@@ -124,6 +165,11 @@ const editCoupon = async (req, res) => {
 
     res.status(200).send({ updateCoupon }); // Send back updated coupon
   } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res
+        .status(409)
+        .send({ error: `Coupon code '${req.body.code}' already exists` });
+    }
     console.error(error);
     res.status(500).send({ error: "Internal Server Error" });
   }
@@ -192,6 +238,13 @@ const getCouponByCode = async (req, res) => {
     if (!coupon) {
       return res.status(404).json({ message: "Coupon not found" });
     }
+    // Codes outside their begin/end window cannot be applied
+    const rejections = getDateRejections(coupon);
+    if (rejections.length > 0) {
+      return res
+        .status(400)
+        .json({ message: rejections[0].message, rejections });
+    }
 
     res.status(200).json(coupon);
   } catch (error) {
@@ -199,6 +252,64 @@ const getCouponByCode = async (req, res) => {
   }
 };
 
+// Tells whether a code applies to a stay and, if not, every rule it fails,
+// so guests and marketing can see why a code was turned down
+const evaluateCoupon = async (req, res) => {
+  const { code, roomId, checkInDate, checkOutDate, quantity, userId } =
+    req.query;
+
+  // Validation
+  if (!code || !roomId || !checkInDate || !checkOutDate || !quantity) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+  if (new Date(checkInDate) >= new Date(checkOutDate)) {
+    return res
+      .status(400)
+      .json({ error: "'checkInDate' must be before 'checkOutDate'" });
+  }
+  if (isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
+    return res
+      .status(400)
+      .json({ error: "'quantity' must be a positive number" });
+  }
+
+  try {
+    const coupon = await findCouponByCode(code);
+    if (!coupon) {
+      return res.status(404).json({ message: "Coupon not found" });
+    }
+    const room = await Room.findOne({ where: { id: roomId } });
+    if (!room) {
+      return res.status(400).send({ message: "Room not found" });
+    }
+
+    const stay = {
+      room,
+      checkInDate,
+      checkOutDate,
+      quantity: parseInt(quantity),
+    };
+    const { subtotal } = await quoteStay(stay);
+    const rejections = await getCouponRejections(coupon, {
+      userId: userId ? parseInt(userId) : null,
+      hotelId: room.hotelId,
+      rooms: [room],
+      subtotal,
+    });
+
+    const valid = rejections.length === 0;
+    res.status(200).send({
+      code: coupon.code,
+      valid,
+      rejections,
+      quote: valid ? await quoteStay({ ...stay, coupons: [coupon] }) : null,
+    });
+  } catch (error) {
+    console.error("Error evaluating coupon:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+};
+
 module.exports = {
   create,
   getAllCoupon,
@@ -207,4 +318,5 @@ module.exports = {
   deleteCoupon,
   getDetailCoupon,
   getCouponByCode,
+  evaluateCoupon,
 };
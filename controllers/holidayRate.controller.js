@@ -0,0 +1,165 @@
+const moment = require("moment");
+const { Op } = require("sequelize");
+const { HolidayRate, Hotels } = require("../models");
+const { isOtherOwner } = require("../utils/ownership");
+
+// Returns an error message for the holiday rate fields in `body`, or null
+const validateHolidayRate = (body) => {
+  const { date, name, multiplier } = body;
+
+  if (date !== undefined && !moment(date, "YYYY-MM-DD", true).isValid()) {
+    return "'date' must be a date in YYYY-MM-DD format";
+  }
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return "'name' must be a non-empty string";
+  }
+  if (
+    multiplier !== undefined &&
+    (typeof multiplier !== "number" || multiplier <= 0)
+  ) {
+    return "'multiplier' must be a positive number";
+  }
+  return null;
+};
+
+// Only admins manage nationwide holidays; owners manage their own hotels'
+const checkHotelAccess = async (req, hotelId) => {
+  if (hotelId === null || hotelId === undefined) {
+    return req.user && req.user.type !== "admin"
+      ? { status: 403, message: "Only admins can manage nationwide holidays" }
+      : null;
+  }
+
+  const hotel = await Hotels.findOne({ where: { id: hotelId } });
+  if (!hotel) {
+    return { status: 404, message: "Hotel not found" };
+  }
+  if (isOtherOwner(req.user, hotel)) {
+    return { status: 403, message: "Not your hotel" };
+  }
+  return null;
+};
+
+// Nationwide holidays plus those of `hotelId`, optionally within from/to
+const getHolidayRates = async (req, res) => {
+  const { hotelId, from, to } = req.query;
+
+  try {
+    const where = hotelId
+      ? { [Op.or]: [{ hotel_id: null }, { hotel_id: hotelId }] }
+      : { hotel_id: null };
+    if (from || to) {
+      where.date = {};
+      if (from) where.date[Op.gte] = from;
+      if (to) where.date[Op.lte] = to;
+    }
+
+    const holidayRates = await HolidayRate.findAll({
+      where,
+      order: [["date", "ASC"]],
+    });
+
+    res.status(200).send(holidayRates);
+  } catch (error) {
+    console.error("Error fetching holiday rates:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+const createHolidayRate = async (req, res) => {
+  const { hotel_id = null, date, name, multiplier } = req.body;
+
+  // Validation
+  if (!date || !name || multiplier === undefined) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+  const validationError = validateHolidayRate(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const accessError = await checkHotelAccess(req, hotel_id);
+    if (accessError) {
+      return res
+        .status(accessError.status)
+        .send({ message: accessError.message });
+    }
+
+    const holidayRate = await HolidayRate.create({
+      hotel_id,
+      date,
+      name,
+      multiplier,
+    });
+
+    res.status(201).send(holidayRate);
+  } catch (error) {
+    console.error("Error creating holiday rate:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+const updateHolidayRate = async (req, res) => {
+  const { id } = req.params;
+  const { date, name, multiplier } = req.body;
+
+  const validationError = validateHolidayRate(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const holidayRate = await HolidayRate.findOne({ where: { id } });
+    if (!holidayRate) {
+      return res.status(404).send({ message: "Holiday rate not found" });
+    }
+    const accessError = await checkHotelAccess(req, holidayRate.hotel_id);
+    if (accessError) {
+      return res
+        .status(accessError.status)
+        .send({ message: accessError.message });
+    }
+
+    if (date !== undefined) holidayRate.date = date;
+    if (name !== undefined) holidayRate.name = name;
+    if (multiplier !== undefined) holidayRate.multiplier = multiplier;
+    await holidayRate.save();
+
+    res.status(200).send(holidayRate);
+  } catch (error) {
+    console.error("Error updating holiday rate:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+const deleteHolidayRate = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const holidayRate = await HolidayRate.findOne({ where: { id } });
+    if (!holidayRate) {
+      return res.status(404).send({ message: "Holiday rate not found" });
+    }
+    const accessError = await checkHotelAccess(req, holidayRate.hotel_id);
+    if (accessError) {
+      return res
+        .status(accessError.status)
+        .send({ message: accessError.message });
+    }
+
+    await holidayRate.destroy();
+
+    res.status(200).send({ message: "Holiday rate deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting holiday rate:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  getHolidayRates,
+  createHolidayRate,
+  updateHolidayRate,
+  deleteHolidayRate,
+};
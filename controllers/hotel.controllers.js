@@ -1,6 +1,7 @@
 const {
   Hotels,
   Room,
+  Booking,
   HotelAmenities,
   Amenities,
   Reviews,
@@ -10,6 +11,7 @@ const { Op, literal } = require("sequelize");
 const { sequelize } = require("../models");
 const cloudinary = require("cloudinary").v2;
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
+const { parseHotelPayment } = require("../utils/paymentProviders");
 // const amenities = require("../models/amenities");
 const createHotel = async (req, res) => {
   const { name, star, map, TypeHotel, payment, ownerId } = req.body;
@@ -44,6 +46,11 @@ const createHotel = async (req, res) => {
       .status(400)
       .send({ message: "'payment' is required and must be a string." });
   }
+  // Only providers the booking flow knows how to take payments with
+  const hotelPayment = parseHotelPayment(payment);
+  if (hotelPayment.error) {
+    return res.status(400).send({ message: hotelPayment.error });
+  }
 
   if (!ownerId) {
     return res
@@ -66,7 +73,7 @@ const createHotel = async (req, res) => {
       star,
       map,
       TypeHotel,
-      payment,
+      payment: hotelPayment.payment,
       ownerId,
     });
 
@@ -147,9 +154,10 @@ const getAllHotel = async (req, res) => {
       };
     }
 
+    // A hotel can accept several providers, e.g. "vnpay,pay_at_hotel"
     if (payment) {
       whereClause.payment = {
-        [Op.eq]: payment,
+        [Op.like]: `%${payment}%`,
       };
     }
 
@@ -347,6 +355,10 @@ const updateHotel = async (req, res) => {
     }
 
     const { name, star, map, TypeHotel, cost, payment, ownerId } = req.body;
+    const hotelPayment = payment ? parseHotelPayment(payment) : {};
+    if (hotelPayment.error) {
+      return res.status(400).send({ message: hotelPayment.error });
+    }
 
     // Find the hotel by id
     const detailHotel = await Hotels.findOne({
@@ -368,7 +380,7 @@ const updateHotel = async (req, res) => {
     if (map) detailHotel.map = map;
     if (cost) detailHotel.cost = cost;
     if (TypeHotel) detailHotel.TypeHotel = TypeHotel;
-    if (payment) detailHotel.payment = payment;
+    if (payment) detailHotel.payment = hotelPayment.payment;
     if (ownerId) detailHotel.ownerId = ownerId;
 
     // Save the updated hotel
@@ -407,6 +419,15 @@ const deleteHotel = async (req, res) => {
       return res.status(404).send("Không tìm thấy khách sạn");
     }
 
+    // Đơn đặt phòng và lịch sử của nó không bao giờ bị xóa, nên khách sạn
+    // đã có đơn thì không xóa được
+    const bookings = await Booking.count({ where: { hotel_id: id } });
+    if (bookings > 0) {
+      return res
+        .status(409)
+        .send("Không thể xóa khách sạn đã có đơn đặt phòng");
+    }
+
     // Tìm tất cả các hình ảnh liên quan đến khách sạn này
     const imagesToDelete = await UrlImageHotel.findAll({
       where: {
@@ -0,0 +1,327 @@
+const { Order, Booking, Room, Hotels, sequelize } = require("../models");
+const { Transaction } = require("sequelize");
+const { findValidCoupons, quoteStay } = require("../utils/pricing");
+const {
+  parseCouponCodes,
+  getStackingError,
+  getStackRejections,
+  applyDiscounts,
+  getAppliedCodes,
+  lockCoupons,
+} = require("../utils/coupons");
+const { recordCouponRedemptions } = require("../utils/couponRedemptions");
+const {
+  BOOKING_STATUS,
+  recordInitialStatus,
+} = require("../utils/bookingStatus");
+const { getAvailableQuantity } = require("../utils/inventory");
+const {
+  getProvider,
+  getPaymentMethods,
+  getInitialPaymentState,
+  getHotelPaymentError,
+} = require("../utils/paymentProviders");
+const { getOrderPaymentRef } = require("../utils/paymentTarget");
+const { queueBookingConfirmations } = require("../utils/bookingConfirmation");
+const { isOthersBooking } = require("../utils/ownership");
+const { parseGuests, getOccupancyError } = require("../utils/occupancy");
+
+// Returns an error message for the order's room lines, or null
+const validateRoomLines = (rooms) => {
+  if (!Array.isArray(rooms) || rooms.length === 0) {
+    return "'rooms' must be a non-empty array";
+  }
+  for (const line of rooms) {
+    if (!line || !line.room_id) {
+      return "Each room line needs a 'room_id'";
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+      return "Each room line needs a positive integer 'quantity'";
+    }
+    const { error } = parseGuests(line);
+    if (error) return error;
+  }
+  const roomIds = rooms.map((line) => Number(line.room_id));
+  if (new Set(roomIds).size !== roomIds.length) {
+    return "Each room may only appear once in an order";
+  }
+  return null;
+};
+
+// Books several rooms of one hotel behind a single payment. Every line is
+// checked and priced inside one transaction, so the order is either created
+// with all its lines or not at all.
+const createOrder = async (req, res) => {
+  // The guest is whoever is signed in, see createBooking
+  const user_id = req.user.id;
+  const {
+    hotel_id,
+    check_in_date,
+    check_out_date,
+    full_name,
+    special_requests,
+    payment_method = "vnpay",
+    rooms,
+  } = req.body;
+
+  // Validation
+  if (!check_in_date || !check_out_date || !full_name || !rooms) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+  if (new Date(check_in_date) >= new Date(check_out_date)) {
+    return res
+      .status(400)
+      .json({ error: "'check_in_date' must be before 'check_out_date'" });
+  }
+  const linesError = validateRoomLines(rooms);
+  if (linesError) {
+    return res.status(400).json({ error: linesError });
+  }
+  if (!getProvider(payment_method)) {
+    return res.status(400).json({
+      error: `'payment_method' must be one of: ${getPaymentMethods().join(
+        ", "
+      )}`,
+    });
+  }
+  const { codes, error: codesError } = parseCouponCodes(req.body);
+  if (codesError) {
+    return res.status(400).json({ error: codesError });
+  }
+
+  try {
+    const coupons = await findValidCoupons(codes);
+    if (!coupons) {
+      return res
+        .status(400)
+        .send({ message: "Coupon is invalid or has expired" });
+    }
+    const stackingError = getStackingError(coupons);
+    if (stackingError) {
+      return res.status(400).send({ message: stackingError });
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // Rooms are locked in id order so that two orders sharing rooms
+      // cannot deadlock each other, and all of them before any availability
+      // is read: under REPEATABLE READ the first plain read fixes the
+      // snapshot, which would miss bookings committed while waiting for the
+      // later locks
+      const lines = [...rooms].sort((a, b) => a.room_id - b.room_id);
+      const lineRooms = [];
+      for (const line of lines) {
+        const room = await Room.findOne({
+          where: { id: line.room_id },
+          lock: Transaction.LOCK.UPDATE,
+          transaction,
+        });
+        if (!room) {
+          return {
+            status: 400,
+            body: { message: "Room not found", room_id: line.room_id },
+          };
+        }
+        // The order belongs to the hotel of its rooms, whatever `hotel_id`
+        // the client sent: its owner and cancellation policy follow from it
+        const expectedHotelId =
+          lineRooms.length > 0 ? lineRooms[0].hotelId : hotel_id;
+        if (
+          expectedHotelId !== undefined &&
+          Number(room.hotelId) !== Number(expectedHotelId)
+        ) {
+          return {
+            status: 400,
+            body: {
+              message: "All rooms of an order must belong to the same hotel",
+              room_id: line.room_id,
+            },
+          };
+        }
+        lineRooms.push(room);
+      }
+      // Concurrent bookings with the same codes queue here too, see
+      // lockCoupons
+      const lockedCoupons = await lockCoupons(coupons, { transaction });
+      if (!lockedCoupons) {
+        return {
+          status: 400,
+          body: { message: "Coupon is invalid or has expired" },
+        };
+      }
+      const hotelId = lineRooms[0].hotelId;
+      // The hotel decides how the order can be paid for
+      const hotel = await Hotels.findOne({
+        where: { id: hotelId },
+        transaction,
+      });
+      if (!hotel) {
+        return { status: 400, body: { message: "Hotel not found" } };
+      }
+      const paymentError = getHotelPaymentError(hotel, payment_method);
+      if (paymentError) {
+        return { status: 400, body: { message: paymentError } };
+      }
+
+      let quotes = [];
+      const lineGuests = [];
+      for (const [index, line] of lines.entries()) {
+        const room = lineRooms[index];
+        const { guests } = parseGuests(line);
+        const occupancyError = getOccupancyError(room, line.quantity, guests);
+        if (occupancyError) {
+          return {
+            status: 400,
+            body: { message: occupancyError, room_id: line.room_id },
+          };
+        }
+        lineGuests.push(guests);
+
+        const availableQuantity = await getAvailableQuantity(
+          room,
+          check_in_date,
+          check_out_date,
+          { transaction }
+        );
+        if (availableQuantity < line.quantity) {
+          return {
+            status: 400,
+            body: {
+              message: "Not enough rooms available for the selected dates",
+              room_id: line.room_id,
+            },
+          };
+        }
+
+        quotes.push(
+          await quoteStay({
+            room,
+            checkInDate: check_in_date,
+            checkOutDate: check_out_date,
+            quantity: line.quantity,
+            transaction,
+          })
+        );
+      }
+
+      // Coupon rules, discounts and caps apply to the order as a whole
+      const rejections = await getStackRejections(lockedCoupons, {
+        userId: user_id,
+        hotelId,
+        rooms: lineRooms,
+        subtotal: quotes.reduce((sum, quote) => sum + quote.subtotal, 0),
+        transaction,
+      });
+      if (rejections.length > 0) {
+        return {
+          status: 400,
+          body: {
+            message: "Coupon cannot be applied to this order",
+            rejections,
+          },
+        };
+      }
+      quotes = applyDiscounts(quotes, lockedCoupons);
+
+      const order = await Order.create(
+        {
+          user_id,
+          hotel_id: hotelId,
+          full_name,
+          check_in_date,
+          check_out_date,
+          special_requests,
+          coupon_code: getAppliedCodes(quotes[0]),
+          payment_method,
+          total_price: quotes.reduce((sum, quote) => sum + quote.total, 0),
+        },
+        { transaction }
+      );
+
+      // All lines share one status and hold, so they are paid, expired or
+      // cancelled together
+      const paymentState = getInitialPaymentState(payment_method);
+      const bookings = [];
+      for (const [index, quote] of quotes.entries()) {
+        const booking = await Booking.create(
+          {
+            room_id: quote.room_id,
+            user_id,
+            hotel_id: hotelId,
+            order_id: order.id,
+            check_in_date,
+            check_out_date,
+            total_price: quote.total,
+            price_breakdown: quote,
+            coupon_code: getAppliedCodes(quote),
+            ...paymentState,
+            payment_method,
+            special_requests,
+            quantity: quote.quantity,
+            ...lineGuests[index],
+            full_name,
+          },
+          { transaction }
+        );
+        await recordInitialStatus(booking, {
+          changedBy: user_id,
+          note: `Order ${order.id}`,
+          transaction,
+        });
+        bookings.push(booking);
+      }
+      for (const coupon of lockedCoupons) {
+        await recordCouponRedemptions(coupon, bookings, { transaction });
+      }
+
+      return {
+        status: 201,
+        body: { order, bookings, payment_ref: getOrderPaymentRef(order) },
+      };
+    });
+
+    // Pay-at-hotel orders are confirmed right away
+    const confirmed =
+      result.status === 201
+        ? result.body.bookings.filter(
+            (booking) => booking.status === BOOKING_STATUS.CONFIRMED
+          )
+        : [];
+    if (confirmed.length > 0) {
+      queueBookingConfirmations(confirmed);
+    }
+    res.status(result.status).send(result.body);
+  } catch (error) {
+    console.error("Error creating order:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+const getOrder = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const order = await Order.findOne({
+      where: { id },
+      include: [{ model: Booking, include: [{ model: Room }] }],
+    });
+    if (!order) {
+      return res.status(404).send({ message: "Order not found" });
+    }
+    if (await isOthersBooking(req.user, order)) {
+      return res.status(403).send({ message: "Not your order" });
+    }
+
+    res.status(200).send({
+      ...order.toJSON(),
+      payment_ref: getOrderPaymentRef(order),
+    });
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  createOrder,
+  getOrder,
+};
@@ -1,30 +1,75 @@
-const { Booking, Room, User, Hotels } = require("../models");
-const { Op, sequelize } = require("sequelize");
+const {
+  Booking,
+  BookingStatusHistory,
+  BookingModification,
+  Order,
+  Room,
+  User,
+  Hotels,
+  sequelize,
+} = require("../models");
+const { Op, Transaction } = require("sequelize");
+const { findValidCoupons, quoteStay } = require("../utils/pricing");
+const {
+  parseCouponCodes,
+  getStackingError,
+  getStackRejections,
+  getLineCoupon,
+  applyLineDiscounts,
+  getAppliedCodes,
+  lockCoupons,
+} = require("../utils/coupons");
+const { recordCouponRedemptions } = require("../utils/couponRedemptions");
+const {
+  BOOKING_STATUS,
+  canTransition,
+  recordInitialStatus,
+  transitionBooking,
+} = require("../utils/bookingStatus");
+const {
+  findPolicy,
+  getPaidAmount,
+  computeRefund,
+} = require("../utils/cancellation");
+const {
+  getProvider,
+  getPaymentMethods,
+  getInitialPaymentState,
+  getHotelPaymentError,
+} = require("../utils/paymentProviders");
+const {
+  getNightlyAvailability,
+  getRoomsAvailability,
+  getAvailableQuantity,
+} = require("../utils/inventory");
+const { queueBookingConfirmations } = require("../utils/bookingConfirmation");
+const { queueWaitlistOffers } = require("../utils/waitlist");
+const { parseGuests, getOccupancyError } = require("../utils/occupancy");
+const { isOthersBooking } = require("../utils/ownership");
 
 const createBooking = async (req, res) => {
+  // The guest is whoever is signed in: coupon limits per guest and first
+  // booking offers are checked against them
+  const user_id = req.user.id;
   const {
     room_id,
-    user_id,
     check_in_date,
     check_out_date,
     total_price,
-    status,
     special_requests,
     quantity,
     full_name,
     hotel_id,
+    payment_method = "vnpay",
   } = req.body;
 
   // Validation
   if (
     !room_id ||
-    !user_id ||
     !check_in_date ||
     !check_out_date ||
-    !total_price ||
     !quantity ||
-    !full_name ||
-    !hotel_id
+    !full_name
   ) {
     return res.status(400).json({ error: "Missing required fields" });
   }
@@ -33,7 +78,10 @@ const createBooking = async (req, res) => {
       .status(400)
       .json({ error: "'check_in_date' must be before 'check_out_date'" });
   }
-  if (typeof total_price !== "number" || total_price <= 0) {
+  if (
+    total_price !== undefined &&
+    (typeof total_price !== "number" || total_price <= 0)
+  ) {
     return res
       .status(400)
       .json({ error: "'total_price' must be a positive number" });
@@ -43,103 +91,376 @@ const createBooking = async (req, res) => {
       .status(400)
       .json({ error: "'quantity' must be a positive number" });
   }
+  if (!getProvider(payment_method)) {
+    return res.status(400).json({
+      error: `'payment_method' must be one of: ${getPaymentMethods().join(
+        ", "
+      )}`,
+    });
+  }
+  const { guests, error: guestsError } = parseGuests(req.body);
+  if (guestsError) {
+    return res.status(400).json({ error: guestsError });
+  }
+  const { codes, error: codesError } = parseCouponCodes(req.body);
+  if (codesError) {
+    return res.status(400).json({ error: codesError });
+  }
 
   try {
-    // Check room availability
-    const room = await Room.findOne({ where: { id: room_id } });
-    if (!room) {
-      return res.status(400).send({ message: "Room not found" });
+    const coupons = await findValidCoupons(codes);
+    if (!coupons) {
+      return res
+        .status(400)
+        .send({ message: "Coupon is invalid or has expired" });
+    }
+    const stackingError = getStackingError(coupons);
+    if (stackingError) {
+      return res.status(400).send({ message: stackingError });
     }
 
-    const bookedQuantity = await Booking.sum("quantity", {
-      where: {
-        room_id,
-        check_in_date: { [Op.lt]: check_out_date },
-        check_out_date: { [Op.gt]: check_in_date },
-      },
+    // The availability check and the insert must be atomic, otherwise two
+    // guests can both take the last room
+    const result = await sequelize.transaction(async (transaction) => {
+      // Locking the room row makes concurrent bookings of it wait here
+      // until this transaction commits
+      const room = await Room.findOne({
+        where: { id: room_id },
+        lock: Transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (!room) {
+        return { status: 400, body: { message: "Room not found" } };
+      }
+      // The booking belongs to the room's hotel: its owner and its
+      // cancellation policy follow from hotel_id, so it is never taken from
+      // the client
+      if (hotel_id !== undefined && Number(hotel_id) !== Number(room.hotelId)) {
+        return {
+          status: 400,
+          body: { message: "The room does not belong to this hotel" },
+        };
+      }
+      // Concurrent bookings with the same codes queue here too, see
+      // lockCoupons
+      const lockedCoupons = await lockCoupons(coupons, { transaction });
+      if (!lockedCoupons) {
+        return {
+          status: 400,
+          body: { message: "Coupon is invalid or has expired" },
+        };
+      }
+      // The room's hotel decides how the booking can be paid for
+      const hotel = await Hotels.findOne({
+        where: { id: room.hotelId },
+        transaction,
+      });
+      if (!hotel) {
+        return { status: 400, body: { message: "Hotel not found" } };
+      }
+      const paymentError = getHotelPaymentError(hotel, payment_method);
+      if (paymentError) {
+        return { status: 400, body: { message: paymentError } };
+      }
+
+      const occupancyError = getOccupancyError(room, quantity, guests);
+      if (occupancyError) {
+        return { status: 400, body: { message: occupancyError } };
+      }
+
+      // Per-night allotments and closures come from the room inventory
+      const availableQuantity = await getAvailableQuantity(
+        room,
+        check_in_date,
+        check_out_date,
+        { transaction }
+      );
+
+      if (availableQuantity < quantity) {
+        return {
+          status: 400,
+          body: {
+            message: "Not enough rooms available for the selected dates",
+          },
+        };
+      }
+
+      // The price is always computed here, never taken from the client
+      const quote = await quoteStay({
+        room,
+        checkInDate: check_in_date,
+        checkOutDate: check_out_date,
+        quantity,
+        coupons: lockedCoupons,
+        transaction,
+      });
+
+      const rejections = await getStackRejections(lockedCoupons, {
+        userId: user_id,
+        hotelId: room.hotelId,
+        rooms: [room],
+        subtotal: quote.subtotal,
+        transaction,
+      });
+      if (rejections.length > 0) {
+        return {
+          status: 400,
+          body: {
+            message: "Coupon cannot be applied to this booking",
+            rejections,
+          },
+        };
+      }
+
+      if (total_price !== undefined && total_price !== quote.total) {
+        return {
+          status: 400,
+          body: {
+            message: "'total_price' does not match the server price",
+            quote,
+          },
+        };
+      }
+
+      const newBooking = await Booking.create(
+        {
+          room_id,
+          user_id,
+          check_in_date,
+          check_out_date,
+          total_price: quote.total,
+          price_breakdown: quote,
+          // Codes in the order they were applied, see the discount lines
+          coupon_code: getAppliedCodes(quote),
+          ...getInitialPaymentState(payment_method),
+          payment_method,
+          special_requests,
+          quantity,
+          ...guests,
+          full_name,
+          hotel_id: room.hotelId,
+        },
+        { transaction }
+      );
+      await recordInitialStatus(newBooking, {
+        changedBy: user_id,
+        transaction,
+      });
+      // Given back if the booking is cancelled or its payment fails
+      for (const coupon of lockedCoupons) {
+        await recordCouponRedemptions(coupon, [newBooking], { transaction });
+      }
+
+      return { status: 201, body: newBooking };
     });
 
-    if ((bookedQuantity || 0) + quantity > room.quantity) {
+    // Pay-at-hotel bookings are confirmed right away
+    if (
+      result.status === 201 &&
+      result.body.status === BOOKING_STATUS.CONFIRMED
+    ) {
+      queueBookingConfirmations([result.body]);
+    }
+    res.status(result.status).send(result.body);
+  } catch (error) {
+    console.error("Error creating booking:", error);
+    res.status(500).send(error);
+  }
+};
+
+const getQuote = async (req, res) => {
+  const { checkInDate, checkOutDate, roomId, quantity, userId } = req.query;
+
+  // Validation
+  if (!roomId || !checkInDate || !checkOutDate || !quantity) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+  if (new Date(checkInDate) >= new Date(checkOutDate)) {
+    return res
+      .status(400)
+      .json({ error: "'checkInDate' must be before 'checkOutDate'" });
+  }
+  if (isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
+    return res
+      .status(400)
+      .json({ error: "'quantity' must be a positive number" });
+  }
+  // couponCodes may repeat, or couponCode list codes separated by commas
+  const { codes, error: codesError } = parseCouponCodes({
+    coupon_codes: req.query.couponCodes,
+    coupon_code: req.query.couponCode,
+  });
+  if (codesError) {
+    return res.status(400).json({ error: codesError });
+  }
+
+  try {
+    const room = await Room.findOne({ where: { id: roomId } });
+    if (!room) {
+      return res.status(400).send({ message: "Room not found" });
+    }
+
+    const coupons = await findValidCoupons(codes);
+    if (!coupons) {
       return res
         .status(400)
-        .send({ message: "Not enough rooms available for the selected dates" });
+        .send({ message: "Coupon is invalid or has expired" });
+    }
+    const stackingError = getStackingError(coupons);
+    if (stackingError) {
+      return res.status(400).send({ message: stackingError });
     }
 
-    const newBooking = await Booking.create({
-      room_id,
-      user_id,
-      check_in_date,
-      check_out_date,
-      total_price,
-      status,
-      special_requests,
-      quantity,
-      full_name,
-      hotel_id,
+    const quote = await quoteStay({
+      room,
+      checkInDate,
+      checkOutDate,
+      quantity: parseInt(quantity),
+      coupons,
     });
 
-    res.status(201).send(newBooking);
+    const rejections = await getStackRejections(coupons, {
+      userId: userId ? parseInt(userId) : null,
+      hotelId: room.hotelId,
+      rooms: [room],
+      subtotal: quote.subtotal,
+    });
+    if (rejections.length > 0) {
+      return res.status(400).send({
+        message: "Coupon cannot be applied to this booking",
+        rejections,
+      });
+    }
+
+    res.status(200).send(quote);
   } catch (error) {
-    console.error("Error creating booking:", error);
-    res.status(500).send(error);
+    console.error("Error computing booking quote:", error);
+    res.status(500).send({ message: "Internal Server error" });
   }
 };
 
+// Fields GET /booking can be sorted by; prefix with "-" for descending
+const BOOKING_SORT_FIELDS = [
+  "id",
+  "createdAt",
+  "check_in_date",
+  "check_out_date",
+  "total_price",
+  "status",
+];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters taking a date, and the bound each one puts on which column
+const BOOKING_DATE_FILTERS = {
+  check_in_date: ["check_in_date", Op.gte],
+  check_out_date: ["check_out_date", Op.lte],
+  check_in_from: ["check_in_date", Op.gte],
+  check_in_to: ["check_in_date", Op.lte],
+  check_out_from: ["check_out_date", Op.gte],
+  check_out_to: ["check_out_date", Op.lte],
+  created_from: ["createdAt", Op.gte],
+  created_to: ["createdAt", Op.lte],
+};
+
 const getAllBooking = async (req, res) => {
-  const {
-    room_id,
-    user_id,
-    check_in_date,
-    check_out_date,
-    total_price,
-    status,
-    special_requests,
-    full_name,
-    hotel_id,
-  } = req.query;
+  const { room_id, user_id, hotel_id, order_id, status, full_name, sort } =
+    req.query;
+  const limit =
+    req.query.limit === undefined
+      ? DEFAULT_PAGE_SIZE
+      : parseInt(req.query.limit);
+  const offset =
+    req.query.offset === undefined ? 0 : parseInt(req.query.offset);
 
   let whereClause = {};
 
   // Validation
-  if (room_id && isNaN(parseInt(room_id))) {
-    return res.status(400).json({ error: "'room_id' must be a valid number" });
+  for (const [field, value] of [
+    ["room_id", room_id],
+    ["user_id", user_id],
+    ["hotel_id", hotel_id],
+    ["order_id", order_id],
+  ]) {
+    if (value && isNaN(parseInt(value))) {
+      return res
+        .status(400)
+        .json({ error: `'${field}' must be a valid number` });
+    }
+    if (value) whereClause[field] = parseInt(value);
+  }
+  for (const [param, [column, operator]] of Object.entries(
+    BOOKING_DATE_FILTERS
+  )) {
+    const value = req.query[param];
+    if (!value) continue;
+    if (isNaN(new Date(value))) {
+      return res.status(400).json({ error: `'${param}' must be a valid date` });
+    }
+    whereClause[column] = { ...whereClause[column], [operator]: value };
   }
-  if (user_id && isNaN(parseInt(user_id))) {
-    return res.status(400).json({ error: "'user_id' must be a valid number" });
+  if (status) {
+    const statuses = status.split(",");
+    const unknown = statuses.find(
+      (value) => !Object.values(BOOKING_STATUS).includes(value)
+    );
+    if (unknown) {
+      return res
+        .status(400)
+        .json({ error: `'${unknown}' is not a booking status` });
+    }
+    whereClause.status = { [Op.in]: statuses };
   }
-  if (hotel_id && isNaN(parseInt(hotel_id))) {
-    return res.status(400).json({ error: "'hotel_id' must be a valid number" });
+  if (full_name) {
+    whereClause.full_name = { [Op.like]: `%${full_name}%` };
   }
-  if (check_in_date && isNaN(new Date(check_in_date))) {
-    return res
-      .status(400)
-      .json({ error: "'check_in_date' must be a valid date" });
+  if (isNaN(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: `'limit' must be a number between 1 and ${MAX_PAGE_SIZE}`,
+    });
   }
-  if (check_out_date && isNaN(new Date(check_out_date))) {
+  if (isNaN(offset) || offset < 0) {
     return res
       .status(400)
-      .json({ error: "'check_out_date' must be a valid date" });
+      .json({ error: "'offset' must be a non-negative number" });
+  }
+  const sortField = (sort || "-createdAt").replace(/^-/, "");
+  if (!BOOKING_SORT_FIELDS.includes(sortField)) {
+    return res.status(400).json({
+      error: `'sort' must be one of: ${BOOKING_SORT_FIELDS.join(", ")}`,
+    });
   }
+  const sortDirection = (sort || "-createdAt").startsWith("-") ? "DESC" : "ASC";
 
-  try {
-    let bookings;
-
-    if (Object.keys(whereClause).length === 0) {
-      bookings = await Booking.findAll({
-        include: [
-          {
-            model: Hotels,
-            attributes: ["id", "name"],
-          },
-        ],
-      });
-    } else {
-      bookings = await Booking.findAll({
-        where: whereClause,
-      });
+  // Guests only ever see their own bookings, owners those of their hotels
+  const hotelInclude = { model: Hotels, attributes: ["id", "name"] };
+  if (req.user && req.user.type === "client") {
+    if (user_id && parseInt(user_id) !== req.user.id) {
+      return res.status(403).send({ message: "Not your bookings" });
     }
+    whereClause.user_id = req.user.id;
+  } else if (req.user && req.user.type === "owner") {
+    hotelInclude.where = { ownerId: req.user.id };
+  }
 
-    res.status(200).send(bookings);
+  try {
+    const { count, rows } = await Booking.findAndCountAll({
+      where: whereClause,
+      include: [hotelInclude],
+      // id breaks ties so pages never overlap or skip rows
+      order:
+        sortField === "id"
+          ? [["id", sortDirection]]
+          : [
+              [sortField, sortDirection],
+              ["id", sortDirection],
+            ],
+      limit,
+      offset,
+      distinct: true,
+    });
+
+    res.status(200).send({ total: count, limit, offset, bookings: rows });
   } catch (error) {
     console.error("Error fetching bookings:", error);
     res.status(500).send(error);
@@ -171,6 +492,9 @@ const getDetailBooking = async (req, res) => {
     if (!booking) {
       return res.status(404).send({ message: "Booking not found" });
     }
+    if (await isOthersBooking(req.user, booking)) {
+      return res.status(403).send({ message: "Not your booking" });
+    }
 
     res.status(200).send(booking);
   } catch (error) {
@@ -179,59 +503,480 @@ const getDetailBooking = async (req, res) => {
   }
 };
 
-const deleteBooking = async (req, res) => {
+const getAvailability = async (req, res) => {
+  const { checkInDate, checkOutDate, roomId, quantity } = req.query;
+
+  // Validation
+  if (!roomId || !checkInDate || !checkOutDate || !quantity) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+
+  try {
+    const room = await Room.findOne({ where: { id: roomId } });
+    if (!room) {
+      return res.status(400).send({ message: "Room not found" });
+    }
+
+    const nights = await getNightlyAvailability(
+      room,
+      checkInDate,
+      checkOutDate
+    );
+    const availableQuantity = nights.length
+      ? Math.min(...nights.map((night) => night.available))
+      : 0;
+
+    if (availableQuantity < quantity) {
+      // Logged-in guests can join the waitlist (POST /waitlist) instead
+      return res.status(400).send({
+        message: "Not enough rooms available for the selected dates",
+        availableQuantity,
+        waitlist: true,
+      });
+    }
+
+    res.status(200).send({ availableQuantity, nights });
+  } catch (error) {
+    console.error("Error checking room availability:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// Longest window the hotel availability grid covers in one request
+const MAX_GRID_NIGHTS = 31;
+
+// Free rooms and nightly price of every room of a hotel for every night of
+// the window, so the hotel page can draw its grid in one request
+const getHotelAvailability = async (req, res) => {
+  const { hotelId, checkInDate, checkOutDate } = req.query;
+
+  // Validation
+  if (!hotelId || !checkInDate || !checkOutDate) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+  const nightCount = Math.round(
+    (new Date(checkOutDate) - new Date(checkInDate)) / (24 * 60 * 60 * 1000)
+  );
+  if (isNaN(nightCount) || nightCount <= 0) {
+    return res
+      .status(400)
+      .json({ error: "'checkInDate' must be before 'checkOutDate'" });
+  }
+  if (nightCount > MAX_GRID_NIGHTS) {
+    return res
+      .status(400)
+      .json({ error: `The window cannot exceed ${MAX_GRID_NIGHTS} nights` });
+  }
+
+  try {
+    const hotel = await Hotels.findOne({ where: { id: hotelId } });
+    if (!hotel) {
+      return res.status(404).send({ message: "Hotel not found" });
+    }
+
+    const rooms = await Room.findAll({
+      where: { hotelId },
+      order: [["id", "ASC"]],
+    });
+    const availability = await getRoomsAvailability(
+      rooms,
+      checkInDate,
+      checkOutDate
+    );
+
+    res.status(200).send({
+      hotel_id: hotel.id,
+      checkInDate,
+      checkOutDate,
+      rooms: rooms.map((room) => {
+        const nights = availability[room.id];
+        return {
+          room_id: room.id,
+          name: room.name,
+          availableQuantity: nights.length
+            ? Math.min(...nights.map((night) => night.available))
+            : 0,
+          nights: nights.map(({ date, closed, price, available }) => ({
+            date,
+            closed,
+            price,
+            available,
+          })),
+        };
+      }),
+    });
+  } catch (error) {
+    console.error("Error checking hotel availability:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// Builds a handler that moves a booking into `toStatus`
+const changeBookingStatus = (toStatus) => async (req, res) => {
   const { id } = req.params;
+  const { note } = req.body;
 
   try {
-    // Find and delete booking by ID
-    const deletedBooking = await Booking.destroy({
-      where: { id },
+    const booking = await Booking.findOne({ where: { id } });
+    if (!booking) {
+      return res.status(404).send({ message: "Booking not found" });
+    }
+    if (await isOthersBooking(req.user, booking)) {
+      return res.status(403).send({ message: "Not your booking" });
+    }
+
+    if (!canTransition(booking.status, toStatus)) {
+      return res.status(409).send({
+        message: `Cannot change booking status from '${booking.status}' to '${toStatus}'`,
+      });
+    }
+
+    await transitionBooking(booking, toStatus, {
+      changedBy: req.user ? req.user.id : null,
+      note,
     });
 
-    if (!deletedBooking) {
+    if (toStatus === BOOKING_STATUS.CONFIRMED) {
+      queueBookingConfirmations([booking]);
+    }
+    res.status(200).send(booking);
+  } catch (error) {
+    console.error("Error changing booking status:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+const confirmBooking = changeBookingStatus(BOOKING_STATUS.CONFIRMED);
+const checkInBooking = changeBookingStatus(BOOKING_STATUS.CHECKED_IN);
+const completeBooking = changeBookingStatus(BOOKING_STATUS.COMPLETED);
+const markNoShowBooking = changeBookingStatus(BOOKING_STATUS.NO_SHOW);
+const refundBooking = changeBookingStatus(BOOKING_STATUS.REFUNDED);
+
+const getCancellationQuote = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const booking = await Booking.findOne({ where: { id } });
+    if (!booking) {
       return res.status(404).send({ message: "Booking not found" });
     }
+    if (await isOthersBooking(req.user, booking)) {
+      return res.status(403).send({ message: "Not your booking" });
+    }
+    if (!canTransition(booking.status, BOOKING_STATUS.CANCELLED)) {
+      return res.status(409).send({
+        message: `A '${booking.status}' booking cannot be cancelled`,
+      });
+    }
 
-    res.status(200).send({ message: "Booking deleted successfully" });
+    const policy = await findPolicy(booking.hotel_id);
+    const paid = await getPaidAmount(booking);
+    res.status(200).send({ policy, ...computeRefund(booking, policy, paid) });
   } catch (error) {
-    console.error("Error deleting booking:", error);
-    res.status(500).send(error);
+    console.error("Error computing cancellation refund:", error);
+    res.status(500).send({ message: "Internal Server error" });
   }
 };
 
-const getAvailability = async (req, res) => {
-  const { checkInDate, checkOutDate, roomId, quantity } = req.query;
+// Cancelling frees the rooms: cancelled bookings are no longer counted
+// against the room's inventory (see utils/inventory.js). The booking is
+// locked first, so a payment confirmation or the hold sweeper moving it at
+// the same time waits, and the status and refund are read after they commit.
+const cancelBooking = async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
 
-  // Validation
-  if (!roomId || !checkInDate || !checkOutDate || !quantity) {
-    return res.status(400).json({ error: "Missing required fields" });
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const booking = await Booking.findOne({
+        where: { id },
+        lock: Transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (!booking) {
+        return { status: 404, body: { message: "Booking not found" } };
+      }
+      if (await isOthersBooking(req.user, booking, { transaction })) {
+        return { status: 403, body: { message: "Not your booking" } };
+      }
+      if (!canTransition(booking.status, BOOKING_STATUS.CANCELLED)) {
+        return {
+          status: 409,
+          body: {
+            message: `A '${booking.status}' booking cannot be cancelled`,
+          },
+        };
+      }
+
+      const policy = await findPolicy(booking.hotel_id, { transaction });
+      const paid = await getPaidAmount(booking, { transaction });
+      const refund = computeRefund(booking, policy, paid);
+
+      booking.refund_amount = refund.refund_amount;
+      await transitionBooking(booking, BOOKING_STATUS.CANCELLED, {
+        changedBy: req.user ? req.user.id : null,
+        note:
+          note ||
+          `Refund ${refund.refund_amount} (${refund.refund_percent}%, ${refund.rule})`,
+        transaction,
+      });
+
+      return { status: 200, body: { booking, refund } };
+    });
+
+    if (result.status === 200) {
+      queueWaitlistOffers([result.body.booking.room_id]);
+    }
+    res.status(result.status).send(result.body);
+  } catch (error) {
+    console.error("Error cancelling booking:", error);
+    res.status(500).send({ message: "Internal Server error" });
   }
+};
+
+const getBookingHistory = async (req, res) => {
+  const { id } = req.params;
 
   try {
-    const room = await Room.findOne({ where: { id: roomId } });
-    if (!room) {
-      return res.status(400).send({ message: "Room not found" });
+    const booking = await Booking.findOne({ where: { id } });
+    if (!booking) {
+      return res.status(404).send({ message: "Booking not found" });
+    }
+    if (await isOthersBooking(req.user, booking)) {
+      return res.status(403).send({ message: "Not your booking" });
     }
 
-    const bookedQuantity = await Booking.sum("quantity", {
-      where: {
-        room_id: roomId,
-        check_in_date: { [Op.lt]: checkOutDate },
-        check_out_date: { [Op.gt]: checkInDate },
-      },
+    const history = await BookingStatusHistory.findAll({
+      where: { booking_id: id },
+      include: [{ model: User, attributes: ["id", "name", "type"] }],
+      order: [["createdAt", "ASC"]],
     });
 
-    const availableQuantity = room.quantity - (bookedQuantity || 0);
+    res.status(200).send(history);
+  } catch (error) {
+    console.error("Error fetching booking history:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
 
-    if (availableQuantity < quantity) {
-      return res
-        .status(400)
-        .send({ message: "Not enough rooms available for the selected dates" });
+// Only stays that have not started yet can be changed
+const MODIFIABLE_STATUSES = [
+  BOOKING_STATUS.PENDING_PAYMENT,
+  BOOKING_STATUS.CONFIRMED,
+];
+
+// Moves a booking to new dates, another room of the same hotel, a new
+// quantity or new guest counts. The new stay is checked and priced like a
+// new booking (without counting the booking itself); for a paid booking the
+// price difference becomes an additional charge or a refund.
+const modifyBooking = async (req, res) => {
+  const { id } = req.params;
+  const {
+    room_id,
+    check_in_date,
+    check_out_date,
+    quantity,
+    adults,
+    children,
+    child_ages,
+  } = req.body;
+
+  // Validation
+  if (
+    [
+      room_id,
+      check_in_date,
+      check_out_date,
+      quantity,
+      adults,
+      children,
+      child_ages,
+    ].every((value) => value === undefined)
+  ) {
+    return res.status(400).json({
+      error:
+        "Provide at least one of 'room_id', 'check_in_date', 'check_out_date', 'quantity', 'adults', 'children' or 'child_ages'",
+    });
+  }
+  if (
+    quantity !== undefined &&
+    (typeof quantity !== "number" || quantity <= 0)
+  ) {
+    return res
+      .status(400)
+      .json({ error: "'quantity' must be a positive number" });
+  }
+  for (const [field, value] of [
+    ["check_in_date", check_in_date],
+    ["check_out_date", check_out_date],
+  ]) {
+    if (value !== undefined && isNaN(new Date(value))) {
+      return res.status(400).json({ error: `'${field}' must be a valid date` });
     }
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      // Only locking reads until the room is locked: under REPEATABLE READ
+      // the first plain read fixes the snapshot the availability check
+      // below would see, missing bookings committed while waiting for the
+      // lock
+      const booking = await Booking.findOne({
+        where: { id },
+        lock: Transaction.LOCK.UPDATE,
+        transaction,
+      });
+      if (!booking) {
+        return { status: 404, body: { message: "Booking not found" } };
+      }
+      // Same lock as createBooking, so a concurrent booking of the room
+      // cannot take the rooms this change is about to use
+      const room = await Room.findOne({
+        where: { id: room_id !== undefined ? room_id : booking.room_id },
+        lock: Transaction.LOCK.UPDATE,
+        transaction,
+      });
+
+      if (await isOthersBooking(req.user, booking, { transaction })) {
+        return { status: 403, body: { message: "Not your booking" } };
+      }
+      if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+        return {
+          status: 409,
+          body: {
+            message: `A '${booking.status}' booking cannot be modified`,
+          },
+        };
+      }
+
+      const previous = {
+        room_id: booking.room_id,
+        check_in_date: booking.check_in_date,
+        check_out_date: booking.check_out_date,
+        quantity: booking.quantity,
+        adults: booking.adults,
+        children: booking.children,
+        child_ages: booking.child_ages || [],
+      };
+      const { guests, error: guestsError } = parseGuests({
+        adults: adults !== undefined ? adults : previous.adults,
+        children: children !== undefined ? children : previous.children,
+        child_ages: child_ages !== undefined ? child_ages : previous.child_ages,
+      });
+      if (guestsError) {
+        return { status: 400, body: { error: guestsError } };
+      }
+      const next = {
+        room_id: room_id !== undefined ? room_id : previous.room_id,
+        check_in_date:
+          check_in_date !== undefined ? check_in_date : previous.check_in_date,
+        check_out_date:
+          check_out_date !== undefined
+            ? check_out_date
+            : previous.check_out_date,
+        quantity: quantity !== undefined ? quantity : previous.quantity,
+        ...guests,
+      };
+
+      if (new Date(next.check_in_date) >= new Date(next.check_out_date)) {
+        return {
+          status: 400,
+          body: { error: "'check_in_date' must be before 'check_out_date'" },
+        };
+      }
+
+      if (!room) {
+        return { status: 400, body: { message: "Room not found" } };
+      }
+      if (Number(room.hotelId) !== Number(booking.hotel_id)) {
+        return {
+          status: 400,
+          body: { message: "The new room must belong to the same hotel" },
+        };
+      }
+      const occupancyError = getOccupancyError(room, next.quantity, guests);
+      if (occupancyError) {
+        return { status: 400, body: { message: occupancyError } };
+      }
+
+      const availableQuantity = await getAvailableQuantity(
+        room,
+        next.check_in_date,
+        next.check_out_date,
+        { transaction, excludeBookingId: booking.id }
+      );
+      if (availableQuantity < next.quantity) {
+        return {
+          status: 400,
+          body: {
+            message: "Not enough rooms available for the selected dates",
+          },
+        };
+      }
+
+      // The guest keeps the discounts they booked with, even if the
+      // coupons have expired since. A line of an order keeps its share of
+      // the order's coupons rather than taking each of them whole.
+      const discounts =
+        (booking.price_breakdown && booking.price_breakdown.discounts) || [];
+      const stay = {
+        room,
+        checkInDate: next.check_in_date,
+        checkOutDate: next.check_out_date,
+        quantity: next.quantity,
+        transaction,
+      };
+      const quote = booking.order_id
+        ? applyLineDiscounts(await quoteStay(stay), discounts)
+        : await quoteStay({ ...stay, coupons: discounts.map(getLineCoupon) });
+
+      const oldTotal = Number(booking.total_price) || 0;
+      const difference = quote.total - oldTotal;
+      const paid = (await getPaidAmount(booking, { transaction })) > 0;
+
+      booking.room_id = next.room_id;
+      booking.check_in_date = next.check_in_date;
+      booking.check_out_date = next.check_out_date;
+      booking.quantity = next.quantity;
+      booking.adults = next.adults;
+      booking.children = next.children;
+      booking.child_ages = next.child_ages;
+      booking.total_price = quote.total;
+      booking.price_breakdown = quote;
+      await booking.save({ transaction });
 
-    res.status(200).send({ availableQuantity });
+      // An order is paid as a whole, so its total follows its lines
+      if (booking.order_id && difference !== 0) {
+        await Order.increment(
+          { total_price: difference },
+          { where: { id: booking.order_id }, transaction }
+        );
+      }
+
+      const modification = await BookingModification.create(
+        {
+          booking_id: booking.id,
+          changed_by: req.user ? req.user.id : null,
+          previous_values: previous,
+          changes: next,
+          old_total: oldTotal,
+          new_total: quote.total,
+          additional_charge: paid && difference > 0 ? difference : 0,
+          refund_amount: paid && difference < 0 ? -difference : 0,
+        },
+        { transaction }
+      );
+
+      return { status: 200, body: { booking, modification, quote } };
+    });
+
+    // The old stay may have freed nights someone is waiting for
+    if (result.status === 200) {
+      queueWaitlistOffers([result.body.modification.previous_values.room_id]);
+    }
+    res.status(result.status).send(result.body);
   } catch (error) {
-    console.error("Error checking room availability:", error);
+    console.error("Error modifying booking:", error);
     res.status(500).send({ message: "Internal Server error" });
   }
 };
@@ -240,6 +985,16 @@ module.exports = {
   createBooking,
   getAllBooking,
   getDetailBooking,
-  deleteBooking,
   getAvailability,
+  getHotelAvailability,
+  getQuote,
+  confirmBooking,
+  checkInBooking,
+  completeBooking,
+  cancelBooking,
+  markNoShowBooking,
+  refundBooking,
+  getBookingHistory,
+  getCancellationQuote,
+  modifyBooking,
 };
@@ -0,0 +1,442 @@
+const { Booking, sequelize } = require("../models");
+const {
+  BOOKING_STATUS,
+  canTransition,
+  transitionBooking,
+} = require("../utils/bookingStatus");
+const {
+  findPaymentTarget,
+  isHoldExpired,
+  getPaymentBlocker,
+  transitionPaymentTarget,
+} = require("../utils/paymentTarget");
+const {
+  BOOKING_CURRENCY,
+  getProvider,
+  getPaymentMethods,
+} = require("../utils/paymentProviders");
+const {
+  PAYMENT_TX_STATUS,
+  recordPaymentAttempt,
+  recordPaymentResult,
+  findSuccessfulPayment,
+  findBookingPayment,
+  getRefundedAmount,
+  lockPayment,
+  recordRefundAttempt,
+  recordRefundResult,
+} = require("../utils/paymentLedger");
+const { queueBookingConfirmations } = require("../utils/bookingConfirmation");
+const { queueWaitlistOffers } = require("../utils/waitlist");
+
+const getIpAddr = (req) =>
+  req.headers["x-forwarded-for"] || req.socket.remoteAddress || "";
+
+// Resolves :provider for the routes below, answering 404 for unknown keys
+const loadProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res
+      .status(404)
+      .json({ message: `Unknown payment provider '${req.params.provider}'` });
+  }
+  req.provider = provider;
+  next();
+};
+
+const unsupported = (res, provider, operation) =>
+  res
+    .status(400)
+    .json({ message: `${provider.name} does not support ${operation}` });
+
+const getProviders = (req, res) => {
+  res.status(200).send(
+    getPaymentMethods()
+      .map(getProvider)
+      .map(({ key, name, online }) => ({ key, name, online }))
+  );
+};
+
+// orderId is a booking id, or "ORD<id>" to pay for a whole multi-room order
+const createPayment = async (req, res) => {
+  const { provider } = req;
+  if (!provider.createPayment) {
+    return unsupported(res, provider, "online payments");
+  }
+  const { orderId, orderInfo, orderType, bankCode, locale } = req.body;
+
+  try {
+    // Only bookings still holding their rooms can be paid for
+    const target = await findPaymentTarget(orderId);
+    if (!target) {
+      return res.status(404).json({ message: "Booking not found" });
+    }
+    const blocker = getPaymentBlocker(target);
+    if (blocker) {
+      return res.status(400).json({ message: blocker });
+    }
+
+    // The amount always comes from the server-side price
+    const payment = await provider.createPayment(target, {
+      ipAddr: getIpAddr(req),
+      locale,
+      bankCode: bankCode || null,
+      orderInfo,
+      orderType,
+    });
+    // Every payment link is recorded for reconciliation
+    await recordPaymentAttempt(target, provider.key, payment);
+
+    res.json({ code: "00", data: { url: payment.url } });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+// Applies a verified payment result to the lines still waiting for payment.
+// Returns false when the result was already applied by the other callback.
+const settlePayment = async (target, result) => {
+  if (result.success) {
+    const confirmed = await transitionPaymentTarget(
+      target,
+      BOOKING_STATUS.CONFIRMED,
+      { note: result.note }
+    );
+    if (confirmed.length === 0) return false;
+    queueBookingConfirmations(confirmed);
+    return true;
+  }
+
+  // A failed payment keeps the bookings for reference, only cancelled
+  const cancelled = await transitionPaymentTarget(
+    target,
+    BOOKING_STATUS.CANCELLED,
+    { note: result.note }
+  );
+  if (cancelled.length === 0) return false;
+  // The rooms were just released: guests on the waitlist come first
+  queueWaitlistOffers(cancelled.map((booking) => booking.room_id));
+  return true;
+};
+
+// Why a verified result cannot be applied to the target as is, or null when
+// it can. A signed result can still be replayed or belong to a booking that
+// moved on, so it must match the stored total and find the lines awaiting
+// payment; a repeat of the payment already applied is fine. A success that
+// arrives after a hold lapsed is not applied either: the room may have been
+// sold again. `outcome` is the webhook answer for the mismatch.
+const getResultMismatch = async (
+  providerKey,
+  target,
+  result,
+  now = new Date()
+) => {
+  if (result.currency !== BOOKING_CURRENCY) {
+    return {
+      reason: `Paid in ${result.currency}, expected ${BOOKING_CURRENCY}`,
+      outcome: "invalid_amount",
+    };
+  }
+  if (result.amount !== target.amount) {
+    return {
+      reason: `Paid ${result.amount}, expected ${target.amount}`,
+      outcome: "invalid_amount",
+    };
+  }
+
+  if (!result.success) return null;
+  const settled = target.bookings.find(
+    (booking) => booking.status !== BOOKING_STATUS.PENDING_PAYMENT
+  );
+  if (settled) {
+    const payment = await findSuccessfulPayment(providerKey, target.ref);
+    if (payment && payment.transaction_no === result.transactionNo) {
+      return null;
+    }
+    return {
+      reason: `Paid while booking ${settled.id} is ${settled.status}`,
+      outcome: "already_settled",
+    };
+  }
+
+  const lapsed = target.bookings.find((booking) => isHoldExpired(booking, now));
+  if (lapsed) {
+    return {
+      reason: `Paid after the hold on booking ${lapsed.id} expired`,
+      outcome: "already_settled",
+    };
+  }
+  return null;
+};
+
+// Page the guest lands on when the payment did not go through cleanly
+const renderPaymentResult = (res, status, { title, message, orderId }) =>
+  res.status(status).render("User/paymentResult", { title, message, orderId });
+
+// Where the provider sends the guest's browser back after paying
+const handleReturn = async (req, res) => {
+  const { provider } = req;
+  if (!provider.verifyReturn) {
+    return unsupported(res, provider, "return callbacks");
+  }
+
+  try {
+    const result = await provider.verifyReturn(req);
+    if (!result) {
+      return renderPaymentResult(res, 400, {
+        title: "Không xác thực được giao dịch",
+        message:
+          "Kết quả thanh toán không hợp lệ. Nếu bạn đã bị trừ tiền, vui lòng liên hệ bộ phận hỗ trợ.",
+      });
+    }
+
+    const target = await findPaymentTarget(result.ref);
+    if (!target) {
+      return renderPaymentResult(res, 404, {
+        title: "Không tìm thấy đặt phòng",
+        message: `Không có đặt phòng nào với mã ${result.ref}.`,
+      });
+    }
+
+    const mismatch = await getResultMismatch(provider.key, target, result);
+    await recordPaymentResult(target, provider.key, result, {
+      flagReason: mismatch && mismatch.reason,
+    });
+    if (mismatch) {
+      return renderPaymentResult(res, 409, {
+        title: "Giao dịch đang được kiểm tra",
+        message:
+          "Chúng tôi đã ghi nhận giao dịch nhưng chưa thể xác nhận đặt phòng tự động. Bộ phận hỗ trợ sẽ liên hệ với bạn.",
+        orderId: result.ref,
+      });
+    }
+
+    // The webhook may have settled the bookings before the guest got back
+    await settlePayment(target, result);
+
+    if (!result.success) {
+      return renderPaymentResult(res, 200, {
+        title: "Thanh toán không thành công",
+        message:
+          "Giao dịch đã bị huỷ hoặc không thành công, vui lòng đặt phòng lại.",
+        orderId: result.ref,
+      });
+    }
+    res.redirect(`http://localhost:3030/result?orderId=${result.ref}`);
+  } catch (error) {
+    console.error(error);
+    renderPaymentResult(res, 500, {
+      title: "Đã có lỗi xảy ra",
+      message: "Vui lòng thử lại sau hoặc liên hệ bộ phận hỗ trợ.",
+    });
+  }
+};
+
+// Server-to-server notification after each payment, sent even when the guest
+// closed the browser. Providers retry until they get an answer, so a repeated
+// notification must not settle the bookings twice.
+const handleWebhook = async (req, res) => {
+  const { provider } = req;
+  if (!provider.handleWebhook) {
+    return unsupported(res, provider, "webhooks");
+  }
+  const reply = (outcome) => {
+    const { status, body } = provider.webhookResponse(outcome);
+    res.status(status).json(body);
+  };
+
+  try {
+    const result = await provider.handleWebhook(req);
+    if (!result) {
+      return reply("invalid_signature");
+    }
+
+    const target = await findPaymentTarget(result.ref);
+    if (!target) {
+      return reply("not_found");
+    }
+    const mismatch = await getResultMismatch(provider.key, target, result);
+    await recordPaymentResult(target, provider.key, result, {
+      flagReason: mismatch && mismatch.reason,
+    });
+    if (mismatch) {
+      return reply(mismatch.outcome);
+    }
+
+    const settled = await settlePayment(target, result);
+    reply(settled ? "ok" : "already_settled");
+  } catch (error) {
+    console.error(error);
+    reply("error");
+  }
+};
+
+// Loads the booking and the provider of its latest online payment for the
+// admin endpoints below; answers the request itself and returns null on
+// failure
+const loadBookingPayment = async (req, res, { status, operation }) => {
+  const booking = await Booking.findOne({ where: { id: req.params.id } });
+  if (!booking) {
+    res.status(404).send({ message: "Booking not found" });
+    return null;
+  }
+  const payment = await findBookingPayment(booking, { status });
+  if (!payment) {
+    res
+      .status(status ? 409 : 404)
+      .send({ message: "No online payment for this booking" });
+    return null;
+  }
+  const provider = getProvider(payment.provider);
+  if (!provider || !provider[operation]) {
+    res.status(400).send({
+      message: `${
+        provider ? provider.name : payment.provider
+      } does not support ${operation}`,
+    });
+    return null;
+  }
+  return { booking, payment, provider };
+};
+
+// Asks the provider about the booking's latest payment, for guests who say
+// they paid while the booking still waits for payment
+const queryPaymentStatus = async (req, res) => {
+  try {
+    const loaded = await loadBookingPayment(req, res, {
+      operation: "queryStatus",
+    });
+    if (!loaded) return;
+    const { payment, provider } = loaded;
+
+    let status;
+    try {
+      status = await provider.queryStatus(payment, { ipAddr: getIpAddr(req) });
+    } catch (error) {
+      console.error(`Error querying ${provider.name}:`, error);
+      return res
+        .status(502)
+        .send({ message: `Could not query ${provider.name}` });
+    }
+
+    res.status(200).send({ transaction: payment, [provider.key]: status });
+  } catch (error) {
+    console.error("Error checking payment status:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// Refunds the rest of the booking when `amount` is left out, or part of it.
+// Every refund goes to the ledger, refused ones included. The refund is
+// recorded as pending under the payment's lock before the provider is
+// called, so a second refund running at the same time sees it and cannot
+// send the same money back again.
+const refundPayment = async (req, res) => {
+  const { amount, note } = req.body;
+
+  try {
+    const loaded = await loadBookingPayment(req, res, {
+      status: PAYMENT_TX_STATUS.SUCCESS,
+      operation: "refund",
+    });
+    if (!loaded) return;
+    const { booking, payment, provider } = loaded;
+
+    const attempt = await sequelize.transaction(async (transaction) => {
+      await lockPayment(payment, { transaction });
+
+      // A multi-room order is paid in one go: each booking gets back at most
+      // its own price
+      const refundable = Math.min(
+        Number(booking.total_price) -
+          (await getRefundedAmount(
+            { booking_id: booking.id },
+            { transaction }
+          )),
+        Number(payment.amount) -
+          (await getRefundedAmount(
+            { txn_ref: payment.txn_ref },
+            { transaction }
+          ))
+      );
+      if (refundable <= 0) {
+        return {
+          status: 409,
+          body: { message: "This booking has already been fully refunded" },
+        };
+      }
+      const refundAmount = amount === undefined ? refundable : amount;
+      if (
+        !Number.isInteger(refundAmount) ||
+        refundAmount <= 0 ||
+        refundAmount > refundable
+      ) {
+        return {
+          status: 400,
+          body: {
+            error: `'amount' must be a whole number from 1 to ${refundable}`,
+          },
+        };
+      }
+
+      return {
+        refund: await recordRefundAttempt(booking, payment, refundAmount, {
+          transaction,
+        }),
+      };
+    });
+    if (!attempt.refund) {
+      return res.status(attempt.status).send(attempt.body);
+    }
+    const refundAmount = Number(attempt.refund.amount);
+
+    let result;
+    try {
+      result = await provider.refund(payment, refundAmount, {
+        createBy: req.user.email || String(req.user.id),
+        orderInfo: `Hoan tien booking ${booking.id}`,
+        ipAddr: getIpAddr(req),
+      });
+    } catch (error) {
+      console.error(`Error calling ${provider.name} refund:`, error);
+      await recordRefundResult(attempt.refund);
+      return res
+        .status(502)
+        .send({ message: `Could not reach ${provider.name}` });
+    }
+
+    const refund = await recordRefundResult(attempt.refund, result);
+    if (!result.success) {
+      return res.status(502).send({
+        message: `${provider.name} refused the refund: ${result.message}`,
+        refund,
+      });
+    }
+
+    // Cancelled and no-show bookings become refunded after the first refund
+    if (canTransition(booking.status, BOOKING_STATUS.REFUNDED)) {
+      await transitionBooking(booking, BOOKING_STATUS.REFUNDED, {
+        changedBy: req.user.id,
+        note:
+          note ||
+          `${provider.name} refund ${refundAmount} (${refund.transaction_no})`,
+      });
+    }
+
+    res.status(200).send({ booking, refund });
+  } catch (error) {
+    console.error("Error refunding booking:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+module.exports = {
+  loadProvider,
+  getProviders,
+  createPayment,
+  handleReturn,
+  handleWebhook,
+  queryPaymentStatus,
+  refundPayment,
+};
@@ -0,0 +1,153 @@
+const { PaymentTransaction, Booking } = require("../models");
+const { Op } = require("sequelize");
+const {
+  PAYMENT_TX_TYPE,
+  PAYMENT_TX_STATUS,
+} = require("../utils/paymentLedger");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters taking a date, and the bound each one puts on which column
+const TRANSACTION_DATE_FILTERS = {
+  paid_from: ["pay_date", Op.gte],
+  paid_to: ["pay_date", Op.lte],
+  created_from: ["createdAt", Op.gte],
+  created_to: ["createdAt", Op.lte],
+};
+
+// Every payment attempt and refund with what the provider answered, newest
+// first, for reconciling provider statements against bookings
+const getPaymentTransactions = async (req, res) => {
+  const {
+    booking_id,
+    order_id,
+    provider,
+    txn_ref,
+    transaction_no,
+    bank_code,
+    response_code,
+    type,
+    status,
+    flagged,
+  } = req.query;
+  const limit =
+    req.query.limit === undefined
+      ? DEFAULT_PAGE_SIZE
+      : parseInt(req.query.limit);
+  const offset =
+    req.query.offset === undefined ? 0 : parseInt(req.query.offset);
+
+  const whereClause = {};
+
+  // Validation
+  for (const [field, value] of [
+    ["booking_id", booking_id],
+    ["order_id", order_id],
+  ]) {
+    if (value && isNaN(parseInt(value))) {
+      return res
+        .status(400)
+        .json({ error: `'${field}' must be a valid number` });
+    }
+    if (value) whereClause[field] = parseInt(value);
+  }
+  for (const [field, value] of [
+    ["provider", provider],
+    ["txn_ref", txn_ref],
+    ["transaction_no", transaction_no],
+    ["bank_code", bank_code],
+    ["response_code", response_code],
+  ]) {
+    if (value) whereClause[field] = value;
+  }
+  for (const [param, [column, operator]] of Object.entries(
+    TRANSACTION_DATE_FILTERS
+  )) {
+    const value = req.query[param];
+    if (!value) continue;
+    if (isNaN(new Date(value))) {
+      return res.status(400).json({ error: `'${param}' must be a valid date` });
+    }
+    whereClause[column] = { ...whereClause[column], [operator]: value };
+  }
+  if (type) {
+    if (!Object.values(PAYMENT_TX_TYPE).includes(type)) {
+      return res
+        .status(400)
+        .json({ error: "'type' must be one of: payment, refund" });
+    }
+    whereClause.type = type;
+  }
+  if (status) {
+    if (!Object.values(PAYMENT_TX_STATUS).includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `'${status}' is not a payment transaction status` });
+    }
+    whereClause.status = status;
+  }
+  // Results that did not match their booking, see paymentProvider.controller
+  if (flagged !== undefined) {
+    if (!["true", "false"].includes(flagged)) {
+      return res.status(400).json({ error: "'flagged' must be true or false" });
+    }
+    whereClause.flagged = flagged === "true";
+  }
+  if (isNaN(limit) || limit <= 0 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      error: `'limit' must be a number between 1 and ${MAX_PAGE_SIZE}`,
+    });
+  }
+  if (isNaN(offset) || offset < 0) {
+    return res
+      .status(400)
+      .json({ error: "'offset' must be a non-negative number" });
+  }
+
+  try {
+    const { count, rows } = await PaymentTransaction.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Booking,
+          attributes: ["id", "status", "full_name", "hotel_id", "total_price"],
+        },
+      ],
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+      limit,
+      offset,
+    });
+
+    res.status(200).send({ total: count, limit, offset, transactions: rows });
+  } catch (error) {
+    console.error("Error fetching payment transactions:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+const getPaymentTransaction = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const transaction = await PaymentTransaction.findOne({
+      where: { id },
+      include: [{ model: Booking }],
+    });
+    if (!transaction) {
+      return res.status(404).send({ message: "Payment transaction not found" });
+    }
+    res.status(200).send(transaction);
+  } catch (error) {
+    console.error("Error fetching payment transaction:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+module.exports = {
+  getPaymentTransactions,
+  getPaymentTransaction,
+};
@@ -0,0 +1,200 @@
+const moment = require("moment");
+const { RatePlan, Room, Hotels } = require("../models");
+const { isOtherOwner } = require("../utils/ownership");
+
+const isDate = (value) => moment(value, "YYYY-MM-DD", true).isValid();
+
+// Returns an error message for the rate plan fields in `body`, or null
+const validateRatePlan = (body) => {
+  const { name, start_date, end_date, price, weekday_multipliers, priority } =
+    body;
+
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    return "'name' must be a non-empty string";
+  }
+  for (const [field, value] of [
+    ["start_date", start_date],
+    ["end_date", end_date],
+  ]) {
+    if (value !== undefined && value !== null && !isDate(value)) {
+      return `'${field}' must be a date in YYYY-MM-DD format`;
+    }
+  }
+  if (start_date && end_date && end_date < start_date) {
+    return "'end_date' must not be before 'start_date'";
+  }
+  if (
+    price !== undefined &&
+    price !== null &&
+    !(Number.isInteger(price) && price >= 0)
+  ) {
+    return "'price' must be a non-negative integer or null";
+  }
+  if (weekday_multipliers !== undefined) {
+    if (
+      typeof weekday_multipliers !== "object" ||
+      weekday_multipliers === null ||
+      Array.isArray(weekday_multipliers)
+    ) {
+      return "'weekday_multipliers' must be an object keyed by day of week";
+    }
+    for (const [day, multiplier] of Object.entries(weekday_multipliers)) {
+      if (!/^[0-6]$/.test(day)) {
+        return "'weekday_multipliers' keys must be days of week from 0 (Sunday) to 6 (Saturday)";
+      }
+      if (typeof multiplier !== "number" || multiplier <= 0) {
+        return "'weekday_multipliers' values must be positive numbers";
+      }
+    }
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return "'priority' must be an integer";
+  }
+  return null;
+};
+
+const pickRatePlanFields = (body) => {
+  const fields = [
+    "name",
+    "start_date",
+    "end_date",
+    "price",
+    "weekday_multipliers",
+    "priority",
+  ];
+  return fields.reduce((values, field) => {
+    if (body[field] !== undefined) values[field] = body[field];
+    return values;
+  }, {});
+};
+
+const findRoomWithHotel = (roomId) =>
+  Room.findOne({ where: { id: roomId }, include: [{ model: Hotels }] });
+
+const getRatePlans = async (req, res) => {
+  const { roomId } = req.params;
+
+  try {
+    const room = await findRoomWithHotel(roomId);
+    if (!room) {
+      return res.status(404).send({ message: "Room not found" });
+    }
+    if (isOtherOwner(req.user, room.Hotel)) {
+      return res.status(403).send({ message: "Not your room" });
+    }
+
+    const ratePlans = await RatePlan.findAll({
+      where: { room_id: roomId },
+      order: [
+        ["priority", "DESC"],
+        ["start_date", "ASC"],
+      ],
+    });
+
+    res.status(200).send(ratePlans);
+  } catch (error) {
+    console.error("Error fetching rate plans:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+const createRatePlan = async (req, res) => {
+  const { roomId } = req.params;
+
+  // Validation
+  if (!req.body.name) {
+    return res.status(400).json({ error: "'name' is required" });
+  }
+  const validationError = validateRatePlan(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const room = await findRoomWithHotel(roomId);
+    if (!room) {
+      return res.status(404).send({ message: "Room not found" });
+    }
+    if (isOtherOwner(req.user, room.Hotel)) {
+      return res.status(403).send({ message: "Not your room" });
+    }
+
+    const ratePlan = await RatePlan.create({
+      room_id: room.id,
+      ...pickRatePlanFields(req.body),
+    });
+
+    res.status(201).send(ratePlan);
+  } catch (error) {
+    console.error("Error creating rate plan:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+// Loads the plan with its room's hotel and answers 404/403 itself
+const findOwnedRatePlan = async (req, res) => {
+  const ratePlan = await RatePlan.findOne({
+    where: { id: req.params.id },
+    include: [{ model: Room, include: [{ model: Hotels }] }],
+  });
+  if (!ratePlan) {
+    res.status(404).send({ message: "Rate plan not found" });
+    return null;
+  }
+  if (isOtherOwner(req.user, ratePlan.Room && ratePlan.Room.Hotel)) {
+    res.status(403).send({ message: "Not your room" });
+    return null;
+  }
+  return ratePlan;
+};
+
+const updateRatePlan = async (req, res) => {
+  const validationError = validateRatePlan(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const ratePlan = await findOwnedRatePlan(req, res);
+    if (!ratePlan) return;
+
+    const values = pickRatePlanFields(req.body);
+    const startDate =
+      values.start_date !== undefined ? values.start_date : ratePlan.start_date;
+    const endDate =
+      values.end_date !== undefined ? values.end_date : ratePlan.end_date;
+    if (startDate && endDate && endDate < startDate) {
+      return res
+        .status(400)
+        .json({ error: "'end_date' must not be before 'start_date'" });
+    }
+
+    await ratePlan.update(values);
+
+    res.status(200).send(ratePlan);
+  } catch (error) {
+    console.error("Error updating rate plan:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+const deleteRatePlan = async (req, res) => {
+  try {
+    const ratePlan = await findOwnedRatePlan(req, res);
+    if (!ratePlan) return;
+
+    await ratePlan.destroy();
+
+    res.status(200).send({ message: "Rate plan deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting rate plan:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  getRatePlans,
+  createRatePlan,
+  updateRatePlan,
+  deleteRatePlan,
+};
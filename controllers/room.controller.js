@@ -1,5 +1,6 @@
 const {
   Room,
+  Booking,
   Hotels,
   roomService,
   Amenities,
@@ -232,6 +233,13 @@ const deleteRoom = async (req, res) => {
       return res.status(404).send("Không tìm thấy khách sạn");
     }
 
+    // Đơn đặt phòng và lịch sử của nó không bao giờ bị xóa, nên phòng đã
+    // có đơn thì không xóa được (hãy đóng phòng trong lịch phòng)
+    const bookings = await Booking.count({ where: { room_id: id } });
+    if (bookings > 0) {
+      return res.status(409).send("Không thể xóa phòng đã có đơn đặt phòng");
+    }
+
     // Tìm tất cả các hình ảnh liên quan đến khách sạn này
     const imagesToDelete = await UrlImageRoom.findAll({
       where: {
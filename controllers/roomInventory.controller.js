@@ -0,0 +1,151 @@
+const moment = require("moment");
+const { Room, Hotels, RoomInventory } = require("../models");
+const { getStayNights } = require("../utils/pricing");
+const { getNightlyAvailability } = require("../utils/inventory");
+const { isOtherOwner } = require("../utils/ownership");
+
+// Longest range that can be viewed or edited in one request
+const MAX_RANGE_DAYS = 366;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+// `from` and `to` are both inclusive; returns an error message or null
+const validateRange = (from, to) => {
+  if (!from || !to) {
+    return "'from' and 'to' are required";
+  }
+  const start = moment(from, "YYYY-MM-DD", true);
+  const end = moment(to, "YYYY-MM-DD", true);
+  if (!start.isValid() || !end.isValid()) {
+    return "'from' and 'to' must be dates in YYYY-MM-DD format";
+  }
+  if (end.isBefore(start)) {
+    return "'to' must not be before 'from'";
+  }
+  if (end.diff(start, "days") + 1 > MAX_RANGE_DAYS) {
+    return `The range cannot be longer than ${MAX_RANGE_DAYS} days`;
+  }
+  return null;
+};
+
+const dayAfter = (date) => moment(date).add(1, "day").format("YYYY-MM-DD");
+
+// Loads the room and checks that an owner only touches their own hotels
+const findOwnedRoom = async (req, res) => {
+  const room = await Room.findOne({
+    where: { id: req.params.roomId },
+    include: [{ model: Hotels }],
+  });
+  if (!room) {
+    res.status(404).send({ message: "Room not found" });
+    return null;
+  }
+  if (isOtherOwner(req.user, room.Hotel)) {
+    res.status(403).send({ message: "Not your room" });
+    return null;
+  }
+  return room;
+};
+
+const getRoomInventory = async (req, res) => {
+  const { from, to } = req.query;
+
+  const rangeError = validateRange(from, to);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+
+    const nights = await getNightlyAvailability(room, from, dayAfter(to));
+
+    res.status(200).send({
+      room_id: room.id,
+      quantity: room.quantity,
+      price: room.price,
+      nights,
+    });
+  } catch (error) {
+    console.error("Error fetching room inventory:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+// Applies the given fields to every date of the range. Fields left out keep
+// their current value; `null` resets allotment/price_override to the room's.
+const updateRoomInventory = async (req, res) => {
+  const { from, to } = req.body;
+
+  const rangeError = validateRange(from, to);
+  if (rangeError) {
+    return res.status(400).json({ error: rangeError });
+  }
+
+  const values = {};
+  if (req.body.allotment !== undefined) {
+    if (
+      req.body.allotment !== null &&
+      !isNonNegativeInteger(req.body.allotment)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "'allotment' must be a non-negative integer or null" });
+    }
+    values.allotment = req.body.allotment;
+  }
+  if (req.body.closed !== undefined) {
+    if (typeof req.body.closed !== "boolean") {
+      return res.status(400).json({ error: "'closed' must be a boolean" });
+    }
+    values.closed = req.body.closed;
+  }
+  if (req.body.price_override !== undefined) {
+    if (
+      req.body.price_override !== null &&
+      !isNonNegativeInteger(req.body.price_override)
+    ) {
+      return res.status(400).json({
+        error: "'price_override' must be a non-negative integer or null",
+      });
+    }
+    values.price_override = req.body.price_override;
+  }
+
+  const fields = Object.keys(values);
+  if (fields.length === 0) {
+    return res.status(400).json({
+      error:
+        "Provide at least one of 'allotment', 'closed' or 'price_override'",
+    });
+  }
+
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+
+    const dates = getStayNights(from, dayAfter(to));
+    await RoomInventory.bulkCreate(
+      dates.map((date) => ({ room_id: room.id, date, ...values })),
+      { updateOnDuplicate: [...fields, "updatedAt"] }
+    );
+
+    const nights = await getNightlyAvailability(room, from, dayAfter(to));
+
+    res.status(200).send({
+      room_id: room.id,
+      quantity: room.quantity,
+      price: room.price,
+      nights,
+    });
+  } catch (error) {
+    console.error("Error updating room inventory:", error);
+    res.status(500).send({ message: "Internal Server Error" });
+  }
+};
+
+module.exports = {
+  getRoomInventory,
+  updateRoomInventory,
+};
@@ -105,7 +105,7 @@ const login = async (req, res) => {
 
       if (isAuthen) {
         const token = jwt.sign(
-          { email: user.email, type: user.type },
+          { id: user.id, email: user.email, type: user.type },
           "firewallbase64",
           { expiresIn: 60 * 60 }
         );
@@ -0,0 +1,137 @@
+const { WaitlistEntry, Room, Booking } = require("../models");
+const { Op } = require("sequelize");
+const { getAvailableQuantity } = require("../utils/inventory");
+const { WAITLIST_STATUS } = require("../utils/waitlist");
+
+// Joins the queue for a room that is sold out on the requested dates. The
+// guest gets a priority hold as soon as enough rooms free up, see
+// utils/waitlist.js.
+const joinWaitlist = async (req, res) => {
+  const { room_id, check_in_date, check_out_date, quantity = 1 } = req.body;
+
+  // Validation
+  if (!room_id || !check_in_date || !check_out_date) {
+    return res.status(400).json({ error: "Missing required fields" });
+  }
+  if (new Date(check_in_date) >= new Date(check_out_date)) {
+    return res
+      .status(400)
+      .json({ error: "'check_in_date' must be before 'check_out_date'" });
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res
+      .status(400)
+      .json({ error: "'quantity' must be a positive integer" });
+  }
+
+  try {
+    const room = await Room.findOne({ where: { id: room_id } });
+    if (!room) {
+      return res.status(400).send({ message: "Room not found" });
+    }
+
+    const availableQuantity = await getAvailableQuantity(
+      room,
+      check_in_date,
+      check_out_date
+    );
+    if (availableQuantity >= quantity) {
+      return res.status(409).send({
+        message: "Rooms are available for these dates, book them directly",
+        availableQuantity,
+      });
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      where: {
+        room_id,
+        user_id: req.user.id,
+        check_in_date,
+        check_out_date,
+        status: {
+          [Op.in]: [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED],
+        },
+      },
+    });
+    if (existing) {
+      return res
+        .status(409)
+        .send({ message: "You are already on the waitlist for this stay" });
+    }
+
+    const entry = await WaitlistEntry.create({
+      room_id,
+      hotel_id: room.hotelId,
+      user_id: req.user.id,
+      check_in_date,
+      check_out_date,
+      quantity,
+      status: WAITLIST_STATUS.WAITING,
+    });
+    const position = await WaitlistEntry.count({
+      where: {
+        room_id,
+        status: WAITLIST_STATUS.WAITING,
+        id: { [Op.lte]: entry.id },
+      },
+    });
+
+    res.status(201).send({ entry, position });
+  } catch (error) {
+    console.error("Error joining waitlist:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+// The caller's waitlist entries, with the priority hold once offered
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.findAll({
+      where: { user_id: req.user.id },
+      include: [
+        { model: Room, attributes: ["id", "name", "hotelId"] },
+        {
+          model: Booking,
+          attributes: ["id", "status", "total_price", "hold_expires_at"],
+        },
+      ],
+      order: [["createdAt", "DESC"]],
+    });
+    res.status(200).send(entries);
+  } catch (error) {
+    console.error("Error fetching waitlist:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+const leaveWaitlist = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const entry = await WaitlistEntry.findOne({ where: { id } });
+    if (!entry) {
+      return res.status(404).send({ message: "Waitlist entry not found" });
+    }
+    if (req.user.type !== "admin" && entry.user_id !== req.user.id) {
+      return res.status(403).send({ message: "Not your waitlist entry" });
+    }
+    if (entry.status !== WAITLIST_STATUS.WAITING) {
+      return res.status(409).send({
+        message: `A '${entry.status}' waitlist entry cannot be left`,
+      });
+    }
+
+    entry.status = WAITLIST_STATUS.LEFT;
+    await entry.save();
+    res.status(200).send(entry);
+  } catch (error) {
+    console.error("Error leaving waitlist:", error);
+    res.status(500).send({ message: "Internal Server error" });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+};
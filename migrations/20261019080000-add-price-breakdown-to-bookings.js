@@ -0,0 +1,19 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn("Bookings", "price_breakdown", {
+      type: Sequelize.JSON,
+      allowNull: true,
+    });
+    await queryInterface.addColumn("Bookings", "coupon_code", {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn("Bookings", "price_breakdown");
+    await queryInterface.removeColumn("Bookings", "coupon_code");
+  },
+};
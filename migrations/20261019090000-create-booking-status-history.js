@@ -0,0 +1,72 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Bookings.status: boolean -> lifecycle state
+    await queryInterface.changeColumn("Bookings", "status", {
+      type: Sequelize.STRING,
+    });
+    await queryInterface.sequelize.query(
+      "UPDATE Bookings SET status = 'confirmed' WHERE status = '1'"
+    );
+    await queryInterface.sequelize.query(
+      "UPDATE Bookings SET status = 'pending_payment' WHERE status IS NULL OR status = '0'"
+    );
+    await queryInterface.changeColumn("Bookings", "status", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "pending_payment",
+    });
+    await queryInterface.addColumn("Bookings", "payment_method", {
+      type: Sequelize.STRING,
+      defaultValue: "vnpay",
+    });
+
+    await queryInterface.createTable("BookingStatusHistories", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      booking_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Bookings",
+          key: "id",
+        },
+        onDelete: "RESTRICT",
+      },
+      from_status: {
+        type: Sequelize.STRING,
+      },
+      to_status: {
+        type: Sequelize.STRING,
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+      },
+      note: {
+        type: Sequelize.TEXT,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("BookingStatusHistories");
+    await queryInterface.removeColumn("Bookings", "payment_method");
+    await queryInterface.sequelize.query(
+      "UPDATE Bookings SET status = IF(status IN ('confirmed', 'checked_in', 'completed'), '1', '0')"
+    );
+    await queryInterface.changeColumn("Bookings", "status", {
+      type: Sequelize.BOOLEAN,
+    });
+  },
+};
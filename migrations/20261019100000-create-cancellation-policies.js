@@ -0,0 +1,54 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("CancellationPolicies", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        unique: true,
+        references: {
+          model: "Hotels",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      free_cancellation_days: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+      },
+      partial_refund_percent: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+      },
+      after_check_in_refund_percent: {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+      },
+      description: {
+        type: Sequelize.TEXT,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addColumn("Bookings", "refund_amount", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Bookings", "refund_amount");
+    await queryInterface.dropTable("CancellationPolicies");
+  },
+};
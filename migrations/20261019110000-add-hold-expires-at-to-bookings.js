@@ -0,0 +1,18 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn("Bookings", "hold_expires_at", {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    // Existing unpaid bookings have no hold left; let the sweeper expire them
+    await queryInterface.sequelize.query(
+      "UPDATE Bookings SET hold_expires_at = NOW() WHERE status = 'pending_payment'"
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn("Bookings", "hold_expires_at");
+  },
+};
@@ -0,0 +1,52 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("RoomInventories", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      room_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Rooms",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      date: {
+        allowNull: false,
+        type: Sequelize.DATEONLY,
+      },
+      allotment: {
+        type: Sequelize.INTEGER,
+      },
+      closed: {
+        allowNull: false,
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+      },
+      price_override: {
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex("RoomInventories", ["room_id", "date"], {
+      unique: true,
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("RoomInventories");
+  },
+};
@@ -0,0 +1,90 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("RatePlans", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      room_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Rooms",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING,
+      },
+      start_date: {
+        type: Sequelize.DATEONLY,
+      },
+      end_date: {
+        type: Sequelize.DATEONLY,
+      },
+      price: {
+        type: Sequelize.INTEGER,
+      },
+      weekday_multipliers: {
+        type: Sequelize.JSON,
+      },
+      priority: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.createTable("HolidayRates", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Hotels",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      date: {
+        allowNull: false,
+        type: Sequelize.DATEONLY,
+      },
+      name: {
+        type: Sequelize.STRING,
+      },
+      multiplier: {
+        allowNull: false,
+        type: Sequelize.FLOAT,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("HolidayRates");
+    await queryInterface.dropTable("RatePlans");
+  },
+};
@@ -0,0 +1,71 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("Orders", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Hotels",
+          key: "id",
+        },
+      },
+      full_name: {
+        type: Sequelize.STRING,
+      },
+      check_in_date: {
+        type: Sequelize.DATE,
+      },
+      check_out_date: {
+        type: Sequelize.DATE,
+      },
+      special_requests: {
+        type: Sequelize.TEXT,
+      },
+      coupon_code: {
+        type: Sequelize.STRING,
+      },
+      payment_method: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: "vnpay",
+      },
+      total_price: {
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addColumn("Bookings", "order_id", {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: "Orders",
+        key: "id",
+      },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn("Bookings", "order_id");
+    await queryInterface.dropTable("Orders");
+  },
+};
@@ -0,0 +1,63 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("BookingModifications", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      booking_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Bookings",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+      },
+      previous: {
+        type: Sequelize.JSON,
+      },
+      changes: {
+        type: Sequelize.JSON,
+      },
+      old_total: {
+        type: Sequelize.INTEGER,
+      },
+      new_total: {
+        type: Sequelize.INTEGER,
+      },
+      additional_charge: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+      },
+      refund_amount: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("BookingModifications");
+  },
+};
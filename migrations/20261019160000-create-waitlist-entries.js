@@ -0,0 +1,89 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("WaitlistEntries", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      room_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Rooms",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      hotel_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Hotels",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      user_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      check_in_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      check_out_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      quantity: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        defaultValue: 1,
+      },
+      status: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: "waiting",
+      },
+      booking_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Bookings",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+      offered_at: {
+        type: Sequelize.DATE,
+      },
+      offer_expires_at: {
+        type: Sequelize.DATE,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    // The offer loop walks each room's queue in arrival order
+    await queryInterface.addIndex("WaitlistEntries", [
+      "room_id",
+      "status",
+      "createdAt",
+    ]);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("WaitlistEntries");
+  },
+};
@@ -0,0 +1,27 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Existing bookings never recorded their guests; count them as one adult
+    await queryInterface.addColumn("Bookings", "adults", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    });
+    await queryInterface.addColumn("Bookings", "children", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn("Bookings", "child_ages", {
+      type: Sequelize.JSON,
+      allowNull: true,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn("Bookings", "child_ages");
+    await queryInterface.removeColumn("Bookings", "children");
+    await queryInterface.removeColumn("Bookings", "adults");
+  },
+};
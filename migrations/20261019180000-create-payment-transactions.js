@@ -0,0 +1,81 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("PaymentTransactions", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      booking_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Bookings",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+      order_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+      provider: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: "vnpay",
+      },
+      txn_ref: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      amount: {
+        allowNull: false,
+        type: Sequelize.DECIMAL,
+      },
+      bank_code: {
+        type: Sequelize.STRING,
+      },
+      response_code: {
+        type: Sequelize.STRING,
+      },
+      transaction_no: {
+        type: Sequelize.STRING,
+      },
+      pay_date: {
+        type: Sequelize.DATE,
+      },
+      status: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: "pending",
+      },
+      request_payload: {
+        type: Sequelize.JSON,
+      },
+      response_payload: {
+        type: Sequelize.JSON,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    // Callbacks look up the attempt by the reference sent to VNPay, and
+    // accountants search by VNPay's own transaction number
+    await queryInterface.addIndex("PaymentTransactions", ["txn_ref"]);
+    await queryInterface.addIndex("PaymentTransactions", ["transaction_no"]);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("PaymentTransactions");
+  },
+};
@@ -0,0 +1,16 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // "payment" for an attempt to pay, "refund" for money sent back
+    await queryInterface.addColumn("PaymentTransactions", "type", {
+      type: Sequelize.STRING,
+      allowNull: false,
+      defaultValue: "payment",
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn("PaymentTransactions", "type");
+  },
+};
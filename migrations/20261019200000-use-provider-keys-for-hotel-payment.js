@@ -0,0 +1,29 @@
+"use strict";
+
+// Hotels.payment now lists payment provider keys instead of online/offline
+const KEYS = [
+  ["online", "vnpay"],
+  ["offline", "pay_at_hotel"],
+];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const [legacy, key] of KEYS) {
+      await queryInterface.bulkUpdate(
+        "Hotels",
+        { payment: key },
+        { payment: legacy }
+      );
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const [legacy, key] of KEYS) {
+      await queryInterface.bulkUpdate(
+        "Hotels",
+        { payment: legacy },
+        { payment: key }
+      );
+    }
+  },
+};
@@ -0,0 +1,20 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Set when a provider's result did not match the booking it claims to pay
+    await queryInterface.addColumn("PaymentTransactions", "flagged", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    await queryInterface.addColumn("PaymentTransactions", "flag_reason", {
+      type: Sequelize.STRING,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn("PaymentTransactions", "flag_reason");
+    await queryInterface.removeColumn("PaymentTransactions", "flagged");
+  },
+};
@@ -0,0 +1,45 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Minimum subtotal and cap on the discount, in VND
+    await queryInterface.addColumn("Coupons", "min_order_value", {
+      type: Sequelize.DECIMAL,
+    });
+    await queryInterface.addColumn("Coupons", "max_discount", {
+      type: Sequelize.DECIMAL,
+    });
+    // Hotels and Room.type_bed values the coupon is limited to
+    await queryInterface.addColumn("Coupons", "hotel_ids", {
+      type: Sequelize.JSON,
+    });
+    await queryInterface.addColumn("Coupons", "room_types", {
+      type: Sequelize.JSON,
+    });
+    await queryInterface.addColumn("Coupons", "first_booking_only", {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    await queryInterface.addColumn("Coupons", "usage_limit", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.addColumn("Coupons", "per_user_limit", {
+      type: Sequelize.INTEGER,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const column of [
+      "per_user_limit",
+      "usage_limit",
+      "first_booking_only",
+      "room_types",
+      "hotel_ids",
+      "max_discount",
+      "min_order_value",
+    ]) {
+      await queryInterface.removeColumn("Coupons", column);
+    }
+  },
+};
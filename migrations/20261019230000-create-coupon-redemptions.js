@@ -0,0 +1,91 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("CouponRedemptions", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      coupon_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Coupons",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+      code: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      booking_id: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Bookings",
+          key: "id",
+        },
+        onDelete: "CASCADE",
+      },
+      order_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Orders",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        references: {
+          model: "Users",
+          key: "id",
+        },
+        onDelete: "SET NULL",
+      },
+      amount: {
+        type: Sequelize.DECIMAL,
+      },
+      status: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: "active",
+      },
+      reversed_at: {
+        type: Sequelize.DATE,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    // Usage limits count the active redemptions of a code
+    await queryInterface.addIndex("CouponRedemptions", ["code", "status"]);
+    await queryInterface.addIndex("CouponRedemptions", ["booking_id"]);
+
+    // Bookings made before redemptions were recorded still use up their
+    // coupon; their discount amount was not kept separately
+    await queryInterface.sequelize.query(`
+      INSERT INTO CouponRedemptions
+        (coupon_id, code, booking_id, order_id, user_id, status, reversed_at,
+         createdAt, updatedAt)
+      SELECT c.id, b.coupon_code, b.id, b.order_id, b.user_id,
+        IF(b.status IN ('cancelled', 'expired', 'refunded'), 'reversed', 'active'),
+        IF(b.status IN ('cancelled', 'expired', 'refunded'), b.updatedAt, NULL),
+        b.createdAt, b.updatedAt
+      FROM Bookings b
+      LEFT JOIN Coupons c ON c.code = b.coupon_code
+      WHERE b.coupon_code IS NOT NULL
+    `);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable("CouponRedemptions");
+  },
+};
@@ -0,0 +1,85 @@
+"use strict";
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("CouponCampaigns", {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      name: {
+        allowNull: false,
+        type: Sequelize.STRING,
+      },
+      prefix: {
+        allowNull: false,
+        type: Sequelize.STRING,
+        defaultValue: "",
+      },
+      code_length: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      quantity: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      // Shared by every code of the campaign, copied onto each of them
+      percent: {
+        allowNull: false,
+        type: Sequelize.INTEGER,
+      },
+      begin: {
+        type: Sequelize.DATE,
+      },
+      end: {
+        type: Sequelize.DATE,
+      },
+      min_order_value: {
+        type: Sequelize.DECIMAL,
+      },
+      max_discount: {
+        type: Sequelize.DECIMAL,
+      },
+      hotel_ids: {
+        type: Sequelize.JSON,
+      },
+      room_types: {
+        type: Sequelize.JSON,
+      },
+      first_booking_only: {
+        allowNull: false,
+        type: Sequelize.BOOLEAN,
+        defaultValue: false,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+
+    await queryInterface.addColumn("Coupons", "campaign_id", {
+      type: Sequelize.INTEGER,
+      references: {
+        model: "CouponCampaigns",
+        key: "id",
+      },
+      onDelete: "CASCADE",
+    });
+    await queryInterface.addIndex("Coupons", ["campaign_id"]);
+    // Codes are looked up one by one at checkout and checked for clashes in
+    // bulk when a campaign is generated
+    await queryInterface.addIndex("Coupons", ["code"]);
+  },
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex("Coupons", ["code"]);
+    await queryInterface.removeColumn("Coupons", "campaign_id");
+    await queryInterface.dropTable("CouponCampaigns");
+  },
+};
@@ -0,0 +1,39 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const table of ["Coupons", "CouponCampaigns"]) {
+      // "percent" off the subtotal, or a "fixed" voucher worth `amount` VND
+      await queryInterface.addColumn(table, "type", {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: "percent",
+      });
+      await queryInterface.addColumn(table, "amount", {
+        type: Sequelize.DECIMAL,
+      });
+      // Exclusive codes cannot be combined with any other code
+      await queryInterface.addColumn(table, "exclusive", {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      });
+    }
+    // Vouchers have no percent
+    await queryInterface.changeColumn("CouponCampaigns", "percent", {
+      type: Sequelize.INTEGER,
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn("CouponCampaigns", "percent", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+    });
+    for (const table of ["CouponCampaigns", "Coupons"]) {
+      for (const column of ["exclusive", "amount", "type"]) {
+        await queryInterface.removeColumn(table, column);
+      }
+    }
+  },
+};
@@ -0,0 +1,18 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Mixed into the calendar feed token; replacing it revokes the old URL
+    for (const table of ["Users", "Hotels"]) {
+      await queryInterface.addColumn(table, "calendar_token_salt", {
+        type: Sequelize.STRING,
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    for (const table of ["Hotels", "Users"]) {
+      await queryInterface.removeColumn(table, "calendar_token_salt");
+    }
+  },
+};
@@ -0,0 +1,20 @@
+"use strict";
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // `previous` hid Sequelize's own Model#previous on every instance
+    await queryInterface.renameColumn(
+      "BookingModifications",
+      "previous",
+      "previous_values"
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.renameColumn(
+      "BookingModifications",
+      "previous_values",
+      "previous"
+    );
+  },
+};
@@ -0,0 +1,33 @@
+"use strict";
+
+// Coupons.code becomes unique, so that two campaigns generated at the same
+// time cannot both issue a code. Codes already used more than once keep
+// their first coupon; the others get the coupon's id appended, e.g.
+// SUMMER-12, and stop matching at checkout.
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const duplicates = await queryInterface.sequelize.query(
+      `SELECT c.id, c.code FROM Coupons c
+        WHERE EXISTS (
+          SELECT 1 FROM Coupons first
+           WHERE first.code = c.code AND first.id < c.id
+        )`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    for (const { id, code } of duplicates) {
+      await queryInterface.bulkUpdate(
+        "Coupons",
+        { code: `${code}-${id}` },
+        { id }
+      );
+    }
+
+    await queryInterface.removeIndex("Coupons", ["code"]);
+    await queryInterface.addIndex("Coupons", ["code"], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex("Coupons", ["code"]);
+    await queryInterface.addIndex("Coupons", ["code"]);
+  },
+};
@@ -0,0 +1,320 @@
+// Local stand-in for VNPay, for development and CI only: the payment page
+// and the merchant API (querydr and refund), so checkout, status checks and
+// refunds can be tried without the sandbox:
+//
+//   node mocks/vnpayServer.js
+//   VNPAY_URL=http://localhost:8888/paymentv2/vpcpay.html \
+//   VNPAY_API_URL=http://localhost:8888/merchant_webapi/api/transaction yarn dev
+//
+// The payment page takes the signed URL the app builds, lets the tester pick
+// success, failure or cancel, fires the IPN and sends the browser back to
+// vnp_ReturnUrl, both signed like VNPay does. The IPN goes to `ipnUrl`
+// (VNPAY_MOCK_IPN_URL), or to vnpay_ipn next to the return URL.
+//
+// The merchant API knows the payments made on the page and those registered
+// with POST /__mock/transactions
+// ({ txnRef, amount, transactionNo?, bankCode?, payDate? }, amount in VND).
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+const config = require("config");
+const moment = require("moment");
+const {
+  API_FIELDS,
+  signApiMessage,
+  signParams,
+  buildSignedQuery,
+  isValidSignature,
+} = require("../utils/vnpay");
+
+// vnp_ResponseCode and vnp_TransactionStatus for each choice on the page
+const PAGE_OUTCOMES = {
+  success: { label: "Thanh toán thành công", responseCode: "00", status: "00" },
+  failure: {
+    label: "Tài khoản không đủ số dư",
+    responseCode: "51",
+    status: "02",
+  },
+  cancel: { label: "Huỷ giao dịch", responseCode: "24", status: "02" },
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+
+const renderPaymentPage = (params) => `<!DOCTYPE html>
+<html lang="vi">
+  <head>
+    <meta charset="UTF-8" />
+    <title>VNPay (giả lập)</title>
+  </head>
+  <body>
+    <h2>Cổng thanh toán VNPay (giả lập)</h2>
+    <p>Đơn hàng: ${escapeHtml(params.vnp_TxnRef)}</p>
+    <p>${escapeHtml(params.vnp_OrderInfo || "")}</p>
+    <p>Số tiền: ${escapeHtml(Number(params.vnp_Amount) / 100)} VND</p>
+    <form method="post">
+      ${Object.entries(params)
+        .map(
+          ([name, value]) =>
+            `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(
+              value
+            )}" />`
+        )
+        .join("\n      ")}
+      ${Object.entries(PAGE_OUTCOMES)
+        .map(
+          ([outcome, { label }]) =>
+            `<button type="submit" name="outcome" value="${outcome}">${label}</button>`
+        )
+        .join("\n      ")}
+    </form>
+  </body>
+</html>`;
+
+const createMockVnpay = ({
+  tmnCode = config.get("vnpay.tmnCode"),
+  hashSecret = config.get("vnpay.hashSecret"),
+  ipnUrl = process.env.VNPAY_MOCK_IPN_URL,
+} = {}) => {
+  const transactions = new Map();
+  const requestIds = new Set();
+
+  const addTransaction = ({
+    txnRef,
+    amount,
+    transactionNo = String(crypto.randomInt(10000000, 99999999)),
+    bankCode = "NCB",
+    payDate = moment().format("YYYYMMDDHHmmss"),
+  }) => {
+    const transaction = {
+      txnRef: String(txnRef),
+      amount,
+      transactionNo,
+      bankCode,
+      payDate,
+      refunded: 0,
+    };
+    transactions.set(transaction.txnRef, transaction);
+    return transaction;
+  };
+
+  const reply = (res, command, message) => {
+    const response = {
+      vnp_ResponseId: crypto.randomBytes(12).toString("hex"),
+      vnp_Command: command,
+      vnp_TmnCode: tmnCode,
+      ...message,
+    };
+    response.vnp_SecureHash = signApiMessage(
+      response,
+      API_FIELDS[command].response,
+      hashSecret
+    );
+    res.status(200).json(response);
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Why a payment URL would be turned away by VNPay, or null
+  const getPaymentUrlError = (params) => {
+    if (!isValidSignature(params, hashSecret)) return "Sai chữ ký";
+    if (params.vnp_TmnCode !== tmnCode) return "Website chưa được phê duyệt";
+    if (!params.vnp_TxnRef || !params.vnp_ReturnUrl) {
+      return "Thiếu thông tin đơn hàng";
+    }
+    if (!/^[1-9]\d*00$/.test(params.vnp_Amount)) return "Số tiền không hợp lệ";
+    if (
+      params.vnp_ExpireDate &&
+      moment(params.vnp_ExpireDate, "YYYYMMDDHHmmss").isBefore(moment())
+    ) {
+      return "Đã hết hạn chờ thanh toán";
+    }
+    return null;
+  };
+
+  app.get("/paymentv2/vpcpay.html", (req, res) => {
+    const error = getPaymentUrlError(req.query);
+    if (error) {
+      return res.status(400).send(`<p>${escapeHtml(error)}</p>`);
+    }
+    res.status(200).send(renderPaymentPage(req.query));
+  });
+
+  app.post("/paymentv2/vpcpay.html", async (req, res) => {
+    const { outcome, ...params } = req.body;
+    const error = getPaymentUrlError(params);
+    if (error || !PAGE_OUTCOMES[outcome]) {
+      return res
+        .status(400)
+        .send(`<p>${escapeHtml(error || "Kết quả không hợp lệ")}</p>`);
+    }
+    const { responseCode, status } = PAGE_OUTCOMES[outcome];
+
+    const result = {
+      vnp_Amount: params.vnp_Amount,
+      vnp_BankCode: params.vnp_BankCode || "NCB",
+      vnp_CardType: "ATM",
+      vnp_OrderInfo: params.vnp_OrderInfo,
+      vnp_PayDate: moment().format("YYYYMMDDHHmmss"),
+      vnp_ResponseCode: responseCode,
+      vnp_TmnCode: tmnCode,
+      // A cancelled payment never reached the bank
+      vnp_TransactionNo:
+        outcome === "cancel"
+          ? "0"
+          : String(crypto.randomInt(10000000, 99999999)),
+      vnp_TransactionStatus: status,
+      vnp_TxnRef: params.vnp_TxnRef,
+    };
+    if (outcome === "success") {
+      addTransaction({
+        txnRef: result.vnp_TxnRef,
+        amount: Number(result.vnp_Amount) / 100,
+        transactionNo: result.vnp_TransactionNo,
+        bankCode: result.vnp_BankCode,
+        payDate: result.vnp_PayDate,
+      });
+    }
+    const secureHash = signParams(result, hashSecret);
+
+    // VNPay calls the IPN on its own, whether or not the browser comes back
+    const ipn = ipnUrl || new URL("vnpay_ipn", params.vnp_ReturnUrl).href;
+    try {
+      await axios.get(ipn, {
+        params: { ...result, vnp_SecureHash: secureHash },
+      });
+    } catch (ipnError) {
+      console.error(
+        `Mock VNPay could not reach the IPN at ${ipn}:`,
+        ipnError.message
+      );
+    }
+
+    res.redirect(
+      `${params.vnp_ReturnUrl}?${buildSignedQuery(result, secureHash)}`
+    );
+  });
+
+  app.post("/__mock/transactions", (req, res) => {
+    if (!req.body.txnRef || !Number.isInteger(req.body.amount)) {
+      return res.status(400).json({ error: "'txnRef' and 'amount' required" });
+    }
+    res.status(201).json(addTransaction(req.body));
+  });
+
+  app.post("/merchant_webapi/api/transaction", (req, res) => {
+    const message = req.body;
+    const command = message.vnp_Command;
+    if (!API_FIELDS[command]) {
+      return res
+        .status(200)
+        .json({ vnp_ResponseCode: "03", vnp_Message: "Unknown command" });
+    }
+    const expected = signApiMessage(
+      message,
+      API_FIELDS[command].request,
+      hashSecret
+    );
+    if (message.vnp_SecureHash !== expected) {
+      return res
+        .status(200)
+        .json({ vnp_ResponseCode: "97", vnp_Message: "Invalid Checksum" });
+    }
+    if (message.vnp_TmnCode !== tmnCode) {
+      return reply(res, command, {
+        vnp_ResponseCode: "02",
+        vnp_Message: "Merchant is not valid",
+      });
+    }
+    if (requestIds.has(message.vnp_RequestId)) {
+      return reply(res, command, {
+        vnp_ResponseCode: "94",
+        vnp_Message: "Duplicate request",
+      });
+    }
+    requestIds.add(message.vnp_RequestId);
+
+    const transaction = transactions.get(String(message.vnp_TxnRef));
+    if (!transaction) {
+      return reply(res, command, {
+        vnp_ResponseCode: "91",
+        vnp_Message: "Transaction not found",
+        vnp_TxnRef: message.vnp_TxnRef,
+      });
+    }
+    const details = {
+      vnp_TxnRef: transaction.txnRef,
+      vnp_BankCode: transaction.bankCode,
+      vnp_PayDate: transaction.payDate,
+      vnp_OrderInfo: message.vnp_OrderInfo,
+    };
+
+    if (command === "querydr") {
+      return reply(res, command, {
+        ...details,
+        vnp_ResponseCode: "00",
+        vnp_Message: "Query success",
+        vnp_Amount: String(transaction.amount * 100),
+        vnp_TransactionNo: transaction.transactionNo,
+        vnp_TransactionType: "01",
+        // "00" paid, "06" refunded in full
+        vnp_TransactionStatus:
+          transaction.refunded >= transaction.amount ? "06" : "00",
+      });
+    }
+
+    const amount = Number(message.vnp_Amount) / 100;
+    if (
+      !Number.isInteger(amount) ||
+      amount <= 0 ||
+      amount > transaction.amount - transaction.refunded
+    ) {
+      return reply(res, command, {
+        ...details,
+        vnp_ResponseCode: "03",
+        vnp_Message: "Refund amount exceeds the amount left",
+      });
+    }
+    transaction.refunded += amount;
+    reply(res, command, {
+      ...details,
+      vnp_ResponseCode: "00",
+      vnp_Message: "Refund success",
+      vnp_Amount: message.vnp_Amount,
+      vnp_TransactionNo: String(crypto.randomInt(10000000, 99999999)),
+      vnp_TransactionType: message.vnp_TransactionType,
+      vnp_TransactionStatus: "00",
+    });
+  });
+
+  app.transactions = transactions;
+  app.addTransaction = addTransaction;
+  return app;
+};
+
+if (require.main === module) {
+  if (process.env.NODE_ENV === "production") {
+    console.error("The mock VNPay server is for development only");
+    process.exit(1);
+  }
+  const port = process.env.VNPAY_MOCK_PORT || 8888;
+  createMockVnpay().listen(port, () => {
+    console.log(`Mock VNPay on http://localhost:${port}/paymentv2/vpcpay.html`);
+  });
+}
+
+module.exports = {
+  createMockVnpay,
+};
@@ -15,19 +15,55 @@ module.exports = (sequelize, DataTypes) => {
       this.belongsTo(models.Room, { foreignKey: "room_id" });
       this.belongsTo(models.User, { foreignKey: "user_id" });
       this.belongsTo(models.Hotels, { foreignKey: "hotel_id" });
+      this.belongsTo(models.Order, { foreignKey: "order_id" });
+      this.hasMany(models.BookingStatusHistory, {
+        foreignKey: "booking_id",
+        onDelete: "RESTRICT",
+      });
+      this.hasMany(models.BookingModification, {
+        foreignKey: "booking_id",
+        onDelete: "CASCADE",
+      });
+      this.hasMany(models.CouponRedemption, {
+        foreignKey: "booking_id",
+        onDelete: "CASCADE",
+      });
     }
   }
   Booking.init({
     room_id: DataTypes.INTEGER,
     user_id: DataTypes.INTEGER,
     hotel_id: DataTypes.INTEGER,
+    // Set when the booking is one room line of a multi-room order
+    order_id: DataTypes.INTEGER,
     check_in_date: DataTypes.DATE,
     check_out_date: DataTypes.DATE,
     total_price: DataTypes.DECIMAL,
-    status: DataTypes.BOOLEAN,
+    price_breakdown: DataTypes.JSON,
+    coupon_code: DataTypes.STRING,
+    refund_amount: DataTypes.INTEGER,
+    hold_expires_at: DataTypes.DATE,
+    status: {
+      type: DataTypes.STRING,
+      defaultValue: "pending_payment",
+    },
+    payment_method: {
+      type: DataTypes.STRING,
+      defaultValue: "vnpay",
+    },
     special_requests: DataTypes.TEXT,
     full_name: DataTypes.STRING,
     quantity: DataTypes.INTEGER,
+    // Guests across all rooms of the booking, checked against room capacity
+    adults: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+    },
+    children: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+    },
+    child_ages: DataTypes.JSON,
     hotel_id: DataTypes.INTEGER
   }, {
     sequelize,
@@ -0,0 +1,43 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class BookingModification extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Booking, User }) {
+      this.belongsTo(Booking, {
+        foreignKey: "booking_id",
+        onDelete: "CASCADE",
+      });
+      this.belongsTo(User, { foreignKey: "changed_by" });
+    }
+  }
+  BookingModification.init(
+    {
+      booking_id: DataTypes.INTEGER,
+      changed_by: DataTypes.INTEGER,
+      // Room, dates and quantity before and after the change
+      previous_values: DataTypes.JSON,
+      changes: DataTypes.JSON,
+      old_total: DataTypes.INTEGER,
+      new_total: DataTypes.INTEGER,
+      // What the guest still owes, or gets back, for an already paid booking
+      additional_charge: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      refund_amount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+    },
+    {
+      sequelize,
+      modelName: "BookingModification",
+    }
+  );
+  return BookingModification;
+};
@@ -0,0 +1,32 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class BookingStatusHistory extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Booking, User }) {
+      this.belongsTo(Booking, {
+        foreignKey: "booking_id",
+        onDelete: "RESTRICT",
+      });
+      this.belongsTo(User, { foreignKey: "changed_by" });
+    }
+  }
+  BookingStatusHistory.init(
+    {
+      booking_id: DataTypes.INTEGER,
+      from_status: DataTypes.STRING,
+      to_status: DataTypes.STRING,
+      changed_by: DataTypes.INTEGER,
+      note: DataTypes.TEXT,
+    },
+    {
+      sequelize,
+      modelName: "BookingStatusHistory",
+    }
+  );
+  return BookingStatusHistory;
+};
@@ -0,0 +1,40 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class CancellationPolicy extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Hotels }) {
+      this.belongsTo(Hotels, { foreignKey: "hotel_id", onDelete: "CASCADE" });
+    }
+  }
+  CancellationPolicy.init(
+    {
+      hotel_id: DataTypes.INTEGER,
+      // Full refund when cancelled at least this many days before check-in
+      free_cancellation_days: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      // Refund after the free window has passed, until check-in
+      partial_refund_percent: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      // Refund once the check-in date has been reached
+      after_check_in_refund_percent: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      description: DataTypes.TEXT,
+    },
+    {
+      sequelize,
+      modelName: "CancellationPolicy",
+    }
+  );
+  return CancellationPolicy;
+};
@@ -0,0 +1,53 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class CouponCampaign extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Coupons }) {
+      // One single-use coupon per generated code
+      this.hasMany(Coupons, { foreignKey: "campaign_id", onDelete: "CASCADE" });
+    }
+  }
+  CouponCampaign.init(
+    {
+      name: DataTypes.STRING,
+      // Codes are the prefix followed by `code_length` random characters
+      prefix: {
+        type: DataTypes.STRING,
+        defaultValue: "",
+      },
+      code_length: DataTypes.INTEGER,
+      quantity: DataTypes.INTEGER,
+      // Coupon fields every code gets, see utils/coupons.js for the rules
+      type: {
+        type: DataTypes.STRING,
+        defaultValue: "percent",
+      },
+      percent: DataTypes.INTEGER,
+      amount: DataTypes.DECIMAL,
+      exclusive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      begin: DataTypes.DATE,
+      end: DataTypes.DATE,
+      min_order_value: DataTypes.DECIMAL,
+      max_discount: DataTypes.DECIMAL,
+      hotel_ids: DataTypes.JSON,
+      room_types: DataTypes.JSON,
+      first_booking_only: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: "CouponCampaign",
+    }
+  );
+  return CouponCampaign;
+};
@@ -0,0 +1,41 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class CouponRedemption extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Coupons, Booking, Order, User }) {
+      this.belongsTo(Coupons, { foreignKey: "coupon_id" });
+      this.belongsTo(Booking, { foreignKey: "booking_id" });
+      this.belongsTo(Order, { foreignKey: "order_id" });
+      this.belongsTo(User, { foreignKey: "user_id" });
+    }
+  }
+  CouponRedemption.init(
+    {
+      coupon_id: DataTypes.INTEGER,
+      // Kept so the history survives the coupon being deleted
+      code: DataTypes.STRING,
+      booking_id: DataTypes.INTEGER,
+      // Set for the lines of a multi-room order, which share one use
+      order_id: DataTypes.INTEGER,
+      user_id: DataTypes.INTEGER,
+      // Discount the booking got from the coupon
+      amount: DataTypes.DECIMAL,
+      // active -> reversed once the booking is cancelled, expired or refunded
+      status: {
+        type: DataTypes.STRING,
+        defaultValue: "active",
+      },
+      reversed_at: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: "CouponRedemption",
+    }
+  );
+  return CouponRedemption;
+};
@@ -11,13 +11,39 @@ module.exports = (sequelize, DataTypes) => {
      */
     static associate(models) {
       // define association here
+      this.belongsTo(models.CouponCampaign, { foreignKey: "campaign_id" });
     }
   }
   Coupons.init({
     code: DataTypes.STRING,
+    // "percent" uses `percent`, "fixed" takes `amount` VND off
+    type: {
+      type: DataTypes.STRING,
+      defaultValue: "percent"
+    },
     percent: DataTypes.INTEGER,
+    amount: DataTypes.DECIMAL,
+    // Cannot be combined with other codes, see getStackingError
+    exclusive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
     begin: DataTypes.DATE,
-    end: DataTypes.DATE
+    end: DataTypes.DATE,
+    // Optional rules, checked by utils/coupons.js; null means no limit
+    min_order_value: DataTypes.DECIMAL,
+    max_discount: DataTypes.DECIMAL,
+    hotel_ids: DataTypes.JSON,
+    // Room.type_bed values
+    room_types: DataTypes.JSON,
+    first_booking_only: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    usage_limit: DataTypes.INTEGER,
+    per_user_limit: DataTypes.INTEGER,
+    // Set for codes generated in bulk, see utils/couponCampaigns.js
+    campaign_id: DataTypes.INTEGER
   }, {
     sequelize,
     modelName: 'Coupons',
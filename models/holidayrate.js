@@ -0,0 +1,40 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class HolidayRate extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Hotels }) {
+      this.belongsTo(Hotels, { foreignKey: "hotel_id", onDelete: "CASCADE" });
+    }
+  }
+  // Tonight's holiday changes the hotels' `cost`; a holiday without a hotel
+  // touches all of them
+  const updateHotelMinPrices = (holidayRate) =>
+    sequelize.models.Hotels.updateMinPrices(
+      holidayRate.hotel_id ? { id: holidayRate.hotel_id } : {}
+    );
+
+  HolidayRate.init(
+    {
+      // null applies the holiday to every hotel
+      hotel_id: DataTypes.INTEGER,
+      date: DataTypes.DATEONLY,
+      name: DataTypes.STRING,
+      // Applied on top of the rate plan price for that night
+      multiplier: DataTypes.FLOAT,
+    },
+    {
+      sequelize,
+      modelName: "HolidayRate",
+      hooks: {
+        afterSave: (holidayRate) => updateHotelMinPrices(holidayRate),
+        afterDestroy: (holidayRate) => updateHotelMinPrices(holidayRate),
+      },
+    }
+  );
+  return HolidayRate;
+};
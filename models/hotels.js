@@ -9,7 +9,15 @@ module.exports = (sequelize, DataTypes) => {
      * This method is not a part of Sequelize lifecycle.
      * The `models/index` file will call this method automatically.
      */
-    static associate({ Room, Reviews, HotelAmenities, UrlImageHotel, User }) {
+    static associate({
+      Room,
+      Reviews,
+      HotelAmenities,
+      UrlImageHotel,
+      User,
+      CancellationPolicy,
+      HolidayRate,
+    }) {
       this.hasMany(Room, { foreignKey: "hotelId", onDelete: "CASCADE" });
       this.hasMany(Reviews, { foreignKey: "hotelId", onDelete: "CASCADE" });
       this.hasMany(HotelAmenities, {
@@ -21,6 +29,14 @@ module.exports = (sequelize, DataTypes) => {
         onDelete: "CASCADE",
       });
       this.belongsTo(User, { foreignKey: "ownerId", onDelete: "CASCADE" });
+      this.hasOne(CancellationPolicy, {
+        foreignKey: "hotel_id",
+        onDelete: "CASCADE",
+      });
+      this.hasMany(HolidayRate, {
+        foreignKey: "hotel_id",
+        onDelete: "CASCADE",
+      });
     }
   }
 
@@ -33,6 +49,7 @@ module.exports = (sequelize, DataTypes) => {
       TypeHotel: DataTypes.STRING, // hotel, resort ...
       payment: DataTypes.STRING, // ? can thiet k?
       cost: DataTypes.INTEGER,
+      calendar_token_salt: DataTypes.STRING,
     },
     {
       sequelize,
@@ -72,17 +89,24 @@ module.exports = (sequelize, DataTypes) => {
 
           const amenities = sequelize.models.HotelAmenities;
           await amenities.destroy({ where: { hotelId: hotelId } });
+
+          const policy = sequelize.models.CancellationPolicy;
+          await policy.destroy({ where: { hotel_id: hotelId } });
+
+          const holidayRate = sequelize.models.HolidayRate;
+          await holidayRate.destroy({ where: { hotel_id: hotelId } });
         },
 
+        // `cost` is not refreshed here: it only changes with rooms, rate
+        // plans and holidays, whose hooks refresh it, and with the date
+        // (see utils/hotelCostRefresher)
         afterFind: async (hotels) => {
           if (Array.isArray(hotels)) {
             for (const hotel of hotels) {
               await hotel.updateAverageUserRating();
-              await hotel.updateMinPriceHotel();
             }
           } else if (hotels) {
             await hotels.updateAverageUserRating();
-            await hotels.updateMinPriceHotel();
           }
         },
         afterCreate: async (hotel) => {
@@ -114,26 +138,40 @@ module.exports = (sequelize, DataTypes) => {
     return result;
   };
 
+  // `cost` is the cheapest room tonight, with rate plans and holidays applied
   Hotels.prototype.updateMinPriceHotel = async function () {
     const hotelId = this.id;
+    // Required here: utils/pricing loads the models itself
+    const { getLowestNightlyPrice } = require("../utils/pricing");
 
-    const [result] = await sequelize.query(`
-      UPDATE Hotels AS h
-      SET cost = (
-        SELECT MIN(price)
-        FROM Rooms AS r
-        WHERE r.hotelId = ${hotelId}
-        HAVING COUNT(r.price) > 0
-      )
-      WHERE h.id = ${hotelId} AND EXISTS (
-        SELECT 1
-        FROM Rooms AS r
-        WHERE r.hotelId = ${hotelId}
-      )
-    `);
+    const rooms = await sequelize.models.Room.findAll({
+      where: { hotelId },
+      attributes: ["id", "hotelId", "price"],
+    });
+    const cost = await getLowestNightlyPrice(rooms, new Date());
+    if (cost === null) return null;
+
+    const [result] = await sequelize.query(
+      "UPDATE Hotels SET cost = :cost WHERE id = :hotelId",
+      { replacements: { cost, hotelId } }
+    );
+    this.setDataValue("cost", cost);
 
     return result;
   };
 
+  // Refreshes `cost` of every hotel matching `where`, all of them by default
+  Hotels.updateMinPrices = async function (where = {}) {
+    const hotels = await Hotels.findAll({
+      where,
+      attributes: ["id"],
+      hooks: false,
+    });
+    for (const hotel of hotels) {
+      await hotel.updateMinPriceHotel();
+    }
+    return hotels.length;
+  };
+
   return Hotels;
 };
@@ -0,0 +1,39 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class Order extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Booking, User, Hotels }) {
+      // Each room line of the order is a booking with its own status
+      this.hasMany(Booking, { foreignKey: "order_id" });
+      this.belongsTo(User, { foreignKey: "user_id" });
+      this.belongsTo(Hotels, { foreignKey: "hotel_id" });
+    }
+  }
+  Order.init(
+    {
+      user_id: DataTypes.INTEGER,
+      hotel_id: DataTypes.INTEGER,
+      full_name: DataTypes.STRING,
+      check_in_date: DataTypes.DATE,
+      check_out_date: DataTypes.DATE,
+      special_requests: DataTypes.TEXT,
+      coupon_code: DataTypes.STRING,
+      payment_method: {
+        type: DataTypes.STRING,
+        defaultValue: "vnpay",
+      },
+      // Sum of the lines' total_price, paid in one transaction
+      total_price: DataTypes.INTEGER,
+    },
+    {
+      sequelize,
+      modelName: "Order",
+    }
+  );
+  return Order;
+};
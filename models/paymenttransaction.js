@@ -0,0 +1,58 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class PaymentTransaction extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Booking, Order }) {
+      // A single booking, or every line of an order, see utils/paymentTarget.js
+      this.belongsTo(Booking, { foreignKey: "booking_id" });
+      this.belongsTo(Order, { foreignKey: "order_id" });
+    }
+  }
+  PaymentTransaction.init(
+    {
+      booking_id: DataTypes.INTEGER,
+      order_id: DataTypes.INTEGER,
+      provider: {
+        type: DataTypes.STRING,
+        defaultValue: "vnpay",
+      },
+      // "payment" for an attempt to pay, "refund" for money sent back
+      type: {
+        type: DataTypes.STRING,
+        defaultValue: "payment",
+      },
+      // vnp_TxnRef sent to VNPay
+      txn_ref: DataTypes.STRING,
+      amount: DataTypes.DECIMAL,
+      bank_code: DataTypes.STRING,
+      response_code: DataTypes.STRING,
+      // vnp_TransactionNo, VNPay's own reference on its statements
+      transaction_no: DataTypes.STRING,
+      pay_date: DataTypes.DATE,
+      // pending -> success / failed
+      status: {
+        type: DataTypes.STRING,
+        defaultValue: "pending",
+      },
+      // Result that did not match the booking (amount, currency or state)
+      flagged: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      flag_reason: DataTypes.STRING,
+      // Signed parameters as sent to and received from VNPay
+      request_payload: DataTypes.JSON,
+      response_payload: DataTypes.JSON,
+    },
+    {
+      sequelize,
+      modelName: "PaymentTransaction",
+    }
+  );
+  return PaymentTransaction;
+};
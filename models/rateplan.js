@@ -0,0 +1,54 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class RatePlan extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Room }) {
+      this.belongsTo(Room, { foreignKey: "room_id", onDelete: "CASCADE" });
+    }
+  }
+  // A plan changes what its room costs, and so maybe the hotel's `cost`
+  const updateHotelMinPrice = async (ratePlan) => {
+    const room = await sequelize.models.Room.findByPk(ratePlan.room_id, {
+      attributes: ["id", "hotelId"],
+    });
+    if (room) {
+      await sequelize.models.Hotels.updateMinPrices({ id: room.hotelId });
+    }
+  };
+
+  RatePlan.init(
+    {
+      room_id: DataTypes.INTEGER,
+      name: DataTypes.STRING,
+      // Inclusive range the plan applies to; null leaves that end open
+      start_date: DataTypes.DATEONLY,
+      end_date: DataTypes.DATEONLY,
+      // Nightly price while the plan applies; null keeps the room's price
+      price: DataTypes.INTEGER,
+      // Multiplier per day of week, 0 = Sunday ... 6 = Saturday
+      weekday_multipliers: {
+        type: DataTypes.JSON,
+        defaultValue: {},
+      },
+      // When plans overlap, the highest priority wins
+      priority: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+    },
+    {
+      sequelize,
+      modelName: "RatePlan",
+      hooks: {
+        afterSave: (ratePlan) => updateHotelMinPrice(ratePlan),
+        afterDestroy: (ratePlan) => updateHotelMinPrice(ratePlan),
+      },
+    }
+  );
+  return RatePlan;
+};
@@ -7,11 +7,28 @@ module.exports = (sequelize, DataTypes) => {
      * This method is not a part of Sequelize lifecycle.
      * The `models/index` file will call this method automatically.
      */
-    static associate({ Hotels, roomService, UrlImageRoom, Booking }) {
+    static associate({
+      Hotels,
+      roomService,
+      UrlImageRoom,
+      Booking,
+      RoomInventory,
+      RatePlan,
+      WaitlistEntry,
+    }) {
       this.belongsTo(Hotels, { foreignKey: "hotelId" });
       this.hasMany(roomService, { foreignKey: "roomId", onDelete: "CASCADE" });
       this.hasMany(UrlImageRoom, { foreignKey: "IdRoom", onDelete: "CASCADE" });
       this.hasMany(Booking, { foreignKey: "room_id", onDelete: "CASCADE" });
+      this.hasMany(RoomInventory, {
+        foreignKey: "room_id",
+        onDelete: "CASCADE",
+      });
+      this.hasMany(RatePlan, { foreignKey: "room_id", onDelete: "CASCADE" });
+      this.hasMany(WaitlistEntry, {
+        foreignKey: "room_id",
+        onDelete: "CASCADE",
+      });
     }
   }
   Room.init(
@@ -29,6 +46,17 @@ module.exports = (sequelize, DataTypes) => {
       hooks: {
         beforeDestroy: async (instance) => {
           const roomId = instance.id;
+
+          // Bookings keep their status history, so they are never deleted
+          // and neither is a room that has any
+          const booking = sequelize.models.Booking;
+          const bookings = booking
+            ? await booking.count({ where: { room_id: roomId } })
+            : 0;
+          if (bookings > 0) {
+            throw new Error(`Room ${roomId} has bookings`);
+          }
+
           const UrlImageRoom = sequelize.models.UrlImageRoom;
 
           // Xóa tất cả các bản ghi trong bảng UrlImageHotel có HotelId tương ứng
@@ -41,10 +69,31 @@ module.exports = (sequelize, DataTypes) => {
             await roomService.destroy({ where: { roomId: roomId } });
           }
 
-          const booking = sequelize.models.Booking;
-          if (booking) {
-            await booking.destroy({ where: { room_id: roomId } });
+          const waitlistEntry = sequelize.models.WaitlistEntry;
+          if (waitlistEntry) {
+            await waitlistEntry.destroy({ where: { room_id: roomId } });
           }
+
+          const roomInventory = sequelize.models.RoomInventory;
+          if (roomInventory) {
+            await roomInventory.destroy({ where: { room_id: roomId } });
+          }
+
+          const ratePlan = sequelize.models.RatePlan;
+          if (ratePlan) {
+            await ratePlan.destroy({ where: { room_id: roomId } });
+          }
+        },
+        // The hotel's `cost` is its cheapest room
+        afterSave: async (instance) => {
+          await sequelize.models.Hotels.updateMinPrices({
+            id: instance.hotelId,
+          });
+        },
+        afterDestroy: async (instance) => {
+          await sequelize.models.Hotels.updateMinPrices({
+            id: instance.hotelId,
+          });
         },
       },
     }
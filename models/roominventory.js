@@ -0,0 +1,34 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class RoomInventory extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Room }) {
+      this.belongsTo(Room, { foreignKey: "room_id", onDelete: "CASCADE" });
+    }
+  }
+  RoomInventory.init(
+    {
+      room_id: DataTypes.INTEGER,
+      date: DataTypes.DATEONLY,
+      // Rooms that can be sold that night; null falls back to Room.quantity
+      allotment: DataTypes.INTEGER,
+      closed: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      // Nightly price for that date; null falls back to the room's rate
+      price_override: DataTypes.INTEGER,
+    },
+    {
+      sequelize,
+      modelName: "RoomInventory",
+      indexes: [{ unique: true, fields: ["room_id", "date"] }],
+    }
+  );
+  return RoomInventory;
+};
@@ -0,0 +1,44 @@
+"use strict";
+const { Model } = require("sequelize");
+module.exports = (sequelize, DataTypes) => {
+  class WaitlistEntry extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate({ Room, Hotels, User, Booking }) {
+      this.belongsTo(Room, { foreignKey: "room_id", onDelete: "CASCADE" });
+      this.belongsTo(Hotels, { foreignKey: "hotel_id", onDelete: "CASCADE" });
+      this.belongsTo(User, { foreignKey: "user_id", onDelete: "CASCADE" });
+      // The priority hold made for this guest once rooms freed up
+      this.belongsTo(Booking, { foreignKey: "booking_id" });
+    }
+  }
+  WaitlistEntry.init(
+    {
+      room_id: DataTypes.INTEGER,
+      hotel_id: DataTypes.INTEGER,
+      user_id: DataTypes.INTEGER,
+      check_in_date: DataTypes.DATE,
+      check_out_date: DataTypes.DATE,
+      quantity: {
+        type: DataTypes.INTEGER,
+        defaultValue: 1,
+      },
+      // waiting -> offered -> booked / expired, or left by the guest
+      status: {
+        type: DataTypes.STRING,
+        defaultValue: "waiting",
+      },
+      booking_id: DataTypes.INTEGER,
+      offered_at: DataTypes.DATE,
+      offer_expires_at: DataTypes.DATE,
+    },
+    {
+      sequelize,
+      modelName: "WaitlistEntry",
+    }
+  );
+  return WaitlistEntry;
+};
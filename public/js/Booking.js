@@ -1,23 +1,54 @@
 $(document).ready(function () {
+  const statusLabels = {
+    pending_payment: "Chờ thanh toán",
+    confirmed: "Đã xác nhận",
+    checked_in: "Đã nhận phòng",
+    completed: "Hoàn thành",
+    cancelled: "Đã hủy",
+    no_show: "Không đến",
+    refunded: "Đã hoàn tiền",
+    expired: "Hết hạn thanh toán",
+  };
+
+  // Số khách của đơn, vd "2 người lớn, 1 trẻ em (5 tuổi)"
+  function formatGuests(booking) {
+    var text = (booking.adults || 1) + " người lớn";
+    if (booking.children > 0) {
+      text += ", " + booking.children + " trẻ em";
+      if (booking.child_ages && booking.child_ages.length > 0) {
+        text += " (" + booking.child_ages.join(", ") + " tuổi)";
+      }
+    }
+    return text;
+  }
+
+  // Danh sách booking được lấy theo từng trang
+  const pageSize = 20;
+  let currentOffset = 0;
+
   // Hàm để render lại trang sau khi nhận dữ liệu mới từ server
   function renderPage() {
     $.ajax({
       url: "http://localhost:3030/api/v1/booking",
       method: "GET",
+      headers: { token: localStorage.getItem("token") },
+      data: { limit: pageSize, offset: currentOffset },
       success: function (data) {
         console.log(data);
         var tableHtml = "";
-        data.forEach(function (booking, index) {
+        data.bookings.forEach(function (booking, index) {
           // Tạo HTML cho từng hàng trong bảng
           tableHtml += "<tr>";
           tableHtml += '<td class="col1">' + booking.id + "</td>";
           tableHtml += '<td class="col2">' + booking.room_id + "</td>";
           tableHtml += '<td class="col1">' + booking.full_name + "</td>";
+          tableHtml += '<td class="col1">' + formatGuests(booking) + "</td>";
           tableHtml += '<td class="col2">' + booking.user_id + "</td>";
           tableHtml += '<td class="col2">' + booking.total_price + "</td>";
-          if (booking.status)
-            tableHtml += '<td class="col1">' + "Đã thanh toán" + "</td>";
-          else tableHtml += '<td class="col1">' + "Chưa thanh toán" + "</td>";
+          tableHtml +=
+            '<td class="col1">' +
+            (statusLabels[booking.status] || booking.status) +
+            "</td>";
 
           tableHtml +=
             '<td class="col1">' + booking.check_in_date.slice(0, 10) + "</td>";
@@ -39,6 +70,7 @@ $(document).ready(function () {
         });
         // Render dữ liệu vào bảng
         $(".booking-table table tbody").html(tableHtml);
+        renderPagination(data.total);
         console.log("Đang render page");
       },
       error: function (xhr, status, error) {
@@ -48,6 +80,27 @@ $(document).ready(function () {
     });
   }
 
+  // Hiển thị nút chuyển trang
+  function renderPagination(total) {
+    const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+    const page = Math.floor(currentOffset / pageSize) + 1;
+    $(".booking-pagination").html(
+      `<button type="button" class="prevPage" ${page <= 1 ? "disabled" : ""}>Trước</button>` +
+        `<span> Trang ${page} / ${pageCount} (${total} đơn) </span>` +
+        `<button type="button" class="nextPage" ${page >= pageCount ? "disabled" : ""}>Sau</button>`
+    );
+  }
+
+  $(document).on("click", ".prevPage", function () {
+    currentOffset = Math.max(currentOffset - pageSize, 0);
+    renderPage();
+  });
+
+  $(document).on("click", ".nextPage", function () {
+    currentOffset += pageSize;
+    renderPage();
+  });
+
   renderPage();
 
   // Sự kiện khi click vào nút "Thêm"
@@ -90,23 +143,24 @@ $(document).ready(function () {
     // Lấy ID người dùng từ thuộc tính data
     let id = $(".popup-delete").attr("data-id");
     console.log("id booking", id);
-    // Gửi yêu cầu xóa người dùng
+    // Booking không bị xoá mà được huỷ, để giữ lại lịch sử trạng thái
     $.ajax({
-      url: `http://localhost:3030/api/v1/booking/${id}`,
-      method: "DELETE",
+      url: `http://localhost:3030/api/v1/booking/${id}/cancel`,
+      method: "POST",
+      headers: { token: localStorage.getItem("token") },
       success: function (data) {
         // Xử lý thành công
         $(".popup-overlay-delete").hide();
         $(".popup-delete").hide();
-        alert("Xóa booking thành công!");
+        alert("Huỷ booking thành công!");
         // Gọi lại hàm renderPage để cập nhật trang
         renderPage();
       },
       error: function (error) {
         // Xử lý lỗi
-        console.log("Đã xảy ra lỗi khi xóa booking:", error);
+        console.log("Đã xảy ra lỗi khi huỷ booking:", error);
 
-        alert("Error xóa booking")
+        alert("Error huỷ booking")
       },
     });
   });
@@ -260,14 +260,18 @@ $(document).ready(function () {
 
             <label>Hình thức thanh toán</label>
             <select class="form-select" name="payment" id="Hotelpayment">
-            ${["offline", "online"]
+            ${[
+              ["pay_at_hotel", "Thanh toán tại khách sạn"],
+              ["vnpay", "VNPay"],
+              ["vnpay,pay_at_hotel", "VNPay hoặc tại khách sạn"],
+            ]
               .map(
-                (optionValue1) => `
+                ([optionValue1, label]) => `
                 <option value="${optionValue1}" ${
                   optionValue1.toString() === data.payment.toString()
                     ? "selected"
                     : ""
-                }>${optionValue1}</option>
+                }>${label}</option>
             `
               )
               .join("")}
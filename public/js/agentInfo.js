@@ -501,13 +501,17 @@ $(document).ready(function () {
 
             <label>Hình thức thanh toán</label>
             <select class="form-select" name="payment" id="Hotelpayment">
-            ${["offline", "online"]
+            ${[
+              ["pay_at_hotel", "Thanh toán tại khách sạn"],
+              ["vnpay", "VNPay"],
+              ["vnpay,pay_at_hotel", "VNPay hoặc tại khách sạn"],
+            ]
             .map(
-              (optionValue1) => `
+              ([optionValue1, label]) => `
                 <option value="${optionValue1}" ${optionValue1.toString() === data.payment.toString()
                   ? "selected"
                   : ""
-                }>${optionValue1}</option>
+                }>${label}</option>
             `
             )
             .join("")}
@@ -652,6 +656,22 @@ $(document).ready(function () {
   }); //   end of update user info
 
   //Booking list section
+  // Số khách của đơn, vd "2 người lớn, 1 trẻ em (5 tuổi)"
+  function formatGuests(booking) {
+    var text = (booking.adults || 1) + " người lớn";
+    if (booking.children > 0) {
+      text += ", " + booking.children + " trẻ em";
+      if (booking.child_ages && booking.child_ages.length > 0) {
+        text += " (" + booking.child_ages.join(", ") + " tuổi)";
+      }
+    }
+    return text;
+  }
+
+  // Đơn đặt phòng được lấy theo từng trang
+  const bookingPageSize = 20;
+  let bookingOffset = 0;
+
   function renderBookingList() {
     var hotelId = localStorage.getItem("hotelId");
     // let roomIds = [];
@@ -670,10 +690,12 @@ $(document).ready(function () {
     $.ajax({
       url: `http://localhost:3030/api/v1/booking?hotel_id=${hotelId}`,
       method: "GET",
+      headers: { token: getToken() },
+      data: { limit: bookingPageSize, offset: bookingOffset },
       success: function (data) {
         console.log(data);
         var tableHtml = "";
-        if (data.length == 0) {
+        if (data.total == 0) {
           tableHtml += "<div class=row>";
           tableHtml += '<div class="col-5">';
           tableHtml +=
@@ -685,12 +707,15 @@ $(document).ready(function () {
           $(".booking-table table").hide();
           $(".booking-table").html(tableHtml);
         } else {
-          data.forEach(function (booking, index) {
+          data.bookings.forEach(function (booking, index) {
             // Tạo HTML cho từng hàng trong bảng
             tableHtml += "<tr>";
-            tableHtml += '<td class="col1">' + (index + 1) + "</td>";
+            tableHtml +=
+              '<td class="col1">' + (bookingOffset + index + 1) + "</td>";
             tableHtml += '<td class="col2">' + booking.room_id + "</td>";
             tableHtml += '<td class="col1">' + booking.full_name + "</td>";
+            tableHtml +=
+              '<td class="col1">' + formatGuests(booking) + "</td>";
             tableHtml += '<td class="col2">' + booking.user_id + "</td>";
             tableHtml += '<td class="col2">' + booking.total_price + "</td>";
             tableHtml += '<td class="col1">' + booking.status + "</td>";
@@ -718,6 +743,7 @@ $(document).ready(function () {
           });
         }
 
+        renderBookingPagination(data.total);
         // Render dữ liệu vào bảng
         console.log("Đang render page");
       },
@@ -728,6 +754,27 @@ $(document).ready(function () {
     });
   }
 
+  // Hiển thị nút chuyển trang của danh sách đơn
+  function renderBookingPagination(total) {
+    const pageCount = Math.max(Math.ceil(total / bookingPageSize), 1);
+    const page = Math.floor(bookingOffset / bookingPageSize) + 1;
+    $(".booking-pagination").html(
+      `<button type="button" class="prevBookingPage" ${page <= 1 ? "disabled" : ""}>Trước</button>` +
+        `<span> Trang ${page} / ${pageCount} (${total} đơn) </span>` +
+        `<button type="button" class="nextBookingPage" ${page >= pageCount ? "disabled" : ""}>Sau</button>`
+    );
+  }
+
+  $(document).on("click", ".prevBookingPage", function () {
+    bookingOffset = Math.max(bookingOffset - bookingPageSize, 0);
+    renderBookingList();
+  });
+
+  $(document).on("click", ".nextBookingPage", function () {
+    bookingOffset += bookingPageSize;
+    renderBookingList();
+  });
+
   renderBookingList();
 
   $(document).on("click", ".hotel-img-icon-cc", function () {
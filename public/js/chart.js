@@ -5,12 +5,37 @@ var profitLabels = []; // Array to hold dates
 var hotelCounts = [];
 var hotelLabels = []; // Array to hold hotel names
 
+// Fetches every booking created in the selected month, page by page
+async function fetchMonthBookings(selectedYearMonth) {
+  const [year, month] = selectedYearMonth.split("-").map(Number);
+  const lastDay = new Date(year, month, 0).getDate();
+  let bookings = [];
+  let offset = 0;
+  let total = 1;
+
+  while (offset < total) {
+    const page = await $.ajax({
+      type: "GET",
+      url: `http://localhost:3030/api/v1/booking`,
+      headers: { token: localStorage.getItem("token") },
+      data: {
+        created_from: `${selectedYearMonth}-01`,
+        created_to: `${selectedYearMonth}-${lastDay} 23:59:59`,
+        limit: 100,
+        offset,
+      },
+    });
+    bookings = bookings.concat(page.bookings);
+    total = page.total;
+    offset += page.limit;
+  }
+  return bookings;
+}
+
 // Function to fetch data using AJAX
 function getDummyData(selectedYearMonth) {
-  return $.ajax({
-    type: "GET",
-    url: `http://localhost:3030/api/v1/booking`,
-    success: (data) => {
+  return fetchMonthBookings(selectedYearMonth).then(
+    (data) => {
       let profitByDate = {};
       let hotelBookingCounts = {};
 
@@ -55,10 +80,10 @@ function getDummyData(selectedYearMonth) {
         hotelCounts.push(hotelBookingCounts[hotel]);
       }
     },
-    error: (error) => {
+    (error) => {
       console.error("Error fetching data:", error);
-    },
-  });
+    }
+  );
 }
 console.log(profit);
 console.log(profitLabels);
@@ -380,6 +380,7 @@ $(document).ready(async function () {
                   <div class="col-lg-5">
                     <div class="room-price">
                       <p>VND ${numberWithCommas(item.price)}</p>
+                      <p class="rooms-left" data-room-id="${item.id}"></p>
                       <button class="btn btn-primary booking" data-room-id="${
                         item.id
                       }">Đặt phòng</button>
@@ -393,8 +394,35 @@ $(document).ready(async function () {
       </div>`;
         $(".room-booking").append(card);
       });
+      loadRoomsLeft();
     },
   });
+
+  // Số phòng còn trống của mọi phòng trong ngày đã chọn, lấy bằng một request
+  function loadRoomsLeft() {
+    const searchData = JSON.parse(localStorage.getItem("searchData") || "{}");
+    if (!searchData.checkInDate || !searchData.checkOutDate) return;
+
+    $.ajax({
+      url: `http://localhost:3030/api/v1/booking/hotelAvailability?hotelId=${hotelId}&checkInDate=${searchData.checkInDate}&checkOutDate=${searchData.checkOutDate}`,
+      method: "GET",
+      success: (data) => {
+        data.rooms.forEach((room) => {
+          const badge = $(`.rooms-left[data-room-id="${room.room_id}"]`);
+          if (room.availableQuantity === 0) {
+            badge.text("Hết phòng").css("color", "#d9534f");
+          } else if (room.availableQuantity <= 3) {
+            badge
+              .text(`Chỉ còn ${room.availableQuantity} phòng`)
+              .css("color", "#f0ad4e");
+          }
+        });
+      },
+      error: (error) => {
+        console.error("Error loading room availability:", error);
+      },
+    });
+  }
   function loadReviews() {
     $.ajax({
       url: "http://localhost:3030/api/v1/reviews?hotelId=" + hotelId,
@@ -451,8 +479,10 @@ $(document).ready(async function () {
       url: `http://localhost:3030/api/v1/booking?user_id=` + userId, // Đường dẫn tới API hoặc endpoint để lấy thông tin booking
       type: "GET", // Loại yêu cầu là GET
       contentType: "application/json",
+      headers: { token: localStorage.getItem("token") },
+      data: { limit: 100 },
       success: function (data) {
-        data.forEach((booking) => {
+        data.bookings.forEach((booking) => {
           if (arrayRoom.includes(booking.room_id)) {
             $(".send-review").show();
           }
@@ -707,6 +737,17 @@ $(document).on("click", ".booking", function () {
         }
       },
       error: function (jqXHR, textStatus, errorThrown) {
+        // Hết phòng: cho khách vào danh sách chờ
+        if (jqXHR.responseJSON && jqXHR.responseJSON.waitlist) {
+          if (
+            confirm(
+              "Phòng đã hết cho ngày đã chọn. Bạn có muốn vào danh sách chờ? Chúng tôi sẽ giữ phòng và gửi email cho bạn khi có phòng trống."
+            )
+          ) {
+            joinWaitlist(roomId, hotelData);
+          }
+          return;
+        }
         console.error("Error checking availability:", errorThrown);
         alert("Có lỗi xảy ra khi kiểm tra phòng trống. Vui lòng thử lại sau.");
       },
@@ -716,6 +757,28 @@ $(document).on("click", ".booking", function () {
   }
 });
 
+const joinWaitlist = (roomId, hotelData) => {
+  $.ajax({
+    url: "http://localhost:3030/api/v1/waitlist",
+    type: "POST",
+    contentType: "application/json",
+    headers: { token },
+    data: JSON.stringify({
+      room_id: roomId,
+      check_in_date: hotelData.checkInDate,
+      check_out_date: hotelData.checkOutDate,
+      quantity: Number(hotelData.numberOfRooms) || 1,
+    }),
+    success: (data) => {
+      alert(`Bạn đang ở vị trí số ${data.position} trong danh sách chờ.`);
+    },
+    error: (jqXHR) => {
+      const body = jqXHR.responseJSON || {};
+      alert(body.message || body.error || "Không thể vào danh sách chờ.");
+    },
+  });
+};
+
 const findhotel = () => {
   // Lấy giá trị của ô input có id là "hotel-destination"
   var location = $("#hotel-destination").val();
@@ -13,8 +13,11 @@ $(document).ready(function () {
       url: `http://localhost:3030/api/v1/booking?user_id=` + userId, // Đường dẫn tới API hoặc endpoint để lấy thông tin booking
       type: "GET", // Loại yêu cầu là GET
       contentType: "application/json",
+      headers: { token: localStorage.getItem("token") },
+      // Các đơn gần nhất trước
+      data: { limit: 100, sort: "-check_in_date" },
       success: function (data) {
-        renderBookings(data);
+        renderBookings(data.bookings);
       },
       error: function (xhr, status, error) {
         // Xử lý lỗi khi yêu cầu không thành công
@@ -23,6 +26,54 @@ $(document).ready(function () {
       },
     });
   }
+  // Link lịch .ics để ứng dụng lịch trên điện thoại đăng ký theo dõi
+  $.ajax({
+    url: "http://localhost:3030/api/v1/calendar/feeds",
+    type: "GET",
+    headers: { token: localStorage.getItem("token") },
+    success: function (feeds) {
+      $(".calendar-subscribe")
+        .attr("href", feeds.user.replace(/^https?:/, "webcal:"))
+        .show();
+    },
+    error: function (xhr, status, error) {
+      console.error("Error fetching calendar feed:", error);
+    },
+  });
+
+  // Hỏi server số tiền được hoàn trước khi hủy
+  $(document).on("click", ".cancelBooking", function () {
+    const bookingId = $(this).val();
+    const headers = { token: localStorage.getItem("token") };
+
+    $.ajax({
+      url: `http://localhost:3030/api/v1/booking/${bookingId}/cancel`,
+      type: "GET",
+      headers,
+      success: function (quote) {
+        const message = `Bạn sẽ được hoàn ${quote.refund_amount} VND (${quote.refund_percent}%). Xác nhận hủy?`;
+        if (!confirm(message)) return;
+
+        $.ajax({
+          url: `http://localhost:3030/api/v1/booking/${bookingId}/cancel`,
+          type: "POST",
+          headers,
+          success: function () {
+            alert("Hủy đặt phòng thành công!");
+            $(".booking-container").empty();
+            fetchUserBookings(userId);
+          },
+          error: function (xhr, status, error) {
+            console.error("Error cancelling booking:", error);
+          },
+        });
+      },
+      error: function (xhr, status, error) {
+        console.error("Error fetching refund quote:", error);
+      },
+    });
+  });
+
   // Hàm render thông tin booking
   function renderBookings(bookings) {
     if (bookings.length === 0) {
@@ -92,6 +143,12 @@ $(document).ready(function () {
                                 <div class="room-price">
                                     <p>VND ${booking.total_price}</p>
                                 </div>
+                                ${
+                                  booking.status === "pending_payment" ||
+                                  booking.status === "confirmed"
+                                    ? `<button type="button" class="cancelBooking" value="${booking.id}">Hủy đặt phòng</button>`
+                                    : ""
+                                }
                             </div>
                         </div>
                     </div>
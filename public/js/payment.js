@@ -11,40 +11,36 @@ $(document).ready(function () {
     return isNaN(intValue) ? value : intValue;
   }
 
-  function getNumberOfNights(checkIn, checkOut) {
-    const checkInDate = new Date(checkIn);
-    const checkOutDate = new Date(checkOut);
-    const millisecondsPerDay = 1000 * 60 * 60 * 24;
-    const diffInTime = checkOutDate.getTime() - checkInDate.getTime();
-    const diffInDays = Math.round(diffInTime / millisecondsPerDay);
-    return diffInDays + 1;
-  }
-
   const data = localStorage.getItem("searchData");
-  let numberOfNights = 1;
   let numberOfRooms = 1;
-  let numberOfChildren;
+  let numberOfAdults = 1;
+  let numberOfChildren = 0;
+  let couponCode = null;
   let totalPrice = 0;
-  let newTotalPrice = 0;
 
   if (data) {
     var hotelData = JSON.parse(data);
     $("#checkIn").text("Từ: " + hotelData.checkInDate);
     $("#checkOut").text("Đến: " + hotelData.checkOutDate);
     $("#manyRooms").text(hotelData.numberOfRooms);
-    numberOfNights = getNumberOfNights(
-      hotelData.checkInDate,
-      hotelData.checkOutDate
-    );
     numberOfRooms = hotelData.numberOfRooms;
-    numberOfChildren = hotelData.numberOfChildren || 0;
+    numberOfAdults = parseInt(hotelData.numberOfAdults, 10) || 1;
+    numberOfChildren = parseInt(hotelData.numberOfChildren, 10) || 0;
   } else {
     console.log("No data found in Local Storage");
   }
-  let all = numberOfNights * numberOfRooms;
   var hotelId = getParameterByName("hotelId");
   var roomId = getParameterByName("roomId");
 
+  // Khách sạn cần tuổi của từng trẻ em (bữa sáng, giường phụ)
+  for (let i = 1; i <= numberOfChildren; i++) {
+    $("#childAges").append(`
+      <label>
+        <span>Tuổi trẻ em ${i}</span>
+        <input type="number" class="child-age" min="0" max="17" />
+      </label>`);
+  }
+
   $.ajax({
     url: "http://localhost:3030/api/v1/hotels/" + hotelId,
     method: "GET",
@@ -53,44 +49,65 @@ $(document).ready(function () {
     },
   });
 
-  // AJAX call to fetch hotel and room data
   $.ajax({
     url: "http://localhost:3030/api/v1/rooms/" + roomId,
     method: "GET",
     success: (data) => {
-      const discountRate = 0.1 * numberOfChildren;
-      const discountedPrice = Math.ceil(data.price * (1 - discountRate));
-      totalPrice = discountedPrice * all;
-      newTotalPrice = totalPrice;
-      $("#totalPrice").text(numberWithCommas(totalPrice) + " VND");
       $("#Price").text(numberWithCommas(data.price) + " VND");
     },
   });
 
-  function updateTotalPrice(discountPercent) {
-    const discountAmount = totalPrice * (discountPercent / 100);
-    newTotalPrice = totalPrice - discountAmount;
-    $("#totalPrice").text(numberWithCommas(newTotalPrice.toFixed(2)) + " VND");
+  // The total is always computed by the server
+  function fetchQuote(code, onSuccess, onError) {
+    $.ajax({
+      url: "http://localhost:3030/api/v1/booking/quote",
+      method: "GET",
+      data: {
+        roomId: roomId,
+        checkInDate: hotelData.checkInDate,
+        checkOutDate: hotelData.checkOutDate,
+        quantity: numberOfRooms,
+        couponCode: code || undefined,
+      },
+      success: (quote) => {
+        totalPrice = quote.total;
+        // One row per coupon, in the order the server applied them
+        $("#discountLines").html(
+          quote.discounts.map((line) =>
+            $("<tr>").append(
+              $("<td>").text(
+                "Giảm giá " +
+                  line.code +
+                  (line.percent ? " (" + line.percent + "%)" : "")
+              ),
+              $("<td>").text("-" + numberWithCommas(line.amount) + " VND")
+            )
+          )
+        );
+        $("#totalPrice").text(numberWithCommas(quote.total) + " VND");
+        if (onSuccess) onSuccess(quote);
+      },
+      error: onError,
+    });
+  }
+
+  if (hotelData) {
+    fetchQuote(null);
   }
 
   // Event listener for the apply button click event
   $("#applyCoupon").click(function () {
-    const couponCode = $("#Coupon").val();
-    if (couponCode) {
-      $.ajax({
-        url: "http://localhost:3030/api/v1/coupon/getByCode/" + couponCode,
-        method: "GET",
-        success: function (coupon) {
-          if (coupon && coupon.percent) {
-            updateTotalPrice(coupon.percent);
-          } else {
-            alert("Mã giảm giá không hợp lệ.");
-          }
+    const code = $("#Coupon").val();
+    if (code) {
+      fetchQuote(
+        code,
+        function () {
+          couponCode = code;
         },
-        error: function () {
-          alert("Không thể xác thực mã giảm giá.");
-        },
-      });
+        function () {
+          alert("Mã giảm giá không hợp lệ.");
+        }
+      );
     } else {
       alert("Vui lòng nhập mã giảm giá.");
     }
@@ -124,46 +141,64 @@ $(document).ready(function () {
       !userID ||
       !hotelData.checkInDate ||
       !hotelData.checkOutDate ||
-      !newTotalPrice
+      !totalPrice
     ) {
       alert("Vui lòng điền đầy đủ thông tin.");
       return;
     }
 
+    var childAges = $(".child-age")
+      .map(function () {
+        return parseInt($(this).val(), 10);
+      })
+      .get();
+    if (childAges.some((age) => isNaN(age))) {
+      alert("Vui lòng nhập tuổi của từng trẻ em.");
+      return;
+    }
+
+    var paymentMethod = $("input[name='dbt']:checked").val();
+    if (paymentMethod !== "dbt" && paymentMethod !== "cd") {
+      alert("Vui lòng chọn phương thức thanh toán!");
+      return;
+    }
+
     var data = {
       room_id: roomId,
-      user_id: userID,
       hotel_id: hotelId,
       check_in_date: hotelData.checkInDate,
       check_out_date: hotelData.checkOutDate,
-      total_price: newTotalPrice, // Use newTotalPrice here
+      coupon_code: couponCode,
       full_name: $("#fname").val(),
       special_requests: $("#specialRequest").val(),
       quantity: numberOfRooms,
-      status: false,
+      adults: numberOfAdults,
+      children: numberOfChildren,
+      child_ages: childAges,
+      payment_method: paymentMethod === "cd" ? "pay_at_hotel" : "vnpay",
     };
     console.log(data);
 
     $.ajax({
       url: "http://localhost:3030/api/v1/booking/",
       method: "POST",
+      headers: { token: localStorage.getItem("token") },
       data: JSON.stringify(data),
       contentType: "application/json",
       success: function (response) {
         var bookingId = response.id;
-        var paymentMethod = $("input[name='dbt']:checked").val();
         console.log(response);
 
         if (paymentMethod === "dbt") {
           window.location.href = `http://localhost:3030/paymentmethod?bookingId=${bookingId}`;
-        } else if (paymentMethod === "cd") {
-          window.location.href = `http://localhost:3030/resultTT?bookingId=${bookingId}`;
         } else {
-          alert("Vui lòng chọn phương thức thanh toán!");
+          window.location.href = `http://localhost:3030/resultTT?bookingId=${bookingId}`;
         }
       },
       error: function (err) {
         console.log("Thanh toán thất bại", err);
+        const body = err.responseJSON || {};
+        if (body.message || body.error) alert(body.message || body.error);
       },
     });
   }
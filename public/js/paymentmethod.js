@@ -24,6 +24,7 @@ $(document).ready(function () {
   $.ajax({
     url: "http://localhost:3030/api/v1/booking/getDetail/" + bookingID,
     method: "GET",
+    headers: { token: localStorage.getItem("token") },
     success: (data) => {
       $("#RoomName").html("Loại phòng" + "<br>" + data.Room.name);
       const checkInDate = new Date(data.check_in_date);
@@ -103,6 +104,9 @@ $(document).ready(function () {
         error: function (xhr, status, error) {
           // Xử lý lỗi khi gọi API
           console.error("API call failed:", error);
+          if (xhr.responseJSON && xhr.responseJSON.message) {
+            alert(xhr.responseJSON.message);
+          }
         // Hiển thị thông báo lỗi cho người dùng nếu cần thiết
       },
     });
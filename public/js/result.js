@@ -24,6 +24,7 @@ $(document).ready(function () {
   $.ajax({
     url: "http://localhost:3030/api/v1/booking/getDetail/" + bookingID,
     method: "GET",
+    headers: { token: localStorage.getItem("token") },
     success: (data) => {
       $("#RoomName").html("Loại phòng" + "<br>" + data.Room.name);
       const checkInDate = new Date(data.check_in_date);
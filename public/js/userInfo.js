@@ -244,10 +244,12 @@ $(document).ready(function () {
     $.ajax({
       url: `http://localhost:3030/api/v1/booking?user_id=${userId}`,
       method: "GET",
+      headers: { token: localStorage.getItem("token") },
+      data: { limit: 100 },
       success: function (data) {
         console.log(data);
         var tableHtml = "";
-        if (data.length == 0) {
+        if (data.total == 0) {
           //Trường hợp không có booking
           tableHtml += '<div class="row empty-booking">';
           tableHtml += '<div class="col-5" >';
@@ -261,7 +263,7 @@ $(document).ready(function () {
           $(".my-booking table").hide();
           $(".my-booking").html(tableHtml);
         } else {
-          data.forEach(async function (booking, index) {
+          data.bookings.forEach(async function (booking, index) {
             // Tạo HTML cho từng hàng trong bảng
 
             tableHtml += "<tr>";
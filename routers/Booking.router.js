@@ -1,21 +1,47 @@
-const { Booking } = require("../models");
-const { checkExist } = require("../middlewares/validations/checkExist.js");
 const express = require("express");
 const {
   createBooking,
   getAllBooking,
   getDetailBooking,
-  deleteBooking,
   getAvailability,
+  getHotelAvailability,
+  getQuote,
+  confirmBooking,
+  checkInBooking,
+  completeBooking,
+  cancelBooking,
+  markNoShowBooking,
+  refundBooking,
+  getBookingHistory,
+  getCancellationQuote,
+  modifyBooking,
 } = require("../controllers/payment.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
 
 const BookingRouter = express.Router();
-BookingRouter.post("/", createBooking);
-BookingRouter.get("/", getAllBooking);
-BookingRouter.get("/getDetail/:id", getDetailBooking);
+BookingRouter.post("/", authenticate, createBooking);
+BookingRouter.get("/", authenticate, getAllBooking);
+BookingRouter.get("/getDetail/:id", authenticate, getDetailBooking);
 BookingRouter.get("/checkAvailability", getAvailability);
+BookingRouter.get("/hotelAvailability", getHotelAvailability);
+BookingRouter.get("/quote", getQuote);
+BookingRouter.get("/:id/history", authenticate, getBookingHistory);
 
-BookingRouter.delete("/:id", checkExist(Booking), deleteBooking);
+// Status lifecycle, see utils/bookingStatus.js for the allowed transitions
+const staff = [authenticate, authorize(["admin", "owner"])];
+BookingRouter.post("/:id/confirm", staff, confirmBooking);
+BookingRouter.post("/:id/checkIn", staff, checkInBooking);
+BookingRouter.post("/:id/complete", staff, completeBooking);
+BookingRouter.post("/:id/noShow", staff, markNoShowBooking);
+BookingRouter.post("/:id/refund", staff, refundBooking);
+BookingRouter.get("/:id/cancel", authenticate, getCancellationQuote);
+BookingRouter.post("/:id/cancel", authenticate, cancelBooking);
+BookingRouter.patch("/:id", authenticate, modifyBooking);
+
+// Bookings are never removed, their status history must outlive them:
+// deleting one cancels it
+BookingRouter.delete("/:id", authenticate, cancelBooking);
 
 module.exports = {
   BookingRouter,
@@ -0,0 +1,29 @@
+const express = require("express");
+const {
+  getFeedLinks,
+  rotateUserFeed,
+  rotateHotelFeed,
+  getUserFeed,
+  getHotelFeed,
+} = require("../controllers/calendar.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+const CalendarRouter = express.Router();
+
+CalendarRouter.get("/feeds", authenticate, getFeedLinks);
+// New URLs for a leaked feed; the old ones stop working
+CalendarRouter.post("/feeds/users/rotate", authenticate, rotateUserFeed);
+CalendarRouter.post(
+  "/feeds/hotels/:id/rotate",
+  authenticate,
+  authorize(["admin", "owner"]),
+  rotateHotelFeed
+);
+// Opened by calendar apps, authorised by the `token` query parameter
+CalendarRouter.get("/users/:id.ics", getUserFeed);
+CalendarRouter.get("/hotels/:id.ics", getHotelFeed);
+
+module.exports = {
+  CalendarRouter,
+};
@@ -0,0 +1,21 @@
+const express = require("express");
+const {
+  getCancellationPolicy,
+  updateCancellationPolicy,
+} = require("../controllers/cancellationPolicy.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+const CancellationPolicyRouter = express.Router();
+
+CancellationPolicyRouter.get("/:hotelId", getCancellationPolicy);
+CancellationPolicyRouter.put(
+  "/:hotelId",
+  authenticate,
+  authorize(["admin", "owner"]),
+  updateCancellationPolicy
+);
+
+module.exports = {
+  CancellationPolicyRouter,
+};
@@ -7,7 +7,17 @@ const {
   deleteCoupon,
   getDetailCoupon,
   getCouponByCode,
+  evaluateCoupon,
 } = require("../controllers/coupons.controllers");
+const {
+  createCampaign,
+  getCampaigns,
+  getCampaignDashboard,
+  getCampaignCodeList,
+  exportCampaignCodes,
+} = require("../controllers/couponCampaign.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
 
 const CouponRouter = express.Router();
 
@@ -18,6 +28,15 @@ CouponRouter.get("/manageCoupon", displayCoupon);
 CouponRouter.put("/editCoupon/:id", editCoupon);
 CouponRouter.delete("/deleteCoupon/:id", deleteCoupon);
 CouponRouter.get("/getByCode/:code", getCouponByCode);
+CouponRouter.get("/evaluate", evaluateCoupon);
+
+// Bulk single-use codes, e.g. for partner giveaways
+const admin = [authenticate, authorize(["admin"])];
+CouponRouter.post("/campaigns", admin, createCampaign);
+CouponRouter.get("/campaigns", admin, getCampaigns);
+CouponRouter.get("/campaigns/:id", admin, getCampaignDashboard);
+CouponRouter.get("/campaigns/:id/codes", admin, getCampaignCodeList);
+CouponRouter.get("/campaigns/:id/codes.csv", admin, exportCampaignCodes);
 module.exports = {
   CouponRouter,
 };
@@ -0,0 +1,21 @@
+const express = require("express");
+const {
+  getHolidayRates,
+  createHolidayRate,
+  updateHolidayRate,
+  deleteHolidayRate,
+} = require("../controllers/holidayRate.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+const HolidayRateRouter = express.Router();
+const staff = [authenticate, authorize(["admin", "owner"])];
+
+HolidayRateRouter.get("/", getHolidayRates);
+HolidayRateRouter.post("/", staff, createHolidayRate);
+HolidayRateRouter.put("/:id", staff, updateHolidayRate);
+HolidayRateRouter.delete("/:id", staff, deleteHolidayRate);
+
+module.exports = {
+  HolidayRateRouter,
+};
@@ -13,6 +13,15 @@ const { urlImageRoom } = require("./urlImageRoom.routers");
 const { urlImageHotel } = require("./urlImageHotel.routers");
 const { vnpayRouter } = require("./vnpay.routers");
 const { CouponRouter } = require("./coupon.routers");
+const { CancellationPolicyRouter } = require("./cancellationPolicy.routers");
+const { RoomInventoryRouter } = require("./roomInventory.routers");
+const { RatePlanRouter } = require("./ratePlan.routers");
+const { HolidayRateRouter } = require("./holidayRate.routers");
+const { OrderRouter } = require("./order.routers");
+const { CalendarRouter } = require("./calendar.routers");
+const { WaitlistRouter } = require("./waitlist.routers");
+const { PaymentTransactionRouter } = require("./paymentTransaction.routers");
+const { PaymentProviderRouter } = require("./paymentProvider.routers");
 const rootRouter = express.Router();
 
 rootRouter.use("/users", userRouter);
@@ -29,6 +38,15 @@ rootRouter.use("/urlImageHotel", urlImageHotel);
 rootRouter.use("/booking", BookingRouter);
 rootRouter.use("/vnpay", vnpayRouter);
 rootRouter.use("/coupon", CouponRouter);
+rootRouter.use("/cancellationPolicy", CancellationPolicyRouter);
+rootRouter.use("/roomInventory", RoomInventoryRouter);
+rootRouter.use("/ratePlans", RatePlanRouter);
+rootRouter.use("/holidayRates", HolidayRateRouter);
+rootRouter.use("/orders", OrderRouter);
+rootRouter.use("/calendar", CalendarRouter);
+rootRouter.use("/waitlist", WaitlistRouter);
+rootRouter.use("/paymentTransactions", PaymentTransactionRouter);
+rootRouter.use("/payments", PaymentProviderRouter);
 module.exports = {
   rootRouter,
 };
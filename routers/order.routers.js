@@ -0,0 +1,12 @@
+const express = require("express");
+const { createOrder, getOrder } = require("../controllers/order.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+
+const OrderRouter = express.Router();
+
+OrderRouter.post("/", authenticate, createOrder);
+OrderRouter.get("/:id", authenticate, getOrder);
+
+module.exports = {
+  OrderRouter,
+};
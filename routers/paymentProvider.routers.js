@@ -0,0 +1,30 @@
+const express = require("express");
+const {
+  loadProvider,
+  getProviders,
+  createPayment,
+  handleReturn,
+  handleWebhook,
+  queryPaymentStatus,
+  refundPayment,
+} = require("../controllers/paymentProvider.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+const PaymentProviderRouter = express.Router();
+
+PaymentProviderRouter.get("/providers", getProviders);
+PaymentProviderRouter.post("/:provider/create", loadProvider, createPayment);
+PaymentProviderRouter.get("/:provider/return", loadProvider, handleReturn);
+// Webhook URL registered with each provider, called server to server
+PaymentProviderRouter.get("/:provider/webhook", loadProvider, handleWebhook);
+PaymentProviderRouter.post("/:provider/webhook", loadProvider, handleWebhook);
+
+// Reconciliation and refunds through the provider of the booking's payment
+const admin = [authenticate, authorize(["admin"])];
+PaymentProviderRouter.get("/bookings/:id/status", admin, queryPaymentStatus);
+PaymentProviderRouter.post("/bookings/:id/refund", admin, refundPayment);
+
+module.exports = {
+  PaymentProviderRouter,
+};
@@ -0,0 +1,18 @@
+const express = require("express");
+const {
+  getPaymentTransactions,
+  getPaymentTransaction,
+} = require("../controllers/paymentTransaction.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+const PaymentTransactionRouter = express.Router();
+
+// Accounting only: raw provider payloads stay with admins
+const admin = [authenticate, authorize(["admin"])];
+PaymentTransactionRouter.get("/", admin, getPaymentTransactions);
+PaymentTransactionRouter.get("/:id", admin, getPaymentTransaction);
+
+module.exports = {
+  PaymentTransactionRouter,
+};
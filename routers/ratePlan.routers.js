@@ -0,0 +1,21 @@
+const express = require("express");
+const {
+  getRatePlans,
+  createRatePlan,
+  updateRatePlan,
+  deleteRatePlan,
+} = require("../controllers/ratePlan.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+const RatePlanRouter = express.Router();
+const staff = [authenticate, authorize(["admin", "owner"])];
+
+RatePlanRouter.get("/room/:roomId", staff, getRatePlans);
+RatePlanRouter.post("/room/:roomId", staff, createRatePlan);
+RatePlanRouter.put("/:id", staff, updateRatePlan);
+RatePlanRouter.delete("/:id", staff, deleteRatePlan);
+
+module.exports = {
+  RatePlanRouter,
+};
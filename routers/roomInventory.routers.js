@@ -0,0 +1,26 @@
+const express = require("express");
+const {
+  getRoomInventory,
+  updateRoomInventory,
+} = require("../controllers/roomInventory.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+const RoomInventoryRouter = express.Router();
+
+RoomInventoryRouter.get(
+  "/:roomId",
+  authenticate,
+  authorize(["admin", "owner"]),
+  getRoomInventory
+);
+RoomInventoryRouter.put(
+  "/:roomId",
+  authenticate,
+  authorize(["admin", "owner"]),
+  updateRoomInventory
+);
+
+module.exports = {
+  RoomInventoryRouter,
+};
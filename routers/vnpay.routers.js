@@ -1,13 +1,32 @@
-const { Booking } = require("../models");
 const express = require("express");
 const {
-    createPaymentUrl,
-    vnpayReturn
-} = require("../controllers/vnpay.controller");
+    loadProvider,
+    createPayment,
+    handleReturn,
+    handleWebhook,
+    queryPaymentStatus,
+    refundPayment
+} = require("../controllers/paymentProvider.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+const { authorize } = require("../middlewares/authen/authorize");
+
+// Các URL cũ của VNPAY, giữ lại cho link và cấu hình đã khai báo với VNPAY.
+// Dùng chung xử lý với /payments/vnpay/...
+const vnpay = [(req, res, next) => {
+    req.params.provider = "vnpay";
+    next();
+}, loadProvider];
 
 const vnpayRouter = express.Router();
-vnpayRouter.post("/create-vnpay-url", createPaymentUrl);
-vnpayRouter.get("/vnpay_return",vnpayReturn);
+vnpayRouter.post("/create-vnpay-url", vnpay, createPayment);
+vnpayRouter.get("/vnpay_return", vnpay, handleReturn);
+// URL IPN khai báo với VNPAY để xác nhận thanh toán từ server tới server
+vnpayRouter.get("/vnpay_ipn", vnpay, handleWebhook);
+
+// Đối soát và hoàn tiền qua API merchant của VNPAY, chỉ dành cho admin
+const admin = [authenticate, authorize(["admin"])];
+vnpayRouter.get("/bookings/:id/status", admin, queryPaymentStatus);
+vnpayRouter.post("/bookings/:id/refund", admin, refundPayment);
 
 module.exports = {
     vnpayRouter,
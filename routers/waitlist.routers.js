@@ -0,0 +1,17 @@
+const express = require("express");
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+} = require("../controllers/waitlist.controller");
+const { authenticate } = require("../middlewares/authen/authenticate");
+
+const WaitlistRouter = express.Router();
+
+WaitlistRouter.post("/", authenticate, joinWaitlist);
+WaitlistRouter.get("/", authenticate, getMyWaitlist);
+WaitlistRouter.delete("/:id", authenticate, leaveWaitlist);
+
+module.exports = {
+  WaitlistRouter,
+};
@@ -21,7 +21,7 @@ module.exports = {
           star: 4,
           map: "Đường Nguyễn Thị Thập, Phường Tân Phú, Quận 7, TP.HCM | Cách trung tâm thành phố 5.2 km",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 1015000,
           ownerId: 1,
           createdAt: "2024-04-01 04:26:18",
@@ -32,7 +32,7 @@ module.exports = {
           star: 5,
           map: "Đường Cộng Hòa, Quận Tân Bình, TP.HCM | Cách trung tâm thành phố 4.7 km",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 2324235,
           ownerId: 2,
           createdAt: "2024-04-01 04:26:18",
@@ -42,7 +42,7 @@ module.exports = {
           name: "LA VELA SAIGON HOTEL ",
           star: 5,
           map: "Đường Nam Kỳ Khởi Nghĩa, Quận 3, TP.HCM | Cách trung tâm thành phố 1.8 km",
-          payment: "online",
+          payment: "vnpay",
           TypeHotel: "Hotel",
           cost: 3324235,
           ownerId: 3,
@@ -54,7 +54,7 @@ module.exports = {
           star: 4,
           map: "Đường Nguyễn Trãi, Phường Bến Thành, Quận 1, TP.HCM | Cách trung tâm thành phố 1.0 km",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 300000,
           ownerId: 4,
           createdAt: "2024-04-01 04:26:18",
@@ -65,7 +65,7 @@ module.exports = {
           star: 3,
           map: "Đường Nguyễn Trãi, Phường Nguyễn Cư Trinh, Quận 1, TP.HCM | Cách trung tâm thành phố 1.5 km",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 324235,
           ownerId: 5,
           createdAt: "2024-04-01 04:26:18",
@@ -75,7 +75,7 @@ module.exports = {
           name: "Ehome Saigon ",
           star: 2,
           map: "Đường Phạm Ngũ Lão, Quận 1, TP.HCM | Cách trung tâm thành phố 1.1 km",
-          payment: "online",
+          payment: "vnpay",
           TypeHotel: "homestay",
           cost: 224235,
           ownerId: 6,
@@ -87,7 +87,7 @@ module.exports = {
           star: 3,
           map: "157 Lê Quang Đạo, Bắc Mỹ Phú, Quận Ngũ Hành Sơn, Đà Nẵng",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 424901,
           ownerId: 7,
           createdAt: "2024-04-01 04:26:18",
@@ -97,7 +97,7 @@ module.exports = {
           name: "Adina Hotel",
           star: 3,
           map: "Đường Phạm Văn Đồng, An Hải Bắc, Sơn Trà, Đà Nẵng",
-          payment: "online",
+          payment: "vnpay",
           TypeHotel: "resort",
           cost: 215195,
           ownerId: 8,
@@ -109,7 +109,7 @@ module.exports = {
           star: 4,
           map: "Phan Liêm, Bãi biển Mỹ Khê, Ngũ Hành Sơn, Đà Nẵng",
           TypeHotel: "resort",
-          payment: "online",
+          payment: "vnpay",
           cost: 504143,
           ownerId: 9,
           createdAt: "2024-04-01 04:26:18",
@@ -120,7 +120,7 @@ module.exports = {
           star: 3,
           map: "Đường Đình Nghệ, An Hải Bắc, Sơn Trà, Đà Nẵng",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 255000,
           ownerId: 10,
           createdAt: "2024-04-01 04:26:18",
@@ -131,7 +131,7 @@ module.exports = {
           star: 5,
           map: "K5 Nghi Tàm, 11 Đường Xuân Diệu, Tây Hồ, Hà Nội",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 4500000,
           ownerId: 11,
           createdAt: "2024-04-01 04:26:18",
@@ -142,7 +142,7 @@ module.exports = {
           star: 4,
           map: "Số 1, Hùng Vương 1, Lê Lợi, Bắc Giang",
           TypeHotel: "homestay",
-          payment: "online",
+          payment: "vnpay",
           cost: 612258,
           ownerId: 12,
           createdAt: "2024-04-01 04:26:18",
@@ -153,7 +153,7 @@ module.exports = {
           star: 4,
           map: "Keangnam Hanoi Landmark Tower, Lô E6, Cầu Giấy, Mễ Trì, Từ Liêm, Nam Từ Liêm, Hà Nội",
           TypeHotel: "Hotel",
-          payment: "online",
+          payment: "vnpay",
           cost: 3374189,
           ownerId: 13,
           createdAt: "2024-04-01 04:26:18",
@@ -162,7 +162,7 @@ module.exports = {
         {
           name: "JW Marriott Hotel Hanoi",
           star: 5,
-          payment: "online",
+          payment: "vnpay",
           map: "8 Đỗ Đức Dục, P.Mễ Trì, Q., Nam Từ Liêm, Hà Nội",
           TypeHotel: "Hotel",
           cost: 4900000,
@@ -175,7 +175,7 @@ module.exports = {
           star: 5,
           map: "Bãi Khem, An Thới, Đảo Phú Quốc, Kiên Giang",
           TypeHotel: "resort",
-          payment: "online",
+          payment: "vnpay",
           cost: 6682230,
           ownerId: 15,
           createdAt: "2024-04-01 04:26:18",
@@ -186,7 +186,7 @@ module.exports = {
           star: 5,
           map: "Bãi Trường, Xã, Dương Tơ, Đảo Phú Quốc, Kiên Giang",
           TypeHotel: "resort",
-          payment: "online",
+          payment: "vnpay",
           cost: 5498680,
           ownerId: 16,
           createdAt: "2024-04-01 04:26:18",
@@ -197,7 +197,7 @@ module.exports = {
           star: 5,
           map: "Bai Dai, Gach Dau, Gành Dầu, Đảo Phú Quốc, Kiên Giang",
           TypeHotel: "resort",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 2103174,
           ownerId: 17,
           createdAt: "2024-04-01 04:26:18",
@@ -206,7 +206,7 @@ module.exports = {
         {
           name: "Senna Hue Hotel",
           star: 5,
-          payment: "offline",
+          payment: "pay_at_hotel",
           map: "7 Nguyễn Tri Phương, Huế, Tỉnh Thừa Thiên-Huế",
           TypeHotel: "Hotel",
           cost: 2195223,
@@ -217,7 +217,7 @@ module.exports = {
         {
           name: "Khách sạn Melia Vipearl Huế",
           star: 5,
-          payment: "offline",
+          payment: "pay_at_hotel",
           map: "50A Hùng Vương, Huế, Tỉnh Thừa Thiên-Huế",
           TypeHotel: "Hotel",
           cost: 2630974,
@@ -230,7 +230,7 @@ module.exports = {
           star: 4,
           map: "69 Thùy Vân, Vũng Tàu, Bà Rịa-Vũng Tàu",
           TypeHotel: "Hotel",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 2468013,
           ownerId: 20,
           createdAt: "2024-04-01 04:26:18",
@@ -241,7 +241,7 @@ module.exports = {
           star: 4,
           map: "28 Đường Thi Sách, Vũng Tàu, Bà Rịa-Vũng Tàu",
           TypeHotel: "homestay",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 1543843,
           ownerId: 21,
           createdAt: "2024-04-01 04:26:18",
@@ -252,7 +252,7 @@ module.exports = {
           star: 4,
           map: "C21 KQH nghiên cứu đường Hùng Vương, Phường 11, Khu Chi Lăng, Đà Lạt, Lâm Đồng",
           TypeHotel: "resort",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 16323628,
           ownerId: 22,
           createdAt: "2024-04-01 04:26:18",
@@ -263,7 +263,7 @@ module.exports = {
           star: 3,
           map: "A28 Nguyễn Hữu Cảnh, phường 8, Thành phố, Phường 8, Đà Lạt, Lâm Đồng",
           TypeHotel: "Hotel",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 1632164,
           ownerId: 23,
           createdAt: "2024-04-01 04:26:18",
@@ -274,7 +274,7 @@ module.exports = {
           star: 3,
           map: "52 Trương Công Định, Phường 6, Đà Lạt, Lâm Đồng",
           TypeHotel: "Hotel",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 1147637,
           ownerId: 24,
           createdAt: "2024-04-01 04:26:18",
@@ -285,7 +285,7 @@ module.exports = {
           star: 5,
           map: "02 Trần Phú, Phường 3, Đà Lạt, Lâm Đồng",
           TypeHotel: "Hotel",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 5325334,
           ownerId: 25,
           createdAt: "2024-04-01 04:26:18",
@@ -296,7 +296,7 @@ module.exports = {
           star: 5,
           map: "Bắc Bán đảo Cam Ranh, Xã Cam Hải Đông, Cam Lâm, Khánh Hòa",
           TypeHotel: "Resort",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 3797382,
           ownerId: 26,
           createdAt: "2024-04-01 04:26:18",
@@ -307,7 +307,7 @@ module.exports = {
           star: 5,
           map: "78-80 Trần Phú, P., Lộc Thọ, Nha Trang, Khánh Hòa",
           TypeHotel: "service apartment",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 1631393,
           ownerId: 27,
           createdAt: "2024-04-01 04:26:18",
@@ -316,7 +316,7 @@ module.exports = {
         {
           name: "InterContinental Nha Trang, an IHG Hotel",
           star: 5,
-          payment: "offline",
+          payment: "pay_at_hotel",
           map: "32-34 Trần Phú, Lộc Thọ, Nha Trang, Khánh Hòa",
           TypeHotel: "service apartment",
           cost: 4349044,
@@ -329,7 +329,7 @@ module.exports = {
           star: 5,
           map: "Cảng tàu khách quốc tế Hạ Long, Hạ Long, Quảng Ninh",
           TypeHotel: "service apartment",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 15256262,
           ownerId: 29,
           createdAt: "2024-04-01 04:26:18",
@@ -340,7 +340,7 @@ module.exports = {
           star: 5,
           map: "Đường Hạ Long, P.Bãi Cháy, Hạ Long, Quảng Ninh",
           TypeHotel: "Hotel",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 1558709,
           createdAt: "2024-04-01 04:26:18",
           updatedAt: "2024-04-01 04:26:18",
@@ -350,7 +350,7 @@ module.exports = {
           star: 4,
           map: "No 09 Hạ Long, Quảng Ninh",
           TypeHotel: "Hotel",
-          payment: "offline",
+          payment: "pay_at_hotel",
           cost: 3675617,
           createdAt: "2024-04-01 04:26:18",
           updatedAt: "2024-04-01 04:26:18",
@@ -11,6 +11,9 @@ var LocalStorage = require("node-localstorage").LocalStorage;
 
 require("./passport");
 const { rootRouter } = require("./routers");
+const { startHoldSweeper } = require("./utils/holdSweeper");
+const { startHotelCostRefresher } = require("./utils/hotelCostRefresher");
+const { assertFeedSecret } = require("./utils/calendarFeed");
 const { User } = require("./models/user");
 const { access } = require("fs");
 var ls = require("local-storage");
@@ -276,6 +279,9 @@ const port = process.env.PORT || 3030; // Sử dụng port mặc định là 303
 // });
 
 // Listen for connection events
+// Calendar feed tokens are worthless without a secret of our own
+assertFeedSecret();
+
 app.listen(port, async () => {
   console.log("App listening on http://localhost:3030");
   try {
@@ -283,6 +289,8 @@ app.listen(port, async () => {
     console.log(
       "Connection to the database has been established successfully."
     );
+    startHoldSweeper();
+    startHotelCostRefresher();
   } catch (error) {
     console.error("Unable to connect to the database:", error);
   }
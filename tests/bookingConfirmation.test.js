@@ -0,0 +1,116 @@
+const { Booking } = require("../models");
+const { outbox } = require("../utils/mailer");
+const {
+  sendBookingConfirmation,
+  queueBookingConfirmations,
+} = require("../utils/bookingConfirmation");
+const { getBookingCode } = require("../utils/voucher");
+
+jest.mock("../models", () => ({
+  Booking: {
+    findOne: jest.fn(),
+  },
+  Room: {},
+  Hotels: {},
+  User: {},
+}));
+
+const mockBooking = (overrides = {}) => ({
+  id: 12,
+  status: "confirmed",
+  check_in_date: "2026-11-10",
+  check_out_date: "2026-11-12",
+  quantity: 2,
+  full_name: "Nguyễn Văn A",
+  total_price: 900000,
+  payment_method: "vnpay",
+  price_breakdown: {
+    nights: [
+      { date: "2026-11-10", price: 250000 },
+      { date: "2026-11-11", price: 250000, holiday: "Ngày lễ" },
+    ],
+    subtotal: 1000000,
+    discounts: [{ code: "SAVE10", percent: 10, amount: 100000 }],
+    total: 900000,
+  },
+  Room: { id: 1, name: "Deluxe Double" },
+  Hotel: { id: 1, name: "Sea View", map: "1 Trần Phú, Nha Trang" },
+  User: { id: 3, name: "A", email: "guest@example.com" },
+  ...overrides,
+});
+
+describe("Booking confirmation emails", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    outbox.length = 0;
+  });
+
+  it("should email the guest with the PDF voucher attached", async () => {
+    Booking.findOne.mockResolvedValue(mockBooking());
+
+    await sendBookingConfirmation(12);
+
+    expect(outbox).toHaveLength(1);
+    const [mail] = outbox;
+    expect(mail.to).toEqual([{ address: "guest@example.com", name: "" }]);
+    expect(mail.subject).toBe("Booking LT-000012 confirmed - Sea View");
+    expect(mail.text).toContain("Booking code: LT-000012");
+    expect(mail.text).toContain("Check-in: 10/11/2026");
+
+    const [attachment] = mail.attachments;
+    expect(attachment.filename).toBe("voucher-LT-000012.pdf");
+    expect(attachment.contentType).toBe("application/pdf");
+    expect(
+      Buffer.from(attachment.content, "base64").slice(0, 5).toString()
+    ).toBe("%PDF-");
+  });
+
+  it("should load the booking with its room, hotel and guest", async () => {
+    Booking.findOne.mockResolvedValue(mockBooking());
+
+    await sendBookingConfirmation(12);
+
+    const [options] = Booking.findOne.mock.calls[0];
+    expect(options.where).toEqual({ id: 12 });
+    expect(options.include).toHaveLength(3);
+  });
+
+  it("should skip guests without an email address", async () => {
+    Booking.findOne.mockResolvedValue(
+      mockBooking({ User: { id: 3, email: null } })
+    );
+
+    await expect(sendBookingConfirmation(12)).resolves.toBeNull();
+    expect(outbox).toHaveLength(0);
+  });
+
+  it("should send one email per booking of an order", async () => {
+    Booking.findOne.mockImplementation(async ({ where }) =>
+      mockBooking({ id: where.id })
+    );
+
+    await queueBookingConfirmations([{ id: 1 }, { id: 2 }]);
+
+    expect(outbox.map((mail) => mail.subject)).toEqual([
+      "Booking LT-000001 confirmed - Sea View",
+      "Booking LT-000002 confirmed - Sea View",
+    ]);
+  });
+
+  it("should log instead of failing when a mail cannot be sent", async () => {
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    Booking.findOne.mockRejectedValue(new Error("connection lost"));
+
+    await expect(queueBookingConfirmations([{ id: 1 }])).resolves.toEqual([
+      undefined,
+    ]);
+    expect(consoleError).toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it("should pad the booking code", () => {
+    expect(getBookingCode({ id: 7 })).toBe("LT-000007");
+  });
+});
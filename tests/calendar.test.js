@@ -0,0 +1,347 @@
+const request = require("supertest");
+const express = require("express");
+const { Op } = require("sequelize");
+const { Booking, Hotels, User } = require("../models");
+const {
+  getFeedLinks,
+  rotateUserFeed,
+  rotateHotelFeed,
+  getUserFeed,
+  getHotelFeed,
+} = require("../controllers/calendar.controller");
+const { getFeedToken, isValidFeedToken } = require("../utils/calendarFeed");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+
+app.get("/calendar/feeds", getFeedLinks);
+app.post("/calendar/feeds/users/rotate", rotateUserFeed);
+app.post("/calendar/feeds/hotels/:id/rotate", rotateHotelFeed);
+app.get("/calendar/users/:id.ics", getUserFeed);
+app.get("/calendar/hotels/:id.ics", getHotelFeed);
+
+jest.mock("../models", () => ({
+  Booking: {
+    findAll: jest.fn(),
+  },
+  Room: {},
+  Hotels: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+  },
+  User: {
+    findOne: jest.fn(),
+  },
+}));
+
+const guest = { id: 3, calendar_token_salt: "a1" };
+const hotel = {
+  id: 1,
+  ownerId: 5,
+  name: "Sea View",
+  calendar_token_salt: "b2",
+};
+
+// Rows the controllers can `update`, like Sequelize instances
+const withUpdate = (row) => ({
+  ...row,
+  update: jest.fn(async function (values) {
+    Object.assign(this, values);
+  }),
+});
+
+const mockBooking = (overrides = {}) => ({
+  id: 12,
+  user_id: 3,
+  hotel_id: 1,
+  status: "confirmed",
+  check_in_date: "2026-11-10",
+  check_out_date: "2026-11-12",
+  quantity: 2,
+  full_name: "Nguyen Van A",
+  Room: { id: 1, name: "Deluxe Double" },
+  Hotel: { id: 1, name: "Sea View", map: "1 Tran Phu, Nha Trang" },
+  ...overrides,
+});
+
+describe("Calendar feeds", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findOne.mockResolvedValue(guest);
+    Hotels.findOne.mockResolvedValue(hotel);
+  });
+
+  describe("feed tokens", () => {
+    it("should only accept the token of the same feed", () => {
+      const token = getFeedToken("users", guest);
+
+      expect(isValidFeedToken("users", guest, token)).toBe(true);
+      expect(isValidFeedToken("users", { ...guest, id: 4 }, token)).toBe(false);
+      expect(isValidFeedToken("hotels", guest, token)).toBe(false);
+      expect(isValidFeedToken("users", null, token)).toBe(false);
+      expect(isValidFeedToken("users", guest, undefined)).toBe(false);
+    });
+
+    it("should stop accepting a token once the salt changes", () => {
+      const token = getFeedToken("users", guest);
+
+      expect(
+        isValidFeedToken(
+          "users",
+          { ...guest, calendar_token_salt: "c3" },
+          token
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe("GET /calendar/feeds", () => {
+    it("should return the guest's own feed URL", async () => {
+      const response = await request(app)
+        .get("/calendar/feeds")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }));
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toBe(
+        `http://localhost:3030/api/v1/calendar/users/3.ics?token=${getFeedToken(
+          "users",
+          guest
+        )}`
+      );
+      expect(User.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 3 } })
+      );
+      expect(response.body.hotels).toEqual([]);
+      expect(Hotels.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should add a feed for each hotel of an owner", async () => {
+      Hotels.findAll.mockResolvedValue([hotel]);
+
+      const response = await request(app)
+        .get("/calendar/feeds")
+        .set("x-user", JSON.stringify({ id: 5, type: "owner" }));
+
+      expect(response.status).toBe(200);
+      expect(Hotels.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { ownerId: 5 } })
+      );
+      expect(response.body.hotels).toEqual([
+        {
+          hotel_id: 1,
+          name: "Sea View",
+          url: `http://localhost:3030/api/v1/calendar/hotels/1.ics?token=${getFeedToken(
+            "hotels",
+            hotel
+          )}`,
+        },
+      ]);
+    });
+  });
+
+  describe("GET /calendar/users/:id.ics", () => {
+    it("should export the guest's stays as all-day events", async () => {
+      Booking.findAll.mockResolvedValue([mockBooking()]);
+
+      const response = await request(app).get(
+        `/calendar/users/3.ics?token=${getFeedToken("users", guest)}`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toMatch(/^text\/calendar/);
+      expect(response.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+      expect(response.text).toMatch(/END:VCALENDAR\r\n$/);
+      expect(response.text).toContain("UID:booking-12@lastingtrip");
+      expect(response.text).toContain("DTSTART;VALUE=DATE:20261110");
+      expect(response.text).toContain("DTEND;VALUE=DATE:20261112");
+      expect(response.text).toContain("SUMMARY:Sea View - Deluxe Double");
+      expect(response.text).toContain("Booking #12");
+      expect(response.text).toContain("LOCATION:1 Tran Phu\\, Nha Trang");
+      expect(response.text).toContain("STATUS:CONFIRMED");
+
+      const [options] = Booking.findAll.mock.calls[0];
+      expect(options.where.user_id).toBe("3");
+      expect(options.where.status[Op.in]).not.toContain("cancelled");
+    });
+
+    it("should mark unpaid holds as tentative", async () => {
+      Booking.findAll.mockResolvedValue([
+        mockBooking({ status: "pending_payment" }),
+      ]);
+
+      const response = await request(app).get(
+        `/calendar/users/3.ics?token=${getFeedToken("users", guest)}`
+      );
+
+      expect(response.text).toContain("STATUS:TENTATIVE");
+    });
+
+    it("should reject another user's token", async () => {
+      const response = await request(app).get(
+        `/calendar/users/3.ics?token=${getFeedToken("users", {
+          ...guest,
+          id: 4,
+        })}`
+      );
+
+      expect(response.status).toBe(403);
+      expect(Booking.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should reject a missing token", async () => {
+      const response = await request(app).get("/calendar/users/3.ics");
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should reject a token issued before the URL was rotated", async () => {
+      User.findOne.mockResolvedValue({ ...guest, calendar_token_salt: "c3" });
+
+      const response = await request(app).get(
+        `/calendar/users/3.ics?token=${getFeedToken("users", guest)}`
+      );
+
+      expect(response.status).toBe(403);
+      expect(Booking.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should answer an unknown user like a wrong token", async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get(
+        `/calendar/users/9.ics?token=${getFeedToken("users", {
+          id: 9,
+        })}`
+      );
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("GET /calendar/hotels/:id.ics", () => {
+    it("should export the hotel's arrivals", async () => {
+      Booking.findAll.mockResolvedValue([
+        mockBooking({
+          special_requests: "Late arrival; around 11pm",
+          adults: 2,
+          children: 1,
+          child_ages: [6],
+        }),
+      ]);
+
+      const response = await request(app).get(
+        `/calendar/hotels/1.ics?token=${getFeedToken("hotels", hotel)}`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain("X-WR-CALNAME:Sea View arrivals");
+      expect(response.text).toContain("UID:arrival-12@lastingtrip");
+      expect(response.text).toContain(
+        "SUMMARY:Arrival: Nguyen Van A (2 x Deluxe Double)"
+      );
+      expect(response.text).toContain("Late arrival\\; around 11pm");
+      // Long DESCRIPTION lines are folded, so unfold before matching
+      expect(response.text.replace(/\r\n /g, "")).toContain(
+        "Guests: 2 adults\\, 1 child (6)"
+      );
+      expect(Booking.findAll.mock.calls[0][0].where.hotel_id).toBe("1");
+    });
+
+    it("should fold lines longer than 75 octets", async () => {
+      Booking.findAll.mockResolvedValue([
+        mockBooking({ special_requests: "Phòng tầng cao ".repeat(10) }),
+      ]);
+
+      const response = await request(app).get(
+        `/calendar/hotels/1.ics?token=${getFeedToken("hotels", hotel)}`
+      );
+
+      response.text
+        .split("\r\n")
+        .forEach((line) =>
+          expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75)
+        );
+      expect(response.text).toContain("\r\n ");
+    });
+
+    it("should reject any token for an unknown hotel", async () => {
+      Hotels.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get(
+        `/calendar/hotels/9.ics?token=${getFeedToken("hotels", { id: 9 })}`
+      );
+
+      expect(response.status).toBe(403);
+      expect(Booking.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should not open a hotel feed with a user token", async () => {
+      const response = await request(app).get(
+        `/calendar/hotels/1.ics?token=${getFeedToken("users", hotel)}`
+      );
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("POST /calendar/feeds/users/rotate", () => {
+    it("should give the caller a new URL and revoke the old one", async () => {
+      const user = withUpdate(guest);
+      User.findOne.mockResolvedValue(user);
+      const oldToken = getFeedToken("users", guest);
+
+      const response = await request(app)
+        .post("/calendar/feeds/users/rotate")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }));
+
+      expect(response.status).toBe(200);
+      expect(user.update).toHaveBeenCalledWith({
+        calendar_token_salt: expect.stringMatching(/^[0-9a-f]{32}$/),
+      });
+      expect(user.calendar_token_salt).not.toBe("a1");
+      expect(response.body.url).toContain(getFeedToken("users", user));
+      expect(isValidFeedToken("users", user, oldToken)).toBe(false);
+    });
+  });
+
+  describe("POST /calendar/feeds/hotels/:id/rotate", () => {
+    it("should give the owner a new URL for their hotel", async () => {
+      const row = withUpdate(hotel);
+      Hotels.findOne.mockResolvedValue(row);
+
+      const response = await request(app)
+        .post("/calendar/feeds/hotels/1/rotate")
+        .set("x-user", JSON.stringify({ id: 5, type: "owner" }));
+
+      expect(response.status).toBe(200);
+      expect(row.update).toHaveBeenCalled();
+      expect(response.body.url).toContain(getFeedToken("hotels", row));
+    });
+
+    it("should not let an owner rotate another hotel's feed", async () => {
+      const row = withUpdate(hotel);
+      Hotels.findOne.mockResolvedValue(row);
+
+      const response = await request(app)
+        .post("/calendar/feeds/hotels/1/rotate")
+        .set("x-user", JSON.stringify({ id: 6, type: "owner" }));
+
+      expect(response.status).toBe(403);
+      expect(row.update).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown hotel", async () => {
+      Hotels.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post("/calendar/feeds/hotels/9/rotate")
+        .set("x-user", JSON.stringify({ id: 5, type: "owner" }));
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
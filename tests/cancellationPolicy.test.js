@@ -0,0 +1,152 @@
+const request = require("supertest");
+const express = require("express");
+const { CancellationPolicy, Hotels } = require("../models");
+const {
+  getCancellationPolicy,
+  updateCancellationPolicy,
+} = require("../controllers/cancellationPolicy.controller");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+
+app.get("/policies/:hotelId", getCancellationPolicy);
+app.put("/policies/:hotelId", updateCancellationPolicy);
+
+jest.mock("../models", () => ({
+  CancellationPolicy: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  Hotels: {
+    findOne: jest.fn(),
+  },
+}));
+
+describe("Cancellation policy controller", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("GET /policies/:hotelId", () => {
+    it("should return the hotel's policy", async () => {
+      const mockPolicy = {
+        id: 1,
+        hotel_id: 1,
+        free_cancellation_days: 3,
+        partial_refund_percent: 50,
+        after_check_in_refund_percent: 0,
+      };
+      CancellationPolicy.findOne.mockResolvedValue(mockPolicy);
+
+      const response = await request(app).get("/policies/1");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockPolicy);
+    });
+
+    it("should return the default policy when the hotel has none", async () => {
+      CancellationPolicy.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/policies/2");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        hotel_id: 2,
+        free_cancellation_days: 0,
+        partial_refund_percent: 0,
+        after_check_in_refund_percent: 0,
+        is_default: true,
+      });
+    });
+
+    it("should return 500 if there is a server error", async () => {
+      CancellationPolicy.findOne.mockRejectedValue(new Error("DB error"));
+
+      const response = await request(app).get("/policies/1");
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe("PUT /policies/:hotelId", () => {
+    const body = {
+      free_cancellation_days: 3,
+      partial_refund_percent: 50,
+      after_check_in_refund_percent: 0,
+      description: "Free until 3 days before check-in, then 50%",
+    };
+
+    it("should create a policy for a hotel without one", async () => {
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 5 });
+      CancellationPolicy.findOne.mockResolvedValue(null);
+      CancellationPolicy.create.mockImplementation(async (data) => ({
+        id: 1,
+        ...data,
+      }));
+
+      const response = await request(app).put("/policies/1").send(body);
+
+      expect(response.status).toBe(200);
+      expect(CancellationPolicy.create).toHaveBeenCalledWith({
+        hotel_id: "1",
+        ...body,
+      });
+    });
+
+    it("should update an existing policy", async () => {
+      const existing = { id: 1, hotel_id: 1, update: jest.fn() };
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 5 });
+      CancellationPolicy.findOne.mockResolvedValue(existing);
+
+      const response = await request(app).put("/policies/1").send(body);
+
+      expect(response.status).toBe(200);
+      expect(existing.update).toHaveBeenCalledWith(body);
+      expect(CancellationPolicy.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 if a percent is out of range", async () => {
+      const response = await request(app)
+        .put("/policies/1")
+        .send({ ...body, partial_refund_percent: 150 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'partial_refund_percent' must be an integer between 0 and 100."
+      );
+    });
+
+    it("should return 400 if free_cancellation_days is negative", async () => {
+      const response = await request(app)
+        .put("/policies/1")
+        .send({ ...body, free_cancellation_days: -1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 404 if the hotel does not exist", async () => {
+      Hotels.findOne.mockResolvedValue(null);
+
+      const response = await request(app).put("/policies/99").send(body);
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Hotel not found");
+    });
+
+    it("should return 403 when an owner edits another owner's hotel", async () => {
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 5 });
+
+      const response = await request(app)
+        .put("/policies/1")
+        .set("x-user", JSON.stringify({ id: 6, type: "owner" }))
+        .send(body);
+
+      expect(response.status).toBe(403);
+      expect(CancellationPolicy.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,396 @@
+const request = require("supertest");
+const express = require("express");
+const { UniqueConstraintError } = require("sequelize");
+const { sequelize } = require("../models");
+const { CouponCampaign, Coupons, CouponRedemption } = require("../models");
+const {
+  createCampaign,
+  getCampaigns,
+  getCampaignDashboard,
+  getCampaignCodeList,
+  exportCampaignCodes,
+} = require("../controllers/couponCampaign.controller");
+const { CODE_ALPHABET } = require("../utils/couponCampaigns");
+
+const app = express();
+app.use(express.json());
+app.post("/campaigns", createCampaign);
+app.get("/campaigns", getCampaigns);
+app.get("/campaigns/:id", getCampaignDashboard);
+app.get("/campaigns/:id/codes", getCampaignCodeList);
+app.get("/campaigns/:id/codes.csv", exportCampaignCodes);
+
+jest.mock("../models", () => ({
+  CouponCampaign: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+  },
+  Coupons: {
+    findAll: jest.fn(),
+    findAndCountAll: jest.fn(),
+    bulkCreate: jest.fn(),
+    count: jest.fn(),
+  },
+  CouponRedemption: {
+    count: jest.fn(),
+    findAll: jest.fn(),
+  },
+  sequelize: {
+    transaction: jest.fn((callback) => callback("transaction")),
+  },
+}));
+
+const campaignBody = (overrides = {}) => ({
+  name: "Partner giveaway",
+  prefix: "vna",
+  code_length: 8,
+  quantity: 50,
+  percent: 15,
+  begin: "2026-11-01",
+  end: "2026-12-31",
+  max_discount: 300000,
+  ...overrides,
+});
+
+const issuedRows = () =>
+  Coupons.bulkCreate.mock.calls.flatMap(([rows]) => rows);
+
+describe("Coupon campaigns", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CouponCampaign.create.mockImplementation(async (data) => ({
+      id: 4,
+      ...data,
+    }));
+    Coupons.findAll.mockResolvedValue([]);
+  });
+
+  describe("POST /campaigns", () => {
+    it("should generate unique single-use codes sharing the rules", async () => {
+      const response = await request(app)
+        .post("/campaigns")
+        .send(campaignBody());
+
+      expect(response.status).toBe(201);
+      expect(response.body.issued).toBe(50);
+      expect(CouponCampaign.create).toHaveBeenCalledWith(
+        expect.objectContaining({ prefix: "VNA", max_discount: 300000 }),
+        { transaction: "transaction" }
+      );
+
+      const rows = issuedRows();
+      expect(rows).toHaveLength(50);
+      expect(new Set(rows.map((row) => row.code)).size).toBe(50);
+      const codePattern = new RegExp(`^VNA[${CODE_ALPHABET}]{8}$`);
+      for (const row of rows) {
+        expect(row.code).toMatch(codePattern);
+        expect(row).toMatchObject({
+          campaign_id: 4,
+          percent: 15,
+          max_discount: 300000,
+          usage_limit: 1,
+        });
+      }
+      expect(Coupons.bulkCreate).toHaveBeenCalledWith(expect.any(Array), {
+        transaction: "transaction",
+      });
+    });
+
+    it("should issue fixed amount vouchers", async () => {
+      const response = await request(app)
+        .post("/campaigns")
+        .send(
+          campaignBody({
+            percent: undefined,
+            type: "fixed",
+            amount: 200000,
+            exclusive: true,
+          })
+        );
+
+      expect(response.status).toBe(201);
+      expect(issuedRows()[0]).toMatchObject({
+        type: "fixed",
+        percent: null,
+        amount: 200000,
+        exclusive: true,
+      });
+    });
+
+    it("should replace codes other coupons already use", async () => {
+      let taken;
+      Coupons.findAll.mockImplementationOnce(async ({ where }) => {
+        taken = where.code[0];
+        return [{ code: taken }];
+      });
+
+      const response = await request(app)
+        .post("/campaigns")
+        .send(campaignBody({ quantity: 20 }));
+
+      expect(response.status).toBe(201);
+      expect(Coupons.findAll).toHaveBeenCalledTimes(2);
+      expect(Coupons.findAll.mock.calls[1][0].where.code).toHaveLength(1);
+      const codes = issuedRows().map((row) => row.code);
+      expect(codes).toHaveLength(20);
+      expect(codes).not.toContain(taken);
+    });
+
+    it("should start over when another campaign took a code meanwhile", async () => {
+      Coupons.bulkCreate.mockRejectedValueOnce(new UniqueConstraintError({}));
+
+      const response = await request(app)
+        .post("/campaigns")
+        .send(campaignBody({ quantity: 20 }));
+
+      expect(response.status).toBe(201);
+      expect(response.body.issued).toBe(20);
+      expect(sequelize.transaction).toHaveBeenCalledTimes(2);
+      expect(CouponCampaign.create).toHaveBeenCalledTimes(2);
+    });
+
+    it("should give up after repeated clashes", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      Coupons.bulkCreate
+        .mockRejectedValueOnce(new UniqueConstraintError({}))
+        .mockRejectedValueOnce(new UniqueConstraintError({}))
+        .mockRejectedValueOnce(new UniqueConstraintError({}));
+
+      const response = await request(app)
+        .post("/campaigns")
+        .send(campaignBody({ quantity: 20 }));
+
+      expect(response.status).toBe(500);
+      expect(sequelize.transaction).toHaveBeenCalledTimes(3);
+    });
+
+    it("should store large campaigns in batches", async () => {
+      const response = await request(app)
+        .post("/campaigns")
+        .send(campaignBody({ quantity: 2500 }));
+
+      expect(response.status).toBe(201);
+      expect(
+        Coupons.bulkCreate.mock.calls.map(([rows]) => rows.length)
+      ).toEqual([1000, 1000, 500]);
+    });
+
+    it.each([
+      [{ name: " " }, "'name' is required and must be a non-empty string."],
+      [
+        { prefix: "VN A" },
+        "'prefix' must be up to 12 letters, digits or dashes.",
+      ],
+      [
+        { code_length: 4 },
+        "'code_length' must be a whole number from 6 to 16.",
+      ],
+      [
+        { quantity: 10001 },
+        "'quantity' must be a whole number from 1 to 10000.",
+      ],
+      [{ percent: 0 }, "'percent' must be a number between 1 and 100."],
+      [{ end: "2026-10-01" }, "'begin' date must be before 'end' date."],
+      [
+        { usage_limit: 5 },
+        "'usage_limit' cannot be set: campaign codes are single-use.",
+      ],
+      [
+        { room_types: [] },
+        "'room_types' must be a non-empty list of room types",
+      ],
+    ])("should reject %p", async (overrides, error) => {
+      const response = await request(app)
+        .post("/campaigns")
+        .send(campaignBody(overrides));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(error);
+      expect(CouponCampaign.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 if the codes cannot be stored", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      Coupons.bulkCreate.mockRejectedValueOnce(new Error("Database error"));
+
+      const response = await request(app)
+        .post("/campaigns")
+        .send(campaignBody());
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  describe("GET /campaigns", () => {
+    it("should list campaigns, newest first", async () => {
+      CouponCampaign.findAll.mockResolvedValue([{ id: 4 }]);
+
+      const response = await request(app).get("/campaigns");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 4 }]);
+      expect(CouponCampaign.findAll).toHaveBeenCalledWith({
+        order: [["createdAt", "DESC"]],
+      });
+    });
+  });
+
+  describe("GET /campaigns/:id", () => {
+    it("should count issued, redeemed and available codes", async () => {
+      CouponCampaign.findOne.mockResolvedValue({ id: 4, end: "2099-12-31" });
+      Coupons.count.mockResolvedValue(1000);
+      CouponRedemption.count.mockResolvedValue(120);
+
+      const response = await request(app).get("/campaigns/4");
+
+      expect(response.status).toBe(200);
+      expect(response.body.stats).toEqual({
+        issued: 1000,
+        redeemed: 120,
+        expired: 0,
+        available: 880,
+      });
+      expect(Coupons.count).toHaveBeenCalledWith({
+        where: { campaign_id: 4 },
+      });
+      expect(CouponRedemption.count).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { status: "active" },
+          distinct: true,
+          col: "coupon_id",
+        })
+      );
+    });
+
+    it("should count unused codes as expired once the campaign is over", async () => {
+      CouponCampaign.findOne.mockResolvedValue({ id: 4, end: "2026-01-31" });
+      Coupons.count.mockResolvedValue(1000);
+      CouponRedemption.count.mockResolvedValue(120);
+
+      const response = await request(app).get("/campaigns/4");
+
+      expect(response.body.stats).toEqual({
+        issued: 1000,
+        redeemed: 120,
+        expired: 880,
+        available: 0,
+      });
+    });
+
+    it("should return 404 for an unknown campaign", async () => {
+      CouponCampaign.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/campaigns/99");
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: "Campaign not found" });
+    });
+  });
+
+  describe("GET /campaigns/:id/codes", () => {
+    it("should return a page of codes with their status", async () => {
+      CouponCampaign.findOne.mockResolvedValue({ id: 4, end: "2099-12-31" });
+      Coupons.findAndCountAll.mockResolvedValue({
+        count: 50,
+        rows: [{ id: 20, code: "VNAABCD2345" }],
+      });
+      CouponRedemption.findAll.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get("/campaigns/4/codes")
+        .query({ limit: 1, offset: 10 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        total: 50,
+        limit: 1,
+        offset: 10,
+        codes: [
+          {
+            code: "VNAABCD2345",
+            status: "available",
+            booking_id: null,
+            redeemed_at: null,
+          },
+        ],
+      });
+      expect(Coupons.findAndCountAll).toHaveBeenCalledWith({
+        where: { campaign_id: 4 },
+        attributes: ["id", "code"],
+        order: [["id", "ASC"]],
+        raw: true,
+        limit: 1,
+        offset: 10,
+      });
+    });
+
+    it("should return 400 for a page size over the maximum", async () => {
+      const response = await request(app)
+        .get("/campaigns/4/codes")
+        .query({ limit: 501 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'limit' must be a number between 1 and 500"
+      );
+      expect(Coupons.findAndCountAll).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown campaign", async () => {
+      CouponCampaign.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/campaigns/99/codes");
+
+      expect(response.status).toBe(404);
+      expect(Coupons.findAndCountAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /campaigns/:id/codes.csv", () => {
+    it("should export every code with its status", async () => {
+      CouponCampaign.findOne.mockResolvedValue({ id: 4, end: "2099-12-31" });
+      Coupons.findAll.mockResolvedValue([
+        { id: 10, code: "VNAABCD2345" },
+        { id: 11, code: "VNAEFGH6789" },
+      ]);
+      CouponRedemption.findAll.mockResolvedValue([
+        {
+          coupon_id: 11,
+          booking_id: 57,
+          createdAt: new Date("2026-11-05T08:30:00Z"),
+        },
+      ]);
+
+      const response = await request(app).get("/campaigns/4/codes.csv");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toMatch(/^text\/csv/);
+      expect(response.headers["content-disposition"]).toBe(
+        'attachment; filename="campaign-4-codes.csv"'
+      );
+      expect(response.text).toBe(
+        "code,status,booking_id,redeemed_at\r\n" +
+          "VNAABCD2345,available,,\r\n" +
+          "VNAEFGH6789,redeemed,57,2026-11-05T08:30:00.000Z\r\n"
+      );
+      expect(CouponRedemption.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { coupon_id: [10, 11], status: "active" },
+        })
+      );
+    });
+
+    it("should mark unused codes of an ended campaign as expired", async () => {
+      CouponCampaign.findOne.mockResolvedValue({ id: 4, end: "2026-01-31" });
+      Coupons.findAll.mockResolvedValue([{ id: 10, code: "VNAABCD2345" }]);
+      CouponRedemption.findAll.mockResolvedValue([]);
+
+      const response = await request(app).get("/campaigns/4/codes.csv");
+
+      expect(response.text).toBe(
+        "code,status,booking_id,redeemed_at\r\nVNAABCD2345,expired,,\r\n"
+      );
+    });
+  });
+});
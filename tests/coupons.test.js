@@ -1,7 +1,8 @@
 const request = require("supertest");
 const express = require("express");
+const { UniqueConstraintError } = require("sequelize");
 
-const { Coupons } = require("../models");
+const { Coupons, Room, Booking, CouponRedemption } = require("../models");
 const {
   create,
   getAllCoupon,
@@ -10,6 +11,7 @@ const {
   deleteCoupon,
   getDetailCoupon,
   getCouponByCode,
+  evaluateCoupon,
 } = require("../controllers/coupons.controllers");
 
 const app = express();
@@ -21,6 +23,7 @@ app.put("/coupons/:id", editCoupon);
 app.delete("/coupons/:id", deleteCoupon);
 app.get("/coupons-detail/:id", getDetailCoupon);
 app.get("/get-coupons-by-code/:code", getCouponByCode);
+app.get("/coupons/evaluate", evaluateCoupon);
 
 jest.mock("../models", () => ({
   Coupons: {
@@ -30,6 +33,24 @@ jest.mock("../models", () => ({
     save: jest.fn(),
     destroy: jest.fn(),
   },
+  Room: {
+    findOne: jest.fn(),
+  },
+  Booking: {
+    count: jest.fn(),
+  },
+  CouponRedemption: {
+    count: jest.fn(),
+  },
+  RoomInventory: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  RatePlan: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  HolidayRate: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
 }));
 
 describe("POST /coupons", () => {
@@ -66,6 +87,139 @@ describe("POST /coupons", () => {
     });
   });
 
+  it("should return 409 for a code that is already taken", async () => {
+    Coupons.create.mockRejectedValue(new UniqueConstraintError({}));
+
+    const response = await request(app).post("/coupons").send({
+      code: "SAVE10",
+      percent: 10,
+      begin: "2023-10-12",
+      end: "2023-12-12",
+    });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe("Coupon code 'SAVE10' already exists");
+  });
+
+  it("should create a coupon with rules", async () => {
+    Coupons.create.mockResolvedValue({ id: 2 });
+
+    const response = await request(app)
+      .post("/coupons")
+      .send({
+        code: "DANANG20",
+        percent: 20,
+        begin: "2026-11-01",
+        end: "2026-12-31",
+        min_order_value: 2000000,
+        max_discount: 500000,
+        hotel_ids: [3, 4],
+        room_types: ["King", "Queen"],
+        first_booking_only: true,
+        usage_limit: 100,
+        per_user_limit: 1,
+      });
+
+    expect(response.status).toBe(201);
+    expect(Coupons.create).toHaveBeenCalledWith({
+      code: "DANANG20",
+      percent: 20,
+      begin: "2026-11-01",
+      end: "2026-12-31",
+      min_order_value: 2000000,
+      max_discount: 500000,
+      hotel_ids: [3, 4],
+      room_types: ["King", "Queen"],
+      first_booking_only: true,
+      usage_limit: 100,
+      per_user_limit: 1,
+    });
+  });
+
+  it.each([
+    [{ min_order_value: -1 }, "'min_order_value' must be a positive number"],
+    [{ usage_limit: 2.5 }, "'usage_limit' must be a positive whole number"],
+    [{ hotel_ids: [] }, "'hotel_ids' must be a non-empty list of hotel ids"],
+    [
+      { room_types: "King" },
+      "'room_types' must be a non-empty list of room types",
+    ],
+    [
+      { first_booking_only: "yes" },
+      "'first_booking_only' must be true or false",
+    ],
+  ])("should reject the rule %p", async (rule, error) => {
+    const response = await request(app)
+      .post("/coupons")
+      .send({
+        code: "DANANG20",
+        percent: 20,
+        begin: "2026-11-01",
+        end: "2026-12-31",
+        ...rule,
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error });
+    expect(Coupons.create).not.toHaveBeenCalled();
+  });
+
+  it("should create a fixed amount voucher", async () => {
+    Coupons.create.mockResolvedValue({ id: 3 });
+
+    const response = await request(app).post("/coupons").send({
+      code: "GIFT50K",
+      type: "fixed",
+      amount: 50000,
+      exclusive: true,
+      begin: "2026-11-01",
+      end: "2026-12-31",
+    });
+
+    expect(response.status).toBe(201);
+    expect(Coupons.create).toHaveBeenCalledWith({
+      code: "GIFT50K",
+      type: "fixed",
+      percent: null,
+      amount: 50000,
+      exclusive: true,
+      begin: "2026-11-01",
+      end: "2026-12-31",
+    });
+  });
+
+  it.each([
+    [{ type: "bogo" }, "'type' must be one of: percent, fixed."],
+    [
+      { type: "fixed", percent: undefined },
+      "'amount' must be a positive whole number of VND.",
+    ],
+    [
+      { type: "fixed", percent: undefined, amount: 500.5 },
+      "'amount' must be a positive whole number of VND.",
+    ],
+    [
+      { type: "fixed", amount: 50000 },
+      "'percent' does not apply to fixed coupons.",
+    ],
+    [{ amount: 50000 }, "'amount' does not apply to percent coupons."],
+    [{ exclusive: "yes" }, "'exclusive' must be true or false."],
+  ])("should reject the discount %p", async (discount, error) => {
+    const response = await request(app)
+      .post("/coupons")
+      .send({
+        code: "GIFT50K",
+        percent: 20,
+        begin: "2026-11-01",
+        end: "2026-12-31",
+        ...discount,
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error });
+    expect(Coupons.create).not.toHaveBeenCalled();
+  });
+
   // Validation Case: Missing `code`
   it("should return 400 if 'code' is missing", async () => {
     const response = await request(app).post("/coupons").send({
@@ -177,7 +331,10 @@ describe("GET /coupons", () => {
 
     expect(response.status).toBe(200);
     expect(response.body).toEqual(mockCoupons);
-    expect(Coupons.findAll).toHaveBeenCalled();
+    // Campaign codes are listed per campaign
+    expect(Coupons.findAll).toHaveBeenCalledWith({
+      where: { campaign_id: null },
+    });
   });
 
   // Error Case: Server/database error
@@ -228,8 +385,12 @@ describe("GET /displayCoupons", () => {
 
     await displayCoupon({}, res);
 
-    // Check if findAll is called once
+    // Check if findAll is called once, without campaign codes
     expect(Coupons.findAll).toHaveBeenCalledTimes(1);
+    expect(Coupons.findAll).toHaveBeenCalledWith({
+      where: { campaign_id: null },
+      raw: true,
+    });
 
     // Check if res.render is called with the correct arguments
     expect(res.render).toHaveBeenCalledWith("coupons", {
@@ -287,6 +448,51 @@ describe("PUT /coupons/:id", () => {
     expect(mockCoupon.save).toHaveBeenCalled();
   });
 
+  it("should turn a percentage coupon into a voucher", async () => {
+    const mockCoupon = {
+      id: 1,
+      code: "SAVE10",
+      type: "percent",
+      percent: 10,
+      amount: null,
+      save: jest.fn().mockResolvedValue(true),
+    };
+    Coupons.findOne.mockResolvedValue(mockCoupon);
+
+    const response = await request(app)
+      .put("/coupons/1")
+      .send({ type: "fixed", amount: 100000 });
+
+    expect(response.status).toBe(200);
+    expect(mockCoupon).toMatchObject({
+      type: "fixed",
+      percent: null,
+      amount: 100000,
+    });
+  });
+
+  it("should not give a percentage coupon an amount", async () => {
+    const mockCoupon = {
+      id: 1,
+      code: "SAVE10",
+      type: "percent",
+      percent: 10,
+      amount: null,
+      save: jest.fn(),
+    };
+    Coupons.findOne.mockResolvedValue(mockCoupon);
+
+    const response = await request(app)
+      .put("/coupons/1")
+      .send({ amount: 100000 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(
+      "'amount' does not apply to percent coupons."
+    );
+    expect(mockCoupon.save).not.toHaveBeenCalled();
+  });
+
   // Validation Case: Invalid percent
   it("should return 400 if 'percent' is invalid", async () => {
     const response = await request(app).put("/coupons/1").send({
@@ -446,8 +652,8 @@ describe("GET /get-coupons-by-code/:code", () => {
       id: 1,
       code: "SAVE10",
       percent: 10,
-      start: "2023-10-12",
-      end: "2023-12-12",
+      begin: "2026-10-01",
+      end: "2099-12-31",
     };
 
     Coupons.findOne.mockResolvedValue(mockCoupon);
@@ -461,6 +667,39 @@ describe("GET /get-coupons-by-code/:code", () => {
     });
   });
 
+  it("should reject a coupon that has expired", async () => {
+    Coupons.findOne.mockResolvedValue({
+      id: 1,
+      code: "SAVE10",
+      percent: 10,
+      begin: "2023-10-12",
+      end: "2023-12-12",
+    });
+
+    const response = await request(app).get("/get-coupons-by-code/SAVE10");
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: "Coupon expired on 2023-12-12",
+      rejections: [{ rule: "end", message: "Coupon expired on 2023-12-12" }],
+    });
+  });
+
+  it("should reject a coupon that has not started yet", async () => {
+    Coupons.findOne.mockResolvedValue({
+      id: 1,
+      code: "TET2099",
+      percent: 10,
+      begin: "2099-01-01",
+      end: null,
+    });
+
+    const response = await request(app).get("/get-coupons-by-code/TET2099");
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("Coupon is not valid until 2099-01-01");
+  });
+
   // Error Case: Coupon not found
   it("should return 404 if the coupon is not found", async () => {
     Coupons.findOne.mockResolvedValue(null);
@@ -491,3 +730,123 @@ describe("GET /get-coupons-by-code/:code", () => {
     });
   });
 });
+
+describe("GET /coupons/evaluate", () => {
+  const room = { id: 5, hotelId: 3, price: 1000000, type_bed: "King" };
+  const stay = {
+    code: "DANANG20",
+    roomId: 5,
+    checkInDate: "2026-11-10",
+    checkOutDate: "2026-11-12",
+    quantity: 1,
+  };
+  const mockCoupon = (rules = {}) => ({
+    code: "DANANG20",
+    percent: 20,
+    begin: new Date("2026-01-01"),
+    end: new Date("2099-12-31"),
+    ...rules,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Room.findOne.mockResolvedValue(room);
+    Booking.count.mockResolvedValue(0);
+    CouponRedemption.count.mockResolvedValue(0);
+  });
+
+  it("should quote the stay with a coupon that applies", async () => {
+    Coupons.findOne.mockResolvedValue(mockCoupon({ max_discount: "300000" }));
+
+    const response = await request(app).get("/coupons/evaluate").query(stay);
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(true);
+    expect(response.body.rejections).toEqual([]);
+    // 20% of 2,000,000 is 400,000, capped at 300,000
+    expect(response.body.quote.discounts[0].amount).toBe(300000);
+    expect(response.body.quote.total).toBe(1700000);
+  });
+
+  it("should explain every rule the stay fails", async () => {
+    Coupons.findOne.mockResolvedValue(
+      mockCoupon({
+        end: new Date("2026-01-31"),
+        min_order_value: "3000000",
+        hotel_ids: [4],
+        room_types: ["Single"],
+        usage_limit: 10,
+      })
+    );
+    CouponRedemption.count.mockResolvedValueOnce(6).mockResolvedValueOnce(4);
+
+    const response = await request(app).get("/coupons/evaluate").query(stay);
+
+    expect(response.status).toBe(200);
+    expect(response.body.valid).toBe(false);
+    expect(response.body.quote).toBeNull();
+    expect(response.body.rejections).toEqual([
+      { rule: "end", message: "Coupon expired on 2026-01-31" },
+      {
+        rule: "min_order_value",
+        message: "Orders must be at least 3000000 VND",
+      },
+      { rule: "hotel_ids", message: "Coupon is not valid at this hotel" },
+      {
+        rule: "room_types",
+        message: "Coupon is only valid for room types: Single",
+      },
+      { rule: "usage_limit", message: "Coupon has been fully redeemed" },
+    ]);
+  });
+
+  it("should check the guest's own history", async () => {
+    Coupons.findOne.mockResolvedValue(
+      mockCoupon({ first_booking_only: true, per_user_limit: 1 })
+    );
+    Booking.count.mockResolvedValue(1);
+    CouponRedemption.count.mockResolvedValue(1);
+
+    const response = await request(app)
+      .get("/coupons/evaluate")
+      .query({ ...stay, userId: 9 });
+
+    expect(response.body.rejections.map(({ rule }) => rule)).toEqual([
+      "first_booking_only",
+      "per_user_limit",
+    ]);
+    expect(Booking.count.mock.calls[0][0].where.user_id).toBe(9);
+    expect(CouponRedemption.count.mock.calls[0][0].where).toMatchObject({
+      code: "DANANG20",
+      status: "active",
+      user_id: 9,
+    });
+  });
+
+  it("should ask for a guest when a rule needs one", async () => {
+    Coupons.findOne.mockResolvedValue(mockCoupon({ per_user_limit: 1 }));
+
+    const response = await request(app).get("/coupons/evaluate").query(stay);
+
+    expect(response.body.rejections).toEqual([
+      { rule: "user", message: "Sign in to use this coupon" },
+    ]);
+  });
+
+  it("should return 404 for an unknown code", async () => {
+    Coupons.findOne.mockResolvedValue(null);
+
+    const response = await request(app).get("/coupons/evaluate").query(stay);
+
+    expect(response.status).toBe(404);
+  });
+
+  it("should return 400 without a stay", async () => {
+    const response = await request(app)
+      .get("/coupons/evaluate")
+      .query({ code: "DANANG20" });
+
+    expect(response.status).toBe(400);
+    expect(Coupons.findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,192 @@
+const { Op, Transaction } = require("sequelize");
+const {
+  Booking,
+  BookingStatusHistory,
+  CouponRedemption,
+} = require("../models");
+const { queueWaitlistOffers } = require("../utils/waitlist");
+const { expireStaleHolds, startHoldSweeper } = require("../utils/holdSweeper");
+
+jest.mock("../models", () => ({
+  Booking: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+  },
+  BookingStatusHistory: {
+    create: jest.fn(),
+  },
+  CouponRedemption: {
+    update: jest.fn(),
+  },
+  sequelize: {
+    transaction: jest.fn((callback) => callback("transaction")),
+  },
+}));
+
+jest.mock("../utils/waitlist", () => ({
+  queueWaitlistOffers: jest.fn(),
+}));
+
+const mockBooking = (id, overrides = {}) => ({
+  id,
+  status: "pending_payment",
+  hold_expires_at: "2024-05-20T09:45:00Z",
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+// The sweep lists `bookings`, then locks each one and reads it again; pass
+// `current` for rows that changed in between
+const mockStaleBookings = (bookings, current = bookings) => {
+  Booking.findAll.mockResolvedValue(bookings);
+  Booking.findOne.mockImplementation(
+    async ({ where }) =>
+      current.find((booking) => booking.id === where.id) || null
+  );
+};
+
+describe("expireStaleHolds", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should expire unpaid bookings whose hold has run out", async () => {
+    const now = new Date("2024-05-20T10:00:00Z");
+    const bookings = [mockBooking(1), mockBooking(2)];
+    mockStaleBookings(bookings);
+
+    const expired = await expireStaleHolds(now);
+
+    expect(Booking.findAll).toHaveBeenCalledWith({
+      where: {
+        status: "pending_payment",
+        hold_expires_at: { [Op.lte]: now },
+      },
+    });
+    expect(Booking.findOne).toHaveBeenCalledWith({
+      where: { id: 1 },
+      lock: Transaction.LOCK.UPDATE,
+      transaction: "transaction",
+    });
+    expect(expired).toHaveLength(2);
+    expect(bookings[0].status).toBe("expired");
+    expect(bookings[1].status).toBe("expired");
+    expect(BookingStatusHistory.create).toHaveBeenCalledWith(
+      {
+        booking_id: 1,
+        from_status: "pending_payment",
+        to_status: "expired",
+        changed_by: null,
+        note: "Payment hold expired",
+      },
+      { transaction: "transaction" }
+    );
+  });
+
+  it("should give back the coupon of an expired booking", async () => {
+    mockStaleBookings([
+      mockBooking(1, { coupon_code: "SUMMER" }),
+      mockBooking(2),
+    ]);
+
+    await expireStaleHolds();
+
+    expect(CouponRedemption.update).toHaveBeenCalledTimes(1);
+    expect(CouponRedemption.update).toHaveBeenCalledWith(
+      { status: "reversed", reversed_at: expect.any(Date) },
+      {
+        where: { booking_id: [1], status: "active" },
+        transaction: "transaction",
+      }
+    );
+  });
+
+  it("should keep going when one booking fails to expire", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const broken = mockBooking(1);
+    broken.save.mockRejectedValue(new Error("DB error"));
+    mockStaleBookings([broken, mockBooking(2)]);
+
+    const expired = await expireStaleHolds();
+
+    expect(expired.map((booking) => booking.id)).toEqual([2]);
+  });
+
+  it("should leave a booking that was paid after the sweep listed it", async () => {
+    const now = new Date("2024-05-20T10:00:00Z");
+    const paid = mockBooking(1, { status: "confirmed" });
+    const stale = mockBooking(2);
+    mockStaleBookings([mockBooking(1), stale], [paid, stale]);
+
+    const expired = await expireStaleHolds(now);
+
+    expect(expired).toEqual([stale]);
+    expect(paid.status).toBe("confirmed");
+    expect(paid.save).not.toHaveBeenCalled();
+    expect(BookingStatusHistory.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("should leave a booking whose hold was extended meanwhile", async () => {
+    const now = new Date("2024-05-20T10:00:00Z");
+    mockStaleBookings(
+      [mockBooking(1)],
+      [mockBooking(1, { hold_expires_at: "2024-05-20T10:15:00Z" })]
+    );
+
+    const expired = await expireStaleHolds(now);
+
+    expect(expired).toEqual([]);
+    expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+  });
+
+  it("should do nothing when there are no stale holds", async () => {
+    Booking.findAll.mockResolvedValue([]);
+
+    const expired = await expireStaleHolds();
+
+    expect(expired).toEqual([]);
+    expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("startHoldSweeper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should sweep on every interval", async () => {
+    Booking.findAll.mockResolvedValue([]);
+
+    const timer = startHoldSweeper(30);
+    expect(Booking.findAll).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(Booking.findAll).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+    expect(Booking.findAll).toHaveBeenCalledTimes(2);
+    expect(queueWaitlistOffers).not.toHaveBeenCalled();
+
+    clearInterval(timer);
+  });
+
+  it("should offer the freed rooms to the waitlist", async () => {
+    mockStaleBookings([
+      mockBooking(1, { room_id: 4 }),
+      mockBooking(2, { room_id: 5 }),
+    ]);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const timer = startHoldSweeper(30);
+    await jest.advanceTimersByTimeAsync(30 * 1000);
+
+    expect(queueWaitlistOffers).toHaveBeenCalledWith([4, 5]);
+    clearInterval(timer);
+    console.log.mockRestore();
+  });
+});
@@ -0,0 +1,174 @@
+const request = require("supertest");
+const express = require("express");
+const { Op } = require("sequelize");
+const { HolidayRate, Hotels } = require("../models");
+const {
+  getHolidayRates,
+  createHolidayRate,
+  updateHolidayRate,
+  deleteHolidayRate,
+} = require("../controllers/holidayRate.controller");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+
+app.get("/holidayRates", getHolidayRates);
+app.post("/holidayRates", createHolidayRate);
+app.put("/holidayRates/:id", updateHolidayRate);
+app.delete("/holidayRates/:id", deleteHolidayRate);
+
+jest.mock("../models", () => ({
+  HolidayRate: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  Hotels: {
+    findOne: jest.fn(),
+  },
+}));
+
+const admin = JSON.stringify({ id: 1, type: "admin" });
+const owner = JSON.stringify({ id: 7, type: "owner" });
+
+describe("Holiday rate controller", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Hotels.findOne.mockResolvedValue({ id: 3, ownerId: 7 });
+  });
+
+  describe("GET /holidayRates", () => {
+    it("should return nationwide and hotel holidays", async () => {
+      const mockRates = [{ id: 1, date: "2027-02-06", name: "Tết" }];
+      HolidayRate.findAll.mockResolvedValue(mockRates);
+
+      const response = await request(app)
+        .get("/holidayRates")
+        .query({ hotelId: 3 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockRates);
+      expect(HolidayRate.findAll.mock.calls[0][0].where).toEqual({
+        [Op.or]: [{ hotel_id: null }, { hotel_id: "3" }],
+      });
+    });
+  });
+
+  describe("POST /holidayRates", () => {
+    it("should let an owner add a holiday to their hotel", async () => {
+      HolidayRate.create.mockImplementation(async (data) => ({
+        id: 1,
+        ...data,
+      }));
+
+      const response = await request(app)
+        .post("/holidayRates")
+        .set("x-user", owner)
+        .send({
+          hotel_id: 3,
+          date: "2026-12-31",
+          name: "New Year's Eve",
+          multiplier: 1.5,
+        });
+
+      expect(response.status).toBe(201);
+      expect(HolidayRate.create).toHaveBeenCalledWith({
+        hotel_id: 3,
+        date: "2026-12-31",
+        name: "New Year's Eve",
+        multiplier: 1.5,
+      });
+    });
+
+    it("should let only admins add nationwide holidays", async () => {
+      const body = { date: "2027-02-06", name: "Tết", multiplier: 2 };
+
+      const ownerResponse = await request(app)
+        .post("/holidayRates")
+        .set("x-user", owner)
+        .send(body);
+      const adminResponse = await request(app)
+        .post("/holidayRates")
+        .set("x-user", admin)
+        .send(body);
+
+      expect(ownerResponse.status).toBe(403);
+      expect(adminResponse.status).toBe(201);
+      expect(HolidayRate.create).toHaveBeenCalledTimes(1);
+    });
+
+    it("should return 400 for a non-positive multiplier", async () => {
+      const response = await request(app)
+        .post("/holidayRates")
+        .set("x-user", admin)
+        .send({ date: "2027-02-06", name: "Tết", multiplier: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'multiplier' must be a positive number"
+      );
+    });
+
+    it("should return 403 for another owner's hotel", async () => {
+      Hotels.findOne.mockResolvedValue({ id: 4, ownerId: 8 });
+
+      const response = await request(app)
+        .post("/holidayRates")
+        .set("x-user", owner)
+        .send({
+          hotel_id: 4,
+          date: "2026-12-31",
+          name: "New Year's Eve",
+          multiplier: 1.5,
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe("Not your hotel");
+    });
+  });
+
+  describe("PUT /holidayRates/:id", () => {
+    it("should update the multiplier", async () => {
+      const mockRate = { id: 1, hotel_id: 3, multiplier: 1.5, save: jest.fn() };
+      HolidayRate.findOne.mockResolvedValue(mockRate);
+
+      const response = await request(app)
+        .put("/holidayRates/1")
+        .set("x-user", owner)
+        .send({ multiplier: 1.8 });
+
+      expect(response.status).toBe(200);
+      expect(mockRate.multiplier).toBe(1.8);
+      expect(mockRate.save).toHaveBeenCalled();
+    });
+
+    it("should return 404 if the holiday rate is not found", async () => {
+      HolidayRate.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put("/holidayRates/99")
+        .set("x-user", owner)
+        .send({ multiplier: 1.8 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("DELETE /holidayRates/:id", () => {
+    it("should delete the holiday rate", async () => {
+      const mockRate = { id: 1, hotel_id: 3, destroy: jest.fn() };
+      HolidayRate.findOne.mockResolvedValue(mockRate);
+
+      const response = await request(app)
+        .delete("/holidayRates/1")
+        .set("x-user", owner);
+
+      expect(response.status).toBe(200);
+      expect(mockRate.destroy).toHaveBeenCalled();
+    });
+  });
+});
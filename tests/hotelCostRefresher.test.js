@@ -0,0 +1,49 @@
+const { Hotels } = require("../models");
+const { startHotelCostRefresher } = require("../utils/hotelCostRefresher");
+
+jest.mock("../models", () => ({
+  Hotels: {
+    updateMinPrices: jest.fn(),
+  },
+}));
+
+describe("startHotelCostRefresher", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should refresh every hotel's cost on every interval", async () => {
+    Hotels.updateMinPrices.mockResolvedValue(3);
+
+    const timer = startHotelCostRefresher(60);
+    expect(Hotels.updateMinPrices).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(Hotels.updateMinPrices).toHaveBeenCalledTimes(1);
+    expect(Hotels.updateMinPrices).toHaveBeenCalledWith();
+
+    await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+    expect(Hotels.updateMinPrices).toHaveBeenCalledTimes(2);
+
+    clearInterval(timer);
+  });
+
+  it("should keep running after a failed refresh", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    Hotels.updateMinPrices
+      .mockRejectedValueOnce(new Error("DB error"))
+      .mockResolvedValue(3);
+
+    const timer = startHotelCostRefresher(60);
+    await jest.advanceTimersByTimeAsync(2 * 60 * 60 * 1000);
+
+    expect(Hotels.updateMinPrices).toHaveBeenCalledTimes(2);
+    clearInterval(timer);
+    console.error.mockRestore();
+  });
+});
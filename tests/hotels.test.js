@@ -1,6 +1,6 @@
 const request = require("supertest");
 const express = require("express");
-const { Hotels, UrlImageHotel, sequelize } = require("../models"); // Assuming you have a models file for Hotels and UrlImageHotel
+const { Hotels, UrlImageHotel, Booking, sequelize } = require("../models"); // Assuming you have a models file for Hotels and UrlImageHotel
 const {
   createHotel,
   getAllHotel,
@@ -35,6 +35,9 @@ jest.mock("../models", () => ({
     create: jest.fn(),
     findAll: jest.fn(),
   },
+  Booking: {
+    count: jest.fn(),
+  },
   Room: {},
   Reviews: {},
   HotelAmenities: {},
@@ -64,7 +67,7 @@ describe("POST /hotels", () => {
       star: 5,
       map: "some-map",
       TypeHotel: "Luxury",
-      payment: "Credit Card",
+      payment: "vnpay",
       ownerId: 101,
     };
     const mockFiles = [
@@ -81,7 +84,7 @@ describe("POST /hotels", () => {
       .field("star", "5")
       .field("map", "some-map")
       .field("TypeHotel", "Luxury")
-      .field("payment", "Credit Card")
+      .field("payment", "vnpay")
       .field("ownerId", "101")
       .attach("files", Buffer.from("file content"), {
         filename: mockFiles[0].filename,
@@ -97,7 +100,7 @@ describe("POST /hotels", () => {
       star: "5",
       map: "some-map",
       TypeHotel: "Luxury",
-      payment: "Credit Card",
+      payment: "vnpay",
       ownerId: "101",
     });
   });
@@ -111,7 +114,7 @@ describe("POST /hotels", () => {
       .field("star", "5")
       .field("map", "some-map")
       .field("TypeHotel", "Luxury")
-      .field("payment", "Credit Card")
+      .field("payment", "vnpay")
       .field("ownerId", "101")
       .attach("files", Buffer.from("file content"), {
         filename: "132.jpg",
@@ -130,7 +133,7 @@ describe("POST /hotels", () => {
       .field("star", "5")
       .field("map", "some-map")
       .field("TypeHotel", "Luxury")
-      .field("payment", "Credit Card")
+      .field("payment", "vnpay")
       .field("ownerId", "101");
 
     expect(response.status).toBe(400);
@@ -146,7 +149,7 @@ describe("POST /hotels", () => {
       .field("star", "invalid")
       .field("map", "some-map")
       .field("TypeHotel", "Luxury")
-      .field("payment", "Credit Card")
+      .field("payment", "vnpay")
       .field("ownerId", "101");
 
     expect(response.status).toBe(400);
@@ -162,7 +165,7 @@ describe("POST /hotels", () => {
       .field("star", "5")
       .field("map", "some-map")
       .field("TypeHotel", "Luxury")
-      .field("payment", "Credit Card")
+      .field("payment", "vnpay")
       .field("ownerId", "101");
 
     expect(response.status).toBe(400);
@@ -171,6 +174,23 @@ describe("POST /hotels", () => {
     });
   });
 
+  it("should return 400 status when 'payment' lists an unknown provider", async () => {
+    const response = await request(app)
+      .post("/hotels")
+      .field("name", "Sunrise Hotel")
+      .field("star", "5")
+      .field("map", "some-map")
+      .field("TypeHotel", "Luxury")
+      .field("payment", "vnpay,Credit Card")
+      .field("ownerId", "101");
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      message: "'payment' must list providers from: vnpay, pay_at_hotel",
+    });
+    expect(Hotels.create).not.toHaveBeenCalled();
+  });
+
   it("should return 400 status when 'ownerId' is missing or invalid", async () => {
     const response = await request(app)
       .post("/hotels")
@@ -178,7 +198,7 @@ describe("POST /hotels", () => {
       .field("star", "5")
       .field("map", "some-map")
       .field("TypeHotel", "Luxury")
-      .field("payment", "Credit Card");
+      .field("payment", "vnpay");
 
     expect(response.status).toBe(400);
     expect(response.body).toEqual({
@@ -195,14 +215,14 @@ describe("GET /hotels", () => {
         name: "Sunrise Hotel",
         star: 5,
         TypeHotel: "Luxury",
-        payment: "Credit Card",
+        payment: "vnpay",
       },
       {
         id: 2,
         name: "Sunset Hotel",
         star: 4,
         TypeHotel: "Standard",
-        payment: "Cash",
+        payment: "pay_at_hotel",
       },
     ];
     Hotels.findAll.mockResolvedValue(mockHotels);
@@ -227,7 +247,7 @@ describe("GET /hotels", () => {
         name: "Sunrise Hotel",
         star: 5,
         TypeHotel: "Luxury",
-        payment: "Credit Card",
+        payment: "vnpay",
       },
     ];
     Hotels.findAll.mockResolvedValue(mockHotels);
@@ -252,7 +272,7 @@ describe("GET /hotels", () => {
         name: "Sunset Hotel",
         star: 4,
         TypeHotel: "Standard",
-        payment: "Cash",
+        payment: "pay_at_hotel",
       },
     ];
     Hotels.findAll.mockResolvedValue(mockHotels);
@@ -275,14 +295,14 @@ describe("GET /hotels", () => {
         name: "Sunset Hotel",
         star: 4,
         TypeHotel: "Standard",
-        payment: "Cash",
+        payment: "pay_at_hotel",
       },
     ];
     Hotels.findAll.mockResolvedValue(mockHotels);
 
     const response = await request(app)
       .get("/hotels")
-      .query({ payment: "Cash" });
+      .query({ payment: "pay_at_hotel" });
 
     expect(response.status).toBe(200);
     expect(response.body).toEqual(mockHotels);
@@ -300,7 +320,7 @@ describe("GET /hotels", () => {
         name: "Sunrise Hotel",
         star: 5,
         TypeHotel: "Luxury",
-        payment: "Credit Card",
+        payment: "vnpay",
       },
     ];
     Hotels.findAll.mockResolvedValue(mockHotels);
@@ -387,7 +407,7 @@ describe("PUT /updateHotel/:id", () => {
       star: 5,
       map: "some-map",
       TypeHotel: "Luxury",
-      payment: "Credit Card",
+      payment: "vnpay",
       ownerId: 101,
     };
     const updatedHotel = { ...mockHotel, name: "Updated Sunrise Hotel" };
@@ -423,6 +443,28 @@ describe("PUT /updateHotel/:id", () => {
     });
   });
 
+  it("should normalize the payment providers it is given", async () => {
+    const mockHotel = { id: 1, payment: "vnpay" };
+    Hotels.findOne.mockResolvedValue(mockHotel);
+    mockHotel.save = jest.fn().mockResolvedValue(mockHotel);
+
+    const response = await request(app)
+      .put("/updateHotel/1")
+      .send({ payment: " pay_at_hotel, vnpay ,vnpay" });
+
+    expect(response.status).toBe(200);
+    expect(mockHotel.payment).toBe("pay_at_hotel,vnpay");
+  });
+
+  it("should return 400 status when 'payment' lists an unknown provider", async () => {
+    const response = await request(app)
+      .put("/updateHotel/1")
+      .send({ payment: "online" });
+
+    expect(response.status).toBe(400);
+    expect(Hotels.findOne).not.toHaveBeenCalled();
+  });
+
   it("should return 500 status when there is a database error", async () => {
     Hotels.findOne.mockRejectedValue(new Error("Database error"));
 
@@ -439,6 +481,10 @@ describe("PUT /updateHotel/:id", () => {
 });
 
 describe("DELETE /hotels/:id", () => {
+  beforeEach(() => {
+    Booking.count.mockResolvedValue(0);
+  });
+
   it("should delete a hotel and its images and return 200 status", async () => {
     const mockHotel = { id: 1, name: "Sunrise Hotel" };
     const mockImages = [
@@ -466,6 +512,21 @@ describe("DELETE /hotels/:id", () => {
     expect(Hotels.findOne).toHaveBeenCalled();
   });
 
+  it("should refuse to delete a hotel that has bookings", async () => {
+    Hotels.findOne.mockResolvedValue({ id: 1, name: "Sunrise Hotel" });
+    Booking.count.mockResolvedValue(5);
+    Hotels.destroy.mockClear();
+    cloudinary.uploader.destroy.mockClear();
+
+    const response = await request(app).delete("/hotels/1");
+
+    expect(response.status).toBe(409);
+    expect(response.text).toBe("Không thể xóa khách sạn đã có đơn đặt phòng");
+    expect(Booking.count).toHaveBeenCalledWith({ where: { hotel_id: "1" } });
+    expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+    expect(Hotels.destroy).not.toHaveBeenCalled();
+  });
+
   it("should return 404 status when the hotel is not found", async () => {
     Hotels.findOne.mockResolvedValue(null);
 
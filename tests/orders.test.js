@@ -0,0 +1,571 @@
+const request = require("supertest");
+const express = require("express");
+const { Transaction } = require("sequelize");
+const {
+  Order,
+  Booking,
+  BookingStatusHistory,
+  Room,
+  RoomInventory,
+  RatePlan,
+  HolidayRate,
+  Hotels,
+  Coupons,
+  CouponRedemption,
+} = require("../models");
+const { queueBookingConfirmations } = require("../utils/bookingConfirmation");
+const { createOrder, getOrder } = require("../controllers/order.controller");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+
+app.post("/orders", createOrder);
+app.get("/orders/:id", getOrder);
+
+jest.mock("../models", () => ({
+  Order: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+  },
+  Booking: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+  },
+  BookingStatusHistory: {
+    create: jest.fn(),
+  },
+  Room: {
+    findOne: jest.fn(),
+  },
+  RoomInventory: {
+    findAll: jest.fn(),
+  },
+  RatePlan: {
+    findAll: jest.fn(),
+  },
+  HolidayRate: {
+    findAll: jest.fn(),
+  },
+  Hotels: {
+    findOne: jest.fn(),
+  },
+  Coupons: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+  },
+  CouponRedemption: {
+    bulkCreate: jest.fn(),
+  },
+  sequelize: {
+    transaction: jest.fn((callback) => callback("transaction")),
+  },
+}));
+
+jest.mock("../utils/bookingConfirmation", () => ({
+  queueBookingConfirmations: jest.fn(),
+}));
+
+const rooms = {
+  1: {
+    id: 1,
+    hotelId: 1,
+    name: "Deluxe",
+    quantity: 2,
+    quantity_people: 2,
+    price: 500000,
+  },
+  2: { id: 2, hotelId: 1, quantity: 5, price: 300000 },
+  3: { id: 3, hotelId: 2, quantity: 5, price: 300000 },
+};
+
+const guest = JSON.stringify({ id: 1, type: "client" });
+
+const orderBody = (overrides = {}) => ({
+  hotel_id: 1,
+  check_in_date: "2026-11-10",
+  check_out_date: "2026-11-12",
+  full_name: "John Doe",
+  rooms: [
+    { room_id: 2, quantity: 2 },
+    { room_id: 1, quantity: 1 },
+  ],
+  ...overrides,
+});
+
+describe("Order controller", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Room.findOne.mockImplementation(async ({ where }) => rooms[where.id]);
+    Booking.findAll.mockResolvedValue([]);
+    RoomInventory.findAll.mockResolvedValue([]);
+    RatePlan.findAll.mockResolvedValue([]);
+    HolidayRate.findAll.mockResolvedValue([]);
+    Hotels.findOne.mockResolvedValue({ id: 1, payment: "vnpay,pay_at_hotel" });
+    // Coupons are read again under lock inside the transaction
+    Coupons.findAll.mockImplementation(() =>
+      Promise.all(Coupons.findOne.mock.results.map(({ value }) => value))
+    );
+    Order.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+    Booking.create.mockImplementation(async (data) => ({
+      id: Booking.create.mock.calls.length,
+      ...data,
+    }));
+  });
+
+  describe("POST /orders", () => {
+    it("should create an order with one booking per room line", async () => {
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody());
+
+      expect(response.status).toBe(201);
+      expect(response.body.order.total_price).toBe(2200000);
+      expect(response.body.payment_ref).toBe("ORD9");
+      expect(Booking.create).toHaveBeenCalledTimes(2);
+      expect(Booking.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          room_id: 1,
+          order_id: 9,
+          quantity: 1,
+          total_price: 1000000,
+          status: "pending_payment",
+        }),
+        { transaction: "transaction" }
+      );
+      expect(Booking.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          room_id: 2,
+          order_id: 9,
+          quantity: 2,
+          total_price: 1200000,
+        }),
+        { transaction: "transaction" }
+      );
+    });
+
+    it("should place the order for the signed-in guest", async () => {
+      await request(app)
+        .post("/orders")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+        .send(orderBody({ user_id: 99 }));
+
+      expect(Order.create).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: 3 }),
+        { transaction: "transaction" }
+      );
+      for (const [booking] of Booking.create.mock.calls) {
+        expect(booking.user_id).toBe(3);
+      }
+    });
+
+    it("should lock every room inside the same transaction", async () => {
+      await request(app).post("/orders").set("x-user", guest).send(orderBody());
+
+      expect(Room.findOne.mock.calls.map(([options]) => options)).toEqual([
+        {
+          where: { id: 1 },
+          lock: Transaction.LOCK.UPDATE,
+          transaction: "transaction",
+        },
+        {
+          where: { id: 2 },
+          lock: Transaction.LOCK.UPDATE,
+          transaction: "transaction",
+        },
+      ]);
+      // Availability is only read once every room is locked
+      const [, lastLock] = Room.findOne.mock.invocationCallOrder;
+      for (const order of Booking.findAll.mock.invocationCallOrder) {
+        expect(order).toBeGreaterThan(lastLock);
+      }
+      expect(Booking.findAll).toHaveBeenCalled();
+    });
+
+    it("should create nothing when one line is not available", async () => {
+      Booking.findAll.mockImplementation(async ({ where }) =>
+        where.room_id === 2
+          ? [
+              {
+                check_in_date: "2026-11-10",
+                check_out_date: "2026-11-12",
+                quantity: 4,
+              },
+            ]
+          : []
+      );
+
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody());
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        message: "Not enough rooms available for the selected dates",
+        room_id: 2,
+      });
+      expect(Order.create).not.toHaveBeenCalled();
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it("should write the order and all its lines in one transaction", async () => {
+      await request(app).post("/orders").set("x-user", guest).send(orderBody());
+
+      const writes = [
+        ...Order.create.mock.calls,
+        ...Booking.create.mock.calls,
+        ...BookingStatusHistory.create.mock.calls,
+      ];
+      expect(writes).toHaveLength(5);
+      writes.forEach(([, options]) =>
+        expect(options).toEqual({ transaction: "transaction" })
+      );
+    });
+
+    it("should apply the coupon to every line", async () => {
+      Coupons.findOne.mockResolvedValue({ code: "SUMMER", percent: 10 });
+
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ coupon_code: "SUMMER" }));
+
+      expect(response.status).toBe(201);
+      expect(response.body.order.total_price).toBe(1980000);
+      expect(response.body.order.coupon_code).toBe("SUMMER");
+      // One use of the coupon, recorded against each line of the order
+      const [redemptions, options] = CouponRedemption.bulkCreate.mock.calls[0];
+      expect(redemptions).toEqual([
+        expect.objectContaining({ booking_id: 1, order_id: 9, amount: 100000 }),
+        expect.objectContaining({ booking_id: 2, order_id: 9, amount: 120000 }),
+      ]);
+      expect(options).toEqual({ transaction: "transaction" });
+    });
+
+    it("should lock the coupon between the rooms and any other read", async () => {
+      Coupons.findOne.mockResolvedValue({ id: 5, code: "SUMMER", percent: 10 });
+
+      await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ coupon_code: "SUMMER" }));
+
+      expect(Coupons.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { id: [5] },
+          lock: Transaction.LOCK.UPDATE,
+          transaction: "transaction",
+        })
+      );
+      const [locked] = Coupons.findAll.mock.invocationCallOrder;
+      const [, lastRoom] = Room.findOne.mock.invocationCallOrder;
+      expect(locked).toBeGreaterThan(lastRoom);
+      expect(locked).toBeLessThan(Booking.findAll.mock.invocationCallOrder[0]);
+    });
+
+    it("should cap the coupon discount across the whole order", async () => {
+      Coupons.findOne.mockResolvedValue({
+        code: "SUMMER",
+        percent: 10,
+        max_discount: "100000",
+      });
+
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ coupon_code: "SUMMER" }));
+
+      expect(response.status).toBe(201);
+      expect(response.body.order.total_price).toBe(2100000);
+      const lines = Booking.create.mock.calls.map(([data]) => data);
+      expect(
+        lines.reduce(
+          (sum, line) => sum + line.price_breakdown.discounts[0].amount,
+          0
+        )
+      ).toBe(100000);
+      expect(lines.reduce((sum, line) => sum + line.total_price, 0)).toBe(
+        2100000
+      );
+    });
+
+    it("should take a voucher off the whole order after the percentage coupon", async () => {
+      const coupons = {
+        SUMMER: { id: 1, code: "SUMMER", percent: 10 },
+        GIFT100K: { id: 2, code: "GIFT100K", type: "fixed", amount: "100000" },
+      };
+      Coupons.findOne.mockImplementation(
+        async ({ where }) => coupons[where.code]
+      );
+
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ coupon_codes: ["GIFT100K", "SUMMER"] }));
+
+      expect(response.status).toBe(201);
+      expect(response.body.order.total_price).toBe(1880000);
+      expect(response.body.order.coupon_code).toBe("SUMMER,GIFT100K");
+      const lines = Booking.create.mock.calls.map(([data]) => data);
+      expect(lines.map((line) => line.price_breakdown.discounts)).toEqual([
+        [
+          { code: "SUMMER", percent: 10, amount: 100000 },
+          { code: "GIFT100K", fixed_amount: 100000, amount: 45455 },
+        ],
+        [
+          { code: "SUMMER", percent: 10, amount: 120000 },
+          { code: "GIFT100K", fixed_amount: 100000, amount: 54545 },
+        ],
+      ]);
+      expect(CouponRedemption.bulkCreate).toHaveBeenCalledTimes(2);
+    });
+
+    it("should reject a coupon limited to other room types", async () => {
+      Coupons.findOne.mockResolvedValue({
+        code: "KINGS",
+        percent: 10,
+        room_types: ["King"],
+      });
+
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ coupon_code: "KINGS" }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.rejections).toEqual([
+        {
+          code: "KINGS",
+          rule: "room_types",
+          message: "Coupon is only valid for room types: King",
+        },
+      ]);
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it("should confirm pay-at-hotel orders straight away", async () => {
+      await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ payment_method: "pay_at_hotel" }));
+
+      Booking.create.mock.calls.forEach(([data]) => {
+        expect(data.status).toBe("confirmed");
+        expect(data.hold_expires_at).toBeNull();
+      });
+      const [confirmed] = queueBookingConfirmations.mock.calls[0];
+      expect(confirmed).toHaveLength(2);
+    });
+
+    it("should not take a payment method the hotel does not accept", async () => {
+      Hotels.findOne.mockResolvedValue({ id: 1, payment: "vnpay" });
+
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ payment_method: "pay_at_hotel" }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "This hotel does not accept 'pay_at_hotel', use one of: vnpay"
+      );
+      expect(Hotels.findOne).toHaveBeenCalledWith({
+        where: { id: 1 },
+        transaction: "transaction",
+      });
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it("should not email unpaid online orders yet", async () => {
+      await request(app).post("/orders").set("x-user", guest).send(orderBody());
+
+      expect(queueBookingConfirmations).not.toHaveBeenCalled();
+    });
+
+    it("should store the guests of each room line", async () => {
+      await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(
+          orderBody({
+            rooms: [
+              {
+                room_id: 2,
+                quantity: 2,
+                adults: 3,
+                children: 1,
+                child_ages: [7],
+              },
+              { room_id: 1, quantity: 1 },
+            ],
+          })
+        );
+
+      expect(Booking.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          room_id: 2,
+          adults: 3,
+          children: 1,
+          child_ages: [7],
+        }),
+        { transaction: "transaction" }
+      );
+      expect(Booking.create).toHaveBeenCalledWith(
+        expect.objectContaining({ room_id: 1, adults: 1, children: 0 }),
+        { transaction: "transaction" }
+      );
+    });
+
+    it("should reject a room line with more guests than it sleeps", async () => {
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ rooms: [{ room_id: 1, quantity: 1, adults: 3 }] }));
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        message: "1 x Deluxe sleeps at most 2 guests",
+        room_id: 1,
+      });
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 for rooms of another hotel", async () => {
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ rooms: [{ room_id: 3, quantity: 1 }] }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "All rooms of an order must belong to the same hotel"
+      );
+    });
+
+    it("should file the order under the hotel of its rooms", async () => {
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(
+          orderBody({
+            hotel_id: undefined,
+            rooms: [{ room_id: 3, quantity: 1 }],
+          })
+        );
+
+      expect(response.status).toBe(201);
+      expect(Hotels.findOne).toHaveBeenCalledWith({
+        where: { id: 2 },
+        transaction: "transaction",
+      });
+      expect(Order.create).toHaveBeenCalledWith(
+        expect.objectContaining({ hotel_id: 2 }),
+        { transaction: "transaction" }
+      );
+      expect(Booking.create).toHaveBeenCalledWith(
+        expect.objectContaining({ room_id: 3, hotel_id: 2 }),
+        { transaction: "transaction" }
+      );
+    });
+
+    it("should return 400 for a room listed twice", async () => {
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(
+          orderBody({
+            rooms: [
+              { room_id: 1, quantity: 1 },
+              { room_id: 1, quantity: 1 },
+            ],
+          })
+        );
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "Each room may only appear once in an order"
+      );
+    });
+
+    it("should return 400 without room lines", async () => {
+      const response = await request(app)
+        .post("/orders")
+        .set("x-user", guest)
+        .send(orderBody({ rooms: [] }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("'rooms' must be a non-empty array");
+    });
+  });
+
+  describe("GET /orders/:id", () => {
+    it("should return the order with its lines", async () => {
+      const mockOrder = { id: 9, user_id: 1, Bookings: [{ id: 1 }, { id: 2 }] };
+      Order.findOne.mockResolvedValue({
+        ...mockOrder,
+        toJSON: () => mockOrder,
+      });
+
+      const response = await request(app)
+        .get("/orders/9")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ...mockOrder, payment_ref: "ORD9" });
+    });
+
+    it("should return 403 for another guest's order", async () => {
+      Order.findOne.mockResolvedValue({ id: 9, user_id: 1 });
+
+      const response = await request(app)
+        .get("/orders/9")
+        .set("x-user", JSON.stringify({ id: 2, type: "client" }));
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should return 403 for an order of another owner's hotel", async () => {
+      Order.findOne.mockResolvedValue({ id: 9, user_id: 1, hotel_id: 1 });
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 8 });
+
+      const response = await request(app)
+        .get("/orders/9")
+        .set("x-user", JSON.stringify({ id: 7, type: "owner" }));
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: "Not your order" });
+      expect(Hotels.findOne).toHaveBeenCalledWith({
+        where: { id: 1 },
+        transaction: undefined,
+      });
+    });
+
+    it("should return the order to the owner of its hotel", async () => {
+      const mockOrder = { id: 9, user_id: 1, hotel_id: 1, Bookings: [] };
+      Order.findOne.mockResolvedValue({
+        ...mockOrder,
+        toJSON: () => mockOrder,
+      });
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 7 });
+
+      const response = await request(app)
+        .get("/orders/9")
+        .set("x-user", JSON.stringify({ id: 7, type: "owner" }));
+
+      expect(response.status).toBe(200);
+    });
+
+    it("should return 404 if the order is not found", async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/orders/99");
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
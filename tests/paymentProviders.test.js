@@ -0,0 +1,131 @@
+const request = require("supertest");
+const express = require("express");
+const {
+  getProvider,
+  getInitialPaymentState,
+  parseHotelPayment,
+} = require("../utils/paymentProviders");
+const {
+  loadProvider,
+  getProviders,
+  createPayment,
+  handleWebhook,
+} = require("../controllers/paymentProvider.controller");
+const { findPaymentTarget } = require("../utils/paymentTarget");
+
+const app = express();
+app.use(express.json());
+app.get("/payments/providers", getProviders);
+app.post("/payments/:provider/create", loadProvider, createPayment);
+app.get("/payments/:provider/webhook", loadProvider, handleWebhook);
+
+jest.mock("../models", () => ({
+  Booking: {},
+  PaymentTransaction: {},
+}));
+
+jest.mock("../utils/paymentTarget", () => ({
+  findPaymentTarget: jest.fn(),
+  getPaymentBlocker: jest.fn(),
+  transitionPaymentTarget: jest.fn(),
+}));
+
+describe("Payment providers", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("GET /payments/providers", () => {
+    it("should list the registered providers", async () => {
+      const response = await request(app).get("/payments/providers");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        { key: "vnpay", name: "VNPay", online: true },
+        {
+          key: "pay_at_hotel",
+          name: "Thanh toán tại khách sạn",
+          online: false,
+        },
+      ]);
+    });
+  });
+
+  describe("POST /payments/:provider/create", () => {
+    it("should return 404 for an unknown provider", async () => {
+      const response = await request(app)
+        .post("/payments/paypal/create")
+        .send({ orderId: "12" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Unknown payment provider 'paypal'");
+      expect(findPaymentTarget).not.toHaveBeenCalled();
+    });
+
+    it("should not take online payments for pay at hotel", async () => {
+      const response = await request(app)
+        .post("/payments/pay_at_hotel/create")
+        .send({ orderId: "12" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "Thanh toán tại khách sạn does not support online payments"
+      );
+      expect(findPaymentTarget).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /payments/:provider/webhook", () => {
+    it("should reject an unsigned notification in the provider's format", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query({ vnp_TxnRef: "12", vnp_ResponseCode: "00" });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        RspCode: "97",
+        Message: "Invalid signature",
+      });
+      expect(findPaymentTarget).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getInitialPaymentState", () => {
+    it("should hold online bookings until they are paid", () => {
+      const now = new Date("2026-10-19T10:00:00Z");
+
+      const state = getInitialPaymentState("vnpay", now);
+
+      expect(state.status).toBe("pending_payment");
+      expect(state.hold_expires_at.getTime()).toBeGreaterThan(now.getTime());
+    });
+
+    it("should confirm offline bookings right away", () => {
+      expect(getInitialPaymentState("pay_at_hotel")).toEqual({
+        status: "confirmed",
+        hold_expires_at: null,
+      });
+    });
+  });
+
+  describe("parseHotelPayment", () => {
+    it("should clean up a list of providers", () => {
+      expect(parseHotelPayment("vnpay, pay_at_hotel,vnpay")).toEqual({
+        payment: "vnpay,pay_at_hotel",
+      });
+    });
+
+    it.each([["online"], ["vnpay,cash"], [" , "], [undefined]])(
+      "should reject %p",
+      (value) => {
+        expect(parseHotelPayment(value)).toEqual({
+          error: "'payment' must list providers from: vnpay, pay_at_hotel",
+        });
+      }
+    );
+  });
+
+  it("should return null for an unregistered provider", () => {
+    expect(getProvider("online")).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+const request = require("supertest");
+const express = require("express");
+const { Op } = require("sequelize");
+const { PaymentTransaction } = require("../models");
+const {
+  getPaymentTransactions,
+  getPaymentTransaction,
+} = require("../controllers/paymentTransaction.controller");
+
+const app = express();
+app.use(express.json());
+app.get("/paymentTransactions", getPaymentTransactions);
+app.get("/paymentTransactions/:id", getPaymentTransaction);
+
+jest.mock("../models", () => ({
+  PaymentTransaction: {
+    findAndCountAll: jest.fn(),
+    findOne: jest.fn(),
+  },
+  Booking: {},
+}));
+
+const mockTransaction = {
+  id: 3,
+  booking_id: 12,
+  txn_ref: "12",
+  amount: "500000",
+  bank_code: "NCB",
+  response_code: "00",
+  transaction_no: "14123456",
+  status: "success",
+};
+
+describe("Payment transactions", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PaymentTransaction.findAndCountAll.mockResolvedValue({
+      count: 1,
+      rows: [mockTransaction],
+    });
+  });
+
+  describe("GET /paymentTransactions", () => {
+    it("should list transactions newest first", async () => {
+      const response = await request(app).get("/paymentTransactions");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        total: 1,
+        limit: 20,
+        offset: 0,
+        transactions: [mockTransaction],
+      });
+      const [options] = PaymentTransaction.findAndCountAll.mock.calls[0];
+      expect(options.where).toEqual({});
+      expect(options.order).toEqual([
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ]);
+    });
+
+    it("should search by provider, reference, transaction number, status and pay date", async () => {
+      await request(app).get("/paymentTransactions").query({
+        booking_id: "12",
+        provider: "vnpay",
+        txn_ref: "12",
+        transaction_no: "14123456",
+        response_code: "00",
+        type: "payment",
+        status: "success",
+        flagged: "true",
+        paid_from: "2026-10-01",
+        paid_to: "2026-10-31",
+        limit: 50,
+        offset: 50,
+      });
+
+      const [options] = PaymentTransaction.findAndCountAll.mock.calls[0];
+      expect(options.where).toEqual({
+        booking_id: 12,
+        provider: "vnpay",
+        txn_ref: "12",
+        transaction_no: "14123456",
+        response_code: "00",
+        type: "payment",
+        status: "success",
+        flagged: true,
+        pay_date: { [Op.gte]: "2026-10-01", [Op.lte]: "2026-10-31" },
+      });
+      expect(options.limit).toBe(50);
+      expect(options.offset).toBe(50);
+    });
+
+    it("should reject an unknown status", async () => {
+      const response = await request(app)
+        .get("/paymentTransactions")
+        .query({ status: "paid" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'paid' is not a payment transaction status"
+      );
+    });
+
+    it("should reject an invalid date", async () => {
+      const response = await request(app)
+        .get("/paymentTransactions")
+        .query({ created_from: "yesterday" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("'created_from' must be a valid date");
+    });
+
+    it("should cap the page size", async () => {
+      const response = await request(app)
+        .get("/paymentTransactions")
+        .query({ limit: 500 });
+
+      expect(response.status).toBe(400);
+      expect(PaymentTransaction.findAndCountAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /paymentTransactions/:id", () => {
+    it("should return one transaction", async () => {
+      PaymentTransaction.findOne.mockResolvedValue(mockTransaction);
+
+      const response = await request(app).get("/paymentTransactions/3");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockTransaction);
+    });
+
+    it("should return 404 for an unknown transaction", async () => {
+      PaymentTransaction.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/paymentTransactions/9");
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
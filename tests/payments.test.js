@@ -1,22 +1,60 @@
 const request = require("supertest");
+const moment = require("moment");
+const { Op, Transaction, Sequelize, DataTypes } = require("sequelize");
 const express = require("express");
-const { Booking, Room, User, Hotels } = require("../models");
+const {
+  Booking,
+  BookingStatusHistory,
+  BookingModification,
+  CancellationPolicy,
+  Order,
+  Room,
+  RoomInventory,
+  RatePlan,
+  HolidayRate,
+  User,
+  Hotels,
+  Coupons,
+  CouponRedemption,
+  PaymentTransaction,
+  sequelize,
+} = require("../models");
+const { queueBookingConfirmations } = require("../utils/bookingConfirmation");
+const { queueWaitlistOffers } = require("../utils/waitlist");
 const {
   createBooking,
   getAllBooking,
   getDetailBooking,
-  deleteBooking,
   getAvailability,
+  getHotelAvailability,
+  getQuote,
+  confirmBooking,
+  cancelBooking,
+  completeBooking,
+  getBookingHistory,
+  getCancellationQuote,
+  modifyBooking,
 } = require("../controllers/payment.controller");
 
 const app = express();
 app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
 
 app.post("/bookings", createBooking);
 app.get("/bookings", getAllBooking);
 app.get("/bookings/:id", getDetailBooking);
-app.delete("/bookings/:id", deleteBooking);
 app.get("/availability", getAvailability);
+app.get("/hotelAvailability", getHotelAvailability);
+app.get("/quote", getQuote);
+app.post("/bookings/:id/confirm", confirmBooking);
+app.post("/bookings/:id/cancel", cancelBooking);
+app.post("/bookings/:id/complete", completeBooking);
+app.get("/bookings/:id/history", getBookingHistory);
+app.get("/bookings/:id/cancel", getCancellationQuote);
+app.patch("/bookings/:id", modifyBooking);
 
 jest.mock("../models", () => ({
   Booking: {
@@ -24,24 +62,106 @@ jest.mock("../models", () => ({
     findAll: jest.fn(),
     findOne: jest.fn(),
     destroy: jest.fn(),
-    sum: jest.fn(),
+    findAndCountAll: jest.fn(),
+    count: jest.fn(),
   },
   Room: {
     findOne: jest.fn(),
+    findAll: jest.fn(),
+  },
+  BookingStatusHistory: {
+    create: jest.fn(),
+    findAll: jest.fn(),
+  },
+  BookingModification: {
+    create: jest.fn((values) => Promise.resolve({ id: 1, ...values })),
+  },
+  CancellationPolicy: {
+    findOne: jest.fn(),
+  },
+  Order: {
+    increment: jest.fn(),
+  },
+  RoomInventory: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  RatePlan: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  HolidayRate: {
+    findAll: jest.fn().mockResolvedValue([]),
   },
   User: {},
-  Hotels: {},
+  Hotels: {
+    findOne: jest.fn(),
+  },
+  Coupons: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+  },
+  CouponRedemption: {
+    bulkCreate: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+  },
+  PaymentTransaction: {
+    sum: jest.fn(),
+  },
+  sequelize: {
+    transaction: jest.fn((callback) => callback("transaction")),
+  },
+}));
+
+jest.mock("../utils/bookingConfirmation", () => ({
+  queueBookingConfirmations: jest.fn(),
+}));
+
+jest.mock("../utils/waitlist", () => ({
+  queueWaitlistOffers: jest.fn(),
 }));
 
+// The real model, so an attribute that clashes with one of Sequelize's
+// instance methods breaks the tests as it would break production
+const BookingModificationModel = require("../models/bookingmodification")(
+  new Sequelize("lastingtrip", "root", null, {
+    dialect: "mysql",
+    logging: false,
+  }),
+  DataTypes
+);
+
+// An existing booking of room 1 covering the whole test stay
+const bookedStay = (quantity) => ({
+  check_in_date: "2023-11-10",
+  check_out_date: "2023-11-15",
+  quantity,
+});
+
+// What the payment ledger holds for any booking: successful payments and
+// successful refunds
+const mockLedger = ({ paid = 0, refunded = 0 }) =>
+  PaymentTransaction.sum.mockImplementation(async (column, { where }) =>
+    where.type === "payment" ? paid : refunded
+  );
+
 describe("Booking Controller Tests", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    RoomInventory.findAll.mockResolvedValue([]);
+    RatePlan.findAll.mockResolvedValue([]);
+    HolidayRate.findAll.mockResolvedValue([]);
+    Hotels.findOne.mockResolvedValue({ id: 1, payment: "vnpay,pay_at_hotel" });
+    mockLedger({ paid: 1000000 });
+    // Coupons are read again under lock inside the transaction
+    Coupons.findAll.mockImplementation(() =>
+      Promise.all(Coupons.findOne.mock.results.map(({ value }) => value))
+    );
   });
 
   // Test cases for createBooking
   describe("POST /bookings", () => {
     it("should create a booking successfully", async () => {
-      const mockRoom = { id: 1, quantity: 10 };
+      const mockRoom = { id: 1, hotelId: 1, quantity: 10, price: 50 };
       const mockBooking = {
         id: 1,
         room_id: 1,
@@ -52,184 +172,2386 @@ describe("Booking Controller Tests", () => {
       };
 
       Room.findOne.mockResolvedValue(mockRoom);
-      Booking.sum.mockResolvedValue(5); // Already booked quantity
+      Booking.findAll.mockResolvedValue([bookedStay(5)]);
       Booking.create.mockResolvedValue(mockBooking);
 
-      const response = await request(app).post("/bookings").send({
-        room_id: 1,
-        user_id: 1,
-        check_in_date: "2023-11-10",
-        check_out_date: "2023-11-15",
-        total_price: 500,
-        quantity: 2,
-        full_name: "John Doe",
-        hotel_id: 1,
-      });
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-15",
+          total_price: 500,
+          quantity: 2,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
 
       expect(response.status).toBe(201);
       expect(response.body).toEqual(mockBooking);
-      expect(Room.findOne).toHaveBeenCalledWith({ where: { id: 1 } });
+      expect(Room.findOne).toHaveBeenCalledWith({
+        where: { id: 1 },
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
       expect(Booking.create).toHaveBeenCalledWith(
         expect.objectContaining({
           room_id: 1,
           user_id: 1,
           total_price: 500,
-        })
+        }),
+        { transaction: "transaction" }
       );
     });
 
     it("should return 400 if required fields are missing", async () => {
-      const response = await request(app).post("/bookings").send({
-        room_id: 1,
-        check_in_date: "2023-11-10",
-      });
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+        });
 
       expect(response.status).toBe(400);
       expect(response.body).toEqual({ error: "Missing required fields" });
       expect(Booking.create).not.toHaveBeenCalled();
     });
 
-    it("should return 400 if not enough rooms available", async () => {
-      const mockRoom = { id: 1, quantity: 5 };
-      Room.findOne.mockResolvedValue(mockRoom);
-      Booking.sum.mockResolvedValue(5); // Already booked quantity
+    it("should file the booking under the room's hotel", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 2,
+        quantity: 10,
+        price: 50,
+      });
+      Booking.findAll.mockResolvedValue([]);
+      Booking.create.mockImplementation(async (data) => ({ id: 1, ...data }));
 
-      const response = await request(app).post("/bookings").send({
-        room_id: 1,
-        user_id: 1,
-        check_in_date: "2023-11-10",
-        check_out_date: "2023-11-15",
-        total_price: 500,
-        quantity: 3, // Not enough rooms
-        full_name: "John Doe",
-        hotel_id: 1,
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-15",
+          quantity: 1,
+          full_name: "John Doe",
+        });
+
+      expect(response.status).toBe(201);
+      expect(Booking.create).toHaveBeenCalledWith(
+        expect.objectContaining({ hotel_id: 2 }),
+        { transaction: "transaction" }
+      );
+    });
+
+    it("should not file a booking under another hotel", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 2,
+        quantity: 10,
+        price: 50,
       });
 
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-15",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
       expect(response.status).toBe(400);
       expect(response.body.message).toBe(
-        "Not enough rooms available for the selected dates"
+        "The room does not belong to this hotel"
       );
+      expect(Booking.create).not.toHaveBeenCalled();
     });
-  });
 
-  // Test cases for getAllBooking
-  describe("GET /bookings", () => {
-    it("should return all bookings", async () => {
-      const mockBookings = [
-        {
-          id: 1,
+    it("should compute the total price on the server", async () => {
+      const mockRoom = { id: 1, hotelId: 1, quantity: 10, price: 100000 };
+      Room.findOne.mockResolvedValue(mockRoom);
+      Booking.findAll.mockResolvedValue([]);
+      Booking.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
           room_id: 1,
-          user_id: 1,
           check_in_date: "2023-11-10",
-          check_out_date: "2023-11-15",
-        },
-      ];
+          check_out_date: "2023-11-13",
+          quantity: 2,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
 
-      Booking.findAll.mockResolvedValue(mockBookings);
+      expect(response.status).toBe(201);
+      expect(response.body.total_price).toBe(600000); // 100000 x 3 nights x 2
+      expect(response.body.price_breakdown.nights).toEqual([
+        { date: "2023-11-10", price: 100000 },
+        { date: "2023-11-11", price: 100000 },
+        { date: "2023-11-12", price: 100000 },
+      ]);
+      expect(response.body.price_breakdown.subtotal).toBe(600000);
+    });
 
-      const response = await request(app).get("/bookings");
+    it("should reject a total_price that differs from the server price", async () => {
+      const mockRoom = { id: 1, hotelId: 1, quantity: 10, price: 100000 };
+      Room.findOne.mockResolvedValue(mockRoom);
+      Booking.findAll.mockResolvedValue([]);
 
-      expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockBookings);
-      expect(Booking.findAll).toHaveBeenCalled();
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          total_price: 1,
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "'total_price' does not match the server price"
+      );
+      expect(response.body.quote.total).toBe(100000);
+      expect(Booking.create).not.toHaveBeenCalled();
     });
 
-    it("should return 500 if there is a server error", async () => {
-      Booking.findAll.mockRejectedValue(new Error("Database error"));
+    it("should apply a valid coupon to the server price", async () => {
+      const mockRoom = { id: 1, hotelId: 1, quantity: 10, price: 100000 };
+      Room.findOne.mockResolvedValue(mockRoom);
+      Booking.findAll.mockResolvedValue([]);
+      Coupons.findOne.mockResolvedValue({ code: "SAVE10", percent: 10 });
+      Booking.create.mockImplementation(async (data) => ({ id: 1, ...data }));
 
-      const response = await request(app).get("/bookings");
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-12",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          coupon_code: "SAVE10",
+        });
 
-      expect(response.status).toBe(500);
+      expect(response.status).toBe(201);
+      expect(response.body.total_price).toBe(180000);
+      expect(response.body.coupon_code).toBe("SAVE10");
+      expect(response.body.price_breakdown.discounts).toEqual([
+        { code: "SAVE10", percent: 10, amount: 20000 },
+      ]);
+      expect(CouponRedemption.bulkCreate).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({
+            code: "SAVE10",
+            booking_id: 1,
+            order_id: null,
+            user_id: 1,
+            amount: 20000,
+            status: "active",
+          }),
+        ],
+        { transaction: "transaction" }
+      );
     });
-  });
 
-  // Test cases for getDetailBooking
-  describe("GET /bookings/:id", () => {
-    it("should return booking details by ID", async () => {
-      const mockBooking = {
+    it("should explain why the coupon does not apply to the booking", async () => {
+      Room.findOne.mockResolvedValue({
         id: 1,
-        room_id: 1,
-        user_id: 1,
-        check_in_date: "2023-11-10",
-        check_out_date: "2023-11-15",
-        Room: {
-          id: 1,
-          name: "Luxury Suite",
-          price: 200,
-        },
-        User: {
-          id: 1,
-          name: "John Doe",
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
+        type_bed: "Double",
+      });
+      Booking.findAll.mockResolvedValue([]);
+      Booking.count.mockResolvedValue(2);
+      Coupons.findOne.mockResolvedValue({
+        code: "FIRST",
+        percent: 10,
+        min_order_value: "500000",
+        first_booking_only: true,
+      });
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-12",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          coupon_code: "FIRST",
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "Coupon cannot be applied to this booking"
+      );
+      expect(response.body.rejections.map(({ rule }) => rule)).toEqual([
+        "min_order_value",
+        "first_booking_only",
+      ]);
+      expect(Booking.count).toHaveBeenCalledWith(
+        expect.objectContaining({ transaction: "transaction" })
+      );
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it("should lock the coupon before counting its uses", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
+      });
+      Booking.findAll.mockResolvedValue([]);
+      Coupons.findOne.mockResolvedValue({
+        id: 6,
+        code: "VNAABCD2345",
+        percent: 15,
+        usage_limit: 1,
+      });
+      // Redeemed by a booking that committed while this one waited
+      CouponRedemption.count.mockResolvedValueOnce(1).mockResolvedValue(0);
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          coupon_code: "VNAABCD2345",
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.rejections).toEqual([
+        {
+          code: "VNAABCD2345",
+          rule: "usage_limit",
+          message: "Coupon has been fully redeemed",
         },
-      };
+      ]);
+      expect(Coupons.findAll).toHaveBeenCalledWith({
+        where: { id: [6] },
+        order: [["id", "ASC"]],
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
+      const [locked] = Coupons.findAll.mock.invocationCallOrder;
+      expect(locked).toBeGreaterThan(Room.findOne.mock.invocationCallOrder[0]);
+      expect(locked).toBeLessThan(Hotels.findOne.mock.invocationCallOrder[0]);
+      expect(locked).toBeLessThan(Booking.findAll.mock.invocationCallOrder[0]);
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
 
-      Booking.findOne.mockResolvedValue(mockBooking);
+    it("should hold the signed-in guest to the per-guest limit", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
+      });
+      Booking.findAll.mockResolvedValue([]);
+      Coupons.findOne.mockResolvedValue({
+        id: 6,
+        code: "ONCE",
+        percent: 15,
+        per_user_limit: 1,
+      });
+      CouponRedemption.count.mockResolvedValueOnce(1).mockResolvedValue(0);
 
-      const response = await request(app).get("/bookings/1");
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+        .send({
+          room_id: 1,
+          user_id: 99,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          coupon_code: "ONCE",
+        });
 
-      expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockBooking);
+      expect(response.status).toBe(400);
+      expect(response.body.rejections).toEqual([
+        {
+          code: "ONCE",
+          rule: "per_user_limit",
+          message: "Coupon can be used 1 time(s) per guest",
+        },
+      ]);
+      expect(CouponRedemption.count).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: expect.objectContaining({ code: "ONCE", user_id: 3 }),
+        })
+      );
+      expect(Booking.create).not.toHaveBeenCalled();
     });
 
-    it("should return 404 if booking is not found", async () => {
-      Booking.findOne.mockResolvedValue(null);
+    it("should reject a coupon deleted while waiting for the lock", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
+      });
+      Coupons.findOne.mockResolvedValue({ id: 6, code: "SAVE10", percent: 10 });
+      Coupons.findAll.mockResolvedValue([]);
 
-      const response = await request(app).get("/bookings/999");
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          coupon_code: "SAVE10",
+        });
 
-      expect(response.status).toBe(404);
-      expect(response.body.message).toBe("Booking not found");
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Coupon is invalid or has expired");
+      expect(Booking.create).not.toHaveBeenCalled();
     });
-  });
 
-  // Test cases for deleteBooking
-  describe("DELETE /bookings/:id", () => {
-    it("should delete a booking", async () => {
-      Booking.destroy.mockResolvedValue(1);
+    it("should cap the coupon discount", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
+      });
+      Booking.findAll.mockResolvedValue([]);
+      Coupons.findOne.mockResolvedValue({
+        code: "SAVE50",
+        percent: 50,
+        max_discount: "30000",
+      });
+      Booking.create.mockImplementation(async (data) => ({ id: 1, ...data }));
 
-      const response = await request(app).delete("/bookings/1");
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-12",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          coupon_code: "SAVE50",
+        });
 
-      expect(response.status).toBe(200);
-      expect(response.body.message).toBe("Booking deleted successfully");
-      expect(Booking.destroy).toHaveBeenCalledWith({ where: { id: "1" } });
+      expect(response.status).toBe(201);
+      expect(response.body.total_price).toBe(170000);
+      expect(response.body.price_breakdown.discounts).toEqual([
+        { code: "SAVE50", percent: 50, max_discount: "30000", amount: 30000 },
+      ]);
     });
 
-    it("should return 404 if booking is not found", async () => {
-      Booking.destroy.mockResolvedValue(0);
+    describe("stacked coupons", () => {
+      const coupons = {
+        SAVE10: { id: 1, code: "SAVE10", percent: 10 },
+        GIFT50K: { id: 2, code: "GIFT50K", type: "fixed", amount: "50000" },
+        GIFT500K: { id: 3, code: "GIFT500K", type: "fixed", amount: "500000" },
+        VIP: { id: 4, code: "VIP", percent: 30, exclusive: true },
+      };
+      const book = (coupon_codes) =>
+        request(app)
+          .post("/bookings")
+          .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+          .send({
+            room_id: 1,
+            check_in_date: "2023-11-10",
+            check_out_date: "2023-11-12",
+            quantity: 1,
+            full_name: "John Doe",
+            hotel_id: 1,
+            coupon_codes,
+          });
+
+      beforeEach(() => {
+        Room.findOne.mockResolvedValue({
+          id: 1,
+          hotelId: 1,
+          quantity: 10,
+          price: 100000,
+        });
+        Booking.findAll.mockResolvedValue([]);
+        Coupons.findOne.mockImplementation(
+          async ({ where }) => coupons[where.code] || null
+        );
+        Booking.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+      });
 
-      const response = await request(app).delete("/bookings/999");
+      it("should apply the percentage coupon before the voucher", async () => {
+        const response = await book(["GIFT50K", "SAVE10"]);
 
-      expect(response.status).toBe(404);
-      expect(response.body.message).toBe("Booking not found");
+        expect(response.status).toBe(201);
+        expect(response.body.total_price).toBe(130000);
+        expect(response.body.coupon_code).toBe("SAVE10,GIFT50K");
+        expect(response.body.price_breakdown.discounts).toEqual([
+          { code: "SAVE10", percent: 10, amount: 20000 },
+          { code: "GIFT50K", fixed_amount: 50000, amount: 50000 },
+        ]);
+        expect(CouponRedemption.bulkCreate).toHaveBeenCalledTimes(2);
+      });
+
+      it("should not take a voucher below zero", async () => {
+        const response = await book(["GIFT500K"]);
+
+        expect(response.status).toBe(201);
+        expect(response.body.total_price).toBe(0);
+        expect(response.body.price_breakdown.discounts).toEqual([
+          { code: "GIFT500K", fixed_amount: 500000, amount: 200000 },
+        ]);
+      });
+
+      it.each([
+        [["VIP", "GIFT50K"], "Coupon VIP cannot be combined with other codes"],
+        [["GIFT50K", "GIFT500K"], "Only one voucher can be used per booking"],
+      ])("should refuse %p", async (codes, message) => {
+        const response = await book(codes);
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe(message);
+        expect(Booking.create).not.toHaveBeenCalled();
+      });
+
+      it("should reject a malformed list of codes", async () => {
+        const response = await book([""]);
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(
+          "'coupon_codes' must be a list of coupon codes"
+        );
+      });
     });
-  });
 
-  // Test cases for getAvailability
-  describe("GET /availability", () => {
-    it("should return available room quantity", async () => {
-      const mockRoom = { id: 1, quantity: 10 };
+    it("should return 400 if the coupon is invalid or expired", async () => {
+      const mockRoom = { id: 1, hotelId: 1, quantity: 10, price: 100000 };
       Room.findOne.mockResolvedValue(mockRoom);
-      Booking.sum.mockResolvedValue(3);
+      Booking.findAll.mockResolvedValue([]);
+      Coupons.findOne.mockResolvedValue(null);
 
-      const response = await request(app).get("/availability").query({
-        checkInDate: "2023-11-10",
-        checkOutDate: "2023-11-15",
-        roomId: 1,
-        quantity: 5,
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-12",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          coupon_code: "OLD",
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Coupon is invalid or has expired");
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it("should start online bookings as pending_payment and record it", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
       });
+      Booking.findAll.mockResolvedValue([]);
+      Booking.create.mockImplementation(async (data) => ({ id: 7, ...data }));
 
-      expect(response.status).toBe(200);
-      expect(response.body.availableQuantity).toBe(7); // 10 - 3
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          status: "confirmed", // ignored, the server decides
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.status).toBe("pending_payment");
+      expect(response.body.payment_method).toBe("vnpay");
+      expect(BookingStatusHistory.create).toHaveBeenCalledWith(
+        {
+          booking_id: 7,
+          from_status: null,
+          to_status: "pending_payment",
+          changed_by: 3,
+          note: null,
+        },
+        { transaction: "transaction" }
+      );
     });
 
-    it("should return 400 if required fields are missing", async () => {
-      const response = await request(app).get("/availability").query({
-        checkOutDate: "2023-11-15",
-        roomId: 1,
-        quantity: 5,
+    it("should hold unpaid online bookings for a limited time", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
       });
+      Booking.findAll.mockResolvedValue([]);
+      Booking.create.mockImplementation(async (data) => ({ id: 7, ...data }));
 
-      expect(response.status).toBe(400);
-      expect(response.body.error).toBe("Missing required fields");
+      const before = Date.now();
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
+      const holdMs = new Date(response.body.hold_expires_at) - before;
+      expect(response.status).toBe(201);
+      expect(holdMs).toBeGreaterThanOrEqual(15 * 60 * 1000 - 1000);
+      expect(holdMs).toBeLessThanOrEqual(15 * 60 * 1000 + 1000);
+      expect(queueBookingConfirmations).not.toHaveBeenCalled();
+    });
+
+    describe("guests", () => {
+      const book = (guests) =>
+        request(app)
+          .post("/bookings")
+          .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+          .send({
+            room_id: 1,
+            check_in_date: "2023-11-10",
+            check_out_date: "2023-11-11",
+            quantity: 2,
+            full_name: "John Doe",
+            hotel_id: 1,
+            ...guests,
+          });
+
+      beforeEach(() => {
+        Room.findOne.mockResolvedValue({
+          id: 1,
+          hotelId: 1,
+          name: "Family Room",
+          quantity: 10,
+          quantity_people: 3,
+          price: 100000,
+        });
+        Booking.findAll.mockResolvedValue([]);
+        Booking.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+      });
+
+      it("should store adults, children and child ages", async () => {
+        const response = await book({
+          adults: 4,
+          children: 2,
+          child_ages: [3, 11],
+        });
+
+        expect(response.status).toBe(201);
+        expect(Booking.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            adults: 4,
+            children: 2,
+            child_ages: [3, 11],
+          }),
+          { transaction: "transaction" }
+        );
+      });
+
+      it("should count bookings without guest counts as one adult", async () => {
+        await book({});
+
+        expect(Booking.create).toHaveBeenCalledWith(
+          expect.objectContaining({ adults: 1, children: 0, child_ages: [] }),
+          { transaction: "transaction" }
+        );
+      });
+
+      it("should reject more guests than the rooms sleep", async () => {
+        const response = await book({
+          adults: 5,
+          children: 2,
+          child_ages: [3, 11],
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe(
+          "2 x Family Room sleeps at most 6 guests"
+        );
+        expect(Booking.create).not.toHaveBeenCalled();
+      });
+
+      it("should require the age of every child", async () => {
+        const response = await book({
+          adults: 2,
+          children: 2,
+          child_ages: [3],
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(
+          "'child_ages' must list the age of each child"
+        );
+      });
+
+      it("should reject adults among the child ages", async () => {
+        const response = await book({
+          adults: 2,
+          children: 1,
+          child_ages: [18],
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(
+          "Each child age must be an integer from 0 to 17"
+        );
+      });
+
+      it("should reject a booking without adults", async () => {
+        const response = await book({ adults: 0 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe("'adults' must be a positive integer");
+      });
+    });
+
+    it("should confirm pay-at-hotel bookings straight away", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100000,
+      });
+      Booking.findAll.mockResolvedValue([]);
+      Booking.create.mockImplementation(async (data) => ({ id: 8, ...data }));
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          payment_method: "pay_at_hotel",
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.status).toBe("confirmed");
+      expect(response.body.hold_expires_at).toBeNull();
+      expect(queueBookingConfirmations).toHaveBeenCalledWith([
+        expect.objectContaining({ id: 8, status: "confirmed" }),
+      ]);
+    });
+
+    it("should not take a payment method the hotel does not accept", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, hotelId: 1, quantity: 10 });
+      Hotels.findOne.mockResolvedValue({ id: 1, payment: "vnpay" });
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          payment_method: "pay_at_hotel",
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "This hotel does not accept 'pay_at_hotel', use one of: vnpay"
+      );
+      expect(Hotels.findOne).toHaveBeenCalledWith({
+        where: { id: 1 },
+        transaction: "transaction",
+      });
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 for an unknown payment method", async () => {
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 3, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-11",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+          payment_method: "cash",
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'payment_method' must be one of: vnpay, pay_at_hotel"
+      );
+    });
+
+    it("should return 400 if not enough rooms available", async () => {
+      const mockRoom = { id: 1, hotelId: 1, quantity: 5 };
+      Room.findOne.mockResolvedValue(mockRoom);
+      Booking.findAll.mockResolvedValue([bookedStay(5)]);
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-15",
+          total_price: 500,
+          quantity: 3, // Not enough rooms
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "Not enough rooms available for the selected dates"
+      );
+    });
+
+    it("should reject a stay that includes a closed night", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 50,
+      });
+      Booking.findAll.mockResolvedValue([]);
+      RoomInventory.findAll.mockResolvedValue([
+        { room_id: 1, date: "2023-11-12", allotment: null, closed: true },
+      ]);
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-15",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "Not enough rooms available for the selected dates"
+      );
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it("should use the nightly allotment instead of the room quantity", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 50,
+      });
+      Booking.findAll.mockResolvedValue([bookedStay(1)]);
+      RoomInventory.findAll.mockResolvedValue([
+        { room_id: 1, date: "2023-11-11", allotment: 2, closed: false },
+      ]);
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-15",
+          quantity: 2,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
+      expect(response.status).toBe(400);
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it("should price nights with an override at the override", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 100,
+      });
+      Booking.findAll.mockResolvedValue([]);
+      RoomInventory.findAll.mockResolvedValue([
+        { room_id: 1, date: "2023-11-11", price_override: 250 },
+      ]);
+      Booking.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      const response = await request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-12",
+          quantity: 1,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.total_price).toBe(350);
+      expect(response.body.price_breakdown.nights).toEqual([
+        { date: "2023-11-10", price: 100 },
+        { date: "2023-11-11", price: 250 },
+      ]);
+    });
+  });
+
+  // Test cases for getAllBooking
+  describe("GET /bookings", () => {
+    const mockBookings = [
+      {
+        id: 1,
+        room_id: 1,
+        user_id: 1,
+        check_in_date: "2023-11-10",
+        check_out_date: "2023-11-15",
+      },
+    ];
+
+    it("should return the first page of bookings with the total", async () => {
+      Booking.findAndCountAll.mockResolvedValue({
+        count: 57,
+        rows: mockBookings,
+      });
+
+      const response = await request(app).get("/bookings");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        total: 57,
+        limit: 20,
+        offset: 0,
+        bookings: mockBookings,
+      });
+      expect(Booking.findAndCountAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {},
+          order: [
+            ["createdAt", "DESC"],
+            ["id", "DESC"],
+          ],
+          limit: 20,
+          offset: 0,
+        })
+      );
+    });
+
+    it("should filter by ids, statuses and date ranges", async () => {
+      Booking.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+
+      const response = await request(app).get("/bookings").query({
+        hotel_id: 2,
+        room_id: 3,
+        status: "confirmed,checked_in",
+        check_in_from: "2023-11-01",
+        check_in_to: "2023-11-30",
+        created_from: "2023-10-01",
+      });
+
+      expect(response.status).toBe(200);
+      const { where } = Booking.findAndCountAll.mock.calls[0][0];
+      expect(where).toEqual({
+        hotel_id: 2,
+        room_id: 3,
+        status: { [Op.in]: ["confirmed", "checked_in"] },
+        check_in_date: { [Op.gte]: "2023-11-01", [Op.lte]: "2023-11-30" },
+        createdAt: { [Op.gte]: "2023-10-01" },
+      });
+    });
+
+    it("should page and sort as requested", async () => {
+      Booking.findAndCountAll.mockResolvedValue({ count: 120, rows: [] });
+
+      const response = await request(app)
+        .get("/bookings")
+        .query({ limit: 50, offset: 100, sort: "check_in_date" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.limit).toBe(50);
+      expect(response.body.offset).toBe(100);
+      expect(Booking.findAndCountAll).toHaveBeenCalledWith(
+        expect.objectContaining({
+          order: [
+            ["check_in_date", "ASC"],
+            ["id", "ASC"],
+          ],
+          limit: 50,
+          offset: 100,
+        })
+      );
+    });
+
+    it("should only return a guest's own bookings", async () => {
+      Booking.findAndCountAll.mockResolvedValue({ count: 1, rows: [] });
+
+      await request(app)
+        .get("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }));
+
+      const { where } = Booking.findAndCountAll.mock.calls[0][0];
+      expect(where.user_id).toBe(1);
+    });
+
+    it("should return 403 when a guest asks for someone else's bookings", async () => {
+      const response = await request(app)
+        .get("/bookings")
+        .query({ user_id: 2 })
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }));
+
+      expect(response.status).toBe(403);
+      expect(Booking.findAndCountAll).not.toHaveBeenCalled();
+    });
+
+    it("should limit owners to the bookings of their hotels", async () => {
+      Booking.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+
+      await request(app)
+        .get("/bookings")
+        .set("x-user", JSON.stringify({ id: 7, type: "owner" }));
+
+      const { include } = Booking.findAndCountAll.mock.calls[0][0];
+      expect(include[0].where).toEqual({ ownerId: 7 });
+    });
+
+    it("should return 400 for an unknown status", async () => {
+      const response = await request(app)
+        .get("/bookings")
+        .query({ status: "paid" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("'paid' is not a booking status");
+    });
+
+    it("should return 400 for a page size over the maximum", async () => {
+      const response = await request(app)
+        .get("/bookings")
+        .query({ limit: 1000 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 400 for an unsupported sort field", async () => {
+      const response = await request(app)
+        .get("/bookings")
+        .query({ sort: "-full_name" });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 500 if there is a server error", async () => {
+      Booking.findAndCountAll.mockRejectedValue(new Error("Database error"));
+
+      const response = await request(app).get("/bookings");
+
+      expect(response.status).toBe(500);
+    });
+  });
+
+  // Test cases for getDetailBooking
+  describe("GET /bookings/:id", () => {
+    it("should return booking details by ID", async () => {
+      const mockBooking = {
+        id: 1,
+        room_id: 1,
+        user_id: 1,
+        check_in_date: "2023-11-10",
+        check_out_date: "2023-11-15",
+        Room: {
+          id: 1,
+          name: "Luxury Suite",
+          price: 200,
+        },
+        User: {
+          id: 1,
+          name: "John Doe",
+        },
+      };
+
+      Booking.findOne.mockResolvedValue(mockBooking);
+
+      const response = await request(app)
+        .get("/bookings/1")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockBooking);
+    });
+
+    it("should return 403 for another guest's booking", async () => {
+      Booking.findOne.mockResolvedValue({ id: 1, user_id: 1, hotel_id: 1 });
+
+      const response = await request(app)
+        .get("/bookings/1")
+        .set("x-user", JSON.stringify({ id: 2, type: "client" }));
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: "Not your booking" });
+    });
+
+    it("should return 403 for a booking of another owner's hotel", async () => {
+      Booking.findOne.mockResolvedValue({ id: 1, user_id: 1, hotel_id: 1 });
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 8 });
+
+      const response = await request(app)
+        .get("/bookings/1")
+        .set("x-user", JSON.stringify({ id: 7, type: "owner" }));
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should return 404 if booking is not found", async () => {
+      Booking.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/bookings/999");
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Booking not found");
+    });
+  });
+
+  // Test cases for getAvailability
+  describe("GET /availability", () => {
+    it("should return available room quantity", async () => {
+      const mockRoom = { id: 1, quantity: 10 };
+      Room.findOne.mockResolvedValue(mockRoom);
+      Booking.findAll.mockResolvedValue([bookedStay(3)]);
+
+      const response = await request(app).get("/availability").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-15",
+        roomId: 1,
+        quantity: 5,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.availableQuantity).toBe(7); // 10 - 3
+    });
+
+    it("should return the tightest night of the stay", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, quantity: 10 });
+      Booking.findAll.mockResolvedValue([
+        {
+          check_in_date: "2023-11-11",
+          check_out_date: "2023-11-12",
+          quantity: 2,
+        },
+      ]);
+      RoomInventory.findAll.mockResolvedValue([
+        { room_id: 1, date: "2023-11-11", allotment: 6, closed: false },
+      ]);
+
+      const response = await request(app).get("/availability").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-13",
+        roomId: 1,
+        quantity: 1,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.availableQuantity).toBe(4);
+      expect(response.body.nights.map((night) => night.available)).toEqual([
+        10, 4, 10,
+      ]);
+    });
+
+    it("should return the rate-plan price of each night", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, quantity: 10, price: 100 });
+      Booking.findAll.mockResolvedValue([]);
+      RatePlan.findAll.mockResolvedValue([
+        {
+          id: 1,
+          room_id: 1,
+          name: "Weekend",
+          start_date: null,
+          end_date: null,
+          price: null,
+          weekday_multipliers: { 6: 2 },
+          priority: 0,
+        },
+      ]);
+
+      const response = await request(app).get("/availability").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-12",
+        roomId: 1,
+        quantity: 1,
+      });
+
+      expect(response.body.nights.map((night) => night.price)).toEqual([
+        100, 200,
+      ]);
+    });
+
+    it("should not count expired holds against the room", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, quantity: 10 });
+      Booking.findAll.mockResolvedValue([]);
+
+      await request(app).get("/availability").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-15",
+        roomId: 1,
+        quantity: 1,
+      });
+
+      const { where } = Booking.findAll.mock.calls[0][0];
+      expect(where.status).toEqual({
+        [Op.in]: ["pending_payment", "confirmed", "checked_in"],
+      });
+      expect(where[Op.or]).toEqual([
+        { status: { [Op.ne]: "pending_payment" } },
+        { hold_expires_at: { [Op.gt]: expect.any(Date) } },
+      ]);
+    });
+
+    it("should point sold-out stays to the waitlist", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, quantity: 10 });
+      Booking.findAll.mockResolvedValue([bookedStay(8)]);
+
+      const response = await request(app).get("/availability").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-15",
+        roomId: 1,
+        quantity: 5,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        message: "Not enough rooms available for the selected dates",
+        availableQuantity: 2,
+        waitlist: true,
+      });
+    });
+
+    it("should return 400 if required fields are missing", async () => {
+      const response = await request(app).get("/availability").query({
+        checkOutDate: "2023-11-15",
+        roomId: 1,
+        quantity: 5,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required fields");
+    });
+  });
+
+  // Test cases for getQuote
+  describe("GET /hotelAvailability", () => {
+    const query = {
+      hotelId: 1,
+      checkInDate: "2023-11-10",
+      checkOutDate: "2023-11-13",
+    };
+
+    beforeEach(() => {
+      Hotels.findOne.mockResolvedValue({ id: 1, name: "Sea View" });
+      Room.findAll.mockResolvedValue([
+        { id: 1, hotelId: 1, name: "Deluxe", quantity: 5, price: 100 },
+        { id: 2, hotelId: 1, name: "Suite", quantity: 2, price: 300 },
+      ]);
+    });
+
+    it("should return every room of the hotel for every night", async () => {
+      Booking.findAll.mockResolvedValue([
+        {
+          room_id: 2,
+          check_in_date: "2023-11-11",
+          check_out_date: "2023-11-13",
+          quantity: 1,
+        },
+      ]);
+      RoomInventory.findAll.mockResolvedValue([
+        {
+          room_id: 1,
+          date: "2023-11-12",
+          allotment: null,
+          closed: true,
+          price_override: null,
+        },
+        { room_id: 2, date: "2023-11-10", price_override: 250 },
+      ]);
+
+      const response = await request(app)
+        .get("/hotelAvailability")
+        .query(query);
+
+      expect(response.status).toBe(200);
+      expect(response.body.hotel_id).toBe(1);
+      expect(response.body.rooms).toEqual([
+        {
+          room_id: 1,
+          name: "Deluxe",
+          availableQuantity: 0,
+          nights: [
+            { date: "2023-11-10", closed: false, price: 100, available: 5 },
+            { date: "2023-11-11", closed: false, price: 100, available: 5 },
+            { date: "2023-11-12", closed: true, price: 100, available: 0 },
+          ],
+        },
+        {
+          room_id: 2,
+          name: "Suite",
+          availableQuantity: 1,
+          nights: [
+            { date: "2023-11-10", closed: false, price: 250, available: 2 },
+            { date: "2023-11-11", closed: false, price: 300, available: 1 },
+            { date: "2023-11-12", closed: false, price: 300, available: 1 },
+          ],
+        },
+      ]);
+    });
+
+    it("should query bookings once for all rooms", async () => {
+      Booking.findAll.mockResolvedValue([]);
+
+      await request(app).get("/hotelAvailability").query(query);
+
+      expect(Room.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { hotelId: "1" } })
+      );
+      expect(Booking.findAll).toHaveBeenCalledTimes(1);
+      expect(Booking.findAll.mock.calls[0][0].where.room_id).toEqual({
+        [Op.in]: [1, 2],
+      });
+    });
+
+    it("should return 404 for an unknown hotel", async () => {
+      Hotels.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/hotelAvailability")
+        .query(query);
+
+      expect(response.status).toBe(404);
+      expect(Room.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should limit the window to 31 nights", async () => {
+      const response = await request(app)
+        .get("/hotelAvailability")
+        .query({ ...query, checkOutDate: "2023-12-12" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("The window cannot exceed 31 nights");
+    });
+
+    it("should return 400 for an empty window", async () => {
+      const response = await request(app)
+        .get("/hotelAvailability")
+        .query({ ...query, checkOutDate: "2023-11-10" });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("GET /quote", () => {
+    it("should return the server price for a stay", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, quantity: 10, price: 200000 });
+
+      const response = await request(app).get("/quote").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-12",
+        roomId: 1,
+        quantity: 2,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.subtotal).toBe(800000);
+      expect(response.body.total).toBe(800000);
+      expect(response.body.discounts).toEqual([]);
+    });
+
+    it("should apply the rate plan and its weekend multiplier", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 200000,
+      });
+      RatePlan.findAll.mockResolvedValue([
+        {
+          id: 1,
+          room_id: 1,
+          name: "Weekend",
+          start_date: null,
+          end_date: null,
+          price: null,
+          weekday_multipliers: { 5: 1.2, 6: 1.2 },
+          priority: 0,
+        },
+        {
+          id: 2,
+          room_id: 1,
+          name: "High season",
+          start_date: "2023-11-11",
+          end_date: "2023-11-30",
+          price: 400000,
+          weekday_multipliers: { 6: 1.5 },
+          priority: 10,
+        },
+      ]);
+
+      // Friday, Saturday and Sunday nights
+      const response = await request(app).get("/quote").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-13",
+        roomId: 1,
+        quantity: 1,
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.nights).toEqual([
+        { date: "2023-11-10", price: 240000, rate_plan: "Weekend" },
+        { date: "2023-11-11", price: 600000, rate_plan: "High season" },
+        { date: "2023-11-12", price: 400000, rate_plan: "High season" },
+      ]);
+      expect(response.body.total).toBe(1240000);
+    });
+
+    it("should apply the hotel's holiday rate over a nationwide one", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 200000,
+      });
+      HolidayRate.findAll.mockResolvedValue([
+        {
+          hotel_id: null,
+          date: "2023-11-10",
+          name: "Holiday",
+          multiplier: 1.5,
+        },
+        { hotel_id: 1, date: "2023-11-10", name: "Festival", multiplier: 2 },
+        {
+          hotel_id: null,
+          date: "2023-11-11",
+          name: "Holiday",
+          multiplier: 1.5,
+        },
+      ]);
+
+      const response = await request(app).get("/quote").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-13",
+        roomId: 1,
+        quantity: 1,
+      });
+
+      expect(response.body.nights).toEqual([
+        { date: "2023-11-10", price: 400000, holiday: "Festival" },
+        { date: "2023-11-11", price: 300000, holiday: "Holiday" },
+        { date: "2023-11-12", price: 200000 },
+      ]);
+    });
+
+    it("should let an inventory price override win over rate plans", async () => {
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 10,
+        price: 200000,
+      });
+      RoomInventory.findAll.mockResolvedValue([
+        { room_id: 1, date: "2023-11-10", price_override: 150000 },
+      ]);
+      RatePlan.findAll.mockResolvedValue([
+        {
+          id: 1,
+          room_id: 1,
+          name: "High season",
+          start_date: "2023-11-01",
+          end_date: "2023-11-30",
+          price: 400000,
+          weekday_multipliers: {},
+          priority: 0,
+        },
+      ]);
+      HolidayRate.findAll.mockResolvedValue([
+        { hotel_id: 1, date: "2023-11-10", name: "Festival", multiplier: 2 },
+      ]);
+
+      const response = await request(app).get("/quote").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-12",
+        roomId: 1,
+        quantity: 1,
+      });
+
+      expect(response.body.nights).toEqual([
+        { date: "2023-11-10", price: 150000 },
+        { date: "2023-11-11", price: 400000, rate_plan: "High season" },
+      ]);
+    });
+
+    it("should quote several codes separated by commas", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, quantity: 10, price: 200000 });
+      Coupons.findOne.mockImplementation(async ({ where }) =>
+        where.code === "SAVE10"
+          ? { code: "SAVE10", percent: 10 }
+          : { code: "GIFT50K", type: "fixed", amount: "50000" }
+      );
+
+      const response = await request(app).get("/quote").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-12",
+        roomId: 1,
+        quantity: 2,
+        couponCode: "GIFT50K, SAVE10",
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.discounts.map(({ code }) => code)).toEqual([
+        "SAVE10",
+        "GIFT50K",
+      ]);
+      expect(response.body.total).toBe(670000);
+    });
+
+    it("should return 400 if the coupon is invalid", async () => {
+      Room.findOne.mockResolvedValue({ id: 1, quantity: 10, price: 200000 });
+      Coupons.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/quote").query({
+        checkInDate: "2023-11-10",
+        checkOutDate: "2023-11-12",
+        roomId: 1,
+        quantity: 2,
+        couponCode: "NOPE",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Coupon is invalid or has expired");
+    });
+
+    it("should return 400 if required fields are missing", async () => {
+      const response = await request(app).get("/quote").query({ roomId: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("Missing required fields");
+    });
+  });
+
+  // Test cases for the status lifecycle
+  describe("Booking status transitions", () => {
+    const mockBooking = (status) => ({
+      id: 1,
+      status,
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    it("should confirm a pending booking and record the change", async () => {
+      const booking = mockBooking("pending_payment");
+      Booking.findOne.mockResolvedValue(booking);
+
+      const response = await request(app)
+        .post("/bookings/1/confirm")
+        .send({ note: "Paid at front desk" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe("confirmed");
+      expect(booking.save).toHaveBeenCalledWith({ transaction: "transaction" });
+      expect(BookingStatusHistory.create).toHaveBeenCalledWith(
+        {
+          booking_id: 1,
+          from_status: "pending_payment",
+          to_status: "confirmed",
+          changed_by: null,
+          note: "Paid at front desk",
+        },
+        { transaction: "transaction" }
+      );
+      expect(queueBookingConfirmations).toHaveBeenCalledWith([booking]);
+    });
+
+    it("should return 409 for a transition that is not allowed", async () => {
+      const booking = mockBooking("cancelled");
+      Booking.findOne.mockResolvedValue(booking);
+
+      const response = await request(app).post("/bookings/1/complete");
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        "Cannot change booking status from 'cancelled' to 'completed'"
+      );
+      expect(booking.save).not.toHaveBeenCalled();
+      expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+      expect(queueBookingConfirmations).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 if booking is not found", async () => {
+      Booking.findOne.mockResolvedValue(null);
+
+      const response = await request(app).post("/bookings/999/confirm");
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Booking not found");
+    });
+
+    it("should not let an owner move a booking of another hotel", async () => {
+      const booking = { ...mockBooking("pending_payment"), hotel_id: 4 };
+      Booking.findOne.mockResolvedValue(booking);
+      Hotels.findOne.mockResolvedValue({ id: 4, ownerId: 8 });
+
+      const response = await request(app)
+        .post("/bookings/1/confirm")
+        .set("x-user", JSON.stringify({ id: 7, type: "owner" }));
+
+      expect(response.status).toBe(403);
+      expect(Hotels.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 4 } })
+      );
+      expect(booking.save).not.toHaveBeenCalled();
+      expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    it("should let an owner move a booking of their hotel", async () => {
+      const booking = { ...mockBooking("pending_payment"), hotel_id: 4 };
+      Booking.findOne.mockResolvedValue(booking);
+      Hotels.findOne.mockResolvedValue({ id: 4, ownerId: 7 });
+
+      const response = await request(app)
+        .post("/bookings/1/confirm")
+        .set("x-user", JSON.stringify({ id: 7, type: "owner" }));
+
+      expect(response.status).toBe(200);
+      expect(booking.status).toBe("confirmed");
+    });
+
+    it("should return the status history of a booking", async () => {
+      Booking.findOne.mockResolvedValue({ id: 1, user_id: 3 });
+      const mockHistory = [
+        {
+          id: 1,
+          booking_id: 1,
+          from_status: null,
+          to_status: "pending_payment",
+        },
+        {
+          id: 2,
+          booking_id: 1,
+          from_status: "pending_payment",
+          to_status: "confirmed",
+        },
+      ];
+      BookingStatusHistory.findAll.mockResolvedValue(mockHistory);
+
+      const response = await request(app).get("/bookings/1/history");
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockHistory);
+      expect(BookingStatusHistory.findAll).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { booking_id: "1" } })
+      );
+    });
+
+    it("should not show the history of another guest's booking", async () => {
+      Booking.findOne.mockResolvedValue({ id: 1, user_id: 3 });
+
+      const response = await request(app)
+        .get("/bookings/1/history")
+        .set("x-user", JSON.stringify({ id: 5, type: "client" }));
+
+      expect(response.status).toBe(403);
+      expect(BookingStatusHistory.findAll).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for the history of an unknown booking", async () => {
+      Booking.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/bookings/999/history");
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // Test cases for cancellation with refunds
+  describe("Booking cancellation", () => {
+    const policy = {
+      free_cancellation_days: 3,
+      partial_refund_percent: 50,
+      after_check_in_refund_percent: 0,
+    };
+    const mockBooking = (status, daysAhead) => ({
+      id: 1,
+      hotel_id: 1,
+      room_id: 2,
+      user_id: 3,
+      status,
+      total_price: 1000000,
+      check_in_date: moment().add(daysAhead, "days").toDate(),
+      save: jest.fn().mockResolvedValue(true),
+    });
+
+    it("should refund in full before the free cancellation window ends", async () => {
+      const booking = mockBooking("confirmed", 10);
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(policy);
+
+      const response = await request(app).post("/bookings/1/cancel");
+
+      expect(response.status).toBe(200);
+      expect(response.body.booking.status).toBe("cancelled");
+      expect(response.body.booking.refund_amount).toBe(1000000);
+      expect(response.body.refund.rule).toBe("free_cancellation");
+      expect(Booking.destroy).not.toHaveBeenCalled();
+      expect(queueWaitlistOffers).toHaveBeenCalledWith([2]);
+    });
+
+    it("should lock the booking and cancel it in one transaction", async () => {
+      const booking = mockBooking("confirmed", 10);
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(policy);
+
+      const response = await request(app).post("/bookings/1/cancel");
+
+      expect(response.status).toBe(200);
+      expect(Booking.findOne).toHaveBeenCalledWith({
+        where: { id: "1" },
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
+      expect(CancellationPolicy.findOne).toHaveBeenCalledWith({
+        where: { hotel_id: 1 },
+        transaction: "transaction",
+      });
+      expect(booking.save).toHaveBeenCalledWith({ transaction: "transaction" });
+      expect(BookingStatusHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({ to_status: "cancelled" }),
+        { transaction: "transaction" }
+      );
+    });
+
+    it("should not cancel a booking the sweeper expired while it waited", async () => {
+      // What the locked read returns once the sweeper has committed
+      Booking.findOne.mockResolvedValue(mockBooking("expired", 10));
+
+      const response = await request(app).post("/bookings/1/cancel");
+
+      expect(response.status).toBe(409);
+      expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+      expect(queueWaitlistOffers).not.toHaveBeenCalled();
+    });
+
+    it("should give back the coupon of a cancelled booking", async () => {
+      const booking = {
+        ...mockBooking("confirmed", 10),
+        coupon_code: "SAVE10",
+      };
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(policy);
+
+      const response = await request(app).post("/bookings/1/cancel");
+
+      expect(response.status).toBe(200);
+      expect(CouponRedemption.update).toHaveBeenCalledWith(
+        { status: "reversed", reversed_at: expect.any(Date) },
+        {
+          where: { booking_id: [1], status: "active" },
+          transaction: "transaction",
+        }
+      );
+    });
+
+    it("should apply the partial refund inside the window", async () => {
+      const booking = mockBooking("confirmed", 1);
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(policy);
+
+      const response = await request(app).post("/bookings/1/cancel");
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund).toEqual({
+        paid_amount: 1000000,
+        days_before_check_in: 1,
+        rule: "partial_refund",
+        refund_percent: 50,
+        refund_amount: 500000,
+      });
+    });
+
+    it("should refund nothing after check-in", async () => {
+      const booking = mockBooking("confirmed", 0);
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(policy);
+
+      const response = await request(app).get("/bookings/1/cancel");
+
+      expect(response.status).toBe(200);
+      expect(response.body.rule).toBe("after_check_in");
+      expect(response.body.refund_amount).toBe(0);
+      expect(booking.save).not.toHaveBeenCalled();
+    });
+
+    it("should refund nothing for an unpaid booking", async () => {
+      const booking = mockBooking("pending_payment", 10);
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(null); // default policy
+      mockLedger({ paid: 0 });
+
+      const response = await request(app).post("/bookings/1/cancel");
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund.refund_amount).toBe(0);
+    });
+
+    it("should refund nothing for a pay-at-hotel booking", async () => {
+      const booking = {
+        ...mockBooking("confirmed", 10),
+        payment_method: "pay_at_hotel",
+      };
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(policy);
+      mockLedger({ paid: 0 });
+
+      const response = await request(app).get("/bookings/1/cancel");
+
+      expect(response.body).toMatchObject({ paid_amount: 0, refund_amount: 0 });
+    });
+
+    it("should only refund what was collected", async () => {
+      // Raised by a modification, the extra 200000 was never paid, and
+      // 100000 has already been refunded
+      const booking = { ...mockBooking("confirmed", 10), total_price: 1200000 };
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(policy);
+      mockLedger({ paid: 1000000, refunded: 100000 });
+
+      const response = await request(app).get("/bookings/1/cancel");
+
+      expect(response.body).toMatchObject({
+        paid_amount: 900000,
+        refund_amount: 900000,
+      });
+      expect(PaymentTransaction.sum).toHaveBeenCalledWith("amount", {
+        where: {
+          type: "payment",
+          status: "success",
+          [Op.or]: [{ booking_id: 1 }],
+        },
+        transaction: undefined,
+      });
+    });
+
+    it("should use the default policy when the hotel has none", async () => {
+      const booking = mockBooking("confirmed", 1);
+      Booking.findOne.mockResolvedValue(booking);
+      CancellationPolicy.findOne.mockResolvedValue(null);
+
+      const response = await request(app).get("/bookings/1/cancel");
+
+      expect(response.status).toBe(200);
+      expect(response.body.rule).toBe("free_cancellation");
+      expect(response.body.refund_amount).toBe(1000000);
+    });
+
+    it("should return 409 if the booking can no longer be cancelled", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking("completed", -2));
+
+      const response = await request(app).post("/bookings/1/cancel");
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        "A 'completed' booking cannot be cancelled"
+      );
+    });
+
+    it("should not let an owner cancel a booking of another hotel", async () => {
+      const booking = mockBooking("confirmed", 10);
+      Booking.findOne.mockResolvedValue(booking);
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 8 });
+      const owner = JSON.stringify({ id: 7, type: "owner" });
+
+      const quote = await request(app)
+        .get("/bookings/1/cancel")
+        .set("x-user", owner);
+      const response = await request(app)
+        .post("/bookings/1/cancel")
+        .set("x-user", owner);
+
+      expect(quote.status).toBe(403);
+      expect(response.status).toBe(403);
+      expect(booking.save).not.toHaveBeenCalled();
+    });
+
+    it("should not let a guest cancel someone else's booking", async () => {
+      const booking = mockBooking("confirmed", 10);
+      Booking.findOne.mockResolvedValue(booking);
+
+      const response = await request(app)
+        .post("/bookings/1/cancel")
+        .set("x-user", JSON.stringify({ id: 5, type: "client" }));
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe("Not your booking");
+      expect(booking.save).not.toHaveBeenCalled();
+    });
+  });
+
+  // Test cases for concurrent reservations
+  describe("PATCH /bookings/:id", () => {
+    const guest = JSON.stringify({ id: 3, type: "client" });
+    const mockBooking = (overrides = {}) => ({
+      id: 1,
+      hotel_id: 1,
+      room_id: 1,
+      user_id: 3,
+      status: "confirmed",
+      check_in_date: "2099-11-10",
+      check_out_date: "2099-11-12",
+      quantity: 1,
+      total_price: 200000,
+      price_breakdown: { discounts: [] },
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      Booking.findAll.mockResolvedValue([]);
+      Room.findOne.mockResolvedValue({
+        id: 1,
+        hotelId: 1,
+        quantity: 5,
+        price: 100000,
+      });
+      BookingModification.create.mockImplementation(async (values) =>
+        BookingModificationModel.build({ id: 1, ...values })
+      );
+    });
+
+    it("should charge the difference when a paid stay gets longer", async () => {
+      const booking = mockBooking();
+      Booking.findOne.mockResolvedValue(booking);
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_out_date: "2099-11-13" });
+
+      expect(response.status).toBe(200);
+      // Both locked before anything else is read
+      expect(Booking.findOne).toHaveBeenCalledWith({
+        where: { id: "1" },
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
+      expect(Room.findOne).toHaveBeenCalledWith({
+        where: { id: 1 },
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
+      expect(Room.findOne.mock.invocationCallOrder[0]).toBeLessThan(
+        Booking.findAll.mock.invocationCallOrder[0]
+      );
+      expect(booking.check_out_date).toBe("2099-11-13");
+      expect(booking.total_price).toBe(300000);
+      expect(booking.save).toHaveBeenCalledWith({ transaction: "transaction" });
+      expect(response.body.modification).toMatchObject({
+        booking_id: 1,
+        changed_by: 3,
+        old_total: 200000,
+        new_total: 300000,
+        additional_charge: 100000,
+        refund_amount: 0,
+      });
+      expect(response.body.modification.previous_values.check_out_date).toBe(
+        "2099-11-12"
+      );
+      expect(queueWaitlistOffers).toHaveBeenCalledWith([1]);
+    });
+
+    it("should refund the difference when fewer rooms are kept", async () => {
+      Booking.findOne.mockResolvedValue(
+        mockBooking({ quantity: 2, total_price: 400000 })
+      );
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ quantity: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.modification).toMatchObject({
+        old_total: 400000,
+        new_total: 200000,
+        additional_charge: 0,
+        refund_amount: 200000,
+      });
+    });
+
+    it("should not charge or refund an unpaid booking", async () => {
+      Booking.findOne.mockResolvedValue(
+        mockBooking({ status: "pending_payment", total_price: 400000 })
+      );
+      mockLedger({ paid: 0 });
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_out_date: "2099-11-11" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.modification).toMatchObject({
+        new_total: 100000,
+        additional_charge: 0,
+        refund_amount: 0,
+      });
+    });
+
+    it("should return a refund amount for a shorter paid stay", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking());
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_out_date: "2099-11-11" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.modification).toMatchObject({
+        additional_charge: 0,
+        refund_amount: 100000,
+      });
+    });
+
+    it("should keep the discount the booking was made with", async () => {
+      Booking.findOne.mockResolvedValue(
+        mockBooking({
+          total_price: 180000,
+          price_breakdown: {
+            discounts: [{ code: "SAVE10", percent: 10, amount: 20000 }],
+          },
+        })
+      );
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_out_date: "2099-11-13" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.booking.total_price).toBe(270000);
+      expect(response.body.modification.additional_charge).toBe(90000);
+      expect(Coupons.findOne).not.toHaveBeenCalled();
+    });
+
+    it("should leave the booking itself out of the availability check", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking());
+
+      await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ quantity: 2 });
+
+      const [options] = Booking.findAll.mock.calls[0];
+      expect(options.where.id).toEqual({ [Op.ne]: 1 });
+      expect(options.transaction).toBe("transaction");
+      expect(Room.findOne).toHaveBeenCalledWith({
+        where: { id: 1 },
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
+    });
+
+    it("should reject a change when the new stay is not available", async () => {
+      const booking = mockBooking();
+      Booking.findOne.mockResolvedValue(booking);
+      Booking.findAll.mockResolvedValue([
+        {
+          check_in_date: "2099-11-10",
+          check_out_date: "2099-11-15",
+          quantity: 4,
+        },
+      ]);
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_in_date: "2099-11-11", quantity: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "Not enough rooms available for the selected dates"
+      );
+      expect(booking.save).not.toHaveBeenCalled();
+      expect(BookingModification.create).not.toHaveBeenCalled();
+      expect(queueWaitlistOffers).not.toHaveBeenCalled();
+    });
+
+    it("should check the guests against the new room", async () => {
+      Booking.findOne.mockResolvedValue(
+        mockBooking({ adults: 2, children: 1, child_ages: [4] })
+      );
+      Room.findOne.mockResolvedValue({
+        id: 2,
+        hotelId: 1,
+        name: "Single",
+        quantity: 5,
+        quantity_people: 2,
+        price: 100000,
+      });
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ room_id: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("1 x Single sleeps at most 2 guests");
+    });
+
+    it("should change the guest counts", async () => {
+      const booking = mockBooking({ adults: 2, children: 0, child_ages: [] });
+      Booking.findOne.mockResolvedValue(booking);
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ adults: 1, children: 1, child_ages: [6] });
+
+      expect(response.status).toBe(200);
+      expect(booking).toMatchObject({
+        adults: 1,
+        children: 1,
+        child_ages: [6],
+      });
+      expect(response.body.modification.previous_values.adults).toBe(2);
+    });
+
+    it("should offer the room it moved away from to the waitlist", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking());
+      Room.findOne.mockResolvedValue({
+        id: 2,
+        hotelId: 1,
+        quantity: 5,
+        price: 100000,
+      });
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ room_id: 2 });
+
+      expect(response.status).toBe(200);
+      const [[values]] = BookingModification.create.mock.calls;
+      const modification = BookingModificationModel.build(values);
+      expect(modification.previous_values.room_id).toBe(1);
+      expect(modification.changes.room_id).toBe(2);
+      expect(queueWaitlistOffers).toHaveBeenCalledWith([1]);
+    });
+
+    it("should reject a room from another hotel", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking());
+      Room.findOne.mockResolvedValue({ id: 2, hotelId: 9, quantity: 5 });
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ room_id: 2 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe(
+        "The new room must belong to the same hotel"
+      );
+    });
+
+    it("should move the order total with its line", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking({ order_id: 7 }));
+
+      await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_out_date: "2099-11-13" });
+
+      expect(Order.increment).toHaveBeenCalledWith(
+        { total_price: 100000 },
+        { where: { id: 7 }, transaction: "transaction" }
+      );
+    });
+
+    it.each([
+      ["voucher", { code: "VOUCHER", fixed_amount: 300000, amount: 50000 }],
+      [
+        "capped percentage coupon",
+        { code: "HALF", percent: 50, max_discount: 100000, amount: 50000 },
+      ],
+    ])(
+      "should keep an order line's share of the order's %s",
+      async (name, line) => {
+        const booking = mockBooking({
+          order_id: 7,
+          total_price: 150000,
+          price_breakdown: { subtotal: 200000, discounts: [line] },
+        });
+        Booking.findOne.mockResolvedValue(booking);
+
+        const response = await request(app)
+          .patch("/bookings/1")
+          .set("x-user", guest)
+          .send({ check_out_date: "2099-11-13" });
+
+        expect(response.status).toBe(200);
+        expect(response.body.quote.subtotal).toBe(300000);
+        expect(response.body.quote.discounts).toEqual([line]);
+        expect(booking.total_price).toBe(250000);
+        expect(Order.increment).toHaveBeenCalledWith(
+          { total_price: 100000 },
+          { where: { id: 7 }, transaction: "transaction" }
+        );
+      }
+    );
+
+    it("should apply a single booking's coupon again to its new price", async () => {
+      const booking = mockBooking({
+        total_price: 100000,
+        price_breakdown: {
+          subtotal: 200000,
+          discounts: [{ code: "HALF", percent: 50, amount: 100000 }],
+        },
+      });
+      Booking.findOne.mockResolvedValue(booking);
+
+      await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_out_date: "2099-11-13" });
+
+      expect(booking.total_price).toBe(150000);
+    });
+
+    it("should not modify a cancelled booking", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking({ status: "cancelled" }));
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        "A 'cancelled' booking cannot be modified"
+      );
+    });
+
+    it("should not let a guest modify someone else's booking", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking({ user_id: 4 }));
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should not let an owner modify a booking of another hotel", async () => {
+      const booking = mockBooking();
+      Booking.findOne.mockResolvedValue(booking);
+      Hotels.findOne.mockResolvedValue({ id: 1, ownerId: 8 });
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", JSON.stringify({ id: 7, type: "owner" }))
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe("Not your booking");
+      expect(booking.save).not.toHaveBeenCalled();
+    });
+
+    it("should reject check-in after check-out", async () => {
+      Booking.findOne.mockResolvedValue(mockBooking());
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ check_in_date: "2099-11-12" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'check_in_date' must be before 'check_out_date'"
+      );
+    });
+
+    it("should require at least one change", async () => {
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 404 for an unknown booking", async () => {
+      Booking.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .patch("/bookings/1")
+        .set("x-user", guest)
+        .send({ quantity: 2 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("Concurrent bookings", () => {
+    // Minimal stand-in for the database: `SELECT ... FOR UPDATE` on the room
+    // row waits until the transaction holding it has finished
+    const setupDatabase = (room) => {
+      const rows = [];
+      let roomLock = Promise.resolve();
+      const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+      sequelize.transaction.mockImplementation(async (callback) => {
+        const transaction = { release: () => {} };
+        try {
+          return await callback(transaction);
+        } finally {
+          transaction.release();
+        }
+      });
+      Room.findOne.mockImplementation(async ({ lock, transaction }) => {
+        if (lock && transaction) {
+          const previous = roomLock;
+          roomLock = new Promise((resolve) => {
+            transaction.release = resolve;
+          });
+          await previous;
+        }
+        await tick();
+        return room;
+      });
+      Booking.findAll.mockImplementation(async () => {
+        await tick();
+        return rows;
+      });
+      Booking.create.mockImplementation(async (data) => {
+        await tick();
+        const row = { id: rows.length + 1, ...data };
+        rows.push(row);
+        return row;
+      });
+
+      return rows;
+    };
+
+    afterEach(() => {
+      sequelize.transaction.mockImplementation((callback) =>
+        callback("transaction")
+      );
+    });
+
+    const book = (quantity) =>
+      request(app)
+        .post("/bookings")
+        .set("x-user", JSON.stringify({ id: 1, type: "client" }))
+        .send({
+          room_id: 1,
+          check_in_date: "2023-11-10",
+          check_out_date: "2023-11-12",
+          quantity,
+          full_name: "John Doe",
+          hotel_id: 1,
+        });
+
+    it("should never oversell the last room to parallel guests", async () => {
+      const rows = setupDatabase({
+        id: 1,
+        hotelId: 1,
+        quantity: 1,
+        price: 100000,
+      });
+
+      const responses = await Promise.all(
+        Array.from({ length: 10 }, () => book(1))
+      );
+
+      const created = responses.filter((response) => response.status === 201);
+      const rejected = responses.filter((response) => response.status === 400);
+      expect(created).toHaveLength(1);
+      expect(rejected).toHaveLength(9);
+      rejected.forEach((response) =>
+        expect(response.body.message).toBe(
+          "Not enough rooms available for the selected dates"
+        )
+      );
+      expect(rows).toHaveLength(1);
+    });
+
+    it("should fill the room exactly to its quantity", async () => {
+      const rows = setupDatabase({
+        id: 1,
+        hotelId: 1,
+        quantity: 5,
+        price: 100000,
+      });
+
+      const responses = await Promise.all(
+        [2, 2, 2, 1, 1, 1].map((quantity) => book(quantity))
+      );
+
+      const booked = rows.reduce((sum, row) => sum + row.quantity, 0);
+      expect(booked).toBeLessThanOrEqual(5);
+      expect(booked).toBe(5);
+      expect(
+        responses.filter((response) => response.status === 201).length
+      ).toBe(rows.length);
+    });
+
+    it("should read the booked quantity inside the locking transaction", async () => {
+      setupDatabase({ id: 1, hotelId: 1, quantity: 3, price: 100000 });
+
+      await book(1);
+
+      const [bookedOptions] = Booking.findAll.mock.calls[0];
+      const [, createOptions] = Booking.create.mock.calls[0];
+      const [roomOptions] = Room.findOne.mock.calls[0];
+      expect(bookedOptions.transaction).toBe(roomOptions.transaction);
+      expect(createOptions.transaction).toBe(roomOptions.transaction);
     });
   });
 });
@@ -0,0 +1,215 @@
+const request = require("supertest");
+const express = require("express");
+const { RatePlan, Room } = require("../models");
+const {
+  getRatePlans,
+  createRatePlan,
+  updateRatePlan,
+  deleteRatePlan,
+} = require("../controllers/ratePlan.controller");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+
+app.get("/ratePlans/room/:roomId", getRatePlans);
+app.post("/ratePlans/room/:roomId", createRatePlan);
+app.put("/ratePlans/:id", updateRatePlan);
+app.delete("/ratePlans/:id", deleteRatePlan);
+
+jest.mock("../models", () => ({
+  RatePlan: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+  },
+  Room: {
+    findOne: jest.fn(),
+  },
+  Hotels: {},
+}));
+
+const owner = JSON.stringify({ id: 7, type: "owner" });
+const otherOwner = JSON.stringify({ id: 8, type: "owner" });
+const mockRoom = { id: 1, price: 100000, Hotel: { ownerId: 7 } };
+
+describe("Rate plan controller", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Room.findOne.mockResolvedValue(mockRoom);
+  });
+
+  describe("GET /ratePlans/room/:roomId", () => {
+    it("should return the room's rate plans", async () => {
+      const mockPlans = [{ id: 1, room_id: 1, name: "High season" }];
+      RatePlan.findAll.mockResolvedValue(mockPlans);
+
+      const response = await request(app)
+        .get("/ratePlans/room/1")
+        .set("x-user", owner);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockPlans);
+    });
+
+    it("should return 403 for another owner's room", async () => {
+      const response = await request(app)
+        .get("/ratePlans/room/1")
+        .set("x-user", otherOwner);
+
+      expect(response.status).toBe(403);
+      expect(RatePlan.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /ratePlans/room/:roomId", () => {
+    it("should create a seasonal plan with a weekend surcharge", async () => {
+      const body = {
+        name: "High season",
+        start_date: "2026-06-01",
+        end_date: "2026-08-31",
+        price: 200000,
+        weekday_multipliers: { 5: 1.2, 6: 1.2 },
+        priority: 10,
+      };
+      RatePlan.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+
+      const response = await request(app)
+        .post("/ratePlans/room/1")
+        .set("x-user", owner)
+        .send(body);
+
+      expect(response.status).toBe(201);
+      expect(RatePlan.create).toHaveBeenCalledWith({ room_id: 1, ...body });
+    });
+
+    it("should return 400 if the name is missing", async () => {
+      const response = await request(app)
+        .post("/ratePlans/room/1")
+        .set("x-user", owner)
+        .send({ price: 200000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("'name' is required");
+    });
+
+    it("should return 400 for an invalid day of week", async () => {
+      const response = await request(app)
+        .post("/ratePlans/room/1")
+        .set("x-user", owner)
+        .send({ name: "Weekend", weekday_multipliers: { 7: 1.2 } });
+
+      expect(response.status).toBe(400);
+      expect(RatePlan.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 if the range ends before it starts", async () => {
+      const response = await request(app)
+        .post("/ratePlans/room/1")
+        .set("x-user", owner)
+        .send({
+          name: "High season",
+          start_date: "2026-08-31",
+          end_date: "2026-06-01",
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'end_date' must not be before 'start_date'"
+      );
+    });
+
+    it("should return 404 if the room does not exist", async () => {
+      Room.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post("/ratePlans/room/99")
+        .set("x-user", owner)
+        .send({ name: "High season" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Room not found");
+    });
+  });
+
+  describe("PUT /ratePlans/:id", () => {
+    it("should update the plan", async () => {
+      const mockPlan = {
+        id: 1,
+        start_date: "2026-06-01",
+        end_date: "2026-08-31",
+        Room: mockRoom,
+        update: jest.fn(),
+      };
+      RatePlan.findOne.mockResolvedValue(mockPlan);
+
+      const response = await request(app)
+        .put("/ratePlans/1")
+        .set("x-user", owner)
+        .send({ price: 250000 });
+
+      expect(response.status).toBe(200);
+      expect(mockPlan.update).toHaveBeenCalledWith({ price: 250000 });
+    });
+
+    it("should check the new end date against the stored start date", async () => {
+      const mockPlan = {
+        id: 1,
+        start_date: "2026-06-01",
+        end_date: "2026-08-31",
+        Room: mockRoom,
+        update: jest.fn(),
+      };
+      RatePlan.findOne.mockResolvedValue(mockPlan);
+
+      const response = await request(app)
+        .put("/ratePlans/1")
+        .set("x-user", owner)
+        .send({ end_date: "2026-05-01" });
+
+      expect(response.status).toBe(400);
+      expect(mockPlan.update).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 if the plan is not found", async () => {
+      RatePlan.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put("/ratePlans/99")
+        .set("x-user", owner)
+        .send({ price: 250000 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Rate plan not found");
+    });
+  });
+
+  describe("DELETE /ratePlans/:id", () => {
+    it("should delete the plan", async () => {
+      const mockPlan = { id: 1, Room: mockRoom, destroy: jest.fn() };
+      RatePlan.findOne.mockResolvedValue(mockPlan);
+
+      const response = await request(app)
+        .delete("/ratePlans/1")
+        .set("x-user", owner);
+
+      expect(response.status).toBe(200);
+      expect(mockPlan.destroy).toHaveBeenCalled();
+    });
+
+    it("should return 403 for another owner's plan", async () => {
+      const mockPlan = { id: 1, Room: mockRoom, destroy: jest.fn() };
+      RatePlan.findOne.mockResolvedValue(mockPlan);
+
+      const response = await request(app)
+        .delete("/ratePlans/1")
+        .set("x-user", otherOwner);
+
+      expect(response.status).toBe(403);
+      expect(mockPlan.destroy).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const request = require("supertest");
+const express = require("express");
+const { Room, RoomInventory, Booking } = require("../models");
+const {
+  getRoomInventory,
+  updateRoomInventory,
+} = require("../controllers/roomInventory.controller");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+
+app.get("/inventory/:roomId", getRoomInventory);
+app.put("/inventory/:roomId", updateRoomInventory);
+
+jest.mock("../models", () => ({
+  Room: {
+    findOne: jest.fn(),
+  },
+  Hotels: {},
+  RoomInventory: {
+    findAll: jest.fn(),
+    bulkCreate: jest.fn(),
+  },
+  RatePlan: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  HolidayRate: {
+    findAll: jest.fn().mockResolvedValue([]),
+  },
+  Booking: {
+    findAll: jest.fn(),
+  },
+}));
+
+const owner = JSON.stringify({ id: 7, type: "owner" });
+const otherOwner = JSON.stringify({ id: 8, type: "owner" });
+const mockRoom = { id: 1, quantity: 5, price: 100000, Hotel: { ownerId: 7 } };
+
+describe("Room inventory controller", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Room.findOne.mockResolvedValue(mockRoom);
+    RoomInventory.findAll.mockResolvedValue([]);
+    Booking.findAll.mockResolvedValue([]);
+  });
+
+  describe("GET /inventory/:roomId", () => {
+    it("should return the nightly calendar of the room", async () => {
+      RoomInventory.findAll.mockResolvedValue([
+        {
+          room_id: 1,
+          date: "2026-12-24",
+          allotment: 3,
+          closed: false,
+          price_override: 150000,
+        },
+        {
+          room_id: 1,
+          date: "2026-12-25",
+          allotment: null,
+          closed: true,
+          price_override: null,
+        },
+      ]);
+      Booking.findAll.mockResolvedValue([
+        {
+          check_in_date: "2026-12-23",
+          check_out_date: "2026-12-25",
+          quantity: 2,
+        },
+      ]);
+
+      const response = await request(app)
+        .get("/inventory/1")
+        .set("x-user", owner)
+        .query({ from: "2026-12-23", to: "2026-12-25" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.nights).toEqual([
+        {
+          date: "2026-12-23",
+          allotment: 5,
+          closed: false,
+          price_override: null,
+          price: 100000,
+          booked: 2,
+          available: 3,
+        },
+        {
+          date: "2026-12-24",
+          allotment: 3,
+          closed: false,
+          price_override: 150000,
+          price: 150000,
+          booked: 2,
+          available: 1,
+        },
+        {
+          date: "2026-12-25",
+          allotment: 5,
+          closed: true,
+          price_override: null,
+          price: 100000,
+          booked: 0,
+          available: 0,
+        },
+      ]);
+    });
+
+    it("should return 400 for an invalid range", async () => {
+      const response = await request(app)
+        .get("/inventory/1")
+        .set("x-user", owner)
+        .query({ from: "2026-12-25", to: "2026-12-23" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("'to' must not be before 'from'");
+    });
+
+    it("should return 404 if the room does not exist", async () => {
+      Room.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/inventory/99")
+        .set("x-user", owner)
+        .query({ from: "2026-12-23", to: "2026-12-25" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe("Room not found");
+    });
+
+    it("should return 403 for another owner's room", async () => {
+      const response = await request(app)
+        .get("/inventory/1")
+        .set("x-user", otherOwner)
+        .query({ from: "2026-12-23", to: "2026-12-25" });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toBe("Not your room");
+    });
+  });
+
+  describe("PUT /inventory/:roomId", () => {
+    it("should upsert every date of the range with the given fields only", async () => {
+      const response = await request(app)
+        .put("/inventory/1")
+        .set("x-user", owner)
+        .send({ from: "2026-12-24", to: "2026-12-26", closed: true });
+
+      expect(response.status).toBe(200);
+      expect(RoomInventory.bulkCreate).toHaveBeenCalledWith(
+        [
+          { room_id: 1, date: "2026-12-24", closed: true },
+          { room_id: 1, date: "2026-12-25", closed: true },
+          { room_id: 1, date: "2026-12-26", closed: true },
+        ],
+        { updateOnDuplicate: ["closed", "updatedAt"] }
+      );
+      expect(response.body.nights).toHaveLength(3);
+    });
+
+    it("should allow resetting the allotment and price to the room's", async () => {
+      await request(app).put("/inventory/1").set("x-user", owner).send({
+        from: "2026-12-24",
+        to: "2026-12-24",
+        allotment: null,
+        price_override: null,
+      });
+
+      expect(RoomInventory.bulkCreate).toHaveBeenCalledWith(
+        [
+          {
+            room_id: 1,
+            date: "2026-12-24",
+            allotment: null,
+            price_override: null,
+          },
+        ],
+        { updateOnDuplicate: ["allotment", "price_override", "updatedAt"] }
+      );
+    });
+
+    it("should return 400 if no field is given", async () => {
+      const response = await request(app)
+        .put("/inventory/1")
+        .set("x-user", owner)
+        .send({ from: "2026-12-24", to: "2026-12-26" });
+
+      expect(response.status).toBe(400);
+      expect(RoomInventory.bulkCreate).not.toHaveBeenCalled();
+    });
+
+    it("should return 400 for a negative allotment", async () => {
+      const response = await request(app)
+        .put("/inventory/1")
+        .set("x-user", owner)
+        .send({ from: "2026-12-24", to: "2026-12-26", allotment: -1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'allotment' must be a non-negative integer or null"
+      );
+    });
+
+    it("should return 403 for another owner's room", async () => {
+      const response = await request(app)
+        .put("/inventory/1")
+        .set("x-user", otherOwner)
+        .send({ from: "2026-12-24", to: "2026-12-26", closed: true });
+
+      expect(response.status).toBe(403);
+      expect(RoomInventory.bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -2,7 +2,7 @@ const request = require("supertest");
 const express = require("express");
 const multer = require("multer");
 
-const { Room, UrlImageRoom } = require("../models");
+const { Room, UrlImageRoom, Booking } = require("../models");
 const {
   createRoom,
   getAllRoom,
@@ -33,6 +33,9 @@ jest.mock("../models", () => ({
     create: jest.fn(),
     findAll: jest.fn(),
   },
+  Booking: {
+    count: jest.fn(),
+  },
   Hotels: {},
   roomService: {},
   Amenities: {},
@@ -518,6 +521,7 @@ describe("PUT /rooms/:id", () => {
 describe("DELETE /rooms/:id", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    Booking.count.mockResolvedValue(0);
   });
 
   it("should delete a room and its associated images successfully", async () => {
@@ -549,6 +553,20 @@ describe("DELETE /rooms/:id", () => {
     expect(mockRoom.destroy).toHaveBeenCalled();
   });
 
+  it("should refuse to delete a room that has bookings", async () => {
+    const mockRoom = { id: 1, destroy: jest.fn() };
+    Room.findOne.mockResolvedValue(mockRoom);
+    Booking.count.mockResolvedValue(2);
+
+    const response = await request(app).delete("/rooms/1");
+
+    expect(response.status).toBe(409);
+    expect(response.text).toBe("Không thể xóa phòng đã có đơn đặt phòng");
+    expect(Booking.count).toHaveBeenCalledWith({ where: { room_id: "1" } });
+    expect(cloudinary.uploader.destroy).not.toHaveBeenCalled();
+    expect(mockRoom.destroy).not.toHaveBeenCalled();
+  });
+
   it("should return 404 if the room is not found", async () => {
     Room.findOne.mockResolvedValue(null);
 
@@ -225,7 +225,7 @@ describe("POST /login", () => {
       "hashedPassword"
     );
     expect(jwt.sign).toHaveBeenCalledWith(
-      { email: "john@example.com", type: "user" },
+      { id: 1, email: "john@example.com", type: "user" },
       "firewallbase64",
       { expiresIn: 60 * 60 }
     );
@@ -0,0 +1,911 @@
+const path = require("path");
+const request = require("supertest");
+const express = require("express");
+const exphbs = require("express-handlebars");
+const axios = require("axios");
+const moment = require("moment");
+const { Op, Transaction } = require("sequelize");
+const {
+  Booking,
+  BookingStatusHistory,
+  Order,
+  PaymentTransaction,
+} = require("../models");
+const { queueBookingConfirmations } = require("../utils/bookingConfirmation");
+const { queueWaitlistOffers } = require("../utils/waitlist");
+const { signParams } = require("../utils/vnpay");
+const { createMockVnpay } = require("../mocks/vnpayServer");
+const {
+  loadProvider,
+  createPayment,
+  handleReturn,
+  handleWebhook,
+  queryPaymentStatus,
+  refundPayment,
+} = require("../controllers/paymentProvider.controller");
+
+const app = express();
+app.engine(
+  "hbs",
+  exphbs.create({ extname: "hbs", defaultLayout: false }).engine
+);
+app.set("view engine", "hbs");
+app.set("views", path.join(__dirname, "../views"));
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+app.post("/payments/:provider/create", loadProvider, createPayment);
+app.get("/payments/:provider/return", loadProvider, handleReturn);
+app.get("/payments/:provider/webhook", loadProvider, handleWebhook);
+app.get("/payments/bookings/:id/status", queryPaymentStatus);
+app.post("/payments/bookings/:id/refund", refundPayment);
+
+jest.mock("../models", () => ({
+  Booking: {
+    findByPk: jest.fn(),
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+  },
+  Order: {
+    findByPk: jest.fn(),
+  },
+  BookingStatusHistory: {
+    create: jest.fn(),
+  },
+  PaymentTransaction: {
+    create: jest.fn(),
+    findOne: jest.fn(),
+    sum: jest.fn(),
+  },
+  sequelize: {
+    transaction: jest.fn((callback) => callback("transaction")),
+  },
+}));
+
+jest.mock("../utils/bookingConfirmation", () => ({
+  queueBookingConfirmations: jest.fn(),
+}));
+
+jest.mock("../utils/waitlist", () => ({
+  queueWaitlistOffers: jest.fn(),
+}));
+
+// Merchant API calls go to the local mock VNPay instead of the sandbox
+jest.mock("axios", () => ({ post: jest.fn(), get: jest.fn() }));
+
+const mockBooking = (overrides = {}) => ({
+  id: 12,
+  room_id: 1,
+  status: "pending_payment",
+  total_price: 500000,
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+// Query string of a callback signed the way VNPay signs it
+const signedQuery = (overrides = {}) => {
+  const params = {
+    vnp_Amount: "50000000",
+    vnp_BankCode: "NCB",
+    vnp_OrderInfo: "Thanh toan booking 12",
+    vnp_PayDate: "20261019153000",
+    vnp_ResponseCode: "00",
+    vnp_TmnCode: "TESTCODE",
+    vnp_TransactionNo: "14123456",
+    vnp_TxnRef: "12",
+    ...overrides,
+  };
+  return { ...params, vnp_SecureHash: signParams(params) };
+};
+
+describe("VNPay callbacks", () => {
+  let booking;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    booking = mockBooking();
+    Booking.findByPk.mockResolvedValue(booking);
+    Booking.findAll.mockImplementation(async () => [booking]);
+    PaymentTransaction.create.mockImplementation(async (values) => ({
+      id: 1,
+      ...values,
+    }));
+    PaymentTransaction.findOne.mockResolvedValue(null);
+  });
+
+  describe("POST /payments/vnpay/create", () => {
+    it("should record the attempt in the payment ledger", async () => {
+      const response = await request(app).post("/payments/vnpay/create").send({
+        orderId: "12",
+        orderInfo: "Thanh toan booking 12",
+        orderType: "other",
+        bankCode: "NCB",
+      });
+
+      expect(response.status).toBe(200);
+      const [values] = PaymentTransaction.create.mock.calls[0];
+      expect(values).toMatchObject({
+        booking_id: 12,
+        order_id: null,
+        provider: "vnpay",
+        txn_ref: "12",
+        amount: 500000,
+        bank_code: "NCB",
+        status: "pending",
+      });
+      expect(values.request_payload.vnp_Amount).toBe(50000000);
+      expect(values.request_payload.vnp_ExpireDate).toBeUndefined();
+      expect(response.body.data.url).toContain(
+        `vnp_SecureHash=${values.request_payload.vnp_SecureHash}`
+      );
+    });
+
+    it("should let VNPay refuse payments after the hold expires", async () => {
+      booking.hold_expires_at = new Date(Date.now() + 15 * 60 * 1000);
+
+      await request(app).post("/payments/vnpay/create").send({ orderId: "12" });
+
+      const [values] = PaymentTransaction.create.mock.calls[0];
+      expect(values.request_payload.vnp_ExpireDate).toBe(
+        moment(booking.hold_expires_at).format("YYYYMMDDHHmmss")
+      );
+    });
+
+    it("should not create a payment URL for a booking that is not pending", async () => {
+      booking.status = "confirmed";
+
+      const response = await request(app)
+        .post("/payments/vnpay/create")
+        .send({ orderId: "12" });
+
+      expect(response.status).toBe(400);
+      expect(PaymentTransaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /payments/vnpay/webhook", () => {
+    it("should confirm the booking and acknowledge VNPay", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery());
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        RspCode: "00",
+        Message: "Confirm Success",
+      });
+      expect(booking.status).toBe("confirmed");
+      expect(Booking.findAll).toHaveBeenCalledWith({
+        where: { id: [12] },
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
+      expect(BookingStatusHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          booking_id: 12,
+          from_status: "pending_payment",
+          to_status: "confirmed",
+          note: "VNPay payment 14123456",
+        }),
+        { transaction: "transaction" }
+      );
+      expect(queueBookingConfirmations).toHaveBeenCalledWith([booking]);
+    });
+
+    it("should store VNPay's answer on the latest attempt", async () => {
+      const attempt = {
+        id: 3,
+        status: "pending",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      PaymentTransaction.findOne.mockResolvedValue(attempt);
+
+      await request(app).get("/payments/vnpay/webhook").query(signedQuery());
+
+      expect(PaymentTransaction.findOne.mock.calls[0][0].where).toEqual({
+        provider: "vnpay",
+        type: "payment",
+        txn_ref: "12",
+        transaction_no: "14123456",
+      });
+      expect(attempt).toMatchObject({
+        status: "success",
+        response_code: "00",
+        transaction_no: "14123456",
+        bank_code: "NCB",
+        pay_date: new Date("2026-10-19T08:30:00Z"),
+      });
+      expect(attempt.response_payload.vnp_SecureHash).toEqual(
+        expect.any(String)
+      );
+      expect(attempt.save).toHaveBeenCalled();
+    });
+
+    it("should fill in the pending attempt for a new transaction", async () => {
+      const attempt = {
+        id: 3,
+        status: "pending",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      PaymentTransaction.findOne.mockImplementation(async ({ where }) =>
+        where.status === "pending" ? attempt : null
+      );
+
+      await request(app).get("/payments/vnpay/webhook").query(signedQuery());
+
+      expect(attempt).toMatchObject({
+        status: "success",
+        transaction_no: "14123456",
+      });
+      expect(PaymentTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it("should never overwrite a successful payment", async () => {
+      booking.status = "confirmed";
+      const payment = {
+        id: 3,
+        status: "success",
+        transaction_no: "14123456",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      PaymentTransaction.findOne.mockImplementation(async ({ where }) =>
+        where.status === "pending" ? null : payment
+      );
+
+      await request(app)
+        .get("/payments/vnpay/return")
+        .query(signedQuery({ vnp_ResponseCode: "24" }));
+
+      expect(payment.status).toBe("success");
+      expect(payment.save).not.toHaveBeenCalled();
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ status: "failed", response_code: "24" })
+      );
+    });
+
+    it("should keep a second payment of a settled booking apart", async () => {
+      booking.status = "confirmed";
+      const payment = {
+        id: 3,
+        status: "success",
+        transaction_no: "14123456",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      PaymentTransaction.findOne.mockImplementation(async ({ where }) =>
+        where.status === "success" ? payment : null
+      );
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery({ vnp_TransactionNo: "14999999" }));
+
+      expect(response.body.RspCode).toBe("02");
+      expect(payment.save).not.toHaveBeenCalled();
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "success",
+          transaction_no: "14999999",
+          flagged: true,
+        })
+      );
+    });
+
+    it("should add a ledger row for a payment started without one", async () => {
+      await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery({ vnp_ResponseCode: "24" }));
+
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          booking_id: 12,
+          txn_ref: "12",
+          amount: 500000,
+          status: "failed",
+          response_code: "24",
+        })
+      );
+    });
+
+    it("should not apply a repeated notification twice", async () => {
+      booking.status = "confirmed";
+      const payment = {
+        id: 3,
+        status: "success",
+        transaction_no: "14123456",
+        save: jest.fn().mockResolvedValue(true),
+      };
+      PaymentTransaction.findOne.mockResolvedValue(payment);
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery());
+
+      expect(response.body).toEqual({
+        RspCode: "02",
+        Message: "Order already confirmed",
+      });
+      expect(payment.flagged).toBe(false);
+      expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+      expect(queueBookingConfirmations).not.toHaveBeenCalled();
+    });
+
+    it("should cancel the booking when the payment failed", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery({ vnp_ResponseCode: "24" }));
+
+      expect(response.body.RspCode).toBe("00");
+      expect(booking.status).toBe("cancelled");
+      expect(queueWaitlistOffers).toHaveBeenCalledWith([1]);
+      expect(queueBookingConfirmations).not.toHaveBeenCalled();
+    });
+
+    it("should confirm every line of an order", async () => {
+      const lines = [mockBooking({ id: 12 }), mockBooking({ id: 13 })];
+      Order.findByPk.mockResolvedValue({
+        id: 7,
+        total_price: 800000,
+        Bookings: lines,
+      });
+      Booking.findAll.mockResolvedValue(lines);
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery({ vnp_TxnRef: "ORD7", vnp_Amount: "80000000" }));
+
+      expect(response.body.RspCode).toBe("00");
+      expect(lines.map((line) => line.status)).toEqual([
+        "confirmed",
+        "confirmed",
+      ]);
+    });
+
+    it("should reject an invalid signature", async () => {
+      const query = { ...signedQuery(), vnp_Amount: "100" };
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(query);
+
+      expect(response.body).toEqual({
+        RspCode: "97",
+        Message: "Invalid signature",
+      });
+      expect(Booking.findByPk).not.toHaveBeenCalled();
+    });
+
+    it("should report an unknown order", async () => {
+      Booking.findByPk.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery());
+
+      expect(response.body.RspCode).toBe("01");
+    });
+
+    it("should reject an amount that does not match the booking", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery({ vnp_Amount: "100000" }));
+
+      expect(response.body.RspCode).toBe("04");
+      expect(booking.status).toBe("pending_payment");
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 1000,
+          flagged: true,
+          flag_reason: "Paid 1000, expected 500000",
+        })
+      );
+    });
+
+    it("should reject a payment in another currency", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery({ vnp_CurrCode: "USD" }));
+
+      expect(response.body.RspCode).toBe("04");
+      expect(booking.status).toBe("pending_payment");
+      expect(PaymentTransaction.create.mock.calls[0][0].flag_reason).toBe(
+        "Paid in USD, expected VND"
+      );
+    });
+
+    it("should flag a payment for a booking that is no longer held", async () => {
+      booking.status = "expired";
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery());
+
+      expect(response.body.RspCode).toBe("02");
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "success",
+          flagged: true,
+          flag_reason: "Paid while booking 12 is expired",
+        })
+      );
+      expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+    });
+
+    it("should flag a payment that arrives after the hold lapsed", async () => {
+      booking.hold_expires_at = new Date(Date.now() - 1000);
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery());
+
+      expect(response.body.RspCode).toBe("02");
+      expect(booking.status).toBe("pending_payment");
+      expect(PaymentTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "success",
+          flagged: true,
+          flag_reason: "Paid after the hold on booking 12 expired",
+        })
+      );
+      expect(queueBookingConfirmations).not.toHaveBeenCalled();
+    });
+
+    it("should answer 99 on unexpected errors", async () => {
+      Booking.findByPk.mockRejectedValue(new Error("Connection lost"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const response = await request(app)
+        .get("/payments/vnpay/webhook")
+        .query(signedQuery());
+
+      expect(response.status).toBe(200);
+      expect(response.body.RspCode).toBe("99");
+      console.error.mockRestore();
+    });
+  });
+
+  describe("GET /payments/vnpay/return", () => {
+    it("should confirm the booking and redirect to the result page", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/return")
+        .query(signedQuery());
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(
+        "http://localhost:3030/result?orderId=12"
+      );
+      expect(booking.status).toBe("confirmed");
+      expect(queueBookingConfirmations).toHaveBeenCalledWith([booking]);
+    });
+
+    it("should only redirect when the IPN already confirmed the booking", async () => {
+      booking.status = "confirmed";
+      PaymentTransaction.findOne.mockResolvedValue({
+        id: 3,
+        status: "success",
+        transaction_no: "14123456",
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      const response = await request(app)
+        .get("/payments/vnpay/return")
+        .query(signedQuery());
+
+      expect(response.status).toBe(302);
+      expect(BookingStatusHistory.create).not.toHaveBeenCalled();
+      expect(queueBookingConfirmations).not.toHaveBeenCalled();
+    });
+
+    it("should not confirm a booking paid by another transaction", async () => {
+      booking.status = "confirmed";
+      PaymentTransaction.findOne.mockResolvedValue({
+        id: 3,
+        status: "success",
+        transaction_no: "14000001",
+        save: jest.fn().mockResolvedValue(true),
+      });
+
+      const response = await request(app)
+        .get("/payments/vnpay/return")
+        .query(signedQuery());
+
+      expect(response.status).toBe(409);
+      expect(response.text).toContain("Giao dịch đang được kiểm tra");
+      expect(PaymentTransaction.findOne.mock.calls[0][0].where).toEqual({
+        provider: "vnpay",
+        type: "payment",
+        txn_ref: "12",
+        status: "success",
+      });
+    });
+
+    it("should show a result page for a tampered amount", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/return")
+        .query(signedQuery({ vnp_Amount: "100000" }));
+
+      expect(response.status).toBe(409);
+      expect(response.headers["content-type"]).toMatch(/html/);
+      expect(response.text).toContain("Mã đặt phòng");
+      expect(booking.status).toBe("pending_payment");
+      expect(PaymentTransaction.create.mock.calls[0][0]).toMatchObject({
+        flagged: true,
+        flag_reason: "Paid 1000, expected 500000",
+      });
+    });
+
+    it("should show a result page when the payment failed", async () => {
+      const response = await request(app)
+        .get("/payments/vnpay/return")
+        .query(signedQuery({ vnp_ResponseCode: "24" }));
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain("Thanh toán không thành công");
+      expect(booking.status).toBe("cancelled");
+    });
+
+    it("should show a result page for an invalid signature", async () => {
+      const query = { ...signedQuery(), vnp_Amount: "100" };
+
+      const response = await request(app)
+        .get("/payments/vnpay/return")
+        .query(query);
+
+      expect(response.status).toBe(400);
+      expect(response.text).toContain("Không xác thực được giao dịch");
+      expect(Booking.findByPk).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Merchant API", () => {
+    const admin = JSON.stringify({
+      id: 1,
+      email: "admin@lastingtrip.vn",
+      type: "admin",
+    });
+    let vnpayMock;
+    let payment;
+
+    beforeEach(() => {
+      vnpayMock = createMockVnpay();
+      axios.post.mockImplementation(async (url, body) => {
+        const response = await request(vnpayMock)
+          .post("/merchant_webapi/api/transaction")
+          .send(body);
+        return { data: response.body };
+      });
+      vnpayMock.addTransaction({
+        txnRef: "12",
+        amount: 500000,
+        transactionNo: "14123456",
+      });
+
+      booking = mockBooking({ status: "cancelled" });
+      Booking.findOne.mockResolvedValue(booking);
+      payment = {
+        id: 3,
+        booking_id: 12,
+        order_id: null,
+        provider: "vnpay",
+        txn_ref: "12",
+        amount: "500000",
+        transaction_no: "14123456",
+        status: "success",
+        request_payload: { vnp_CreateDate: "20261019150000" },
+      };
+      PaymentTransaction.findOne.mockResolvedValue(payment);
+      PaymentTransaction.sum.mockResolvedValue(null);
+      PaymentTransaction.create.mockImplementation(async (values) => ({
+        id: 4,
+        ...values,
+        save: jest.fn().mockResolvedValue(true),
+      }));
+    });
+
+    describe("GET /payments/bookings/:id/status", () => {
+      it("should return VNPay's view of the latest payment", async () => {
+        const response = await request(app)
+          .get("/payments/bookings/12/status")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(200);
+        expect(response.body.transaction.id).toBe(3);
+        expect(response.body.vnpay).toMatchObject({
+          vnp_ResponseCode: "00",
+          vnp_TxnRef: "12",
+          vnp_Amount: "50000000",
+          vnp_TransactionNo: "14123456",
+          vnp_TransactionStatus: "00",
+        });
+        const [, body] = axios.post.mock.calls[0];
+        expect(body).toMatchObject({
+          vnp_Command: "querydr",
+          vnp_TxnRef: "12",
+          vnp_TransactionDate: "20261019150000",
+        });
+      });
+
+      it("should return 404 when the booking was never sent to VNPay", async () => {
+        PaymentTransaction.findOne.mockResolvedValue(null);
+
+        const response = await request(app)
+          .get("/payments/bookings/12/status")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(404);
+        expect(axios.post).not.toHaveBeenCalled();
+      });
+
+      it("should return 502 when VNPay cannot be reached", async () => {
+        axios.post.mockRejectedValue(new Error("connect ECONNREFUSED"));
+        jest.spyOn(console, "error").mockImplementation(() => {});
+
+        const response = await request(app)
+          .get("/payments/bookings/12/status")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(502);
+        console.error.mockRestore();
+      });
+
+      it("should not trust an answer with a bad signature", async () => {
+        axios.post.mockResolvedValue({
+          data: { vnp_ResponseCode: "00", vnp_SecureHash: "forged" },
+        });
+        jest.spyOn(console, "error").mockImplementation(() => {});
+
+        const response = await request(app)
+          .get("/payments/bookings/12/status")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(502);
+        console.error.mockRestore();
+      });
+    });
+
+    describe("POST /payments/bookings/:id/refund", () => {
+      it("should refund the whole payment and mark the booking refunded", async () => {
+        const response = await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(200);
+        const [, body] = axios.post.mock.calls[0];
+        expect(body).toMatchObject({
+          vnp_Command: "refund",
+          vnp_TransactionType: "02",
+          vnp_Amount: 50000000,
+          vnp_TransactionNo: "14123456",
+          vnp_CreateBy: "admin@lastingtrip.vn",
+        });
+        expect(PaymentTransaction.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            booking_id: 12,
+            type: "refund",
+            txn_ref: "12",
+            amount: 500000,
+            status: "pending",
+          }),
+          { transaction: "transaction" }
+        );
+        expect(response.body.refund).toMatchObject({
+          id: 4,
+          status: "success",
+          response_code: "00",
+        });
+        expect(booking.status).toBe("refunded");
+        expect(vnpayMock.transactions.get("12").refunded).toBe(500000);
+      });
+
+      it("should send a partial refund", async () => {
+        booking.status = "confirmed";
+
+        const response = await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin)
+          .send({ amount: 200000 });
+
+        expect(response.status).toBe(200);
+        expect(axios.post.mock.calls[0][1].vnp_TransactionType).toBe("03");
+        expect(response.body.refund.amount).toBe(200000);
+        // Only cancelled and no-show bookings move to "refunded"
+        expect(booking.status).toBe("confirmed");
+      });
+
+      it("should not refund more than is left", async () => {
+        PaymentTransaction.sum.mockResolvedValue("400000");
+
+        const response = await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin)
+          .send({ amount: 200000 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe(
+          "'amount' must be a whole number from 1 to 100000"
+        );
+        expect(axios.post).not.toHaveBeenCalled();
+      });
+
+      it("should not refund a booking twice", async () => {
+        PaymentTransaction.sum.mockResolvedValue("500000");
+
+        const response = await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(409);
+      });
+
+      it("should keep a refused refund in the ledger", async () => {
+        vnpayMock.transactions.get("12").refunded = 450000;
+
+        const response = await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin)
+          .send({ amount: 100000 });
+
+        expect(response.status).toBe(502);
+        expect(response.body.refund).toMatchObject({
+          status: "failed",
+          response_code: "03",
+        });
+        expect(booking.status).toBe("cancelled");
+      });
+
+      it("should lock the payment before counting what was refunded", async () => {
+        await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin);
+
+        expect(PaymentTransaction.findOne).toHaveBeenCalledWith({
+          where: { id: 3 },
+          lock: Transaction.LOCK.UPDATE,
+          transaction: "transaction",
+        });
+        const lock = PaymentTransaction.findOne.mock.invocationCallOrder[1];
+        for (const [, options] of PaymentTransaction.sum.mock.calls) {
+          expect(options.transaction).toBe("transaction");
+          expect(options.where.status).toEqual({
+            [Op.in]: ["success", "pending"],
+          });
+        }
+        expect(lock).toBeLessThan(
+          PaymentTransaction.sum.mock.invocationCallOrder[0]
+        );
+        // Recorded before VNPay is asked to send the money back
+        expect(
+          PaymentTransaction.create.mock.invocationCallOrder[0]
+        ).toBeLessThan(axios.post.mock.invocationCallOrder[0]);
+      });
+
+      it("should fail the pending refund when VNPay cannot be reached", async () => {
+        axios.post.mockRejectedValue(new Error("connect ECONNREFUSED"));
+        jest.spyOn(console, "error").mockImplementation(() => {});
+
+        const response = await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(502);
+        const refund = await PaymentTransaction.create.mock.results[0].value;
+        expect(refund.status).toBe("failed");
+        expect(refund.save).toHaveBeenCalled();
+        expect(booking.status).toBe("cancelled");
+        console.error.mockRestore();
+      });
+
+      it("should return 409 without a successful payment", async () => {
+        PaymentTransaction.findOne.mockResolvedValue(null);
+
+        const response = await request(app)
+          .post("/payments/bookings/12/refund")
+          .set("x-user", admin);
+
+        expect(response.status).toBe(409);
+        expect(PaymentTransaction.findOne.mock.calls[0][0].where.status).toBe(
+          "success"
+        );
+      });
+    });
+  });
+
+  describe("Sandbox payment page", () => {
+    let vnpayMock;
+    let paymentParams;
+
+    beforeEach(async () => {
+      vnpayMock = createMockVnpay();
+      axios.get.mockResolvedValue({ data: { RspCode: "00" } });
+      const response = await request(app).post("/payments/vnpay/create").send({
+        orderId: "12",
+        orderInfo: "Thanh toan booking 12",
+        orderType: "other",
+      });
+      paymentParams = Object.fromEntries(
+        new URL(response.body.data.url).searchParams
+      );
+    });
+
+    // Submits the payment page with the tester's choice
+    const choose = (outcome, params = paymentParams) =>
+      request(vnpayMock)
+        .post("/paymentv2/vpcpay.html")
+        .type("form")
+        .send({ ...params, outcome });
+
+    it("should show the order behind a signed payment URL", async () => {
+      const response = await request(vnpayMock)
+        .get("/paymentv2/vpcpay.html")
+        .query(paymentParams);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain("Số tiền: 500000 VND");
+      expect(response.text).toContain('value="success"');
+      expect(response.text).toContain('value="cancel"');
+    });
+
+    it("should turn away a tampered payment URL", async () => {
+      const response = await request(vnpayMock)
+        .get("/paymentv2/vpcpay.html")
+        .query({ ...paymentParams, vnp_Amount: "100" });
+
+      expect(response.status).toBe(400);
+      expect(response.text).toContain("Sai chữ ký");
+    });
+
+    it("should fire the IPN and send the guest back with a signed result", async () => {
+      const response = await choose("success");
+
+      expect(response.status).toBe(302);
+      const location = new URL(response.headers.location);
+      expect(location.origin + location.pathname).toBe(
+        "http://localhost:3030/api/v1/vnpay/vnpay_return"
+      );
+      const result = Object.fromEntries(location.searchParams);
+      expect(result).toMatchObject({
+        vnp_TxnRef: "12",
+        vnp_Amount: "50000000",
+        vnp_ResponseCode: "00",
+      });
+      expect(axios.get).toHaveBeenCalledWith(
+        "http://localhost:3030/api/v1/vnpay/vnpay_ipn",
+        { params: result }
+      );
+      expect(vnpayMock.transactions.get("12").amount).toBe(500000);
+
+      const returned = await request(app)
+        .get("/payments/vnpay/return")
+        .query(result);
+
+      expect(returned.status).toBe(302);
+      expect(booking.status).toBe("confirmed");
+    });
+
+    it("should report a cancelled payment", async () => {
+      const response = await choose("cancel");
+
+      const result = Object.fromEntries(
+        new URL(response.headers.location).searchParams
+      );
+      expect(result.vnp_ResponseCode).toBe("24");
+      expect(vnpayMock.transactions.size).toBe(0);
+
+      await request(app).get("/payments/vnpay/return").query(result);
+
+      expect(booking.status).toBe("cancelled");
+    });
+
+    it("should still send the guest back when the IPN cannot be reached", async () => {
+      axios.get.mockRejectedValue(new Error("connect ECONNREFUSED"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const response = await choose("failure");
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toContain("vnp_ResponseCode=51");
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,376 @@
+const request = require("supertest");
+const express = require("express");
+const { Op, Transaction } = require("sequelize");
+const {
+  WaitlistEntry,
+  Booking,
+  BookingStatusHistory,
+  Room,
+  User,
+  Hotels,
+  RoomInventory,
+  RatePlan,
+  HolidayRate,
+} = require("../models");
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+} = require("../controllers/waitlist.controller");
+const { offerFreedRooms } = require("../utils/waitlist");
+const { outbox } = require("../utils/mailer");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  if (req.headers["x-user"]) req.user = JSON.parse(req.headers["x-user"]);
+  next();
+});
+
+app.post("/waitlist", joinWaitlist);
+app.get("/waitlist", getMyWaitlist);
+app.delete("/waitlist/:id", leaveWaitlist);
+
+jest.mock("../models", () => ({
+  WaitlistEntry: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn(),
+  },
+  Booking: {
+    findAll: jest.fn(),
+    create: jest.fn(),
+  },
+  BookingStatusHistory: {
+    create: jest.fn(),
+  },
+  Room: {
+    findOne: jest.fn(),
+  },
+  User: {
+    findOne: jest.fn(),
+  },
+  Hotels: {
+    findOne: jest.fn(),
+  },
+  RoomInventory: {
+    findAll: jest.fn(),
+  },
+  RatePlan: {
+    findAll: jest.fn(),
+  },
+  HolidayRate: {
+    findAll: jest.fn(),
+  },
+  sequelize: {
+    transaction: jest.fn((callback) => callback("transaction")),
+  },
+}));
+
+const guest = JSON.stringify({ id: 3, type: "client" });
+const room = {
+  id: 1,
+  hotelId: 2,
+  name: "Deluxe Double",
+  quantity: 2,
+  price: 100000,
+};
+
+// Bookings of room 1 taking `quantity` rooms on 2099-11-10 and 11
+const bookedStay = (quantity) => ({
+  check_in_date: "2099-11-10",
+  check_out_date: "2099-11-12",
+  quantity,
+});
+
+const mockEntry = (overrides = {}) => ({
+  id: 5,
+  room_id: 1,
+  hotel_id: 2,
+  user_id: 3,
+  check_in_date: "2099-11-10",
+  check_out_date: "2099-11-12",
+  quantity: 1,
+  status: "waiting",
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe("Waitlist", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    outbox.length = 0;
+    Room.findOne.mockResolvedValue(room);
+    RoomInventory.findAll.mockResolvedValue([]);
+    RatePlan.findAll.mockResolvedValue([]);
+    HolidayRate.findAll.mockResolvedValue([]);
+    Hotels.findOne.mockResolvedValue({ id: 2, name: "Sea View" });
+    WaitlistEntry.findAll.mockResolvedValue([]);
+  });
+
+  describe("POST /waitlist", () => {
+    const join = (body = {}) =>
+      request(app)
+        .post("/waitlist")
+        .set("x-user", guest)
+        .send({
+          room_id: 1,
+          check_in_date: "2099-11-10",
+          check_out_date: "2099-11-12",
+          ...body,
+        });
+
+    it("should queue the guest for a sold-out stay", async () => {
+      Booking.findAll.mockResolvedValue([bookedStay(2)]);
+      WaitlistEntry.findOne.mockResolvedValue(null);
+      WaitlistEntry.create.mockImplementation(async (data) => ({
+        id: 5,
+        ...data,
+      }));
+      WaitlistEntry.count.mockResolvedValue(3);
+
+      const response = await join();
+
+      expect(response.status).toBe(201);
+      expect(response.body.position).toBe(3);
+      expect(WaitlistEntry.create).toHaveBeenCalledWith({
+        room_id: 1,
+        hotel_id: 2,
+        user_id: 3,
+        check_in_date: "2099-11-10",
+        check_out_date: "2099-11-12",
+        quantity: 1,
+        status: "waiting",
+      });
+      expect(WaitlistEntry.count).toHaveBeenCalledWith({
+        where: { room_id: 1, status: "waiting", id: { [Op.lte]: 5 } },
+      });
+    });
+
+    it("should send guests to booking when rooms are free", async () => {
+      Booking.findAll.mockResolvedValue([bookedStay(1)]);
+
+      const response = await join();
+
+      expect(response.status).toBe(409);
+      expect(response.body.availableQuantity).toBe(1);
+      expect(WaitlistEntry.create).not.toHaveBeenCalled();
+    });
+
+    it("should not queue the same stay twice", async () => {
+      Booking.findAll.mockResolvedValue([bookedStay(2)]);
+      WaitlistEntry.findOne.mockResolvedValue(mockEntry());
+
+      const response = await join();
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        "You are already on the waitlist for this stay"
+      );
+    });
+
+    it("should validate the stay", async () => {
+      const response = await join({ check_out_date: "2099-11-09" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(
+        "'check_in_date' must be before 'check_out_date'"
+      );
+    });
+
+    it("should return 400 for an unknown room", async () => {
+      Room.findOne.mockResolvedValue(null);
+
+      const response = await join();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Room not found");
+    });
+  });
+
+  describe("GET /waitlist", () => {
+    it("should list the caller's entries", async () => {
+      WaitlistEntry.findAll.mockResolvedValue([{ id: 5, status: "waiting" }]);
+
+      const response = await request(app).get("/waitlist").set("x-user", guest);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([{ id: 5, status: "waiting" }]);
+      expect(WaitlistEntry.findAll.mock.calls[0][0].where).toEqual({
+        user_id: 3,
+      });
+    });
+  });
+
+  describe("DELETE /waitlist/:id", () => {
+    it("should let a guest leave the queue", async () => {
+      const entry = mockEntry();
+      WaitlistEntry.findOne.mockResolvedValue(entry);
+
+      const response = await request(app)
+        .delete("/waitlist/5")
+        .set("x-user", guest);
+
+      expect(response.status).toBe(200);
+      expect(entry.status).toBe("left");
+      expect(entry.save).toHaveBeenCalled();
+    });
+
+    it("should not let a guest remove someone else's entry", async () => {
+      WaitlistEntry.findOne.mockResolvedValue(mockEntry({ user_id: 4 }));
+
+      const response = await request(app)
+        .delete("/waitlist/5")
+        .set("x-user", guest);
+
+      expect(response.status).toBe(403);
+    });
+
+    it("should not leave an entry that already has an offer", async () => {
+      WaitlistEntry.findOne.mockResolvedValue(mockEntry({ status: "offered" }));
+
+      const response = await request(app)
+        .delete("/waitlist/5")
+        .set("x-user", guest);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe("offerFreedRooms", () => {
+    const now = new Date("2099-11-01T08:00:00Z");
+
+    beforeEach(() => {
+      // One room left; holds made by the offer loop count against it too
+      const rows = [bookedStay(1)];
+      Booking.findAll.mockImplementation(async () => rows);
+      Booking.create.mockImplementation(async (data) => {
+        rows.push(data);
+        return { id: 40, ...data };
+      });
+      User.findOne.mockImplementation(async ({ where }) => ({
+        id: where.id,
+        name: `Guest ${where.id}`,
+        email: `guest${where.id}@example.com`,
+      }));
+    });
+
+    it("should give the first guest in line a priority hold", async () => {
+      const first = mockEntry({ id: 5 });
+      const second = mockEntry({ id: 6, user_id: 4 });
+      WaitlistEntry.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([first, second]);
+
+      const offers = await offerFreedRooms(1, now);
+
+      expect(offers).toHaveLength(1);
+      expect(Room.findOne).toHaveBeenCalledWith({
+        where: { id: 1 },
+        lock: Transaction.LOCK.UPDATE,
+        transaction: "transaction",
+      });
+      expect(WaitlistEntry.findAll.mock.calls[1][0].order).toEqual([
+        ["createdAt", "ASC"],
+        ["id", "ASC"],
+      ]);
+      expect(Booking.create).toHaveBeenCalledTimes(1);
+      expect(Booking.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          room_id: 1,
+          user_id: 3,
+          hotel_id: 2,
+          status: "pending_payment",
+          hold_expires_at: new Date("2099-11-01T10:00:00Z"),
+          total_price: 200000,
+          full_name: "Guest 3",
+        }),
+        { transaction: "transaction" }
+      );
+      expect(BookingStatusHistory.create).toHaveBeenCalled();
+      expect(first).toMatchObject({
+        status: "offered",
+        booking_id: 40,
+        offer_expires_at: new Date("2099-11-01T10:00:00Z"),
+      });
+      expect(second.status).toBe("waiting");
+
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toEqual([
+        { address: "guest3@example.com", name: "" },
+      ]);
+      expect(outbox[0].subject).toBe("A room is free for you at Sea View");
+      expect(outbox[0].text).toContain("booking LT-000040");
+    });
+
+    it("should skip guests whose stay does not fit yet", async () => {
+      const large = mockEntry({ id: 5, quantity: 2 });
+      const small = mockEntry({ id: 6, user_id: 4 });
+      WaitlistEntry.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([large, small]);
+
+      await offerFreedRooms(1, now);
+
+      expect(large.status).toBe("waiting");
+      expect(small.status).toBe("offered");
+      expect(Booking.create.mock.calls[0][0].user_id).toBe(4);
+    });
+
+    it("should expire entries whose stay has started", async () => {
+      const late = mockEntry({ check_in_date: "2099-10-30" });
+      WaitlistEntry.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([late]);
+
+      const offers = await offerFreedRooms(1, now);
+
+      expect(offers).toEqual([]);
+      expect(late.status).toBe("expired");
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it("should close finished offers before handing out new ones", async () => {
+      const paid = mockEntry({
+        id: 1,
+        status: "offered",
+        Booking: { id: 30, status: "confirmed" },
+      });
+      const lapsed = mockEntry({
+        id: 2,
+        status: "offered",
+        Booking: { id: 31, status: "expired" },
+      });
+      const running = mockEntry({
+        id: 3,
+        status: "offered",
+        Booking: { id: 32, status: "pending_payment" },
+      });
+      WaitlistEntry.findAll
+        .mockResolvedValueOnce([paid, lapsed, running])
+        .mockResolvedValueOnce([]);
+
+      await offerFreedRooms(1, now);
+
+      expect(paid.status).toBe("booked");
+      expect(lapsed.status).toBe("expired");
+      expect(running.status).toBe("offered");
+      expect(running.save).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing while the room is still full", async () => {
+      Booking.findAll.mockResolvedValue([bookedStay(2)]);
+      const entry = mockEntry();
+      WaitlistEntry.findAll
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([entry]);
+
+      const offers = await offerFreedRooms(1, now);
+
+      expect(offers).toEqual([]);
+      expect(entry.status).toBe("waiting");
+      expect(outbox).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const moment = require("moment");
+const { Booking, Room, Hotels, User } = require("../models");
+const { sendMail } = require("./mailer");
+const { getBookingCode, buildVoucherPdf } = require("./voucher");
+
+// Emails the guest of a confirmed booking, with the PDF voucher attached.
+// Resolves with null when the guest has no email address on file.
+const sendBookingConfirmation = async (bookingId) => {
+  const booking = await Booking.findOne({
+    where: { id: bookingId },
+    include: [
+      { model: Room, attributes: ["id", "name"] },
+      { model: Hotels, attributes: ["id", "name", "map"] },
+      { model: User, attributes: ["id", "name", "email"] },
+    ],
+  });
+  if (!booking || !booking.User || !booking.User.email) return null;
+
+  const code = getBookingCode(booking);
+  const hotelName = booking.Hotel ? booking.Hotel.name : "your hotel";
+  const voucher = await buildVoucherPdf(booking);
+
+  return sendMail({
+    to: booking.User.email,
+    subject: `Booking ${code} confirmed - ${hotelName}`,
+    text: [
+      `Hello ${booking.full_name || booking.User.name},`,
+      "",
+      `Your stay at ${hotelName} is confirmed.`,
+      `Booking code: ${code}`,
+      `Check-in: ${moment(booking.check_in_date).format("DD/MM/YYYY")}`,
+      `Check-out: ${moment(booking.check_out_date).format("DD/MM/YYYY")}`,
+      "",
+      "Your voucher is attached; please show it at check-in.",
+    ].join("\n"),
+    attachments: [
+      {
+        filename: `voucher-${code}.pdf`,
+        content: voucher,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+};
+
+// Sends the confirmations without holding up the response that confirmed
+// the bookings; a mail failure is logged, the booking stays confirmed.
+const queueBookingConfirmations = (bookings) =>
+  Promise.all(
+    bookings.map((booking) =>
+      sendBookingConfirmation(booking.id).catch((error) =>
+        console.error(
+          `Error sending confirmation of booking ${booking.id}:`,
+          error
+        )
+      )
+    )
+  );
+
+module.exports = {
+  sendBookingConfirmation,
+  queueBookingConfirmations,
+};
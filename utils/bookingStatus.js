@@ -0,0 +1,114 @@
+const { sequelize, BookingStatusHistory } = require("../models");
+const { reverseCouponRedemptions } = require("./couponRedemptions");
+
+const BOOKING_STATUS = {
+  PENDING_PAYMENT: "pending_payment",
+  CONFIRMED: "confirmed",
+  CHECKED_IN: "checked_in",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  NO_SHOW: "no_show",
+  REFUNDED: "refunded",
+  EXPIRED: "expired",
+};
+
+// Allowed moves for each state; anything not listed is rejected
+const TRANSITIONS = {
+  [BOOKING_STATUS.PENDING_PAYMENT]: [
+    BOOKING_STATUS.CONFIRMED,
+    BOOKING_STATUS.CANCELLED,
+    BOOKING_STATUS.EXPIRED,
+  ],
+  [BOOKING_STATUS.CONFIRMED]: [
+    BOOKING_STATUS.CHECKED_IN,
+    BOOKING_STATUS.CANCELLED,
+    BOOKING_STATUS.NO_SHOW,
+  ],
+  [BOOKING_STATUS.CHECKED_IN]: [BOOKING_STATUS.COMPLETED],
+  [BOOKING_STATUS.COMPLETED]: [],
+  [BOOKING_STATUS.CANCELLED]: [BOOKING_STATUS.REFUNDED],
+  [BOOKING_STATUS.NO_SHOW]: [BOOKING_STATUS.REFUNDED],
+  [BOOKING_STATUS.REFUNDED]: [],
+  [BOOKING_STATUS.EXPIRED]: [],
+};
+
+// Bookings in these states count against the room's inventory; pending
+// payments only while their hold lasts (see utils/inventory.js)
+const ACTIVE_STATUSES = [
+  BOOKING_STATUS.PENDING_PAYMENT,
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.CHECKED_IN,
+];
+
+// Bookings in these states never went through: they give back their coupon
+// and do not count as the guest's first booking
+const VOID_STATUSES = [
+  BOOKING_STATUS.CANCELLED,
+  BOOKING_STATUS.EXPIRED,
+  BOOKING_STATUS.REFUNDED,
+];
+
+const canTransition = (fromStatus, toStatus) =>
+  (TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Writes the first history row of a freshly created booking
+const recordInitialStatus = (
+  booking,
+  { changedBy = null, note = null, transaction } = {}
+) =>
+  BookingStatusHistory.create(
+    {
+      booking_id: booking.id,
+      from_status: null,
+      to_status: booking.status,
+      changed_by: changedBy,
+      note,
+    },
+    { transaction }
+  );
+
+// Moves a booking to `toStatus` and records who did it; the caller is
+// expected to have checked `canTransition` first
+const transitionBooking = async (
+  booking,
+  toStatus,
+  { changedBy = null, note = null, transaction } = {}
+) => {
+  const fromStatus = booking.status;
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new Error(
+      `Cannot change booking status from '${fromStatus}' to '${toStatus}'`
+    );
+  }
+
+  const apply = async (t) => {
+    booking.status = toStatus;
+    await booking.save({ transaction: t });
+    await BookingStatusHistory.create(
+      {
+        booking_id: booking.id,
+        from_status: fromStatus,
+        to_status: toStatus,
+        changed_by: changedBy,
+        note,
+      },
+      { transaction: t }
+    );
+    if (booking.coupon_code && VOID_STATUSES.includes(toStatus)) {
+      await reverseCouponRedemptions([booking], { transaction: t });
+    }
+    return booking;
+  };
+
+  return transaction ? apply(transaction) : sequelize.transaction(apply);
+};
+
+module.exports = {
+  BOOKING_STATUS,
+  TRANSITIONS,
+  ACTIVE_STATUSES,
+  VOID_STATUSES,
+  canTransition,
+  recordInitialStatus,
+  transitionBooking,
+};
@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const config = require("config");
+const moment = require("moment");
+
+const FEED_KINDS = ["users", "hotels"];
+
+// Only the development and test configs ship a secret; anywhere else it
+// must come from CALENDAR_FEED_SECRET, checked when the server starts
+const assertFeedSecret = () => {
+  if (!config.has("calendar.feedSecret")) {
+    throw new Error("CALENDAR_FEED_SECRET is not set");
+  }
+};
+
+// Calendar apps cannot send our login token, so each feed URL carries an
+// HMAC of the feed it opens. Anyone holding the URL can read that feed only.
+// The user's or hotel's `calendar_token_salt` is part of the HMAC, so giving
+// it a new value revokes every URL handed out before.
+const getFeedToken = (kind, owner) =>
+  crypto
+    .createHmac("sha256", config.get("calendar.feedSecret"))
+    .update(`${kind}:${owner.id}:${owner.calendar_token_salt || ""}`)
+    .digest("hex");
+
+const isValidFeedToken = (kind, owner, token) => {
+  if (!FEED_KINDS.includes(kind) || !owner || typeof token !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(getFeedToken(kind, owner));
+  const given = Buffer.from(token);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+const newFeedTokenSalt = () => crypto.randomBytes(16).toString("hex");
+
+const getFeedUrl = (kind, owner) =>
+  `${config.get("calendar.feedUrl")}/${kind}/${
+    owner.id
+  }.ics?token=${getFeedToken(kind, owner)}`;
+
+// RFC 5545 text values: escape separators and fold lines over 75 octets
+const escapeText = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 74;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts.join("\r\n ");
+};
+
+const formatDate = (date) => moment(date).format("YYYYMMDD");
+
+// All-day event spanning the stay; the check-out day is the exclusive end
+const buildEvent = ({
+  uid,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  status,
+}) =>
+  [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${moment.utc().format("YYYYMMDDTHHmmss")}Z`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    location ? `LOCATION:${escapeText(location)}` : null,
+    status ? `STATUS:${status}` : null,
+    "END:VEVENT",
+  ].filter(Boolean);
+
+const buildCalendar = (name, events) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//LastingTrip//Bookings//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  FEED_KINDS,
+  assertFeedSecret,
+  getFeedToken,
+  isValidFeedToken,
+  newFeedTokenSalt,
+  getFeedUrl,
+  buildCalendar,
+};
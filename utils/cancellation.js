@@ -0,0 +1,71 @@
+const moment = require("moment");
+const { CancellationPolicy } = require("../models");
+const { getReceivedAmount, getRefundedAmount } = require("./paymentLedger");
+
+// Used for hotels that have not set a policy: free until check-in
+const DEFAULT_POLICY = {
+  free_cancellation_days: 0,
+  partial_refund_percent: 0,
+  after_check_in_refund_percent: 0,
+};
+
+const findPolicy = async (hotelId, { transaction } = {}) => {
+  const policy = await CancellationPolicy.findOne({
+    where: { hotel_id: hotelId },
+    transaction,
+  });
+  return policy || DEFAULT_POLICY;
+};
+
+// What the guest has paid for the booking and not had back yet, from the
+// payment ledger: pay-at-hotel bookings have paid nothing, and neither has
+// the additional charge of a modified booking until it is collected. An
+// order is paid in one go, of which each booking holds at most its price.
+const getPaidAmount = async (booking, { transaction } = {}) => {
+  const received = await getReceivedAmount(booking, { transaction });
+  const refunded = await getRefundedAmount(
+    { booking_id: booking.id },
+    { transaction }
+  );
+  return Math.max(
+    Math.min(received, Number(booking.total_price) || 0) - refunded,
+    0
+  );
+};
+
+// How much of the `paid` amount is given back if the booking is cancelled
+// at `at`
+const computeRefund = (booking, policy, paid, at = new Date()) => {
+  const checkIn = moment(booking.check_in_date).startOf("day");
+  const today = moment(at).startOf("day");
+  const daysBeforeCheckIn = checkIn.diff(today, "days");
+
+  let rule;
+  let refundPercent;
+  // The check-in day itself already counts as "after check-in"
+  if (daysBeforeCheckIn <= 0) {
+    rule = "after_check_in";
+    refundPercent = policy.after_check_in_refund_percent;
+  } else if (daysBeforeCheckIn >= policy.free_cancellation_days) {
+    rule = "free_cancellation";
+    refundPercent = 100;
+  } else {
+    rule = "partial_refund";
+    refundPercent = policy.partial_refund_percent;
+  }
+
+  return {
+    paid_amount: paid,
+    days_before_check_in: daysBeforeCheckIn,
+    rule,
+    refund_percent: refundPercent,
+    refund_amount: Math.round((paid * refundPercent) / 100),
+  };
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  findPolicy,
+  getPaidAmount,
+  computeRefund,
+};
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const { Coupons, CouponRedemption } = require("../models");
+const { COUPON_REDEMPTION_STATUS } = require("./couponRedemptions");
+
+// No 0/O or 1/I, so codes copied from print or read out over the phone
+// come out right
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const MAX_CAMPAIGN_CODES = 10000;
+// Rows per INSERT when storing the codes
+const INSERT_BATCH_SIZE = 1000;
+
+const CODE_STATUS = {
+  AVAILABLE: "available",
+  REDEEMED: "redeemed",
+  EXPIRED: "expired",
+};
+
+const generateCode = (prefix, length) => {
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// Coupon fields every code of `campaign` gets; each code is good for a
+// single booking or order
+const getCodeTemplate = (campaign) => ({
+  campaign_id: campaign.id,
+  type: campaign.type,
+  percent: campaign.percent,
+  amount: campaign.amount,
+  exclusive: campaign.exclusive,
+  begin: campaign.begin,
+  end: campaign.end,
+  min_order_value: campaign.min_order_value,
+  max_discount: campaign.max_discount,
+  hotel_ids: campaign.hotel_ids,
+  room_types: campaign.room_types,
+  first_booking_only: campaign.first_booking_only,
+  usage_limit: 1,
+});
+
+// Generates `campaign.quantity` codes that no coupon uses yet and stores them
+// as single-use coupons. Returns the codes.
+const issueCampaignCodes = async (campaign, { transaction } = {}) => {
+  const codes = new Set();
+  while (codes.size < campaign.quantity) {
+    const fresh = new Set();
+    while (codes.size + fresh.size < campaign.quantity) {
+      const code = generateCode(campaign.prefix, campaign.code_length);
+      if (!codes.has(code)) fresh.add(code);
+    }
+    // Hand-made coupons and earlier campaigns may already use some of them
+    const taken = await Coupons.findAll({
+      where: { code: [...fresh] },
+      attributes: ["code"],
+      raw: true,
+      transaction,
+    });
+    for (const { code } of taken) fresh.delete(code);
+    for (const code of fresh) codes.add(code);
+  }
+
+  const template = getCodeTemplate(campaign);
+  const rows = [...codes].map((code) => ({ ...template, code }));
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    await Coupons.bulkCreate(rows.slice(i, i + INSERT_BATCH_SIZE), {
+      transaction,
+    });
+  }
+  return [...codes];
+};
+
+// The codes share the campaign's window: once it is over, every code not
+// redeemed by then has expired
+const hasEnded = (campaign, now) =>
+  Boolean(campaign.end) && new Date(campaign.end) < now;
+
+// Issued, redeemed, expired and still available codes of `campaign`
+const getCampaignStats = async (campaign, now = new Date()) => {
+  const issued = await Coupons.count({ where: { campaign_id: campaign.id } });
+  const redeemed = await CouponRedemption.count({
+    where: { status: COUPON_REDEMPTION_STATUS.ACTIVE },
+    include: [
+      { model: Coupons, where: { campaign_id: campaign.id }, attributes: [] },
+    ],
+    distinct: true,
+    col: "coupon_id",
+  });
+  const expired = hasEnded(campaign, now) ? issued - redeemed : 0;
+
+  return {
+    issued,
+    redeemed,
+    expired,
+    available: issued - redeemed - expired,
+  };
+};
+
+// Which coupons make up the campaign, in the order they were issued
+const getCodeQuery = (campaign) => ({
+  where: { campaign_id: campaign.id },
+  attributes: ["id", "code"],
+  order: [["id", "ASC"]],
+  raw: true,
+});
+
+// One entry per coupon of `campaign` with its status and, once redeemed, the
+// booking it went to
+const getCodeStatuses = async (campaign, coupons, now) => {
+  const redemptions = await CouponRedemption.findAll({
+    where: {
+      coupon_id: coupons.map((coupon) => coupon.id),
+      status: COUPON_REDEMPTION_STATUS.ACTIVE,
+    },
+    attributes: ["coupon_id", "booking_id", "createdAt"],
+    raw: true,
+  });
+  const redemptionOf = new Map(
+    redemptions.map((redemption) => [redemption.coupon_id, redemption])
+  );
+  const ended = hasEnded(campaign, now);
+
+  return coupons.map(({ id, code }) => {
+    const redemption = redemptionOf.get(id);
+    if (redemption) {
+      return {
+        code,
+        status: CODE_STATUS.REDEEMED,
+        booking_id: redemption.booking_id,
+        redeemed_at: new Date(redemption.createdAt).toISOString(),
+      };
+    }
+    return {
+      code,
+      status: ended ? CODE_STATUS.EXPIRED : CODE_STATUS.AVAILABLE,
+      booking_id: null,
+      redeemed_at: null,
+    };
+  });
+};
+
+// Every code of `campaign`, see getCodeStatuses
+const getCampaignCodes = async (campaign, now = new Date()) =>
+  getCodeStatuses(campaign, await Coupons.findAll(getCodeQuery(campaign)), now);
+
+// `limit` codes of `campaign` from `offset` on, and how many it has in all
+const getCampaignCodePage = async (
+  campaign,
+  { limit, offset },
+  now = new Date()
+) => {
+  const { count, rows } = await Coupons.findAndCountAll({
+    ...getCodeQuery(campaign),
+    limit,
+    offset,
+  });
+  return { total: count, codes: await getCodeStatuses(campaign, rows, now) };
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV with a header row of `columns`, one line per row
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(escapeCsv).join(","))
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  CODE_ALPHABET,
+  MAX_CAMPAIGN_CODES,
+  CODE_STATUS,
+  generateCode,
+  issueCampaignCodes,
+  getCampaignStats,
+  getCampaignCodes,
+  getCampaignCodePage,
+  toCsv,
+};
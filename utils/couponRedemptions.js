@@ -0,0 +1,53 @@
+const { CouponRedemption } = require("../models");
+
+const COUPON_REDEMPTION_STATUS = {
+  ACTIVE: "active",
+  REVERSED: "reversed",
+};
+
+// Discount `coupon` gave the booking, from its stored price breakdown
+const getDiscountAmount = (coupon, booking) => {
+  const discounts =
+    (booking.price_breakdown && booking.price_breakdown.discounts) || [];
+  const line = discounts.find((discount) => discount.code === coupon.code);
+  return line ? line.amount : null;
+};
+
+// One row per booking that got the coupon; the lines of a multi-room order
+// share a single use through their order_id
+const recordCouponRedemptions = (coupon, bookings, { transaction } = {}) =>
+  CouponRedemption.bulkCreate(
+    bookings.map((booking) => ({
+      coupon_id: coupon.id,
+      code: coupon.code,
+      booking_id: booking.id,
+      order_id: booking.order_id || null,
+      user_id: booking.user_id,
+      amount: getDiscountAmount(coupon, booking),
+      status: COUPON_REDEMPTION_STATUS.ACTIVE,
+    })),
+    { transaction }
+  );
+
+// Gives the coupon back for bookings that never went through. The rows are
+// kept for reporting, only marked reversed.
+const reverseCouponRedemptions = (bookings, { transaction } = {}) =>
+  CouponRedemption.update(
+    {
+      status: COUPON_REDEMPTION_STATUS.REVERSED,
+      reversed_at: new Date(),
+    },
+    {
+      where: {
+        booking_id: bookings.map((booking) => booking.id),
+        status: COUPON_REDEMPTION_STATUS.ACTIVE,
+      },
+      transaction,
+    }
+  );
+
+module.exports = {
+  COUPON_REDEMPTION_STATUS,
+  recordCouponRedemptions,
+  reverseCouponRedemptions,
+};
@@ -0,0 +1,443 @@
+const moment = require("moment");
+const { Op, Transaction } = require("sequelize");
+const { Coupons, Booking, CouponRedemption } = require("../models");
+const { VOID_STATUSES } = require("./bookingStatus");
+const { COUPON_REDEMPTION_STATUS } = require("./couponRedemptions");
+
+const isEmpty = (value) => value === undefined || value === null;
+
+// Validates the rule fields present in `body`. Returns { error } or
+// { rules } holding only the fields that were sent; null clears a rule.
+const parseCouponRules = (body) => {
+  const rules = {};
+
+  for (const field of ["min_order_value", "max_discount"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && (typeof value !== "number" || value <= 0)) {
+      return { error: `'${field}' must be a positive number` };
+    }
+    rules[field] = value;
+  }
+  for (const field of ["usage_limit", "per_user_limit"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+      return { error: `'${field}' must be a positive whole number` };
+    }
+    rules[field] = value;
+  }
+  if (body.hotel_ids !== undefined) {
+    const ids = body.hotel_ids;
+    if (
+      ids !== null &&
+      (!Array.isArray(ids) ||
+        ids.length === 0 ||
+        ids.some((id) => !Number.isInteger(id) || id <= 0))
+    ) {
+      return { error: "'hotel_ids' must be a non-empty list of hotel ids" };
+    }
+    rules.hotel_ids = ids;
+  }
+  if (body.room_types !== undefined) {
+    const types = body.room_types;
+    if (
+      types !== null &&
+      (!Array.isArray(types) ||
+        types.length === 0 ||
+        types.some((type) => typeof type !== "string" || !type.trim()))
+    ) {
+      return { error: "'room_types' must be a non-empty list of room types" };
+    }
+    rules.room_types = types;
+  }
+  if (body.first_booking_only !== undefined) {
+    if (typeof body.first_booking_only !== "boolean") {
+      return { error: "'first_booking_only' must be true or false" };
+    }
+    rules.first_booking_only = body.first_booking_only;
+  }
+
+  return { rules };
+};
+
+const COUPON_TYPE = {
+  // `percent` off the subtotal, up to `max_discount`
+  PERCENT: "percent",
+  // A voucher worth `amount` VND
+  FIXED: "fixed",
+};
+
+// Coupons of a booking are applied in this order: the percentage coupon on
+// the subtotal, then the voucher on what is left
+const APPLICATION_ORDER = [COUPON_TYPE.PERCENT, COUPON_TYPE.FIXED];
+
+const getCouponType = (coupon) => coupon.type || COUPON_TYPE.PERCENT;
+
+// Validates the discount fields present in `body`. Returns { error } or
+// { discount } holding the fields to set; switching `type` clears the value
+// of the other type. See getDiscountError for the coupon as a whole.
+const parseCouponDiscount = (body) => {
+  const { type, percent, amount, exclusive } = body;
+  const discount = {};
+
+  if (type !== undefined) {
+    if (!Object.values(COUPON_TYPE).includes(type)) {
+      return {
+        error: `'type' must be one of: ${Object.values(COUPON_TYPE).join(
+          ", "
+        )}.`,
+      };
+    }
+    discount.type = type;
+    if (type === COUPON_TYPE.PERCENT) discount.amount = null;
+    if (type === COUPON_TYPE.FIXED) discount.percent = null;
+  }
+  if (percent !== undefined) {
+    if (typeof percent !== "number" || percent <= 0 || percent > 100) {
+      return { error: "'percent' must be a number between 1 and 100." };
+    }
+    discount.percent = percent;
+  }
+  if (amount !== undefined) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return { error: "'amount' must be a positive whole number of VND." };
+    }
+    discount.amount = amount;
+  }
+  if (exclusive !== undefined) {
+    if (typeof exclusive !== "boolean") {
+      return { error: "'exclusive' must be true or false." };
+    }
+    discount.exclusive = exclusive;
+  }
+
+  return { discount };
+};
+
+// Why the discount fields of `coupon` do not fit its type, or null
+const getDiscountError = (coupon) => {
+  if (getCouponType(coupon) === COUPON_TYPE.FIXED) {
+    if (isEmpty(coupon.amount)) {
+      return "'amount' must be a positive whole number of VND.";
+    }
+    if (!isEmpty(coupon.percent)) {
+      return "'percent' does not apply to fixed coupons.";
+    }
+    return null;
+  }
+  if (isEmpty(coupon.percent)) {
+    return "'percent' must be a number between 1 and 100.";
+  }
+  if (!isEmpty(coupon.amount)) {
+    return "'amount' does not apply to percent coupons.";
+  }
+  return null;
+};
+
+// Codes sent as the `coupon_codes` list or the older single `coupon_code`;
+// a string may list several codes separated by commas. Returns { codes }
+// without duplicates, or { error }.
+const parseCouponCodes = ({ coupon_codes, coupon_code }) => {
+  const value = coupon_codes !== undefined ? coupon_codes : coupon_code;
+  if (isEmpty(value) || value === "") return { codes: [] };
+
+  const list = typeof value === "string" ? value.split(",") : value;
+  if (
+    !Array.isArray(list) ||
+    list.some((code) => typeof code !== "string" || code.trim() === "")
+  ) {
+    return { error: "'coupon_codes' must be a list of coupon codes" };
+  }
+  return { codes: [...new Set(list.map((code) => code.trim()))] };
+};
+
+// Why `coupons` cannot be used on the same booking, or null. Exclusive
+// codes go alone; otherwise one coupon of each type.
+const getStackingError = (coupons) => {
+  if (coupons.length > 1) {
+    const exclusive = coupons.find((coupon) => coupon.exclusive);
+    if (exclusive) {
+      return `Coupon ${exclusive.code} cannot be combined with other codes`;
+    }
+  }
+  for (const type of APPLICATION_ORDER) {
+    if (coupons.filter((coupon) => getCouponType(coupon) === type).length > 1) {
+      return type === COUPON_TYPE.FIXED
+        ? "Only one voucher can be used per booking"
+        : "Only one percentage coupon can be used per booking";
+    }
+  }
+  return null;
+};
+
+// Discount of `coupon` on `base`, within its cap and never more than `base`
+const getCouponDiscount = (coupon, base) => {
+  const amount =
+    getCouponType(coupon) === COUPON_TYPE.FIXED
+      ? Number(coupon.amount)
+      : Math.round((base * coupon.percent) / 100);
+  const capped = isEmpty(coupon.max_discount)
+    ? amount
+    : Math.min(amount, Number(coupon.max_discount));
+  return Math.min(capped, base);
+};
+
+// Price breakdown line of `coupon`, without its amount
+const describeCoupon = (coupon) =>
+  getCouponType(coupon) === COUPON_TYPE.FIXED
+    ? { code: coupon.code, fixed_amount: Number(coupon.amount) }
+    : {
+        code: coupon.code,
+        percent: coupon.percent,
+        ...(coupon.max_discount ? { max_discount: coupon.max_discount } : {}),
+      };
+
+// The coupon a stored discount line came from, for repricing a booking
+const getLineCoupon = (line) =>
+  line.fixed_amount !== undefined
+    ? { code: line.code, type: COUPON_TYPE.FIXED, amount: line.fixed_amount }
+    : {
+        code: line.code,
+        type: COUPON_TYPE.PERCENT,
+        percent: line.percent,
+        max_discount: line.max_discount,
+      };
+
+// Codes behind the discount lines of `quote`, in the order they were applied
+const getAppliedCodes = (quote) =>
+  quote.discounts.length > 0
+    ? quote.discounts.map((line) => line.code).join(",")
+    : null;
+
+// Splits `amount` between `bases` in proportion, the last non-zero base
+// taking the rounding
+const splitAmount = (amount, bases) => {
+  const total = bases.reduce((sum, base) => sum + base, 0);
+  const last = bases.map((base) => base > 0).lastIndexOf(true);
+  let left = amount;
+  return bases.map((base, index) => {
+    if (index === last) return left;
+    const share = total > 0 ? Math.round((amount * base) / total) : 0;
+    left -= share;
+    return share;
+  });
+};
+
+// Applies `coupons` in APPLICATION_ORDER to the quotes of one booking, or of
+// every line of an order. Each coupon counts once for the whole order, so
+// its discount and cap are shared between the lines in proportion to what
+// they cost at that point. Returns the quotes with a discount line per
+// coupon and their totals.
+const applyDiscounts = (quotes, coupons) => {
+  const ordered = [...coupons].sort(
+    (a, b) =>
+      APPLICATION_ORDER.indexOf(getCouponType(a)) -
+      APPLICATION_ORDER.indexOf(getCouponType(b))
+  );
+  const totals = quotes.map((quote) => quote.subtotal);
+  const discounts = quotes.map(() => []);
+
+  for (const coupon of ordered) {
+    const base = totals.reduce((sum, total) => sum + total, 0);
+    const shares = splitAmount(getCouponDiscount(coupon, base), totals);
+    shares.forEach((amount, index) => {
+      discounts[index].push({ ...describeCoupon(coupon), amount });
+      totals[index] -= amount;
+    });
+  }
+
+  return quotes.map((quote, index) => ({
+    ...quote,
+    discounts: discounts[index],
+    total: Math.max(totals[index], 0),
+  }));
+};
+
+// Reprices one line of an order with the discounts it was given when the
+// order was placed. Each coupon counted once for the whole order, so
+// applying it again to this line alone would hand the line the full
+// discount or cap: the line keeps its share instead, never more than what
+// is left of its new subtotal.
+const applyLineDiscounts = (quote, lines) => {
+  let total = quote.subtotal;
+  const discounts = lines.map((line) => {
+    const amount = Math.min(Number(line.amount), total);
+    total -= amount;
+    return { ...line, amount };
+  });
+  return { ...quote, discounts, total: Math.max(total, 0) };
+};
+
+// A coupon is used once per booking, or once per order for all its lines,
+// until the redemption is reversed (see utils/couponRedemptions.js)
+const countCouponUses = async (code, { userId, transaction } = {}) => {
+  const where = {
+    code,
+    status: COUPON_REDEMPTION_STATUS.ACTIVE,
+    ...(isEmpty(userId) ? {} : { user_id: userId }),
+  };
+  const single = await CouponRedemption.count({
+    where: { ...where, order_id: null },
+    transaction,
+  });
+  const orders = await CouponRedemption.count({
+    where: { ...where, order_id: { [Op.ne]: null } },
+    distinct: true,
+    col: "order_id",
+    transaction,
+  });
+  return single + orders;
+};
+
+const formatDate = (date) => moment(date).format("YYYY-MM-DD");
+
+// The begin/end rules alone, for when there is no booking to check yet
+const getDateRejections = (coupon, at = new Date()) => {
+  const rejections = [];
+  if (coupon.begin && new Date(coupon.begin) > at) {
+    rejections.push({
+      rule: "begin",
+      message: `Coupon is not valid until ${formatDate(coupon.begin)}`,
+    });
+  }
+  if (coupon.end && new Date(coupon.end) < at) {
+    rejections.push({
+      rule: "end",
+      message: `Coupon expired on ${formatDate(coupon.end)}`,
+    });
+  }
+  return rejections;
+};
+
+// Every rule `coupon` fails for the booking described by `context`, each as
+// { rule, message }; an empty list means the coupon applies.
+//
+//   context: { userId, hotelId, rooms, subtotal, at, transaction }
+//
+// Rules needing a guest fail without `userId`.
+const getCouponRejections = async (coupon, context) => {
+  const {
+    userId,
+    hotelId,
+    rooms = [],
+    subtotal,
+    at = new Date(),
+    transaction,
+  } = context;
+  const rejections = getDateRejections(coupon, at);
+  const reject = (rule, message) => rejections.push({ rule, message });
+
+  if (
+    !isEmpty(coupon.min_order_value) &&
+    subtotal < Number(coupon.min_order_value)
+  ) {
+    reject(
+      "min_order_value",
+      `Orders must be at least ${Number(coupon.min_order_value)} VND`
+    );
+  }
+  if (
+    !isEmpty(coupon.hotel_ids) &&
+    !coupon.hotel_ids.map(Number).includes(Number(hotelId))
+  ) {
+    reject("hotel_ids", "Coupon is not valid at this hotel");
+  }
+  if (
+    !isEmpty(coupon.room_types) &&
+    rooms.some((room) => !coupon.room_types.includes(room.type_bed))
+  ) {
+    reject(
+      "room_types",
+      `Coupon is only valid for room types: ${coupon.room_types.join(", ")}`
+    );
+  }
+
+  if (!isEmpty(coupon.usage_limit)) {
+    const uses = await countCouponUses(coupon.code, { transaction });
+    if (uses >= coupon.usage_limit) {
+      reject("usage_limit", "Coupon has been fully redeemed");
+    }
+  }
+
+  const needsUser =
+    coupon.first_booking_only || !isEmpty(coupon.per_user_limit);
+  if (needsUser && isEmpty(userId)) {
+    reject("user", "Sign in to use this coupon");
+    return rejections;
+  }
+  if (coupon.first_booking_only) {
+    const bookings = await Booking.count({
+      where: { user_id: userId, status: { [Op.notIn]: VOID_STATUSES } },
+      transaction,
+    });
+    if (bookings > 0) {
+      reject("first_booking_only", "Coupon is only valid on a first booking");
+    }
+  }
+  if (!isEmpty(coupon.per_user_limit)) {
+    const uses = await countCouponUses(coupon.code, { userId, transaction });
+    if (uses >= coupon.per_user_limit) {
+      reject(
+        "per_user_limit",
+        `Coupon can be used ${coupon.per_user_limit} time(s) per guest`
+      );
+    }
+  }
+
+  return rejections;
+};
+
+// getCouponRejections for each coupon of a booking, every rejection carrying
+// the code it is about
+const getStackRejections = async (coupons, context) => {
+  const rejections = [];
+  for (const coupon of coupons) {
+    for (const rejection of await getCouponRejections(coupon, context)) {
+      rejections.push({ code: coupon.code, ...rejection });
+    }
+  }
+  return rejections;
+};
+
+const findCouponByCode = (code) => Coupons.findOne({ where: { code } });
+
+// Reads `coupons` again inside `transaction`, locking their rows in id order
+// so that concurrent bookings redeeming the same coupon wait for each other
+// and the usage limits count every redemption committed before. Must come
+// before the transaction's first plain read, which fixes its snapshot under
+// REPEATABLE READ. Returns the fresh rows in the given order, or null when
+// one of them is gone.
+const lockCoupons = async (coupons, { transaction }) => {
+  if (coupons.length === 0) return [];
+  const rows = await Coupons.findAll({
+    where: { id: coupons.map((coupon) => coupon.id) },
+    order: [["id", "ASC"]],
+    lock: Transaction.LOCK.UPDATE,
+    transaction,
+  });
+  const locked = coupons.map((coupon) =>
+    rows.find((row) => row.id === coupon.id)
+  );
+  return locked.every(Boolean) ? locked : null;
+};
+
+module.exports = {
+  COUPON_TYPE,
+  parseCouponRules,
+  parseCouponDiscount,
+  getDiscountError,
+  parseCouponCodes,
+  getStackingError,
+  getCouponDiscount,
+  getLineCoupon,
+  applyDiscounts,
+  applyLineDiscounts,
+  getAppliedCodes,
+  countCouponUses,
+  getDateRejections,
+  getCouponRejections,
+  getStackRejections,
+  findCouponByCode,
+  lockCoupons,
+};
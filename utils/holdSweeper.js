@@ -0,0 +1,86 @@
+const config = require("config");
+const { Op, Transaction } = require("sequelize");
+const { sequelize, Booking } = require("../models");
+const { BOOKING_STATUS, transitionBooking } = require("./bookingStatus");
+const { isHoldExpired } = require("./paymentTarget");
+const { queueWaitlistOffers } = require("./waitlist");
+
+// Expires one stale booking. The row is locked and read again first: a
+// payment may have confirmed it since the sweep listed it, and that booking
+// must keep its rooms. Returns the expired booking, or null when it was
+// left alone.
+const expireHold = (booking, now) =>
+  sequelize.transaction(async (transaction) => {
+    const current = await Booking.findOne({
+      where: { id: booking.id },
+      lock: Transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (
+      !current ||
+      current.status !== BOOKING_STATUS.PENDING_PAYMENT ||
+      !isHoldExpired(current, now)
+    ) {
+      return null;
+    }
+
+    return transitionBooking(current, BOOKING_STATUS.EXPIRED, {
+      note: "Payment hold expired",
+      transaction,
+    });
+  });
+
+// Moves every unpaid booking whose hold has run out to `expired`, which
+// gives its rooms back to the inventory. Returns the expired bookings.
+const expireStaleHolds = async (now = new Date()) => {
+  const staleBookings = await Booking.findAll({
+    where: {
+      status: BOOKING_STATUS.PENDING_PAYMENT,
+      hold_expires_at: { [Op.lte]: now },
+    },
+  });
+
+  const expired = [];
+  for (const booking of staleBookings) {
+    try {
+      const current = await expireHold(booking, now);
+      if (current) expired.push(current);
+    } catch (error) {
+      console.error(`Error expiring booking ${booking.id}:`, error);
+    }
+  }
+  return expired;
+};
+
+// Runs `expireStaleHolds` on an interval inside the web process
+const startHoldSweeper = (
+  intervalSeconds = config.get("booking.sweepIntervalSeconds")
+) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than run two sweeps over the same rows
+    if (running) return;
+    running = true;
+    try {
+      const expired = await expireStaleHolds();
+      if (expired.length > 0) {
+        console.log(`Expired ${expired.length} unpaid booking hold(s)`);
+        await queueWaitlistOffers(expired.map((booking) => booking.room_id));
+      }
+    } catch (error) {
+      console.error("Error sweeping booking holds:", error);
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+
+  // Do not keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  expireStaleHolds,
+  startHoldSweeper,
+};
@@ -0,0 +1,35 @@
+const config = require("config");
+const { Hotels } = require("../models");
+
+// Hotels.cost is tonight's cheapest room, so it goes stale when the date
+// moves into another rate plan, weekday or holiday even if nothing was
+// edited. Edits refresh it through the model hooks; this catches the rest.
+const startHotelCostRefresher = (
+  intervalMinutes = config.get("pricing.costRefreshMinutes")
+) => {
+  let running = false;
+
+  const timer = setInterval(
+    async () => {
+      // Skip a tick rather than run two refreshes side by side
+      if (running) return;
+      running = true;
+      try {
+        await Hotels.updateMinPrices();
+      } catch (error) {
+        console.error("Error refreshing hotel prices:", error);
+      } finally {
+        running = false;
+      }
+    },
+    intervalMinutes * 60 * 1000
+  );
+
+  // Do not keep the process alive just for the refresher
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startHotelCostRefresher,
+};
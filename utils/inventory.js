@@ -0,0 +1,192 @@
+const { Op } = require("sequelize");
+const { Booking, RoomInventory } = require("../models");
+const { BOOKING_STATUS, ACTIVE_STATUSES } = require("./bookingStatus");
+const { getStayNights, getNightlyRates } = require("./pricing");
+
+// Bookings that hold rooms at `now`. A pending payment only counts while its
+// hold has not expired, even if the sweeper has not caught up with it yet.
+const holdingBookingsWhere = (now = new Date()) => ({
+  status: { [Op.in]: ACTIVE_STATUSES },
+  [Op.or]: [
+    { status: { [Op.ne]: BOOKING_STATUS.PENDING_PAYMENT } },
+    { hold_expires_at: { [Op.gt]: now } },
+  ],
+});
+
+// Owner overrides for the given nights, keyed by date
+const getInventoryByDate = async (roomId, nights, { transaction } = {}) => {
+  const rows = await RoomInventory.findAll({
+    where: { room_id: roomId, date: { [Op.in]: nights } },
+    transaction,
+  });
+
+  return rows.reduce((byDate, row) => {
+    byDate[row.date] = row;
+    return byDate;
+  }, {});
+};
+
+// Bookings that overlap at least one of the given nights
+const overlappingNightsWhere = (nights) => ({
+  check_in_date: { [Op.lte]: `${nights[nights.length - 1]} 23:59:59` },
+  check_out_date: { [Op.gt]: nights[0] },
+});
+
+// Rooms taken by `bookings` on each of the given nights
+const countBookedByNight = (bookings, nights) => {
+  const booked = nights.reduce((byDate, date) => {
+    byDate[date] = 0;
+    return byDate;
+  }, {});
+
+  for (const booking of bookings) {
+    for (const date of getStayNights(
+      booking.check_in_date,
+      booking.check_out_date
+    )) {
+      if (date in booked) booked[date] += booking.quantity;
+    }
+  }
+  return booked;
+};
+
+// Rooms of `roomId` already taken on each of the given nights, leaving out
+// `excludeBookingId` (a booking being moved to new dates)
+const getBookedByNight = async (
+  roomId,
+  nights,
+  { transaction, excludeBookingId } = {}
+) => {
+  if (nights.length === 0) return countBookedByNight([], nights);
+
+  const bookings = await Booking.findAll({
+    attributes: ["check_in_date", "check_out_date", "quantity"],
+    where: {
+      room_id: roomId,
+      ...overlappingNightsWhere(nights),
+      ...holdingBookingsWhere(),
+      ...(excludeBookingId ? { id: { [Op.ne]: excludeBookingId } } : {}),
+    },
+    transaction,
+  });
+
+  return countBookedByNight(bookings, nights);
+};
+
+// One night of a room's calendar, from its inventory row (if any), the
+// night's rate and the rooms already booked
+const toNight = (room, date, row, rate, booked) => {
+  const allotment =
+    row && row.allotment !== null && row.allotment !== undefined
+      ? row.allotment
+      : room.quantity;
+  const closed = Boolean(row && row.closed);
+
+  return {
+    date,
+    allotment,
+    closed,
+    price_override: row ? row.price_override : null,
+    price: rate.price,
+    booked,
+    available: closed ? 0 : Math.max(allotment - booked, 0),
+  };
+};
+
+// Per-night calendar of a room: sellable allotment, closures, overrides, the
+// price of the night and what is still free once current bookings are taken out
+const getNightlyAvailability = async (
+  room,
+  checkInDate,
+  checkOutDate,
+  { transaction, excludeBookingId } = {}
+) => {
+  const nights = getStayNights(checkInDate, checkOutDate);
+  const inventory = await getInventoryByDate(room.id, nights, { transaction });
+  const booked = await getBookedByNight(room.id, nights, {
+    transaction,
+    excludeBookingId,
+  });
+  const rates =
+    nights.length > 0
+      ? (await getNightlyRates([room], nights, { transaction }))[room.id]
+      : [];
+
+  return nights.map((date, index) =>
+    toNight(room, date, inventory[date], rates[index], booked[date])
+  );
+};
+
+// The same calendar for several rooms over the same dates (e.g. every room
+// of a hotel), keyed by room id. Each table is queried once for all rooms.
+const getRoomsAvailability = async (
+  rooms,
+  checkInDate,
+  checkOutDate,
+  { transaction } = {}
+) => {
+  const nights = getStayNights(checkInDate, checkOutDate);
+  const byRoom = {};
+  if (rooms.length === 0 || nights.length === 0) {
+    rooms.forEach((room) => (byRoom[room.id] = []));
+    return byRoom;
+  }
+
+  // Sequential: the queries may share one transaction connection
+  const roomIds = rooms.map((room) => room.id);
+  const inventory = await RoomInventory.findAll({
+    where: { room_id: { [Op.in]: roomIds }, date: { [Op.in]: nights } },
+    transaction,
+  });
+  const bookings = await Booking.findAll({
+    attributes: ["room_id", "check_in_date", "check_out_date", "quantity"],
+    where: {
+      room_id: { [Op.in]: roomIds },
+      ...overlappingNightsWhere(nights),
+      ...holdingBookingsWhere(),
+    },
+    transaction,
+  });
+  const rates = await getNightlyRates(rooms, nights, { transaction });
+
+  for (const room of rooms) {
+    const booked = countBookedByNight(
+      bookings.filter((booking) => booking.room_id === room.id),
+      nights
+    );
+    byRoom[room.id] = nights.map((date, index) =>
+      toNight(
+        room,
+        date,
+        inventory.find((row) => row.room_id === room.id && row.date === date),
+        rates[room.id][index],
+        booked[date]
+      )
+    );
+  }
+  return byRoom;
+};
+
+// Rooms that can still be sold for every night of the stay
+const getAvailableQuantity = async (
+  room,
+  checkInDate,
+  checkOutDate,
+  options = {}
+) => {
+  const nights = await getNightlyAvailability(
+    room,
+    checkInDate,
+    checkOutDate,
+    options
+  );
+  if (nights.length === 0) return 0;
+  return Math.min(...nights.map((night) => night.available));
+};
+
+module.exports = {
+  holdingBookingsWhere,
+  getNightlyAvailability,
+  getRoomsAvailability,
+  getAvailableQuantity,
+};
@@ -0,0 +1,40 @@
+const config = require("config");
+const nodemailer = require("nodemailer");
+
+// Messages sent through the "json" transport, newest last. Tests and local
+// setups read them here instead of a real mailbox.
+const outbox = [];
+
+// `mail.transport` picks where mail goes (MAIL_TRANSPORT overrides it):
+// "gmail" sends through the EMAIL_USERNAME / EMAIL_PASSWORD account,
+// "json" only renders the message and keeps it in `outbox`.
+const createMailTransport = () => {
+  if (config.get("mail.transport") === "json") {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  return nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USERNAME,
+      pass: process.env.EMAIL_PASSWORD,
+    },
+  });
+};
+
+const sendMail = async (mailOptions) => {
+  const info = await createMailTransport().sendMail({
+    from: config.get("mail.from"),
+    ...mailOptions,
+  });
+
+  if (config.get("mail.transport") === "json") {
+    outbox.push(JSON.parse(info.message));
+  }
+  return info;
+};
+
+module.exports = {
+  outbox,
+  createMailTransport,
+  sendMail,
+};
@@ -0,0 +1,56 @@
+// Guests under this age count as children
+const ADULT_AGE = 18;
+
+const isCount = (value, min) => Number.isInteger(value) && value >= min;
+
+// Reads `adults`, `children` and `child_ages` from a request body. Requests
+// without guest counts are one adult, as before these fields existed.
+// Returns { error } or { guests }.
+const parseGuests = ({ adults = 1, children = 0, child_ages = [] } = {}) => {
+  if (!isCount(adults, 1)) {
+    return { error: "'adults' must be a positive integer" };
+  }
+  if (!isCount(children, 0)) {
+    return { error: "'children' must be a non-negative integer" };
+  }
+  if (!Array.isArray(child_ages) || child_ages.length !== children) {
+    return { error: "'child_ages' must list the age of each child" };
+  }
+  if (child_ages.some((age) => !isCount(age, 0) || age >= ADULT_AGE)) {
+    return {
+      error: `Each child age must be an integer from 0 to ${ADULT_AGE - 1}`,
+    };
+  }
+  return { guests: { adults, children, child_ages } };
+};
+
+// All guests must fit in the booked rooms; rooms without a recorded capacity
+// take any number. Returns an error message, or null when the guests fit.
+const getOccupancyError = (room, quantity, { adults, children }) => {
+  if (room.quantity_people === null || room.quantity_people === undefined) {
+    return null;
+  }
+  const capacity = room.quantity_people * quantity;
+  if (adults + children > capacity) {
+    return `${quantity} x ${room.name || "room"} sleeps at most ${capacity} guests`;
+  }
+  return null;
+};
+
+// "2 adults, 1 child (5)" for booking lists, vouchers and calendars
+const describeGuests = ({ adults = 1, children = 0, child_ages }) => {
+  const parts = [`${adults} adult${adults === 1 ? "" : "s"}`];
+  if (children > 0) {
+    const ages = (child_ages || []).join(", ");
+    parts.push(
+      `${children} child${children === 1 ? "" : "ren"}${ages ? ` (${ages})` : ""}`
+    );
+  }
+  return parts.join(", ");
+};
+
+module.exports = {
+  parseGuests,
+  getOccupancyError,
+  describeGuests,
+};
@@ -0,0 +1,28 @@
+const { Hotels } = require("../models");
+
+// True when an owner is acting on a hotel that is not theirs. Admins (and
+// requests without a user, which never get past `authenticate`) are allowed.
+const isOtherOwner = (user, hotel) =>
+  Boolean(
+    user && user.type === "owner" && (!hotel || hotel.ownerId !== user.id)
+  );
+
+// True when the user may not see or act on `booking` (or an order, which has
+// the same user_id and hotel_id): guests only reach their own bookings,
+// owners those of their hotels
+const isOthersBooking = async (user, booking, { transaction } = {}) => {
+  if (!user) return false;
+  if (user.type === "client") return booking.user_id !== user.id;
+  if (user.type !== "owner") return false;
+
+  const hotel = await Hotels.findOne({
+    where: { id: booking.hotel_id },
+    transaction,
+  });
+  return isOtherOwner(user, hotel);
+};
+
+module.exports = {
+  isOtherOwner,
+  isOthersBooking,
+};
@@ -0,0 +1,219 @@
+const { Op, Transaction } = require("sequelize");
+const { PaymentTransaction } = require("../models");
+
+const PAYMENT_TX_TYPE = {
+  PAYMENT: "payment",
+  REFUND: "refund",
+};
+
+const PAYMENT_TX_STATUS = {
+  PENDING: "pending",
+  SUCCESS: "success",
+  FAILED: "failed",
+};
+
+// Links a ledger row to what the payment reference pays for
+const getTargetIds = (target) =>
+  target.order
+    ? { booking_id: null, order_id: target.order.id }
+    : { booking_id: target.bookings[0].id, order_id: null };
+
+// One row per payment URL handed to a guest, before they reach the
+// provider; `payment` is what the provider's createPayment returned
+const recordPaymentAttempt = (target, provider, payment) =>
+  PaymentTransaction.create({
+    ...getTargetIds(target),
+    provider,
+    type: PAYMENT_TX_TYPE.PAYMENT,
+    txn_ref: target.ref,
+    amount: target.amount,
+    bank_code: payment.bankCode,
+    status: PAYMENT_TX_STATUS.PENDING,
+    request_payload: payment.request,
+  });
+
+// Stores the provider's verdict from the return URL or the webhook. Both
+// callbacks carry the same data, so whichever comes second finds the row of
+// its transaction and only writes the same values again; a new transaction
+// completes the latest attempt still waiting for a result. Anything else
+// (another payment of a settled booking, a failure after a success) gets a
+// row of its own, so a successful payment is never overwritten. `flagReason`
+// marks a result that did not match the booking, for someone to look at.
+const recordPaymentResult = async (
+  target,
+  provider,
+  result,
+  { flagReason = null } = {}
+) => {
+  const values = {
+    response_code: result.responseCode,
+    transaction_no: result.transactionNo,
+    bank_code: result.bankCode,
+    pay_date: result.payDate,
+    status: result.success
+      ? PAYMENT_TX_STATUS.SUCCESS
+      : PAYMENT_TX_STATUS.FAILED,
+    response_payload: result.payload,
+    flagged: Boolean(flagReason),
+    flag_reason: flagReason,
+  };
+
+  const findAttempt = (where) =>
+    PaymentTransaction.findOne({
+      where: {
+        provider,
+        type: PAYMENT_TX_TYPE.PAYMENT,
+        txn_ref: target.ref,
+        ...where,
+      },
+      order: [
+        ["createdAt", "DESC"],
+        ["id", "DESC"],
+      ],
+    });
+  const attempt =
+    (result.transactionNo &&
+      (await findAttempt({ transaction_no: result.transactionNo }))) ||
+    (await findAttempt({ status: PAYMENT_TX_STATUS.PENDING }));
+  // Also covers payments started before the ledger existed
+  if (
+    !attempt ||
+    (attempt.status === PAYMENT_TX_STATUS.SUCCESS && !result.success)
+  ) {
+    return PaymentTransaction.create({
+      ...getTargetIds(target),
+      provider,
+      type: PAYMENT_TX_TYPE.PAYMENT,
+      txn_ref: target.ref,
+      amount: result.amount,
+      ...values,
+    });
+  }
+
+  Object.assign(attempt, values);
+  await attempt.save();
+  return attempt;
+};
+
+// Successful payment already recorded for the reference, if any
+const findSuccessfulPayment = (provider, ref) =>
+  PaymentTransaction.findOne({
+    where: {
+      provider,
+      type: PAYMENT_TX_TYPE.PAYMENT,
+      txn_ref: ref,
+      status: PAYMENT_TX_STATUS.SUCCESS,
+    },
+    order: [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+
+// Latest online payment attempt for the booking, directly or through its
+// order; `status` narrows it down (e.g. to successful payments)
+const findBookingPayment = (booking, { status } = {}) =>
+  PaymentTransaction.findOne({
+    where: {
+      type: PAYMENT_TX_TYPE.PAYMENT,
+      ...(status ? { status } : {}),
+      [Op.or]: [
+        { booking_id: booking.id },
+        ...(booking.order_id ? [{ order_id: booking.order_id }] : []),
+      ],
+    },
+    order: [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+
+// Money taken by successful payments of the booking, directly or through
+// its order
+const getReceivedAmount = async (booking, { transaction } = {}) =>
+  Number(
+    await PaymentTransaction.sum("amount", {
+      where: {
+        type: PAYMENT_TX_TYPE.PAYMENT,
+        status: PAYMENT_TX_STATUS.SUCCESS,
+        [Op.or]: [
+          { booking_id: booking.id },
+          ...(booking.order_id ? [{ order_id: booking.order_id }] : []),
+        ],
+      },
+      transaction,
+    })
+  ) || 0;
+
+// Money sent back by refunds matching `where`, counting those still waiting
+// for the provider so that the same money is never refunded twice
+const getRefundedAmount = async (where, { transaction } = {}) =>
+  Number(
+    await PaymentTransaction.sum("amount", {
+      where: {
+        ...where,
+        type: PAYMENT_TX_TYPE.REFUND,
+        status: {
+          [Op.in]: [PAYMENT_TX_STATUS.SUCCESS, PAYMENT_TX_STATUS.PENDING],
+        },
+      },
+      transaction,
+    })
+  ) || 0;
+
+// Locks the row of a payment, so that refunds against it are checked and
+// recorded one at a time
+const lockPayment = (payment, { transaction }) =>
+  PaymentTransaction.findOne({
+    where: { id: payment.id },
+    lock: Transaction.LOCK.UPDATE,
+    transaction,
+  });
+
+// A refund of `amount` for the booking, against the payment it came from,
+// before it is sent to the provider
+const recordRefundAttempt = (booking, payment, amount, { transaction }) =>
+  PaymentTransaction.create(
+    {
+      booking_id: booking.id,
+      order_id: payment.order_id,
+      provider: payment.provider,
+      type: PAYMENT_TX_TYPE.REFUND,
+      txn_ref: payment.txn_ref,
+      amount,
+      status: PAYMENT_TX_STATUS.PENDING,
+    },
+    { transaction }
+  );
+
+// Stores what the provider's refund returned on the refund's row; a refund
+// that never reached the provider fails without a result
+const recordRefundResult = async (refund, result = { success: false }) => {
+  Object.assign(refund, {
+    bank_code: result.bankCode,
+    response_code: result.responseCode,
+    transaction_no: result.transactionNo,
+    pay_date: result.payDate,
+    status: result.success
+      ? PAYMENT_TX_STATUS.SUCCESS
+      : PAYMENT_TX_STATUS.FAILED,
+    request_payload: result.request,
+    response_payload: result.response,
+  });
+  await refund.save();
+  return refund;
+};
+
+module.exports = {
+  PAYMENT_TX_TYPE,
+  PAYMENT_TX_STATUS,
+  recordPaymentAttempt,
+  recordPaymentResult,
+  findSuccessfulPayment,
+  findBookingPayment,
+  getReceivedAmount,
+  getRefundedAmount,
+  lockPayment,
+  recordRefundAttempt,
+  recordRefundResult,
+};
@@ -0,0 +1,100 @@
+const config = require("config");
+const moment = require("moment");
+const { BOOKING_STATUS } = require("../bookingStatus");
+
+// Payment providers by key. The key is what Bookings.payment_method and
+// Hotels.payment store. A provider is an object with:
+//
+//   key, name          identifier and the label shown to guests
+//   online             whether guests pay through the provider when booking
+//
+// and, for online providers, the operations the payment routes call:
+//
+//   createPayment(target, { ipAddr, locale, bankCode, orderInfo, orderType })
+//       -> { url, bankCode, request }: where to send the guest
+//   verifyReturn(req), handleWebhook(req)
+//       -> null when the callback is not authentic, otherwise
+//          { ref, success, amount, currency, responseCode, transactionNo,
+//            bankCode, payDate, note, payload }
+//   webhookResponse(outcome) -> { status, body } the provider expects back,
+//       outcome being one of ok, not_found, already_settled, invalid_amount,
+//       invalid_signature or error
+//   queryStatus(payment, { ipAddr }) -> the provider's view of a payment
+//   refund(payment, amount, { createBy, ipAddr, orderInfo })
+//       -> { success, responseCode, message, transactionNo, bankCode,
+//            payDate, request, response }
+//
+// Operations a provider leaves out are answered with a 400.
+const providers = new Map();
+
+// Currency of every price in the app; providers report the currency a guest
+// paid in with their callback results
+const BOOKING_CURRENCY = "VND";
+
+const registerProvider = (provider) => {
+  providers.set(provider.key, provider);
+};
+
+const getProvider = (key) => providers.get(key) || null;
+
+const getPaymentMethods = () => [...providers.keys()];
+
+// Status and hold of a new booking line. Offline bookings are held for the
+// guest without a payment; unpaid online bookings only hold the rooms for a
+// short while.
+const getInitialPaymentState = (paymentMethod, now = new Date()) => {
+  if (!getProvider(paymentMethod).online) {
+    return { status: BOOKING_STATUS.CONFIRMED, hold_expires_at: null };
+  }
+  return {
+    status: BOOKING_STATUS.PENDING_PAYMENT,
+    hold_expires_at: moment(now)
+      .add(config.get("booking.holdMinutes"), "minutes")
+      .toDate(),
+  };
+};
+
+// Hotels.payment lists the keys of the providers a hotel accepts, separated
+// by commas. Returns { error } or { payment } with the list cleaned up.
+const parseHotelPayment = (value) => {
+  const keys =
+    typeof value === "string"
+      ? [...new Set(value.split(",").map((key) => key.trim()))].filter(Boolean)
+      : [];
+  const unknown = keys.find((key) => !providers.has(key));
+  if (keys.length === 0 || unknown) {
+    return {
+      error: `'payment' must list providers from: ${getPaymentMethods().join(
+        ", "
+      )}`,
+    };
+  }
+  return { payment: keys.join(",") };
+};
+
+// Why `hotel` cannot take a booking paid with `paymentMethod`, or null when
+// it can. Offline methods confirm a booking without any payment, so a hotel
+// only gets the methods it lists.
+const getHotelPaymentError = (hotel, paymentMethod) => {
+  const accepted = String(hotel.payment || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  if (accepted.includes(paymentMethod)) return null;
+  return `This hotel does not accept '${paymentMethod}', use one of: ${accepted.join(
+    ", "
+  )}`;
+};
+
+registerProvider(require("./vnpay"));
+registerProvider(require("./payAtHotel"));
+
+module.exports = {
+  BOOKING_CURRENCY,
+  registerProvider,
+  getProvider,
+  getPaymentMethods,
+  getInitialPaymentState,
+  parseHotelPayment,
+  getHotelPaymentError,
+};
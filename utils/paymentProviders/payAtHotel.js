@@ -0,0 +1,7 @@
+// The guest pays the hotel at check-in, so nothing goes through the site:
+// bookings are confirmed straight away, and refunds are settled at the desk
+module.exports = {
+  key: "pay_at_hotel",
+  name: "Thanh toán tại khách sạn",
+  online: false,
+};
@@ -0,0 +1,138 @@
+const config = require("config");
+const moment = require("moment");
+const {
+  signParams,
+  buildSignedQuery,
+  isValidSignature,
+  REFUND_TYPE,
+  queryTransaction,
+  refundTransaction,
+} = require("../vnpay");
+const { getHoldExpiry } = require("../paymentTarget");
+
+// VNPay sends vnp_PayDate as yyyyMMddHHmmss in Vietnam time
+const parsePayDate = (value) => {
+  if (!value) return null;
+  const date = moment(`${value}+0700`, "YYYYMMDDHHmmssZ", true);
+  return date.isValid() ? date.toDate() : null;
+};
+
+// vnp_TransactionDate of later API calls: the vnp_CreateDate of the payment
+const getTransactionDate = (payment) =>
+  (payment.request_payload && payment.request_payload.vnp_CreateDate) ||
+  moment(payment.createdAt).format("YYYYMMDDHHmmss");
+
+// RspCode VNPay expects back from the IPN for each outcome
+const IPN_RESPONSES = {
+  ok: { RspCode: "00", Message: "Confirm Success" },
+  not_found: { RspCode: "01", Message: "Order not found" },
+  already_settled: { RspCode: "02", Message: "Order already confirmed" },
+  invalid_amount: { RspCode: "04", Message: "Invalid amount" },
+  invalid_signature: { RspCode: "97", Message: "Invalid signature" },
+  error: { RspCode: "99", Message: "Unknown error" },
+};
+
+// Return URL and IPN carry the same signed parameters
+const parseCallback = (query) => {
+  if (!isValidSignature(query)) return null;
+
+  const success = query.vnp_ResponseCode === "00";
+  return {
+    ref: query.vnp_TxnRef,
+    success,
+    amount: Number(query.vnp_Amount) / 100,
+    // Only some callbacks carry vnp_CurrCode; VNPay settles in VND otherwise
+    currency: query.vnp_CurrCode || "VND",
+    responseCode: query.vnp_ResponseCode,
+    transactionNo: query.vnp_TransactionNo || null,
+    bankCode: query.vnp_BankCode || null,
+    payDate: parsePayDate(query.vnp_PayDate),
+    note: success
+      ? `VNPay payment ${query.vnp_TransactionNo}`
+      : `VNPay response code ${query.vnp_ResponseCode}`,
+    payload: query,
+  };
+};
+
+module.exports = {
+  key: "vnpay",
+  name: "VNPay",
+  online: true,
+
+  // Signed URL of VNPay's payment page for the target
+  createPayment(target, { ipAddr, locale, bankCode, orderInfo, orderType }) {
+    const params = {
+      vnp_Version: "2.1.0",
+      vnp_Command: "pay",
+      vnp_TmnCode: config.get("vnpay.tmnCode"),
+      vnp_Locale: locale || "vn",
+      vnp_CurrCode: "VND",
+      vnp_TxnRef: target.ref,
+      vnp_OrderInfo: orderInfo,
+      vnp_OrderType: orderType,
+      // VNPay amounts are in hundredths of a dong
+      vnp_Amount: target.amount * 100,
+      vnp_ReturnUrl: config.get("vnpay.returnUrl"),
+      vnp_IpAddr: ipAddr,
+      vnp_CreateDate: moment().format("YYYYMMDDHHmmss"),
+    };
+    if (bankCode) {
+      params.vnp_BankCode = bankCode;
+    }
+    // VNPay turns the guest away once the rooms are no longer held
+    const holdExpiry = getHoldExpiry(target);
+    if (holdExpiry) {
+      params.vnp_ExpireDate = moment(holdExpiry).format("YYYYMMDDHHmmss");
+    }
+
+    const secureHash = signParams(params);
+    return {
+      url: `${config.get("vnpay.url")}?${buildSignedQuery(params, secureHash)}`,
+      bankCode: params.vnp_BankCode || null,
+      request: { ...params, vnp_SecureHash: secureHash },
+    };
+  },
+
+  verifyReturn: (req) => parseCallback(req.query),
+  handleWebhook: (req) => parseCallback(req.query),
+
+  webhookResponse: (outcome) => ({ status: 200, body: IPN_RESPONSES[outcome] }),
+
+  // VNPay's own view of the payment (querydr)
+  async queryStatus(payment, { ipAddr }) {
+    const { response } = await queryTransaction({
+      txnRef: payment.txn_ref,
+      transactionNo: payment.transaction_no,
+      transactionDate: getTransactionDate(payment),
+      orderInfo: `Kiem tra giao dich ${payment.txn_ref}`,
+      ipAddr,
+    });
+    return response;
+  },
+
+  async refund(payment, amount, { createBy, ipAddr, orderInfo }) {
+    const { request, response } = await refundTransaction({
+      txnRef: payment.txn_ref,
+      amount,
+      transactionType:
+        amount === Number(payment.amount)
+          ? REFUND_TYPE.FULL
+          : REFUND_TYPE.PARTIAL,
+      transactionNo: payment.transaction_no,
+      transactionDate: getTransactionDate(payment),
+      createBy,
+      orderInfo,
+      ipAddr,
+    });
+    return {
+      success: response.vnp_ResponseCode === "00",
+      responseCode: response.vnp_ResponseCode,
+      message: response.vnp_Message,
+      transactionNo: response.vnp_TransactionNo || null,
+      bankCode: response.vnp_BankCode || null,
+      payDate: parsePayDate(response.vnp_PayDate),
+      request,
+      response,
+    };
+  },
+};
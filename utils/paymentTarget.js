@@ -0,0 +1,110 @@
+const { Transaction } = require("sequelize");
+const { sequelize, Booking, Order } = require("../models");
+const {
+  BOOKING_STATUS,
+  canTransition,
+  transitionBooking,
+} = require("./bookingStatus");
+
+// Payment references sent to VNPay as vnp_TxnRef: "<bookingId>" pays a
+// single booking, "ORD<orderId>" pays every room line of an order at once
+const ORDER_REF_PREFIX = "ORD";
+
+const getOrderPaymentRef = (order) => `${ORDER_REF_PREFIX}${order.id}`;
+
+// The booking lines a payment reference pays for and their total,
+// or null when nothing matches
+const findPaymentTarget = async (ref) => {
+  const value = String(ref);
+
+  if (value.startsWith(ORDER_REF_PREFIX)) {
+    const order = await Order.findByPk(value.slice(ORDER_REF_PREFIX.length), {
+      include: [{ model: Booking }],
+    });
+    if (!order) return null;
+    return {
+      ref: value,
+      order,
+      bookings: order.Bookings || [],
+      amount: Number(order.total_price),
+    };
+  }
+
+  const booking = await Booking.findByPk(value);
+  if (!booking) return null;
+  return {
+    ref: value,
+    order: null,
+    bookings: [booking],
+    amount: Number(booking.total_price),
+  };
+};
+
+// Availability stops counting a booking once its hold has lapsed, even
+// before the sweeper marks it expired
+const isHoldExpired = (booking, now = new Date()) =>
+  Boolean(booking.hold_expires_at) && new Date(booking.hold_expires_at) <= now;
+
+// Earliest hold among the target's lines, or null when none is held
+const getHoldExpiry = (target) => {
+  const holds = target.bookings
+    .filter((booking) => booking.hold_expires_at)
+    .map((booking) => new Date(booking.hold_expires_at).getTime());
+  return holds.length > 0 ? new Date(Math.min(...holds)) : null;
+};
+
+// Why the target cannot be paid right now, or null when it can
+const getPaymentBlocker = (target, now = new Date()) => {
+  if (
+    target.bookings.length === 0 ||
+    target.bookings.some(
+      (booking) => booking.status !== BOOKING_STATUS.PENDING_PAYMENT
+    )
+  ) {
+    return "Booking is not awaiting payment";
+  }
+  if (target.bookings.some((booking) => isHoldExpired(booking, now))) {
+    return "Booking hold has expired, please book again";
+  }
+  return null;
+};
+
+// Moves every line of the target still awaiting payment into `toStatus`,
+// all in one transaction so an order never ends up half paid. The lines are
+// locked and read again first: when VNPay's IPN and the guest's return URL
+// arrive together, only one of them moves the bookings. Returns the lines
+// that were moved.
+const transitionPaymentTarget = (target, toStatus, { changedBy, note } = {}) =>
+  sequelize.transaction(async (transaction) => {
+    const bookings = await Booking.findAll({
+      where: { id: target.bookings.map((booking) => booking.id) },
+      lock: Transaction.LOCK.UPDATE,
+      transaction,
+    });
+
+    const moved = [];
+    for (const booking of bookings) {
+      if (
+        booking.status === BOOKING_STATUS.PENDING_PAYMENT &&
+        canTransition(booking.status, toStatus)
+      ) {
+        await transitionBooking(booking, toStatus, {
+          changedBy,
+          note,
+          transaction,
+        });
+        moved.push(booking);
+      }
+    }
+    return moved;
+  });
+
+module.exports = {
+  ORDER_REF_PREFIX,
+  getOrderPaymentRef,
+  findPaymentTarget,
+  isHoldExpired,
+  getHoldExpiry,
+  getPaymentBlocker,
+  transitionPaymentTarget,
+};
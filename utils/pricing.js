@@ -0,0 +1,191 @@
+const moment = require("moment");
+const { Op } = require("sequelize");
+const { Coupons, RoomInventory, RatePlan, HolidayRate } = require("../models");
+const { applyDiscounts } = require("./coupons");
+
+// List of nights (YYYY-MM-DD) between check-in and check-out
+const getStayNights = (checkInDate, checkOutDate) => {
+  const nights = [];
+  const day = moment(checkInDate).startOf("day");
+  const end = moment(checkOutDate).startOf("day");
+
+  while (day.isBefore(end)) {
+    nights.push(day.format("YYYY-MM-DD"));
+    day.add(1, "day");
+  }
+  return nights;
+};
+
+const groupBy = (rows, key) =>
+  rows.reduce((groups, row) => {
+    (groups[row[key]] = groups[row[key]] || []).push(row);
+    return groups;
+  }, {});
+
+// The plan that prices `date`: highest priority first, newest on ties
+const pickRatePlan = (plans, date) =>
+  plans
+    .filter(
+      (plan) =>
+        (!plan.start_date || plan.start_date <= date) &&
+        (!plan.end_date || plan.end_date >= date)
+    )
+    .sort((a, b) => b.priority - a.priority || b.id - a.id)[0];
+
+// Nightly prices of each room for the given dates, keyed by room id.
+// A night costs the inventory price override when the owner set one,
+// otherwise the rate plan price (or the room price) times the plan's
+// day-of-week multiplier and any holiday multiplier of the hotel.
+const getNightlyRates = async (rooms, dates, { transaction } = {}) => {
+  const roomIds = rooms.map((room) => room.id);
+  const hotelIds = [...new Set(rooms.map((room) => room.hotelId))].filter(
+    (id) => id !== undefined && id !== null
+  );
+
+  // Sequential: the queries may share one transaction connection
+  const overrides = await RoomInventory.findAll({
+    where: {
+      room_id: { [Op.in]: roomIds },
+      date: { [Op.in]: dates },
+      price_override: { [Op.ne]: null },
+    },
+    transaction,
+  });
+  const plans = await RatePlan.findAll({
+    where: {
+      room_id: { [Op.in]: roomIds },
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { start_date: null },
+            { start_date: { [Op.lte]: dates[dates.length - 1] } },
+          ],
+        },
+        {
+          [Op.or]: [{ end_date: null }, { end_date: { [Op.gte]: dates[0] } }],
+        },
+      ],
+    },
+    transaction,
+  });
+  const holidays = await HolidayRate.findAll({
+    where: {
+      date: { [Op.in]: dates },
+      [Op.or]: [{ hotel_id: null }, { hotel_id: { [Op.in]: hotelIds } }],
+    },
+    transaction,
+  });
+
+  const overridesByRoom = groupBy(overrides, "room_id");
+  const plansByRoom = groupBy(plans, "room_id");
+
+  const rates = {};
+  for (const room of rooms) {
+    const roomOverrides = overridesByRoom[room.id] || [];
+    const roomPlans = plansByRoom[room.id] || [];
+
+    rates[room.id] = dates.map((date) => {
+      const override = roomOverrides.find(
+        (row) => row.date === date && row.price_override !== null
+      );
+      if (override) {
+        return { date, price: override.price_override };
+      }
+
+      const night = { date };
+      let price = room.price;
+
+      const plan = pickRatePlan(roomPlans, date);
+      if (plan) {
+        night.rate_plan = plan.name;
+        if (plan.price !== null && plan.price !== undefined) {
+          price = plan.price;
+        }
+        const multipliers = plan.weekday_multipliers || {};
+        price *= multipliers[moment(date).day()] || 1;
+      }
+
+      // A hotel's own holiday rate replaces a nationwide one on that date
+      const holiday =
+        holidays.find(
+          (row) => row.date === date && row.hotel_id === room.hotelId
+        ) || holidays.find((row) => row.date === date && row.hotel_id === null);
+      if (holiday) {
+        night.holiday = holiday.name;
+        price *= holiday.multiplier;
+      }
+
+      night.price = Math.round(price);
+      return night;
+    });
+  }
+  return rates;
+};
+
+// Cheapest nightly price across `rooms` on `date`, null without rooms
+const getLowestNightlyPrice = async (rooms, date, options = {}) => {
+  if (rooms.length === 0) return null;
+
+  const day = moment(date).format("YYYY-MM-DD");
+  const rates = await getNightlyRates(rooms, [day], options);
+  return Math.min(...rooms.map((room) => rates[room.id][0].price));
+};
+
+// Only returns coupons inside their begin/end window
+const findValidCoupon = async (code, at = new Date()) => {
+  return Coupons.findOne({
+    where: {
+      code,
+      begin: { [Op.lte]: at },
+      end: { [Op.gte]: at },
+    },
+  });
+};
+
+// The coupons behind `codes`, or null when one of them is unknown or outside
+// its window
+const findValidCoupons = async (codes, at = new Date()) => {
+  const coupons = [];
+  for (const code of codes) {
+    const coupon = await findValidCoupon(code, at);
+    if (!coupon) return null;
+    coupons.push(coupon);
+  }
+  return coupons;
+};
+
+// Server-side price of a stay: nightly rates (see getNightlyRates) x quantity,
+// minus a line per coupon (see applyDiscounts in utils/coupons.js). The
+// result is stored as the booking's `price_breakdown`.
+const quoteStay = async ({
+  room,
+  checkInDate,
+  checkOutDate,
+  quantity,
+  coupons = [],
+  transaction,
+}) => {
+  const dates = getStayNights(checkInDate, checkOutDate);
+  const nights =
+    dates.length > 0
+      ? (await getNightlyRates([room], dates, { transaction }))[room.id]
+      : [];
+
+  const subtotal =
+    nights.reduce((sum, night) => sum + night.price, 0) * quantity;
+
+  const [quote] = applyDiscounts(
+    [{ room_id: room.id, quantity, nights, subtotal }],
+    coupons
+  );
+  return quote;
+};
+
+module.exports = {
+  getStayNights,
+  getNightlyRates,
+  getLowestNightlyPrice,
+  findValidCoupon,
+  findValidCoupons,
+  quoteStay,
+};
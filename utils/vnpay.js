@@ -0,0 +1,214 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const config = require("config");
+const moment = require("moment");
+const queryString = require("qs");
+
+// VNPay signs the parameters sorted by name, each value URL-encoded with
+// spaces as "+"
+const sortObject = (obj) =>
+  Object.keys(obj)
+    .map((key) => encodeURIComponent(key))
+    .sort()
+    .reduce((sorted, key) => {
+      sorted[key] = encodeURIComponent(obj[decodeURIComponent(key)]).replace(
+        /%20/g,
+        "+"
+      );
+      return sorted;
+    }, {});
+
+// The query string VNPay expects: sorted, encoded parameters
+const toSignData = (params) =>
+  queryString.stringify(sortObject(params), { encode: false });
+
+const hmac = (data, secret = config.get("vnpay.hashSecret")) =>
+  crypto
+    .createHmac("sha512", secret)
+    .update(Buffer.from(data, "utf-8"))
+    .digest("hex");
+
+const isSameHash = (expected, received) => {
+  if (!received) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(received).toLowerCase());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// HMAC-SHA512 of the parameters with the merchant's hash secret
+const signParams = (params, secret) => hmac(toSignData(params), secret);
+
+// Signed query string for a request sent to VNPay
+const buildSignedQuery = (params, secureHash = signParams(params)) =>
+  `${toSignData(params)}&vnp_SecureHash=${secureHash}`;
+
+// Whether a callback from VNPay (return URL or IPN) carries a valid signature
+const isValidSignature = (query, secret) => {
+  const { vnp_SecureHash, vnp_SecureHashType, ...params } = query;
+  return isSameHash(signParams(params, secret), vnp_SecureHash);
+};
+
+// The merchant API (querydr, refund) signs a fixed list of fields, in this
+// order, joined by "|"
+const API_FIELDS = {
+  querydr: {
+    request: [
+      "vnp_RequestId",
+      "vnp_Version",
+      "vnp_Command",
+      "vnp_TmnCode",
+      "vnp_TxnRef",
+      "vnp_TransactionDate",
+      "vnp_CreateDate",
+      "vnp_IpAddr",
+      "vnp_OrderInfo",
+    ],
+    response: [
+      "vnp_ResponseId",
+      "vnp_Command",
+      "vnp_ResponseCode",
+      "vnp_Message",
+      "vnp_TmnCode",
+      "vnp_TxnRef",
+      "vnp_Amount",
+      "vnp_BankCode",
+      "vnp_PayDate",
+      "vnp_TransactionNo",
+      "vnp_TransactionType",
+      "vnp_TransactionStatus",
+      "vnp_OrderInfo",
+      "vnp_PromotionCode",
+      "vnp_PromotionAmount",
+    ],
+  },
+  refund: {
+    request: [
+      "vnp_RequestId",
+      "vnp_Version",
+      "vnp_Command",
+      "vnp_TmnCode",
+      "vnp_TransactionType",
+      "vnp_TxnRef",
+      "vnp_Amount",
+      "vnp_TransactionNo",
+      "vnp_TransactionDate",
+      "vnp_CreateBy",
+      "vnp_CreateDate",
+      "vnp_IpAddr",
+      "vnp_OrderInfo",
+    ],
+    response: [
+      "vnp_ResponseId",
+      "vnp_Command",
+      "vnp_ResponseCode",
+      "vnp_Message",
+      "vnp_TmnCode",
+      "vnp_TxnRef",
+      "vnp_Amount",
+      "vnp_BankCode",
+      "vnp_PayDate",
+      "vnp_TransactionNo",
+      "vnp_TransactionType",
+      "vnp_TransactionStatus",
+      "vnp_OrderInfo",
+    ],
+  },
+};
+
+// vnp_TransactionType of a refund
+const REFUND_TYPE = {
+  FULL: "02",
+  PARTIAL: "03",
+};
+
+const signApiMessage = (message, fields, secret) =>
+  hmac(
+    fields
+      .map((field) =>
+        message[field] === undefined || message[field] === null
+          ? ""
+          : message[field]
+      )
+      .join("|"),
+    secret
+  );
+
+const isValidApiSignature = (message, fields) =>
+  isSameHash(signApiMessage(message, fields), message.vnp_SecureHash);
+
+// Sends a signed request to the merchant API and checks the signature of the
+// answer. Error answers may come unsigned; a success never does.
+// Resolves to { request, response } so both can go into the ledger.
+const callMerchantApi = async (command, params) => {
+  const { request, response } = API_FIELDS[command];
+  const message = {
+    vnp_RequestId: crypto.randomBytes(12).toString("hex"),
+    vnp_Version: "2.1.0",
+    vnp_Command: command,
+    vnp_TmnCode: config.get("vnpay.tmnCode"),
+    vnp_CreateDate: moment().format("YYYYMMDDHHmmss"),
+    ...params,
+  };
+  message.vnp_SecureHash = signApiMessage(message, request);
+
+  const { data } = await axios.post(config.get("vnpay.apiUrl"), message, {
+    timeout: 15000,
+  });
+  if (
+    (data.vnp_ResponseCode === "00" || data.vnp_SecureHash) &&
+    !isValidApiSignature(data, response)
+  ) {
+    throw new Error("Invalid signature on VNPay response");
+  }
+  return { request: message, response: data };
+};
+
+// Status of a payment as VNPay sees it (vnp_TransactionStatus "00" is paid)
+const queryTransaction = ({
+  txnRef,
+  transactionDate,
+  orderInfo,
+  ipAddr,
+  transactionNo,
+}) =>
+  callMerchantApi("querydr", {
+    vnp_TxnRef: txnRef,
+    vnp_OrderInfo: orderInfo,
+    vnp_TransactionNo: transactionNo,
+    vnp_TransactionDate: transactionDate,
+    vnp_IpAddr: ipAddr,
+  });
+
+// Gives `amount` VND of a payment back to the guest's card or account
+const refundTransaction = ({
+  txnRef,
+  amount,
+  transactionType,
+  transactionNo,
+  transactionDate,
+  createBy,
+  orderInfo,
+  ipAddr,
+}) =>
+  callMerchantApi("refund", {
+    vnp_TransactionType: transactionType,
+    vnp_TxnRef: txnRef,
+    vnp_Amount: amount * 100,
+    vnp_OrderInfo: orderInfo,
+    vnp_TransactionNo: transactionNo,
+    vnp_TransactionDate: transactionDate,
+    vnp_CreateBy: createBy,
+    vnp_IpAddr: ipAddr,
+  });
+
+module.exports = {
+  API_FIELDS,
+  REFUND_TYPE,
+  signParams,
+  buildSignedQuery,
+  isValidSignature,
+  signApiMessage,
+  isValidApiSignature,
+  queryTransaction,
+  refundTransaction,
+};
@@ -0,0 +1,99 @@
+const moment = require("moment");
+const PDFDocument = require("pdfkit");
+const { describeGuests } = require("./occupancy");
+
+// Code printed on vouchers and emails, which the hotel looks bookings up by
+const getBookingCode = (booking) => `LT-${String(booking.id).padStart(6, "0")}`;
+
+const formatMoney = (amount) =>
+  `${Math.round(Number(amount) || 0).toLocaleString("vi-VN")} VND`;
+
+const formatDate = (date) => moment(date).format("DD/MM/YYYY");
+
+// The built-in PDF fonts only cover Latin-1, so Vietnamese diacritics are
+// dropped rather than printed as garbage
+const toPdfText = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D");
+
+// One-page voucher for a booking loaded with its Room and Hotel. Resolves
+// with the PDF bytes.
+const buildVoucherPdf = (booking) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const hotel = booking.Hotel || {};
+    const room = booking.Room || {};
+    const breakdown = booking.price_breakdown || {};
+    const row = (label, value) =>
+      doc
+        .font("Helvetica-Bold")
+        .text(`${label}: `, { continued: true })
+        .font("Helvetica")
+        .text(toPdfText(value));
+
+    doc.fontSize(20).font("Helvetica-Bold").text("Booking voucher");
+    doc.fontSize(12).font("Helvetica").text(getBookingCode(booking));
+    doc.moveDown();
+
+    row("Hotel", hotel.name);
+    if (hotel.map) row("Address", hotel.map);
+    row("Room", `${booking.quantity} x ${room.name || "Room"}`);
+    row("Check-in", formatDate(booking.check_in_date));
+    row("Check-out", formatDate(booking.check_out_date));
+    row("Guest", booking.full_name);
+    row("Guests", describeGuests(booking));
+    if (booking.special_requests) {
+      row("Special requests", booking.special_requests);
+    }
+    doc.moveDown();
+
+    doc.font("Helvetica-Bold").text("Price breakdown");
+    doc.font("Helvetica");
+    (breakdown.nights || []).forEach((night) => {
+      const notes = [night.rate_plan, night.holiday].filter(Boolean);
+      doc.text(
+        toPdfText(
+          `${formatDate(night.date)}${
+            notes.length > 0 ? ` (${notes.join(", ")})` : ""
+          }: ${formatMoney(night.price)} x ${booking.quantity}`
+        )
+      );
+    });
+    if (breakdown.subtotal !== undefined) {
+      doc.text(`Subtotal: ${formatMoney(breakdown.subtotal)}`);
+    }
+    (breakdown.discounts || []).forEach((discount) => {
+      doc.text(
+        toPdfText(`Discount ${discount.code}: -${formatMoney(discount.amount)}`)
+      );
+    });
+    doc
+      .font("Helvetica-Bold")
+      .text(`Total: ${formatMoney(booking.total_price)}`);
+    doc.moveDown();
+
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(
+        booking.payment_method === "pay_at_hotel"
+          ? "Payment is due at the hotel."
+          : "Paid online."
+      )
+      .text("Please show this voucher at check-in.");
+
+    doc.end();
+  });
+
+module.exports = {
+  getBookingCode,
+  buildVoucherPdf,
+};
@@ -0,0 +1,199 @@
+const config = require("config");
+const moment = require("moment");
+const { Op, Transaction } = require("sequelize");
+const {
+  WaitlistEntry,
+  Booking,
+  Room,
+  Hotels,
+  User,
+  sequelize,
+} = require("../models");
+const { BOOKING_STATUS, recordInitialStatus } = require("./bookingStatus");
+const { getAvailableQuantity } = require("./inventory");
+const { quoteStay } = require("./pricing");
+const { sendMail } = require("./mailer");
+const { getBookingCode } = require("./voucher");
+
+const WAITLIST_STATUS = {
+  WAITING: "waiting",
+  OFFERED: "offered",
+  BOOKED: "booked",
+  EXPIRED: "expired",
+  LEFT: "left",
+};
+
+const PAID_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.CHECKED_IN,
+  BOOKING_STATUS.COMPLETED,
+];
+
+// Closes offers whose priority hold is over: paid holds become `booked`,
+// lapsed or cancelled ones `expired`. Holds still running are left alone.
+const settleOffers = async (roomId, transaction) => {
+  const offers = await WaitlistEntry.findAll({
+    where: { room_id: roomId, status: WAITLIST_STATUS.OFFERED },
+    include: [{ model: Booking, attributes: ["id", "status"] }],
+    transaction,
+  });
+
+  for (const entry of offers) {
+    const booking = entry.Booking;
+    if (booking && booking.status === BOOKING_STATUS.PENDING_PAYMENT) continue;
+
+    entry.status =
+      booking && PAID_STATUSES.includes(booking.status)
+        ? WAITLIST_STATUS.BOOKED
+        : WAITLIST_STATUS.EXPIRED;
+    await entry.save({ transaction });
+  }
+};
+
+// Hands rooms that became free to the guests waiting for them. The queue is
+// walked in joining order; each guest whose stay fits gets a pending booking
+// held for `waitlist.offerMinutes`, and guests whose stay does not fit yet
+// keep their place. Returns the offers made.
+const offerFreedRooms = async (roomId, now = new Date()) => {
+  const offers = await sequelize.transaction(async (transaction) => {
+    // Same lock as createBooking, so a walk-in booking cannot take the
+    // rooms between the availability check and the hold
+    const room = await Room.findOne({
+      where: { id: roomId },
+      lock: Transaction.LOCK.UPDATE,
+      transaction,
+    });
+    if (!room) return [];
+
+    await settleOffers(room.id, transaction);
+
+    const entries = await WaitlistEntry.findAll({
+      where: { room_id: room.id, status: WAITLIST_STATUS.WAITING },
+      order: [
+        ["createdAt", "ASC"],
+        ["id", "ASC"],
+      ],
+      transaction,
+    });
+
+    const made = [];
+    const today = moment(now).startOf("day");
+    for (const entry of entries) {
+      if (moment(entry.check_in_date).isBefore(today)) {
+        entry.status = WAITLIST_STATUS.EXPIRED;
+        await entry.save({ transaction });
+        continue;
+      }
+
+      const availableQuantity = await getAvailableQuantity(
+        room,
+        entry.check_in_date,
+        entry.check_out_date,
+        { transaction }
+      );
+      if (availableQuantity < entry.quantity) continue;
+
+      const user = await User.findOne({
+        where: { id: entry.user_id },
+        attributes: ["id", "name", "email"],
+        transaction,
+      });
+      const quote = await quoteStay({
+        room,
+        checkInDate: entry.check_in_date,
+        checkOutDate: entry.check_out_date,
+        quantity: entry.quantity,
+        transaction,
+      });
+      const holdExpiresAt = moment(now)
+        .add(config.get("waitlist.offerMinutes"), "minutes")
+        .toDate();
+
+      const booking = await Booking.create(
+        {
+          room_id: room.id,
+          user_id: entry.user_id,
+          hotel_id: entry.hotel_id || room.hotelId,
+          check_in_date: entry.check_in_date,
+          check_out_date: entry.check_out_date,
+          quantity: entry.quantity,
+          total_price: quote.total,
+          price_breakdown: quote,
+          status: BOOKING_STATUS.PENDING_PAYMENT,
+          hold_expires_at: holdExpiresAt,
+          payment_method: "vnpay",
+          full_name: user ? user.name : null,
+        },
+        { transaction }
+      );
+      await recordInitialStatus(booking, {
+        note: `Waitlist priority hold for entry ${entry.id}`,
+        transaction,
+      });
+
+      entry.status = WAITLIST_STATUS.OFFERED;
+      entry.booking_id = booking.id;
+      entry.offered_at = now;
+      entry.offer_expires_at = holdExpiresAt;
+      await entry.save({ transaction });
+
+      made.push({ entry, booking, user, room });
+    }
+    return made;
+  });
+
+  for (const offer of offers) {
+    try {
+      await notifyOffer(offer);
+    } catch (error) {
+      console.error(`Error notifying waitlist entry ${offer.entry.id}:`, error);
+    }
+  }
+  return offers;
+};
+
+const notifyOffer = async ({ entry, booking, user, room }) => {
+  if (!user || !user.email) return null;
+
+  const hotel = await Hotels.findOne({
+    where: { id: booking.hotel_id },
+    attributes: ["id", "name"],
+  });
+  const code = getBookingCode(booking);
+  const hotelName = hotel ? hotel.name : "the hotel";
+  const holdUntil = moment(entry.offer_expires_at).format("HH:mm DD/MM/YYYY");
+
+  return sendMail({
+    to: user.email,
+    subject: `A room is free for you at ${hotelName}`,
+    text: [
+      `Hello ${user.name || ""},`,
+      "",
+      `${entry.quantity} x ${room.name} at ${hotelName} became available for`,
+      `${moment(entry.check_in_date).format("DD/MM/YYYY")} - ${moment(
+        entry.check_out_date
+      ).format("DD/MM/YYYY")}.`,
+      `We are holding it for you as booking ${code} until ${holdUntil}.`,
+      "Pay for it from My bookings before then, or it goes to the next guest.",
+    ].join("\n"),
+  });
+};
+
+// Runs `offerFreedRooms` for rooms whose bookings were just cancelled or
+// expired, without holding up the caller; failures are logged.
+const queueWaitlistOffers = (roomIds) =>
+  [...new Set(roomIds)].reduce(
+    (previous, roomId) =>
+      previous.then(() =>
+        offerFreedRooms(roomId).catch((error) =>
+          console.error(`Error offering waitlist of room ${roomId}:`, error)
+        )
+      ),
+    Promise.resolve()
+  );
+
+module.exports = {
+  WAITLIST_STATUS,
+  offerFreedRooms,
+  queueWaitlistOffers,
+};